@@ -6,8 +6,41 @@
 
 import AudioAnalyzer from './services/AudioAnalyzer.js';
 import { StateManager, States } from './services/StateManager.js';
-import SessionTracker from './services/SessionTracker.js';
+import SessionTracker, { SessionModes } from './services/SessionTracker.js';
+import VolumeHold from './services/VolumeHold.js';
+import { LevelScale } from './services/LevelScale.js';
+import { SourceKinds, SyntheticSource } from './services/AudioSources.js';
 import StorageManager from './data/StorageManager.js';
+import { ImportModes, BackupError, parseBackup } from './data/BackupSchema.js';
+import { querySessions, toStudentId, matchesStudent } from './services/HistoryQuery.js';
+import { buildTrend, getThresholdChanges, compareStudents } from './services/ProgressTrends.js';
+import { CalibrationService, CalibrationSteps, Limits } from './services/CalibrationService.js';
+import { OfflineAnalyzer } from './services/OfflineAnalyzer.js';
+import { normalizeGoals } from './services/Goals.js';
+import { PitchTracker, PitchZones } from './services/PitchTracker.js';
+import { normalizeRateThresholds, getRhythmZone } from './services/SpeechRhythm.js';
+import { DEFAULT_LOCALE, getUiTexts, formatText } from './services/FeedbackMessages.js';
+import { CLASSROOM_CONFIG, ZoneInfo, getNoiseZone, getClassroomLabel, LevelAverager } from './services/ClassroomMode.js';
+import { ExportFormats, sessionsToCsv, samplesToCsv, getExportFileName } from './services/SessionExporter.js';
+import { SessionSummaryModal, SummaryModes } from './components/SessionSummaryModal.js';
+import HistoryView from './components/HistoryView.js';
+import ProgressDashboard from './components/ProgressDashboard.js';
+import StudentSwitcher from './components/StudentSwitcher.js';
+import CalibrationWizard from './components/CalibrationWizard.js';
+import FileAnalysisView from './components/FileAnalysisView.js';
+import DeviceSelector from './components/DeviceSelector.js';
+import GoalPanel from './components/GoalPanel.js';
+import GoalEditor from './components/GoalEditor.js';
+import NoiseMeter from './components/NoiseMeter.js';
+import ExercisePicker from './components/ExercisePicker.js';
+import ExerciseBanner from './components/ExerciseBanner.js';
+import PitchTrace from './components/PitchTrace.js';
+import RhythmPanel from './components/RhythmPanel.js';
+import MessageEditor from './components/MessageEditor.js';
+import { NoticeBanner, NoticeTypes } from './components/NoticeBanner.js';
+import SessionReport from './components/SessionReport.js';
+import { downloadFile } from './utils/download.js';
+import { formatCount } from './utils/formatters.js';
 
 class EcoLogroApp {
     constructor() {
@@ -16,25 +49,69 @@ class EcoLogroApp {
         this.stateManager = new StateManager();
         this.sessionTracker = new SessionTracker();
         this.storageManager = new StorageManager();
+        this.calibrationService = new CalibrationService(this.audioAnalyzer);
 
         // Estado de la aplicación
         this.isRunning = false;
         this.isPaused = false;
+        this.activeStudent = null;
+        this.classroom = null;
+        this.goals = [];
+        this.goalsRequest = 0;
+        this.customExercise = {};
+        this.pausedForCalibration = false;
+        this.offlineAnalyzer = null;
 
         // Sistema de persistencia de volumen (hold time de 2 segundos)
-        this.lastSignificantVolume = 0;
-        this.lastVolumeTimestamp = 0;
-        this.volumeHoldDuration = 2000; // 2 segundos en milisegundos
+        this.volumeHold = new VolumeHold(2000);
         this.displayedVolume = 0;
 
+        // Media del nivel en varios segundos (modo aula; sin ventana no hace nada)
+        this.levelAverager = new LevelAverager();
+
+        // Tono de voz y zonas de entonación (solo con "Entonación" activada)
+        this.pitchTracker = new PitchTracker();
+        this.pitchTracking = false;
+        this.pitchReading = { pitch: 0, variation: null, zone: PitchZones.NONE };
+
+        // Velocidad del habla y pausas en pantalla (solo con "Ritmo del habla" activado)
+        this.rhythmFeedback = false;
+        this.rateThresholds = normalizeRateThresholds();
+
+        // Idioma de los mensajes y de los textos de la pantalla principal
+        this.locale = DEFAULT_LOCALE;
+
+        // Bucle de pintado del termómetro (separado de la medición)
+        this.renderFrameId = null;
+
+        // Conversión del nivel 0-100 a dB para umbrales y lecturas
+        this.levelScale = new LevelScale();
+        this.inputIsFallback = false;
+
+        // Umbrales del panel en nivel 0-100 (los sliders los muestran en dB)
+        this.thresholdLevels = { lower: 25, upper: 75 };
+
         // Referencias DOM (se inicializan en init)
         this.elements = {};
 
+        // Componentes de UI (se inicializan en init)
+        this.summaryModal = null;
+        this.historyView = null;
+        this.progressDashboard = null;
+        this.studentSwitcher = null;
+        this.calibrationWizard = null;
+        this.fileAnalysisView = null;
+        this.deviceSelector = null;
+        this.noticeBanner = null;
+
         // Bind de métodos
         this.handleVolumeUpdate = this.handleVolumeUpdate.bind(this);
+        this.renderThermometer = this.renderThermometer.bind(this);
         this.handleStateChange = this.handleStateChange.bind(this);
         this.handleStatsUpdate = this.handleStatsUpdate.bind(this);
+        this.handleSessionEnd = this.handleSessionEnd.bind(this);
         this.handleError = this.handleError.bind(this);
+        this.handleInputChange = this.handleInputChange.bind(this);
     }
 
     /**
@@ -46,6 +123,9 @@ class EcoLogroApp {
         // Obtener referencias DOM
         this.cacheElements();
 
+        // Crear componentes de UI
+        this.setupComponents();
+
         // Cargar configuración guardada
         this.loadSavedConfiguration();
 
@@ -55,18 +135,90 @@ class EcoLogroApp {
         // Configurar callbacks de servicios
         this.setupServiceCallbacks();
 
-        // Inicializar el analizador de audio
-        const initialized = await this.audioAnalyzer.initialize();
+        // Regla de conservación del historial de este equipo
+        this.elements.historyRetentionSelect.value = this.storageManager.getHistoryRetention();
+        await this.storageManager.applyRetention();
+
+        // Inicializar el analizador de audio con el micrófono elegido en este equipo
+        this.audioAnalyzer.setInputDevice(this.storageManager.getInputDeviceId());
+        await this.startAudio();
+    }
+
+    /**
+     * Inicializa el analizador de audio y arranca la sesión
+     * @private
+     */
+    async startAudio() {
+        const initialized = await this.audioAnalyzer.initialize(this.createAudioSource());
 
         if (initialized) {
             console.log('✅ Micrófono inicializado correctamente');
+            this.refreshInputDevices();
             this.start();
         } else {
             console.error('❌ Error al inicializar el micrófono');
-            this.showError('No se pudo acceder al micrófono. Verifica los permisos del navegador.');
+            this.showError(getUiTexts(this.locale).microphoneError, this.getRetryAudioAction());
         }
     }
 
+    /**
+     * Reintenta conectar el audio tras un error
+     * @private
+     */
+    async retryAudio() {
+        if (this.audioAnalyzer.isInitialized) {
+            await this.audioAnalyzer.recoverMicrophone();
+            return;
+        }
+
+        this.audioAnalyzer.destroy();
+        await this.startAudio();
+    }
+
+    /**
+     * Acción "Reintentar" para los avisos de error de audio
+     * @private
+     */
+    getRetryAudioAction() {
+        return { label: getUiTexts(this.locale).retry, onAction: () => this.retryAudio() };
+    }
+
+    /**
+     * Crea la fuente de audio inicial
+     * Con ?source=synthetic en la URL se usa una señal de prueba en lugar del
+     * micrófono (pruebas automáticas y equipos sin micrófono).
+     * @returns {Object|null} - Fuente de AudioSources o null para usar el micrófono
+     * @private
+     */
+    createAudioSource() {
+        const params = new URLSearchParams(window.location.search);
+
+        if (params.get('source') === 'synthetic') {
+            return new SyntheticSource();
+        }
+
+        return null;
+    }
+
+    /**
+     * Actualiza la lista de micrófonos del panel
+     * Los nombres solo están disponibles después de conceder el permiso.
+     * @private
+     */
+    async refreshInputDevices() {
+        const devices = await AudioAnalyzer.listInputDevices();
+        this.deviceSelector.render(devices, this.storageManager.getInputDeviceId());
+    }
+
+    /**
+     * Cambia el micrófono y recuerda la elección en este equipo
+     * @param {string} deviceId - ID del dispositivo ('' = predeterminado)
+     */
+    async selectInputDevice(deviceId) {
+        this.storageManager.saveInputDeviceId(deviceId);
+        await this.audioAnalyzer.setInputDevice(deviceId);
+    }
+
     /**
      * Cachea referencias a elementos DOM
      * @private
@@ -74,10 +226,34 @@ class EcoLogroApp {
     cacheElements() {
         this.elements = {
             // Status
+            appTitle: document.getElementById('appTitle'),
+            localizedElements: document.querySelectorAll('[data-i18n], [data-i18n-label], [data-i18n-title], [data-i18n-placeholder]'),
             statusMessage: document.getElementById('statusMessage'),
             emojiIcon: document.getElementById('emojiIcon'),
-
-            // Termómetro
+            studentSwitcher: document.getElementById('studentSwitcher'),
+
+            // Avisos
+            noticeBanner: document.getElementById('noticeBanner'),
+            noticeMessage: document.getElementById('noticeMessage'),
+            noticeActionBtn: document.getElementById('noticeActionBtn'),
+            noticeCloseBtn: document.getElementById('noticeCloseBtn'),
+
+            // Termómetro y medidor de ruido del modo aula
+            thermometer: document.getElementById('thermometer'),
+            noiseMeter: document.getElementById('noiseMeter'),
+            noiseMeterClass: document.getElementById('noiseMeterClass'),
+            noiseMeterTrack: document.getElementById('noiseMeterTrack'),
+            noiseMeterNeedle: document.getElementById('noiseMeterNeedle'),
+            noiseMeterZone: document.getElementById('noiseMeterZone'),
+            noiseMeterLevel: document.getElementById('noiseMeterLevel'),
+            pitchPanel: document.getElementById('pitchPanel'),
+            pitchTraceCanvas: document.getElementById('pitchTraceCanvas'),
+            pitchZone: document.getElementById('pitchZone'),
+            pitchValue: document.getElementById('pitchValue'),
+            rhythmPanel: document.getElementById('rhythmPanel'),
+            rhythmZone: document.getElementById('rhythmZone'),
+            rhythmRate: document.getElementById('rhythmRate'),
+            rhythmPauses: document.getElementById('rhythmPauses'),
             thermometerFill: document.getElementById('thermometerFill'),
             thermometerMercury: document.getElementById('thermometerMercury'),
 
@@ -86,6 +262,31 @@ class EcoLogroApp {
             greenTime: document.getElementById('greenTime'),
             successRate: document.getElementById('successRate'),
 
+            // Objetivos
+            goalPanel: document.getElementById('goalPanel'),
+            goalProgressList: document.getElementById('goalProgressList'),
+            goalList: document.getElementById('goalList'),
+            localeSelect: document.getElementById('localeSelect'),
+            messageEditorRows: document.getElementById('messageEditorRows'),
+            goalTypeSelect: document.getElementById('goalTypeSelect'),
+            goalParams: document.getElementById('goalParams'),
+            addGoalBtn: document.getElementById('addGoalBtn'),
+
+            // Ejercicios guiados
+            exerciseBanner: document.getElementById('exerciseBanner'),
+            exercisePhase: document.getElementById('exercisePhase'),
+            exerciseCountdown: document.getElementById('exerciseCountdown'),
+            exerciseDetail: document.getElementById('exerciseDetail'),
+            exercisePlanSelect: document.getElementById('exercisePlanSelect'),
+            exerciseCustomFields: document.getElementById('exerciseCustomFields'),
+            exerciseLabel: document.getElementById('exerciseLabel'),
+            exerciseSpeakSeconds: document.getElementById('exerciseSpeakSeconds'),
+            exerciseRestSeconds: document.getElementById('exerciseRestSeconds'),
+            exerciseRounds: document.getElementById('exerciseRounds'),
+            exerciseGreenTarget: document.getElementById('exerciseGreenTarget'),
+            exerciseDescription: document.getElementById('exerciseDescription'),
+            startExerciseBtn: document.getElementById('startExerciseBtn'),
+
             // Controles
             pauseBtn: document.getElementById('pauseBtn'),
             settingsBtn: document.getElementById('settingsBtn'),
@@ -93,7 +294,30 @@ class EcoLogroApp {
             closePanel: document.getElementById('closePanel'),
 
             // Sliders y configuración
+            classroomModeToggle: document.getElementById('classroomModeToggle'),
+            classroomFields: document.getElementById('classroomFields'),
+            classroomName: document.getElementById('classroomName'),
+            classroomPeriod: document.getElementById('classroomPeriod'),
+            studentNameGroup: document.getElementById('studentNameGroup'),
             studentName: document.getElementById('studentName'),
+            inputDeviceSelect: document.getElementById('inputDeviceSelect'),
+            calibrationOffsetInput: document.getElementById('calibrationOffsetInput'),
+            levelReadout: document.getElementById('levelReadout'),
+            aWeightingToggle: document.getElementById('aWeightingToggle'),
+            voiceDetectionToggle: document.getElementById('voiceDetectionToggle'),
+            pitchTrackingToggle: document.getElementById('pitchTrackingToggle'),
+            pitchFields: document.getElementById('pitchFields'),
+            pitchLowerSlider: document.getElementById('pitchLowerSlider'),
+            pitchLowerValue: document.getElementById('pitchLowerValue'),
+            pitchUpperSlider: document.getElementById('pitchUpperSlider'),
+            pitchUpperValue: document.getElementById('pitchUpperValue'),
+            rhythmFeedbackToggle: document.getElementById('rhythmFeedbackToggle'),
+            rhythmFields: document.getElementById('rhythmFields'),
+            rateLowerSlider: document.getElementById('rateLowerSlider'),
+            rateLowerValue: document.getElementById('rateLowerValue'),
+            rateUpperSlider: document.getElementById('rateUpperSlider'),
+            rateUpperValue: document.getElementById('rateUpperValue'),
+            deleteStudentBtn: document.getElementById('deleteStudentBtn'),
             sensitivitySlider: document.getElementById('sensitivitySlider'),
             sensitivityValue: document.getElementById('sensitivityValue'),
             dampeningSlider: document.getElementById('dampeningSlider'),
@@ -104,6 +328,21 @@ class EcoLogroApp {
             lowerThresholdValue: document.getElementById('lowerThresholdValue'),
             persistenceSlider: document.getElementById('persistenceSlider'),
             persistenceValue: document.getElementById('persistenceValue'),
+            hysteresisSlider: document.getElementById('hysteresisSlider'),
+            hysteresisValue: document.getElementById('hysteresisValue'),
+            minDwellSlider: document.getElementById('minDwellSlider'),
+            minDwellValue: document.getElementById('minDwellValue'),
+            noiseGateSlider: document.getElementById('noiseGateSlider'),
+            noiseGateValue: document.getElementById('noiseGateValue'),
+            warningBandSlider: document.getElementById('warningBandSlider'),
+            warningBandValue: document.getElementById('warningBandValue'),
+            calibrateBtn: document.getElementById('calibrateBtn'),
+            analyzeFileBtn: document.getElementById('analyzeFileBtn'),
+            exportBackupBtn: document.getElementById('exportBackupBtn'),
+            importBackupBtn: document.getElementById('importBackupBtn'),
+            backupFileInput: document.getElementById('backupFileInput'),
+            backupReplaceMode: document.getElementById('backupReplaceMode'),
+            historyRetentionSelect: document.getElementById('historyRetentionSelect'),
 
             // Botones
             saveSettings: document.getElementById('saveSettings'),
@@ -111,6 +350,7 @@ class EcoLogroApp {
 
             // Preview zones
             previewZoneHigh: document.getElementById('previewZoneHigh'),
+            previewZoneWarning: document.getElementById('previewZoneWarning'),
             previewZoneOptimal: document.getElementById('previewZoneOptimal'),
             previewZoneLow: document.getElementById('previewZoneLow'),
 
@@ -118,15 +358,187 @@ class EcoLogroApp {
             sessionModal: document.getElementById('sessionModal'),
             closeModal: document.getElementById('closeModal'),
             newSessionBtn: document.getElementById('newSessionBtn'),
+            viewHistoryBtn: document.getElementById('viewHistoryBtn'),
+            summaryDate: document.getElementById('summaryDate'),
             summaryTotalTime: document.getElementById('summaryTotalTime'),
             summaryGreenTime: document.getElementById('summaryGreenTime'),
+            summaryWarningTime: document.getElementById('summaryWarningTime'),
+            summarySpeakingTime: document.getElementById('summarySpeakingTime'),
             summarySuccess: document.getElementById('summarySuccess'),
             summaryPeak: document.getElementById('summaryPeak'),
             summaryConsistency: document.getElementById('summaryConsistency'),
-            summaryChart: document.getElementById('summaryChart')
+            summaryLongestStreak: document.getElementById('summaryLongestStreak'),
+            summaryTimeToGreen: document.getElementById('summaryTimeToGreen'),
+            summaryDangerBursts: document.getElementById('summaryDangerBursts'),
+            summarySilenceGaps: document.getElementById('summarySilenceGaps'),
+            summaryVariability: document.getElementById('summaryVariability'),
+            summaryPitchMean: document.getElementById('summaryPitchMean'),
+            summaryPitchRange: document.getElementById('summaryPitchRange'),
+            summaryPitchVariability: document.getElementById('summaryPitchVariability'),
+            summarySpeechRate: document.getElementById('summarySpeechRate'),
+            summaryPauses: document.getElementById('summaryPauses'),
+            summaryPauseDistribution: document.getElementById('summaryPauseDistribution'),
+            summaryChart: document.getElementById('summaryChart'),
+            summaryTimeline: document.getElementById('summaryTimeline'),
+            summaryPhases: document.getElementById('summaryPhases'),
+            summaryExercise: document.getElementById('summaryExercise'),
+            summaryPhaseRows: document.getElementById('summaryPhaseRows'),
+            summaryGoals: document.getElementById('summaryGoals'),
+            summaryGoalList: document.getElementById('summaryGoalList'),
+
+            // Calibración
+            calibrationModal: document.getElementById('calibrationModal'),
+            closeCalibration: document.getElementById('closeCalibration'),
+
+            // Análisis de grabaciones
+            fileAnalysisModal: document.getElementById('fileAnalysisModal'),
+            closeFileAnalysis: document.getElementById('closeFileAnalysis'),
+            audioFileInput: document.getElementById('audioFileInput'),
+            fileAnalysisStatus: document.getElementById('fileAnalysisStatus'),
+            fileAnalysisProgressFill: document.getElementById('fileAnalysisProgressFill'),
+            fileAnalysisResult: document.getElementById('fileAnalysisResult'),
+            fileAnalysisTimeline: document.getElementById('fileAnalysisTimeline'),
+            fileAnalysisError: document.getElementById('fileAnalysisError'),
+            fileAnalysisCancelBtn: document.getElementById('fileAnalysisCancelBtn'),
+            fileAnalysisStartBtn: document.getElementById('fileAnalysisStartBtn'),
+            fileAnalysisSummaryBtn: document.getElementById('fileAnalysisSummaryBtn'),
+            calibrationStepTitle: document.getElementById('calibrationStepTitle'),
+            calibrationInstruction: document.getElementById('calibrationInstruction'),
+            calibrationStatus: document.getElementById('calibrationStatus'),
+            calibrationProgressFill: document.getElementById('calibrationProgressFill'),
+            calibrationLevelFill: document.getElementById('calibrationLevelFill'),
+            calibrationResult: document.getElementById('calibrationResult'),
+            calResultSensitivity: document.getElementById('calResultSensitivity'),
+            calResultNoiseGate: document.getElementById('calResultNoiseGate'),
+            calResultLower: document.getElementById('calResultLower'),
+            calResultUpper: document.getElementById('calResultUpper'),
+            calibrationError: document.getElementById('calibrationError'),
+            calibrationCancelBtn: document.getElementById('calibrationCancelBtn'),
+            calibrationStartBtn: document.getElementById('calibrationStartBtn'),
+            calibrationApplyBtn: document.getElementById('calibrationApplyBtn'),
+
+            // Historial
+            historyModal: document.getElementById('historyModal'),
+            closeHistory: document.getElementById('closeHistory'),
+            aggTotalSessions: document.getElementById('aggTotalSessions'),
+            aggAverageSuccess: document.getElementById('aggAverageSuccess'),
+            aggTotalGreenTime: document.getElementById('aggTotalGreenTime'),
+            aggBestSession: document.getElementById('aggBestSession'),
+            historySort: document.getElementById('historySort'),
+            historyStudent: document.getElementById('historyStudent'),
+            historyPeriod: document.getElementById('historyPeriod'),
+            historyMinSuccess: document.getElementById('historyMinSuccess'),
+            historyList: document.getElementById('historyList'),
+            historyEmpty: document.getElementById('historyEmpty'),
+            historySelectionInfo: document.getElementById('historySelectionInfo'),
+            historyExportMenu: document.getElementById('historyExportMenu'),
+            openProgressBtn: document.getElementById('openProgressBtn'),
+            summaryExportMenu: document.getElementById('summaryExportMenu'),
+
+            // Progreso
+            progressModal: document.getElementById('progressModal'),
+            closeProgress: document.getElementById('closeProgress'),
+            progressBackBtn: document.getElementById('progressBackBtn'),
+            progressStudent: document.getElementById('progressStudent'),
+            progressMetric: document.getElementById('progressMetric'),
+            progressPeriod: document.getElementById('progressPeriod'),
+            progressSessionCount: document.getElementById('progressSessionCount'),
+            progressLatestAverage: document.getElementById('progressLatestAverage'),
+            progressTrendChange: document.getElementById('progressTrendChange'),
+            progressChart: document.getElementById('progressChart'),
+            progressEmpty: document.getElementById('progressEmpty'),
+            progressAverageInfo: document.getElementById('progressAverageInfo'),
+            progressChanges: document.getElementById('progressChanges'),
+            progressChangesEmpty: document.getElementById('progressChangesEmpty'),
+            progressComparison: document.getElementById('progressComparison'),
+
+            // Informe imprimible
+            printReport: document.getElementById('printReport')
         };
     }
 
+    /**
+     * Crea los componentes de UI y conecta sus callbacks
+     * @private
+     */
+    setupComponents() {
+        this.noticeBanner = new NoticeBanner(this.elements);
+
+        this.deviceSelector = new DeviceSelector(this.elements.inputDeviceSelect, {
+            onSelectDevice: (deviceId) => this.selectInputDevice(deviceId)
+        });
+
+        this.summaryModal = new SessionSummaryModal(this.elements, {
+            onNewSession: () => this.startNewSession(),
+            onViewHistory: () => this.openHistory(),
+            onBackToHistory: () => this.openHistory(),
+            onExport: ({ format, sessions }) => this.exportSessions(format, sessions)
+        });
+
+        this.historyView = new HistoryView(this.elements, {
+            onQueryChange: () => this.refreshHistory(),
+            onSelectSession: (sessionId) => this.openHistorySession(sessionId),
+            onDeleteSession: (sessionId) => this.deleteHistorySession(sessionId),
+            onExport: ({ format, sessions }) => this.exportSessions(format, sessions),
+            onViewProgress: () => this.openProgress()
+        });
+
+        this.progressDashboard = new ProgressDashboard(this.elements, {
+            onQueryChange: () => this.refreshProgress(),
+            onBackToHistory: () => this.backToHistoryFromProgress()
+        });
+
+        this.sessionReport = new SessionReport(this.elements.printReport);
+
+        this.goalPanel = new GoalPanel(this.elements);
+
+        this.noiseMeter = new NoiseMeter(this.elements);
+
+        this.pitchTrace = new PitchTrace(this.elements);
+
+        this.rhythmPanel = new RhythmPanel(this.elements);
+
+        this.goalEditor = new GoalEditor(this.elements, {
+            onChange: (goals) => this.saveGoals(goals)
+        });
+
+        // Idioma y mensajes: vista previa en vivo, se guardan con "Guardar Configuración"
+        this.messageEditor = new MessageEditor(this.elements, {
+            onPreview: (feedback) => this.applyFeedback(feedback)
+        });
+
+        this.exerciseBanner = new ExerciseBanner(this.elements);
+
+        this.exercisePicker = new ExercisePicker(this.elements, {
+            onStart: (exercise) => this.startExercise(exercise)
+        });
+
+        this.studentSwitcher = new StudentSwitcher(this.elements.studentSwitcher, {
+            onSelectStudent: (studentId) => this.switchStudent(studentId),
+            onAddStudent: (name) => this.addStudent(name)
+        });
+
+        this.calibrationWizard = new CalibrationWizard(this.elements, CalibrationSteps, {
+            onMeasure: (step, onProgress) => this.calibrationService.measure(step, onProgress),
+            onComplete: (measurements) => CalibrationService.computeProposal(measurements, {
+                sensitivity: this.stateManager.getConfiguration().sensitivity,
+                levelPerSensitivityPoint: this.audioAnalyzer.getLevelChangePerSensitivityPoint()
+            }),
+            onApply: (proposal) => this.applyCalibration(proposal),
+            onClose: () => this.finishCalibration(),
+            formatThreshold: (level, proposal) => new LevelScale({
+                ...this.getLevelScaleOptions(),
+                sensitivity: proposal.sensitivity
+            }).format(level)
+        });
+
+        this.fileAnalysisView = new FileAnalysisView(this.elements, {
+            onAnalyze: (file, onProgress) => this.analyzeRecording(file, onProgress),
+            onCancel: () => this.offlineAnalyzer.cancel(),
+            onOpenSummary: (summary) => this.openRecordingSummary(summary)
+        });
+    }
+
     /**
      * Configura todos los event listeners
      * @private
@@ -142,6 +554,54 @@ class EcoLogroApp {
         // Sliders de configuración
         this.elements.sensitivitySlider.addEventListener('input', (e) => {
             this.elements.sensitivityValue.textContent = `${e.target.value}%`;
+
+            // Vista previa en vivo: el termómetro refleja la nueva ganancia al instante
+            this.audioAnalyzer.setSensitivity(parseInt(e.target.value));
+
+            // La misma zona corresponde ahora a otros dB de entrada
+            this.refreshLevelScale();
+        });
+
+        this.elements.aWeightingToggle.addEventListener('change', (e) => {
+            this.audioAnalyzer.setAWeighting(e.target.checked);
+            this.refreshLevelScale();
+        });
+
+        this.elements.voiceDetectionToggle.addEventListener('change', (e) => {
+            this.audioAnalyzer.setVoiceDetection(e.target.checked);
+        });
+
+        // Entonación: vista previa en vivo, se guarda con "Guardar Configuración"
+        this.elements.pitchTrackingToggle.addEventListener('change', (e) => {
+            this.setPitchTracking(e.target.checked);
+        });
+
+        [this.elements.pitchLowerSlider, this.elements.pitchUpperSlider].forEach(slider => {
+            slider.addEventListener('input', () => this.applyPitchThresholds());
+        });
+
+        // Ritmo del habla: igual que la entonación
+        this.elements.rhythmFeedbackToggle.addEventListener('change', (e) => {
+            this.setRhythmFeedback(e.target.checked);
+        });
+
+        [this.elements.rateLowerSlider, this.elements.rateUpperSlider].forEach(slider => {
+            slider.addEventListener('input', () => this.applyRateThresholds());
+        });
+
+        // Modo aula: se aplica al momento, como el cambio de alumno
+        this.elements.classroomModeToggle.addEventListener('change', (e) => {
+            this.setClassroomMode(e.target.checked);
+        });
+
+        [this.elements.classroomName, this.elements.classroomPeriod].forEach(input => {
+            input.addEventListener('change', () => this.saveClassroomLabel());
+        });
+
+        this.elements.calibrationOffsetInput.addEventListener('change', (e) => {
+            const offset = e.target.value === '' ? null : parseFloat(e.target.value);
+            this.storageManager.saveCalibrationOffset(this.getCalibrationDeviceId(), offset);
+            this.refreshLevelScale();
         });
 
         this.elements.dampeningSlider.addEventListener('input', (e) => {
@@ -149,13 +609,11 @@ class EcoLogroApp {
         });
 
         this.elements.upperThreshold.addEventListener('input', (e) => {
-            this.elements.upperThresholdValue.textContent = e.target.value;
-            this.updateThresholdPreview();
+            this.setThresholdFromSlider('upper', e.target, this.elements.upperThresholdValue);
         });
 
         this.elements.lowerThreshold.addEventListener('input', (e) => {
-            this.elements.lowerThresholdValue.textContent = e.target.value;
-            this.updateThresholdPreview();
+            this.setThresholdFromSlider('lower', e.target, this.elements.lowerThresholdValue);
         });
 
         this.elements.persistenceSlider.addEventListener('input', (e) => {
@@ -163,22 +621,52 @@ class EcoLogroApp {
             this.elements.persistenceValue.textContent = (val / 1000).toFixed(1) + 's';
         });
 
+        this.elements.hysteresisSlider.addEventListener('input', (e) => {
+            this.elements.hysteresisValue.textContent = e.target.value;
+        });
+
+        this.elements.minDwellSlider.addEventListener('input', (e) => {
+            const val = parseInt(e.target.value);
+            this.elements.minDwellValue.textContent = (val / 1000).toFixed(1) + 's';
+        });
+
+        this.elements.noiseGateSlider.addEventListener('input', (e) => {
+            this.elements.noiseGateValue.textContent = e.target.value;
+        });
+
+        this.elements.warningBandSlider.addEventListener('input', (e) => {
+            this.renderWarningBandValue(parseInt(e.target.value));
+            this.updateThresholdPreview();
+        });
+
+        // Calibración guiada
+        this.elements.calibrateBtn.addEventListener('click', () => this.openCalibration());
+
+        // Análisis de grabaciones
+        this.elements.analyzeFileBtn.addEventListener('click', () => this.openFileAnalysis());
+
+        // Copia de seguridad
+        this.elements.exportBackupBtn.addEventListener('click', () => this.exportBackup());
+        this.elements.importBackupBtn.addEventListener('click', () => this.elements.backupFileInput.click());
+        this.elements.backupFileInput.addEventListener('change', (e) => {
+            const [file] = e.target.files;
+            e.target.value = '';
+            if (file) this.importBackup(file);
+        });
+
+        // Conservación del historial
+        this.elements.historyRetentionSelect.addEventListener('change', (e) => {
+            this.changeHistoryRetention(e.target.value);
+        });
+
         // Guardar configuración
         this.elements.saveSettings.addEventListener('click', () => this.saveConfiguration());
 
+        // Eliminar alumno activo
+        this.elements.deleteStudentBtn.addEventListener('click', () => this.deleteActiveStudent());
+
         // Botón "More" - finalizar sesión
         this.elements.moreBtn.addEventListener('click', () => this.showSessionSummary());
-
-        // Modal
-        this.elements.closeModal.addEventListener('click', () => this.closeModal());
-        this.elements.newSessionBtn.addEventListener('click', () => this.startNewSession());
-
-        // Cerrar modal al hacer click fuera
-        this.elements.sessionModal.addEventListener('click', (e) => {
-            if (e.target === this.elements.sessionModal) {
-                this.closeModal();
-            }
-        });
     }
 
     /**
@@ -188,20 +676,165 @@ class EcoLogroApp {
     setupServiceCallbacks() {
         this.audioAnalyzer.setVolumeUpdateCallback(this.handleVolumeUpdate);
         this.audioAnalyzer.setErrorCallback(this.handleError);
+        this.audioAnalyzer.setInputChangeCallback(this.handleInputChange);
+        this.audioAnalyzer.setDevicesChangeCallback((devices) => {
+            this.deviceSelector.render(devices, this.storageManager.getInputDeviceId());
+        });
         this.stateManager.addStateChangeListener(this.handleStateChange);
         this.sessionTracker.setStatsUpdateCallback(this.handleStatsUpdate);
+        this.sessionTracker.setSessionEndCallback(this.handleSessionEnd);
+        this.sessionTracker.setPlanCompleteCallback((summary) => {
+            // El ejercicio ya ha cerrado (y guardado) la sesión: solo queda el resumen
+            this.stop();
+            this.summaryModal.show(summary, SummaryModes.LIVE);
+        });
+        this.storageManager.setSessionStoreBlockedCallback(() => {
+            this.noticeBanner.show(getUiTexts(this.locale).closeOtherTabs, { type: NoticeTypes.WARNING });
+        });
     }
 
     /**
-     * Carga la configuración guardada
+     * Carga la configuración guardada (del alumno activo o del dispositivo)
      * @private
      */
     loadSavedConfiguration() {
-        const config = this.storageManager.loadConfig() || this.storageManager.getDefaultConfig();
+        // En modo aula las sesiones son de la clase: el alumno activo se recupera al salir
+        this.classroom = this.storageManager.getClassroomSettings();
+        this.activeStudent = this.isClassroomMode() ? null : this.storageManager.getActiveStudent();
+        this.sessionTracker.setStudent(this.activeStudent);
+        this.sessionTracker.setClassroom(this.isClassroomMode() ? this.classroom : null);
+
+        this.applyConfiguration(this.getEffectiveConfig(this.activeStudent));
+        this.renderStudentControls();
+        this.renderMode();
+        this.loadGoals();
+    }
+
+    /**
+     * Indica si el equipo está en modo aula
+     * @returns {boolean}
+     */
+    isClassroomMode() {
+        return Boolean(this.classroom && this.classroom.enabled);
+    }
+
+    /**
+     * Pasa a SessionTracker los objetivos del perfil activo con su historial
+     * (los objetivos de varias sesiones seguidas necesitan las anteriores)
+     * Si mientras se lee el historial cambia el perfil o sus objetivos, gana la
+     * carga más reciente. No rechaza nunca: sin historial, los objetivos se
+     * siguen solo con la sesión actual.
+     * @private
+     */
+    async loadGoals() {
+        const request = ++this.goalsRequest;
+        const { goals } = this;
+        let previousSessions = [];
+
+        try {
+            previousSessions = goals.length > 0 ? await this.getProfileSessions() : [];
+        } catch (error) {
+            console.error('Error leyendo el historial de los objetivos:', error);
+            if (request === this.goalsRequest) {
+                this.showError(getUiTexts(this.locale).goalsHistoryError);
+            }
+        }
+
+        if (request !== this.goalsRequest) return;
+        this.sessionTracker.setGoals(goals, previousSessions);
+    }
+
+    /**
+     * Sesiones del perfil activo: las de la clase en modo aula o las del alumno
+     * @private
+     */
+    async getProfileSessions() {
+        if (this.isClassroomMode()) {
+            const sessions = await this.storageManager.getSessions();
+            return sessions.filter(session => session.mode === SessionModes.CLASSROOM
+                && session.className === this.classroom.className);
+        }
+
+        const studentId = this.activeStudent ? this.activeStudent.id : null;
+        const sessions = await this.storageManager.getSessionsByStudent(studentId);
+        return sessions.filter(session => session.mode !== SessionModes.CLASSROOM);
+    }
+
+    /**
+     * Guarda parte de la configuración en el perfil activo (aula, alumno o dispositivo)
+     * sin tocar el resto ni los ajustes del panel sin guardar
+     * @param {Object} changes - Claves de configuración a cambiar
+     * @private
+     */
+    saveProfileConfig(changes) {
+        if (this.isClassroomMode()) {
+            this.storageManager.saveClassroomSettings({ config: { ...this.classroom.config, ...changes } });
+            this.classroom = this.storageManager.getClassroomSettings();
+        } else if (this.activeStudent) {
+            this.activeStudent = this.storageManager.updateStudent(this.activeStudent.id, {
+                config: changes
+            }) || this.activeStudent;
+        } else {
+            const config = this.storageManager.loadConfig() || this.storageManager.getDefaultConfig();
+            this.storageManager.saveConfig({ ...config, ...changes });
+        }
+    }
+
+    /**
+     * Guarda los objetivos en el perfil del alumno activo (o en el dispositivo)
+     * Se guardan al momento, sin esperar a "Guardar Configuración".
+     * @private
+     */
+    saveGoals(goals) {
+        this.saveProfileConfig({ goals });
+
+        this.goals = goals;
+        this.goalEditor.render(goals);
+        this.loadGoals();
+    }
+
+    /**
+     * Obtiene la configuración que corresponde al alumno indicado
+     * Sin alumno se usa la configuración general del dispositivo y, en modo
+     * aula, la del aula (sus ajustes sobre CLASSROOM_CONFIG).
+     * @private
+     */
+    getEffectiveConfig(student) {
+        const defaults = this.storageManager.getDefaultConfig();
+
+        if (this.isClassroomMode()) {
+            return { ...defaults, ...CLASSROOM_CONFIG, ...this.classroom.config, studentName: '' };
+        }
+
+        if (!student) {
+            const deviceConfig = this.storageManager.loadConfig() || defaults;
+            return { ...defaults, ...deviceConfig, studentName: '' };
+        }
+
+        return { ...defaults, ...student.config, studentName: student.name };
+    }
+
+    /**
+     * Aplica una configuración a los servicios y a los controles del panel
+     * @private
+     */
+    applyConfiguration(config) {
+        // Aplicar amortiguación y ganancia de entrada al analizador de audio
+        this.audioAnalyzer.setSmoothingTimeConstant(AudioAnalyzer.dampeningToSmoothing(config.dampening));
+        this.audioAnalyzer.setSensitivity(config.sensitivity);
+        this.audioAnalyzer.setNoiseGate(config.noiseGate);
+        this.audioAnalyzer.setAWeighting(config.aWeighting);
+        this.audioAnalyzer.setVoiceDetection(config.voiceDetection);
+        this.levelAverager.setWindow(config.averagingWindow);
 
         // Aplicar al StateManager
         this.stateManager.updateConfiguration(config);
         this.stateManager.setStudentName(config.studentName || '');
+        this.sessionTracker.setThresholds(this.stateManager.getConfiguration());
+
+        const feedback = { locale: config.locale, customMessages: config.feedbackMessages };
+        this.messageEditor.render(feedback);
+        this.applyFeedback(this.messageEditor.getValue());
 
         // Actualizar UI de sliders
         this.elements.sensitivitySlider.value = config.sensitivity;
@@ -210,35 +843,377 @@ class EcoLogroApp {
         this.elements.dampeningSlider.value = config.dampening;
         this.elements.dampeningValue.textContent = `${config.dampening}%`;
 
-        this.elements.upperThreshold.value = config.upperThreshold;
-        this.elements.upperThresholdValue.textContent = config.upperThreshold;
+        this.elements.aWeightingToggle.checked = Boolean(config.aWeighting);
+        this.elements.voiceDetectionToggle.checked = Boolean(config.voiceDetection);
+
+        this.elements.pitchLowerSlider.value = config.pitchLowerVariation;
+        this.elements.pitchUpperSlider.value = config.pitchUpperVariation;
+        this.applyPitchThresholds();
+        this.setPitchTracking(Boolean(config.pitchTracking));
 
-        this.elements.lowerThreshold.value = config.lowerThreshold;
-        this.elements.lowerThresholdValue.textContent = config.lowerThreshold;
+        this.elements.rateLowerSlider.value = config.rateLower;
+        this.elements.rateUpperSlider.value = config.rateUpper;
+        this.applyRateThresholds();
+        this.setRhythmFeedback(Boolean(config.rhythmFeedback));
+
+        // Umbrales en dB según la sensibilidad, la ponderación y la corrección del micrófono
+        const { lowerThreshold, upperThreshold } = this.stateManager.getConfiguration();
+        this.refreshLevelScale({ lower: lowerThreshold, upper: upperThreshold });
 
         this.elements.studentName.value = config.studentName || '';
 
+        this.elements.noiseGateSlider.value = config.noiseGate;
+        this.elements.noiseGateValue.textContent = config.noiseGate;
+
+        // Banda de aviso y estabilidad ya vienen limitadas por StateManager
+        const { warningBandWidth, hysteresisMargin, minDwellTime } = this.stateManager.getConfiguration();
+        this.elements.warningBandSlider.value = warningBandWidth;
+        this.renderWarningBandValue(warningBandWidth);
+
+        this.elements.hysteresisSlider.value = hysteresisMargin;
+        this.elements.hysteresisValue.textContent = hysteresisMargin;
+
+        this.elements.minDwellSlider.value = minDwellTime;
+        this.elements.minDwellValue.textContent = (minDwellTime / 1000).toFixed(1) + 's';
+
         // Actualizar persistencia
         const persistence = config.persistenceDuration || 2000;
         this.elements.persistenceSlider.value = persistence;
         this.elements.persistenceValue.textContent = (persistence / 1000).toFixed(1) + 's';
-        this.volumeHoldDuration = persistence;
+        this.volumeHold.setHoldDuration(persistence);
+
+        // Objetivos del perfil (los evalúa SessionTracker, ver loadGoals)
+        this.goals = normalizeGoals(config.goals);
+        this.goalEditor.render(this.goals);
+
+        // Último plan personalizado del perfil
+        this.customExercise = config.customExercise || {};
+        this.exercisePicker.render(this.customExercise);
 
         // Actualizar vista previa inicial
         this.updateThresholdPreview();
     }
 
+    /**
+     * Actualiza el selector de alumno, los filtros del historial y del progreso y el botón de eliminar
+     * @private
+     */
+    renderStudentControls() {
+        const students = this.storageManager.getStudents();
+        const activeStudentId = this.activeStudent ? this.activeStudent.id : null;
+
+        this.studentSwitcher.render(students, activeStudentId);
+        this.historyView.renderStudentOptions(students);
+        this.progressDashboard.renderStudentOptions(students);
+        this.elements.deleteStudentBtn.hidden = !this.activeStudent;
+    }
+
+    /**
+     * Cambia el alumno activo y carga su perfil
+     * La sesión en curso se cierra y se abre una nueva etiquetada con el nuevo alumno.
+     * @param {string|null} studentId - ID del alumno o null para ninguno
+     */
+    switchStudent(studentId) {
+        this.restartSession(() => {
+            this.storageManager.setActiveStudent(studentId);
+            this.loadSavedConfiguration();
+        });
+
+        console.log('👤 Alumno activo:', this.activeStudent ? this.activeStudent.name : 'ninguno');
+    }
+
+    /**
+     * Cierra la sesión en curso y abre otra con la etiqueta actual (alumno o clase)
+     * La sesión se cierra antes de aplicar el cambio, para que se guarde con los
+     * umbrales y la escala en dB con los que se hizo.
+     * @param {Function} applyChange - Cambio de perfil entre el cierre y la sesión nueva
+     * @private
+     */
+    restartSession(applyChange = () => {}) {
+        const wasActive = this.sessionTracker.isSessionActive();
+        if (wasActive) {
+            this.sessionTracker.endSession();
+        }
+
+        applyChange();
+        if (!wasActive) return;
+
+        this.stateManager.reset();
+        this.levelAverager.reset();
+        this.sessionTracker.startSession();
+
+        // La sesión nueva empieza en pausa si la aplicación lo está
+        if (this.isPaused) {
+            this.sessionTracker.pauseSession();
+        }
+    }
+
+    /**
+     * Activa o desactiva el modo aula y carga su configuración (o la del alumno)
+     * @param {boolean} enabled
+     */
+    setClassroomMode(enabled) {
+        this.restartSession(() => {
+            this.storageManager.saveClassroomSettings({ enabled });
+            this.loadSavedConfiguration();
+        });
+
+        console.log('🏫 Modo aula:', enabled ? getClassroomLabel(this.classroom) || 'sí' : 'no');
+    }
+
+    /**
+     * Guarda la clase y el periodo y empieza una sesión nueva con ellos
+     * Los ajustes del panel sin guardar se conservan.
+     * @private
+     */
+    saveClassroomLabel() {
+        this.storageManager.saveClassroomSettings({
+            className: this.elements.classroomName.value.trim(),
+            period: this.elements.classroomPeriod.value.trim()
+        });
+
+        this.classroom = this.storageManager.getClassroomSettings();
+        this.sessionTracker.setClassroom(this.classroom);
+        this.noiseMeter.setClassLabel(getClassroomLabel(this.classroom));
+        this.restartSession();
+        this.loadGoals();
+    }
+
+    /**
+     * Muestra el termómetro del alumno o el medidor de ruido del aula
+     * @private
+     */
+    renderMode() {
+        const { elements } = this;
+        const classroomMode = this.isClassroomMode();
+
+        this.applyLocaleTexts();
+        elements.thermometer.hidden = classroomMode;
+        elements.studentSwitcher.hidden = classroomMode;
+        elements.studentNameGroup.hidden = classroomMode;
+
+        elements.classroomModeToggle.checked = classroomMode;
+        elements.classroomFields.hidden = !classroomMode;
+        elements.classroomName.value = this.classroom.className;
+        elements.classroomPeriod.value = this.classroom.period;
+
+        this.noiseMeter.setVisible(classroomMode);
+        this.noiseMeter.setClassLabel(getClassroomLabel(this.classroom));
+        this.pitchTrace.setVisible(this.isPitchTraceVisible());
+        this.rhythmPanel.setVisible(this.isRhythmPanelVisible());
+
+        // Mensaje, emoji y colores del estado actual en el modo nuevo
+        this.handleStateChange(this.stateManager.getCurrentStateInfo());
+    }
+
+    /**
+     * Aplica el idioma y los mensajes propios y vuelve a pintar el mensaje del estado
+     * @param {Object} feedback - { locale, customMessages } normalizados (ver MessageEditor.getValue)
+     * @private
+     */
+    applyFeedback({ locale, customMessages }) {
+        this.locale = locale;
+        this.stateManager.setFeedback({ locale, customMessages });
+        this.applyLocaleTexts();
+        this.handleStateChange(this.stateManager.getCurrentStateInfo());
+    }
+
+    /**
+     * Textos de la pantalla principal y del panel en el idioma actual
+     * data-i18n cambia el texto del elemento; data-i18n-label, data-i18n-title y
+     * data-i18n-placeholder, su aria-label, title y placeholder.
+     * @private
+     */
+    applyLocaleTexts() {
+        const texts = getUiTexts(this.locale);
+
+        document.documentElement.lang = this.locale;
+        this.elements.localizedElements.forEach(element => {
+            const { i18n, i18nLabel, i18nTitle, i18nPlaceholder } = element.dataset;
+
+            if (i18n) element.textContent = texts[i18n];
+            if (i18nLabel) element.setAttribute('aria-label', texts[i18nLabel]);
+            if (i18nTitle) element.title = texts[i18nTitle];
+            if (i18nPlaceholder) element.placeholder = texts[i18nPlaceholder];
+        });
+        this.elements.appTitle.textContent = this.isClassroomMode() ? texts.classroomTitle : texts.appTitle;
+
+        this.renderPauseButtonLabel();
+        this.renderRateValues();
+        this.renderWarningBandValue(parseInt(this.elements.warningBandSlider.value));
+        this.noiseMeter.setTexts(texts);
+        this.pitchTrace.setTexts(texts);
+        this.rhythmPanel.setTexts(texts);
+        this.summaryModal.setTexts(texts);
+        this.deviceSelector.setTexts(texts);
+        this.exerciseBanner.setTexts(texts);
+        this.exercisePicker.setLocale(this.locale);
+        this.renderRhythm(this.sessionTracker.getRhythmProgress());
+    }
+
+    /**
+     * Activa o desactiva la traza del tono y las zonas de entonación
+     * @param {boolean} enabled
+     * @private
+     */
+    setPitchTracking(enabled) {
+        this.pitchTracking = enabled;
+        this.pitchTracker.reset();
+        this.pitchReading = { pitch: 0, variation: null, zone: PitchZones.NONE };
+
+        this.elements.pitchTrackingToggle.checked = enabled;
+        this.elements.pitchFields.hidden = !enabled;
+        this.pitchTrace.setVisible(this.isPitchTraceVisible());
+    }
+
+    /**
+     * Aplica los umbrales de variación del tono del panel y muestra su valor
+     * @private
+     */
+    applyPitchThresholds() {
+        const lowerVariation = parseFloat(this.elements.pitchLowerSlider.value);
+        const upperVariation = parseFloat(this.elements.pitchUpperSlider.value);
+
+        this.pitchTracker.setThresholds({ lowerVariation, upperVariation });
+        this.elements.pitchLowerValue.textContent = `${lowerVariation} st`;
+        this.elements.pitchUpperValue.textContent = `${upperVariation} st`;
+    }
+
+    /**
+     * La traza del tono es del alumno: en modo aula no se muestra
+     * @private
+     */
+    isPitchTraceVisible() {
+        return this.pitchTracking && !this.isClassroomMode();
+    }
+
+    /**
+     * Activa o desactiva el panel de velocidad y pausas
+     * @param {boolean} enabled
+     * @private
+     */
+    setRhythmFeedback(enabled) {
+        this.rhythmFeedback = enabled;
+
+        this.elements.rhythmFeedbackToggle.checked = enabled;
+        this.elements.rhythmFields.hidden = !enabled;
+        this.rhythmPanel.setVisible(this.isRhythmPanelVisible());
+        this.renderRhythm(this.sessionTracker.getRhythmProgress());
+    }
+
+    /**
+     * Aplica las velocidades de las zonas del panel y muestra su valor
+     * @private
+     */
+    applyRateThresholds() {
+        const lowerRate = parseFloat(this.elements.rateLowerSlider.value);
+        const upperRate = parseFloat(this.elements.rateUpperSlider.value);
+
+        this.rateThresholds = normalizeRateThresholds({ lowerRate, upperRate });
+        this.renderRateValues();
+    }
+
+    /**
+     * Muestra las velocidades de las zonas junto a sus sliders
+     * @private
+     */
+    renderRateValues() {
+        const unit = getUiTexts(this.locale).syllablesPerSecond;
+
+        this.elements.rateLowerValue.textContent = `${this.elements.rateLowerSlider.value} ${unit}`;
+        this.elements.rateUpperValue.textContent = `${this.elements.rateUpperSlider.value} ${unit}`;
+    }
+
+    /**
+     * El ritmo del habla es del alumno: en modo aula no se muestra
+     * @private
+     */
+    isRhythmPanelVisible() {
+        return this.rhythmFeedback && !this.isClassroomMode();
+    }
+
+    /**
+     * Pinta la velocidad y las pausas con la zona según los umbrales
+     * @param {Object|null} progress - Resultado de SessionTracker.getRhythmProgress
+     * @private
+     */
+    renderRhythm(progress) {
+        if (!this.isRhythmPanelVisible()) return;
+
+        this.rhythmPanel.render(progress, getRhythmZone(progress ? progress.rate : null, this.rateThresholds));
+    }
+
+    /**
+     * Añade un alumno con la configuración por defecto y lo activa
+     * @param {string} name - Nombre del alumno
+     */
+    addStudent(name) {
+        const student = this.storageManager.addStudent(name, this.storageManager.getDefaultConfig());
+
+        if (!student) {
+            this.showError(getUiTexts(this.locale).studentSaveError);
+            return;
+        }
+
+        this.switchStudent(student.id);
+    }
+
+    /**
+     * Elimina el alumno activo tras confirmación (su historial se conserva)
+     */
+    deleteActiveStudent() {
+        if (!this.activeStudent) return;
+        if (!confirm(formatText(getUiTexts(this.locale).deleteStudentConfirm, { name: this.activeStudent.name }))) return;
+
+        this.storageManager.deleteStudent(this.activeStudent.id);
+        this.switchStudent(null);
+        this.closeSettings();
+    }
+
     /**
      * Inicia el análisis de audio y tracking de sesión
+     * @param {Object} options - { plan } ejercicio guiado de la sesión (opcional)
      */
-    start() {
+    start({ plan = null } = {}) {
         if (this.isRunning) return;
 
-        this.isRunning = true;
-        this.audioAnalyzer.startAnalysis();
-        this.sessionTracker.startSession();
+        this.isRunning = true;
+        this.audioAnalyzer.startAnalysis();
+        this.startRendering();
+        this.sessionTracker.startSession({ plan });
+
+        console.log('▶️ Sesión iniciada');
+    }
+
+    /**
+     * Empieza un ejercicio guiado en una sesión nueva
+     * La sesión en curso se cierra y se guarda; el plan personalizado se
+     * recuerda en el perfil para la próxima vez.
+     * @param {Object} exercise - { plan, customFields } del selector de ejercicios
+     */
+    startExercise({ plan, customFields }) {
+        if (customFields) {
+            this.customExercise = customFields;
+            this.saveProfileConfig({ customExercise: customFields });
+        }
+
+        this.closeSettings();
+
+        // El ejercicio siempre empieza escuchando
+        if (this.isPaused) {
+            this.togglePause();
+        }
+
+        this.stateManager.reset();
+        this.levelAverager.reset();
 
-        console.log('▶️ Sesión iniciada');
+        if (this.isRunning) {
+            this.sessionTracker.startSession({ plan });
+        } else {
+            this.start({ plan });
+        }
+
+        console.log('⏱️ Ejercicio:', plan.name);
     }
 
     /**
@@ -249,6 +1224,7 @@ class EcoLogroApp {
 
         this.isRunning = false;
         this.audioAnalyzer.stopAnalysis();
+        this.stopRendering();
 
         console.log('⏸️ Análisis detenido');
     }
@@ -261,43 +1237,70 @@ class EcoLogroApp {
 
         if (this.isPaused) {
             this.audioAnalyzer.stopAnalysis();
+            this.stopRendering();
+            this.sessionTracker.pauseSession();
             this.elements.pauseBtn.innerHTML = `
                 <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                     <polygon points="5 3 19 12 5 21 5 3"></polygon>
                 </svg>
             `;
-            this.elements.pauseBtn.setAttribute('aria-label', 'Reanudar');
         } else {
             this.audioAnalyzer.startAnalysis();
+            this.startRendering();
+            this.sessionTracker.resumeSession();
             this.elements.pauseBtn.innerHTML = `
                 <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                     <rect x="6" y="4" width="4" height="16"></rect>
                     <rect x="14" y="4" width="4" height="16"></rect>
                 </svg>
             `;
-            this.elements.pauseBtn.setAttribute('aria-label', 'Pausar');
         }
+        this.renderPauseButtonLabel();
     }
 
     /**
-     * Callback: Maneja actualizaciones de volumen desde AudioAnalyzer
+     * Nombre del botón de pausa según el estado y el idioma
      * @private
      */
-    handleVolumeUpdate(volume) {
-        if (this.isPaused) return;
+    renderPauseButtonLabel() {
+        const label = getUiTexts(this.locale)[this.isPaused ? 'resume' : 'pause'];
+
+        this.elements.pauseBtn.setAttribute('aria-label', label);
+        this.elements.pauseBtn.title = label;
+    }
 
-        // Usar RMS para mejor precisión
-        const rmsVolume = this.audioAnalyzer.getRMSVolume();
+    /**
+     * Callback: Maneja cada bloque medido por AudioAnalyzer
+     * Llega a ritmo fijo (también con la pestaña en segundo plano); el termómetro
+     * se pinta aparte, en renderThermometer.
+     * @param {number} volume - Nivel 0-100 con puerta de ruido
+     * @param {boolean} speaking - Si el detector de voz oye voz en el bloque
+     * @param {number} pitch - Tono del bloque en Hz (0 = sin voz)
+     * @private
+     */
+    handleVolumeUpdate(volume, speaking, pitch = 0) {
+        if (this.isPaused) return;
 
-        // Actualizar termómetro visual primero (con sistema de persistencia)
-        this.updateThermometer(rmsVolume);
+        // Media de varios segundos (modo aula) y persistencia (Peak Hold)
+        const averagedVolume = this.levelAverager.add(volume, Date.now());
+        this.displayedVolume = this.volumeHold.update(averagedVolume, Date.now());
 
         // Usar el volumen mostrado (con persistencia) para determinar el estado
         // Esto hace que el color del bulbo y los mensajes también se mantengan
-        const stateData = this.stateManager.updateState(this.displayedVolume);
+        // El ruido sin voz mueve la barra pero no el estado
+        const stateData = this.stateManager.updateState(this.displayedVolume, Date.now(), speaking);
 
         // Actualizar tracker
         this.sessionTracker.updateState(stateData);
+
+        // El tono se guarda siempre; la zona de entonación solo si se sigue
+        if (this.pitchTracking) {
+            this.pitchReading = this.pitchTracker.update(pitch, Date.now());
+        }
+        this.sessionTracker.recordPitch(pitch, this.pitchTracking ? this.pitchReading.zone : null);
+
+        // Ritmo del habla: envolvente sin media ni persistencia, que borrarían las pausas
+        this.sessionTracker.recordEnvelope(volume, speaking);
     }
 
     /**
@@ -305,8 +1308,16 @@ class EcoLogroApp {
      * @private
      */
     handleStateChange(stateInfo) {
-        const { state, message, emoji } = stateInfo;
-        const stateClass = state.toLowerCase();
+        const { state } = stateInfo;
+        const classroomMode = this.isClassroomMode();
+
+        // En modo aula los estados se agrupan en las zonas del medidor de ruido
+        const zone = getNoiseZone(state);
+        const { message, emoji } = classroomMode
+            ? { message: getUiTexts(this.locale).noiseZones[zone].message, emoji: ZoneInfo[zone].emoji }
+            : stateInfo;
+        const stateClass = classroomMode ? `classroom-${zone}` : `state-${state.toLowerCase()}`;
+        this.noiseMeter.setZone(state);
 
         // Actualizar mensaje y emoji
         this.elements.statusMessage.textContent = message;
@@ -315,7 +1326,7 @@ class EcoLogroApp {
         // --- SINCRONIZACIÓN CENTRALIZADA ---
         // Actualizamos SOLO el body. El CSS se encarga del resto (fondo, bulbo, barra).
         // Esto previene fallos de sincronización en móviles/iPad.
-        document.body.className = `state-${stateClass}`;
+        document.body.className = stateClass;
     }
 
     /**
@@ -326,54 +1337,81 @@ class EcoLogroApp {
         this.elements.totalTime.textContent = stats.totalTime;
         this.elements.greenTime.textContent = stats.greenTime;
         this.elements.successRate.textContent = stats.successRate;
+        this.goalPanel.render(stats.goals);
+        this.exerciseBanner.render(stats.exercise);
+        this.renderRhythm(stats.rhythm);
     }
 
     /**
-     * Actualiza la visualización del termómetro con sistema de persistencia
-     * La barra se mantiene durante 2 segundos para simular habla natural
+     * Callback: Guarda en el historial la sesión que acaba de terminar
+     * @private
+     */
+    async handleSessionEnd(session) {
+        // La cuenta atrás vuelve con la siguiente sesión si también es un ejercicio
+        this.exerciseBanner.render(null);
+
+        const saved = await this.storageManager.saveSession(session);
+
+        if (!saved) {
+            this.showError(getUiTexts(this.locale).sessionSaveError);
+        }
+    }
+
+    /**
+     * Arranca el pintado del termómetro en cada frame de pantalla
      * @private
      */
-    updateThermometer(volume) {
-        const currentTime = Date.now();
+    startRendering() {
+        if (this.renderFrameId === null) {
+            this.renderFrameId = requestAnimationFrame(this.renderThermometer);
+        }
+    }
 
-        // --- 1. LÓGICA DE PERSISTENCIA (Peak Hold) ---
+    /**
+     * @private
+     */
+    stopRendering() {
+        if (this.renderFrameId !== null) {
+            cancelAnimationFrame(this.renderFrameId);
+            this.renderFrameId = null;
+        }
+    }
 
-        // Umbral mínimo de ruido
-        const noiseFloor = 3;
+    /**
+     * Pinta el termómetro (o el medidor de ruido del modo aula) con el volumen mostrado
+     * La barra se mantiene durante 2 segundos para simular habla natural
+     * @private
+     */
+    renderThermometer() {
+        this.renderFrameId = requestAnimationFrame(this.renderThermometer);
 
-        if (volume > this.lastSignificantVolume) {
-            // Subida: actualización instantánea
-            this.lastSignificantVolume = volume;
-            this.lastVolumeTimestamp = currentTime;
-            this.displayedVolume = volume;
+        if (this.isClassroomMode()) {
+            this.noiseMeter.render(this.displayedVolume, this.levelScale.format(this.displayedVolume));
         } else {
-            // Bajada: aplicar persistencia
-            const timeSinceLastPeak = currentTime - this.lastVolumeTimestamp;
-
-            if (timeSinceLastPeak < this.volumeHoldDuration) {
-                // Hold
-                this.displayedVolume = this.lastSignificantVolume;
-            } else {
-                // Decay
-                const decayDuration = 1000;
-                const timeInDecay = timeSinceLastPeak - this.volumeHoldDuration;
-                const progress = Math.min(1, timeInDecay / decayDuration);
-                this.displayedVolume = this.lastSignificantVolume * (1 - progress) + (volume * progress);
-
-                if (progress >= 1) {
-                    this.lastSignificantVolume = volume;
-                    this.lastVolumeTimestamp = currentTime;
-                }
-            }
+            this.elements.thermometerFill.style.height = `${this.getThermometerHeight()}%`;
+        }
+
+        if (this.isPitchTraceVisible()) {
+            this.pitchTrace.render(this.pitchTracker.getTrace(), this.pitchReading);
         }
 
-        // --- 2. ESCALADO VISUAL INTELIGENTE ---
+        // Lectura instantánea en dB para calibrar con un sonómetro
+        if (this.elements.controlPanel.classList.contains('active')) {
+            this.elements.levelReadout.textContent = this.levelScale.format(this.audioAnalyzer.sampleUngatedLevel());
+        }
+    }
+
+    /**
+     * Altura (%) del termómetro para el volumen mostrado
+     * @private
+     */
+    getThermometerHeight() {
+        // --- ESCALADO VISUAL INTELIGENTE ---
 
         let visualHeight = 0;
 
         // Cargar umbrales actuales del DOM (Fuente de la verdad)
-        const lower = parseInt(this.elements.lowerThreshold.value) || 25;
-        const upper = parseInt(this.elements.upperThreshold.value) || 75;
+        const { lower, upper } = this.getThresholdLevels();
 
         // Mapeo no lineal para diseño de 3 Tercios (Rojo, Verde, Negro)
         if (this.displayedVolume <= lower) {
@@ -398,8 +1436,7 @@ class EcoLogroApp {
         }
 
         // Asegurar límites visuales
-        visualHeight = Math.min(100, Math.max(0, visualHeight));
-        this.elements.thermometerFill.style.height = `${visualHeight}%`;
+        return Math.min(100, Math.max(0, visualHeight));
     }
 
     /**
@@ -414,47 +1451,66 @@ class EcoLogroApp {
      */
     closeSettings() {
         this.elements.controlPanel.classList.remove('active');
+
+        // Descartar la vista previa de sensibilidad si no se guardó
+        this.audioAnalyzer.setSensitivity(this.stateManager.getConfiguration().sensitivity);
     }
 
     /**
      * Guarda la configuración actual
      */
     saveConfiguration() {
+        const thresholds = this.getThresholdLevels();
+        const feedback = this.messageEditor.getValue();
+
         const config = {
             sensitivity: parseInt(this.elements.sensitivitySlider.value),
             dampening: parseInt(this.elements.dampeningSlider.value),
-            upperThreshold: parseInt(this.elements.upperThreshold.value),
-            lowerThreshold: parseInt(this.elements.lowerThreshold.value),
+            upperThreshold: thresholds.upper,
+            lowerThreshold: thresholds.lower,
             persistenceDuration: parseInt(this.elements.persistenceSlider.value),
+            noiseGate: parseInt(this.elements.noiseGateSlider.value),
+            warningBandWidth: parseInt(this.elements.warningBandSlider.value),
+            hysteresisMargin: parseInt(this.elements.hysteresisSlider.value),
+            minDwellTime: parseInt(this.elements.minDwellSlider.value),
+            aWeighting: this.elements.aWeightingToggle.checked,
+            voiceDetection: this.elements.voiceDetectionToggle.checked,
+            pitchTracking: this.elements.pitchTrackingToggle.checked,
+            pitchLowerVariation: parseFloat(this.elements.pitchLowerSlider.value),
+            pitchUpperVariation: parseFloat(this.elements.pitchUpperSlider.value),
+            rhythmFeedback: this.elements.rhythmFeedbackToggle.checked,
+            rateLower: parseFloat(this.elements.rateLowerSlider.value),
+            rateUpper: parseFloat(this.elements.rateUpperSlider.value),
+            locale: feedback.locale,
+            feedbackMessages: feedback.customMessages,
+            goals: this.goals,
+            customExercise: this.customExercise,
             studentName: this.elements.studentName.value.trim()
         };
 
         // Aplicar amortiguación al analizador de audio en tiempo real
-        // Mapeamos 0-100 a 0-0.95 (para evitar el bloqueo total en 1.0)
-        if (this.audioAnalyzer) {
-            this.audioAnalyzer.setSmoothingTimeConstant(config.dampening / 105);
-        }
+        this.audioAnalyzer.setSmoothingTimeConstant(AudioAnalyzer.dampeningToSmoothing(config.dampening));
 
-        // Aplicar amortiguación al analizador de audio en tiempo real
-        // Mapeamos 0-100 a 0-0.95 (para evitar el bloqueo total en 1.0)
-        if (this.audioAnalyzer) {
-            this.audioAnalyzer.setSmoothingTimeConstant(config.dampening / 105);
-        }
+        // Aplicar ganancia de entrada y puerta de ruido
+        this.audioAnalyzer.setSensitivity(config.sensitivity);
+        this.audioAnalyzer.setNoiseGate(config.noiseGate);
 
         // Actualizar StateManager
         this.stateManager.updateConfiguration(config);
         this.stateManager.setStudentName(config.studentName);
+        this.sessionTracker.setThresholds(this.stateManager.getConfiguration());
+        this.applyFeedback(feedback);
 
-        // Guardar en localStorage
-        this.storageManager.saveConfig(config);
+        // Guardar en el perfil del alumno (o en la configuración del dispositivo)
+        this.persistConfiguration(config);
 
         // Aplicar configuración de persistencia inmediatamente
-        this.volumeHoldDuration = config.persistenceDuration;
+        this.volumeHold.setHoldDuration(config.persistenceDuration);
 
         // Feedback visual
-        this.elements.saveSettings.textContent = '✓ Guardado';
+        this.elements.saveSettings.textContent = getUiTexts(this.locale).settingsSaved;
         setTimeout(() => {
-            this.elements.saveSettings.textContent = 'Guardar Configuración';
+            this.elements.saveSettings.textContent = getUiTexts(this.locale).saveSettings;
         }, 2000);
 
         // Cerrar panel
@@ -465,22 +1521,325 @@ class EcoLogroApp {
         console.log('💾 Configuración guardada:', config);
     }
 
+    /**
+     * Abre el asistente de calibración pausando la sesión en curso
+     * Así las muestras de voz "demasiado alta" no cuentan en las estadísticas.
+     */
+    openCalibration() {
+        this.pausedForCalibration = this.isRunning && !this.isPaused;
+        if (this.pausedForCalibration) {
+            this.togglePause();
+        }
+
+        this.closeSettings();
+        this.calibrationWizard.open();
+    }
+
+    /**
+     * Cancela la medición en curso y reanuda la sesión si se pausó para calibrar
+     * @private
+     */
+    finishCalibration() {
+        this.calibrationService.cancel();
+
+        if (this.pausedForCalibration && this.isPaused) {
+            this.togglePause();
+        }
+        this.pausedForCalibration = false;
+    }
+
+    /**
+     * Vuelca la propuesta de calibración en el panel y la guarda
+     * @private
+     */
+    applyCalibration(proposal) {
+        const { elements } = this;
+
+        elements.sensitivitySlider.value = proposal.sensitivity;
+        elements.sensitivityValue.textContent = `${proposal.sensitivity}%`;
+        elements.noiseGateSlider.value = proposal.noiseGate;
+        elements.noiseGateValue.textContent = proposal.noiseGate;
+        this.refreshLevelScale({ lower: proposal.lowerThreshold, upper: proposal.upperThreshold });
+
+        this.saveConfiguration();
+    }
+
+    /**
+     * Descarga la copia de seguridad (configuración, alumnos y sesiones)
+     * @private
+     */
+    async exportBackup() {
+        try {
+            downloadFile(getExportFileName('copia', 'json'), await this.storageManager.exportBackup(), 'application/json');
+        } catch (error) {
+            console.error('Error exportando la copia de seguridad:', error);
+            this.showError(getUiTexts(this.locale).backupExportError);
+        }
+    }
+
+    /**
+     * Importa una copia de seguridad combinándola con los datos o reemplazándolos
+     * @param {File} file - Archivo JSON elegido por el usuario
+     * @private
+     */
+    async importBackup(file) {
+        let backup;
+
+        try {
+            backup = parseBackup(await file.text());
+        } catch (error) {
+            if (!(error instanceof BackupError)) throw error;
+            this.showError(error.message);
+            return;
+        }
+
+        const texts = getUiTexts(this.locale);
+        const mode = this.elements.backupReplaceMode.checked ? ImportModes.REPLACE : ImportModes.MERGE;
+        const studentCount = backup.roster ? backup.roster.students.length : 0;
+        const contents = formatText(texts.countsAnd, {
+            first: formatCount(backup.sessions.length, texts.sessionOne, texts.sessionMany),
+            second: formatCount(studentCount, texts.studentOne, texts.studentMany)
+        });
+
+        const question = mode === ImportModes.REPLACE ? texts.importReplaceConfirm : texts.importMergeConfirm;
+        if (!confirm(formatText(question, { contents }))) return;
+
+        const result = await this.storageManager.importBackup(backup, mode);
+
+        if (!result) {
+            this.showError(texts.backupImportError);
+            return;
+        }
+
+        // Recargar el alumno activo y su configuración (la sesión en curso se reinicia)
+        this.switchStudent(this.storageManager.getRoster().activeStudentId);
+
+        const details = [
+            formatText(texts.countsAnd, {
+                first: formatCount(result.sessionsAdded, texts.newSessionOne, texts.newSessionMany),
+                second: formatCount(result.studentsAdded, texts.newStudentOne, texts.newStudentMany)
+            }),
+            result.duplicateSessions > 0 ? formatCount(result.duplicateSessions, texts.duplicateSessionOne, texts.duplicateSessionMany) : '',
+            backup.invalidSessions > 0 ? formatCount(backup.invalidSessions, texts.invalidSessionOne, texts.invalidSessionMany) : '',
+            result.sessionsExpired > 0
+                ? formatText(texts.expiredByRetention, {
+                    sessions: formatCount(result.sessionsExpired, texts.expiredSessionOne, texts.expiredSessionMany)
+                })
+                : ''
+        ].filter(Boolean).join(' · ');
+
+        this.noticeBanner.show(formatText(texts.backupImported, { details }), { type: NoticeTypes.INFO });
+    }
+
+    /**
+     * Cambia la regla de conservación del historial tras confirmar lo que se borrará
+     * @param {string} rule - Valor de RetentionRules
+     * @private
+     */
+    async changeHistoryRetention(rule) {
+        const texts = getUiTexts(this.locale);
+        const expired = await this.storageManager.countExpiredSessions(rule);
+        const question = formatText(texts.retentionConfirm, {
+            sessions: formatCount(expired, texts.sessionOne, texts.sessionMany)
+        });
+
+        if (expired > 0 && !confirm(question)) {
+            this.elements.historyRetentionSelect.value = this.storageManager.getHistoryRetention();
+            return;
+        }
+
+        if (!this.storageManager.saveHistoryRetention(rule)) {
+            this.showError(texts.retentionSaveError);
+            return;
+        }
+
+        await this.storageManager.applyRetention();
+    }
+
+    /**
+     * Abre el modal de análisis de grabaciones
+     * @private
+     */
+    openFileAnalysis() {
+        if (!OfflineAnalyzer.isSupported()) {
+            this.showError(getUiTexts(this.locale).fileAnalysisUnsupported);
+            return;
+        }
+
+        this.closeSettings();
+        this.fileAnalysisView.open();
+    }
+
+    /**
+     * Analiza una grabación con la configuración guardada del alumno activo (o del aula)
+     * La sesión resultante se guarda en el historial como cualquier otra.
+     * @private
+     */
+    async analyzeRecording(file, onProgress) {
+        const config = this.getEffectiveConfig(this.activeStudent);
+
+        this.offlineAnalyzer = new OfflineAnalyzer(config, {
+            student: this.activeStudent,
+            classroom: this.isClassroomMode() ? this.classroom : null
+        });
+
+        const result = await this.offlineAnalyzer.analyzeFile(file, onProgress);
+        console.log('🎧 Grabación analizada:', file.name);
+
+        await this.handleSessionEnd(result.summary);
+
+        return {
+            ...result,
+            thresholds: this.offlineAnalyzer.config
+        };
+    }
+
+    /**
+     * Muestra el resumen de una grabación analizada
+     * Se abre en modo revisión: la sesión ya está en el historial.
+     * @private
+     */
+    openRecordingSummary(summary) {
+        this.fileAnalysisView.hide();
+        this.summaryModal.show(summary, SummaryModes.REVIEW);
+    }
+
+    /**
+     * Guarda la configuración en el perfil del alumno activo (o del aula)
+     * Si no hay alumno activo pero se escribió un nombre, se crea el alumno.
+     * @private
+     */
+    persistConfiguration(config) {
+        if (this.isClassroomMode()) {
+            this.storageManager.saveClassroomSettings({
+                config: { ...this.classroom.config, ...this.storageManager.pickProfileConfig(config) }
+            });
+            this.classroom = this.storageManager.getClassroomSettings();
+        } else if (this.activeStudent) {
+            this.activeStudent = this.storageManager.updateStudent(this.activeStudent.id, {
+                name: config.studentName,
+                config
+            }) || this.activeStudent;
+        } else if (config.studentName) {
+            const student = this.storageManager.addStudent(config.studentName, config);
+            if (student) {
+                this.storageManager.setActiveStudent(student.id);
+                this.activeStudent = student;
+            }
+        } else {
+            this.storageManager.saveConfig(config);
+        }
+
+        this.sessionTracker.setStudent(this.activeStudent);
+        this.renderStudentControls();
+    }
+
     /**
      * Actualiza la vista previa de los umbrales
      */
     updateThresholdPreview() {
-        const lower = parseInt(this.elements.lowerThreshold.value);
-        const upper = parseInt(this.elements.upperThreshold.value);
+        const { lower, upper } = this.getThresholdLevels();
+        const warningBand = parseInt(this.elements.warningBandSlider.value) || 0;
 
         // Calcular porcentajes de cada zona
+        // La banda de aviso sale de la parte alta de la zona verde (máximo la mitad)
         const lowPercent = lower;
-        const optimalPercent = upper - lower;
+        const warningPercent = Math.min(warningBand, Math.floor(Math.max(0, upper - lower) / 2));
+        const optimalPercent = upper - lower - warningPercent;
         const highPercent = 100 - upper;
 
         // Actualizar tamaños de las zonas
         this.elements.previewZoneLow.style.flex = lowPercent;
         this.elements.previewZoneOptimal.style.flex = optimalPercent;
+        this.elements.previewZoneWarning.style.flex = warningPercent;
+        this.elements.previewZoneWarning.hidden = warningPercent === 0;
         this.elements.previewZoneHigh.style.flex = highPercent;
+
+        this.noiseMeter.setThresholds({ lower, upper });
+    }
+
+    /**
+     * Opciones de la escala en dB según el panel y el micrófono en uso
+     * @private
+     */
+    getLevelScaleOptions() {
+        return {
+            sensitivity: parseInt(this.elements.sensitivitySlider.value),
+            aWeighting: this.elements.aWeightingToggle.checked,
+            calibrationOffset: this.storageManager.getCalibrationOffset(this.getCalibrationDeviceId())
+        };
+    }
+
+    /**
+     * Micrófono al que corresponde la corrección a dB SPL
+     * Si el elegido no está y se usa el predeterminado, vale la del predeterminado.
+     * @private
+     */
+    getCalibrationDeviceId() {
+        return this.inputIsFallback ? '' : this.storageManager.getInputDeviceId();
+    }
+
+    /**
+     * Rehace la escala en dB y vuelve a pintar los umbrales en ella
+     * Los umbrales conservan su nivel; solo cambia su valor en dB.
+     * @param {Object} levels - { lower, upper } niveles 0-100 (por defecto, los del panel)
+     * @private
+     */
+    refreshLevelScale(levels = this.thresholdLevels) {
+        this.thresholdLevels = { ...levels };
+        this.levelScale = new LevelScale(this.getLevelScaleOptions());
+        this.sessionTracker.setLevelScale(this.levelScale);
+
+        const { calibrationOffset } = this.levelScale;
+        this.elements.calibrationOffsetInput.value = calibrationOffset === null ? '' : calibrationOffset;
+
+        this.renderThresholdSlider(this.elements.lowerThreshold, this.elements.lowerThresholdValue, levels.lower, Limits.lowerThreshold);
+        this.renderThresholdSlider(this.elements.upperThreshold, this.elements.upperThresholdValue, levels.upper, Limits.upperThreshold);
+        this.updateThresholdPreview();
+    }
+
+    /**
+     * Pinta un slider de umbral en dB enteros
+     * @private
+     */
+    renderThresholdSlider(slider, valueElement, level, limits) {
+        const db = Math.round(this.levelScale.levelToDb(level));
+
+        slider.min = Math.ceil(this.levelScale.levelToDb(limits.min));
+        slider.max = Math.floor(this.levelScale.levelToDb(limits.max));
+        slider.step = 1;
+        slider.value = db;
+        valueElement.textContent = `${db} ${this.levelScale.getUnit()}`;
+    }
+
+    /**
+     * Guarda el umbral elegido en un slider (en dB) como nivel 0-100
+     * @param {string} key - 'lower' o 'upper'
+     * @private
+     */
+    setThresholdFromSlider(key, slider, valueElement) {
+        const level = this.levelScale.dbToLevel(parseFloat(slider.value));
+
+        this.thresholdLevels[key] = Math.round(level * 10) / 10;
+        valueElement.textContent = `${slider.value} ${this.levelScale.getUnit()}`;
+        this.updateThresholdPreview();
+    }
+
+    /**
+     * Umbrales del panel en nivel 0-100
+     * @returns {Object} - { lower, upper }
+     * @private
+     */
+    getThresholdLevels() {
+        return { ...this.thresholdLevels };
+    }
+
+    /**
+     * Muestra el ancho de la banda de aviso junto a su slider
+     * @private
+     */
+    renderWarningBandValue(width) {
+        this.elements.warningBandValue.textContent = width > 0 ? width : getUiTexts(this.locale).warningBandOff;
     }
 
 
@@ -498,93 +1857,145 @@ class EcoLogroApp {
         // Detener análisis
         this.stop();
 
-        // Actualizar datos del modal
-        this.elements.summaryTotalTime.textContent = this.sessionTracker.formatTime(summary.totalDuration);
-        this.elements.summaryGreenTime.textContent = this.sessionTracker.formatTime(summary.greenZoneTime);
-
-        const successRate = summary.totalDuration > 0
-            ? Math.round((summary.greenZoneTime / summary.totalDuration) * 100)
-            : 0;
-        this.elements.summarySuccess.textContent = `${successRate}%`;
-        this.elements.summaryPeak.textContent = `${summary.peakVolume} dB`;
-        this.elements.summaryConsistency.textContent = `${summary.consistencyScore}%`;
+        this.summaryModal.show(summary, SummaryModes.LIVE);
+    }
 
-        // Dibujar gráfico
-        this.drawSummaryChart(summary);
+    /**
+     * Cierra el modal de resumen
+     */
+    closeModal() {
+        this.summaryModal.hide();
+    }
 
-        // Mostrar modal
-        this.elements.sessionModal.classList.add('active');
+    /**
+     * Abre el historial de sesiones
+     */
+    async openHistory() {
+        this.summaryModal.hide();
+        await this.refreshHistory();
+        this.historyView.show();
     }
 
     /**
-     * Dibuja el gráfico de resumen en canvas
+     * Vuelve a leer el historial y actualiza la vista con el filtro actual
      * @private
      */
-    drawSummaryChart(summary) {
-        const canvas = this.elements.summaryChart;
-        const ctx = canvas.getContext('2d');
+    async refreshHistory() {
+        const query = this.historyView.getQuery();
+        const sessions = await this.storageManager.getSessions();
+        const visibleSessions = querySessions(sessions, query);
 
-        // Limpiar canvas
-        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        this.historyView.renderAggregate(await this.storageManager.getAggregateStats(toStudentId(query.student)));
+        this.historyView.renderSessions(visibleSessions, sessions.length);
+    }
 
-        // Contar estados
-        const stateCounts = {
-            SILENT: 0,
-            LOW: 0,
-            OPTIMAL: 0,
-            WARNING: 0,
-            DANGER: 0
-        };
+    /**
+     * Abre el panel de progreso desde el historial
+     * @private
+     */
+    async openProgress() {
+        this.historyView.hide();
+        await this.refreshProgress();
+        this.progressDashboard.show();
+    }
 
-        summary.stateHistory.forEach(entry => {
-            if (stateCounts[entry.state] !== undefined) {
-                stateCounts[entry.state]++;
-            }
+    /**
+     * Vuelve del panel de progreso al historial
+     * @private
+     */
+    async backToHistoryFromProgress() {
+        this.progressDashboard.hide();
+        await this.openHistory();
+    }
+
+    /**
+     * Vuelve a leer el historial y actualiza el panel de progreso
+     * La evolución y los cambios de umbrales son del alumno elegido; la
+     * comparación incluye siempre a todos los alumnos.
+     * @private
+     */
+    async refreshProgress() {
+        const query = this.progressDashboard.getQuery();
+        const sessions = await this.storageManager.getSessions();
+        const studentSessions = sessions.filter(session => matchesStudent(session, query.student));
+
+        this.progressDashboard.render({
+            trend: buildTrend(studentSessions, query),
+            changes: getThresholdChanges(studentSessions),
+            comparison: compareStudents(sessions),
+            sessionCount: studentSessions.length
         });
+    }
 
-        // Colores por estado
-        const colors = {
-            SILENT: '#333',
-            LOW: '#3B82F6',
-            OPTIMAL: '#10B981',
-            WARNING: '#FBBF24',
-            DANGER: '#EF4444'
-        };
+    /**
+     * Muestra el detalle de una sesión del historial
+     * @private
+     */
+    async openHistorySession(sessionId) {
+        const session = await this.storageManager.getSession(sessionId);
 
-        // Dibujar barras
-        const states = Object.keys(stateCounts);
-        const maxCount = Math.max(...Object.values(stateCounts), 1);
-        const barWidth = canvas.width / states.length - 20;
-        const maxBarHeight = canvas.height - 40;
-
-        states.forEach((state, index) => {
-            const count = stateCounts[state];
-            const barHeight = (count / maxCount) * maxBarHeight;
-            const x = index * (barWidth + 20) + 10;
-            const y = canvas.height - barHeight - 20;
-
-            // Barra
-            ctx.fillStyle = colors[state];
-            ctx.fillRect(x, y, barWidth, barHeight);
-
-            // Etiqueta
-            ctx.fillStyle = '#333';
-            ctx.font = '12px Inter';
-            ctx.textAlign = 'center';
-            ctx.fillText(state, x + barWidth / 2, canvas.height - 5);
-
-            // Valor
-            if (count > 0) {
-                ctx.fillText(count.toString(), x + barWidth / 2, y - 5);
-            }
-        });
+        if (!session) {
+            this.showError(getUiTexts(this.locale).sessionNotFound);
+            this.refreshHistory();
+            return;
+        }
+
+        this.historyView.hide();
+        this.summaryModal.show(session, SummaryModes.REVIEW);
     }
 
     /**
-     * Cierra el modal de resumen
+     * Elimina una sesión del historial tras confirmación
+     * @private
      */
-    closeModal() {
-        this.elements.sessionModal.classList.remove('active');
+    async deleteHistorySession(sessionId) {
+        if (!confirm(getUiTexts(this.locale).deleteSessionConfirm)) return;
+
+        const deleted = await this.storageManager.deleteSession(sessionId);
+
+        if (!deleted) {
+            this.showError(getUiTexts(this.locale).sessionDeleteError);
+        }
+
+        // Las rachas de los objetivos dependen del historial
+        this.loadGoals();
+        await this.refreshHistory();
+    }
+
+    /**
+     * Exporta sesiones en el formato elegido (descarga o informe imprimible)
+     * @param {string} format - Valor de ExportFormats
+     * @param {Array} sessions - Sesiones a exportar
+     * @private
+     */
+    async exportSessions(format, sessions) {
+        if (sessions.length === 0) {
+            this.showError(getUiTexts(this.locale).noSessionsToExport);
+            return;
+        }
+
+        switch (format) {
+            case ExportFormats.CSV:
+                downloadFile(getExportFileName('sesiones', 'csv'), sessionsToCsv(sessions), 'text/csv');
+                break;
+            case ExportFormats.SAMPLES_CSV: {
+                const csv = samplesToCsv(sessions);
+                if (!csv) {
+                    this.showError(getUiTexts(this.locale).noSamplesToExport);
+                    return;
+                }
+                downloadFile(getExportFileName('muestras', 'csv'), csv, 'text/csv');
+                break;
+            }
+            case ExportFormats.JSON:
+                downloadFile(getExportFileName('sesiones', 'json'), await this.storageManager.exportSessions(sessions), 'application/json');
+                break;
+            case ExportFormats.REPORT:
+                this.sessionReport.print(sessions);
+                break;
+            default:
+                console.warn('Formato de exportación desconocido:', format);
+        }
     }
 
     /**
@@ -592,17 +2003,25 @@ class EcoLogroApp {
      */
     startNewSession() {
         this.closeModal();
+
+        // Una sesión nueva siempre empieza escuchando
+        if (this.isPaused) {
+            this.togglePause();
+        }
+
+        // start() abre la sesión: abrirla también aquí guardaba una sesión vacía
         this.stateManager.reset();
-        this.sessionTracker.startSession();
         this.start();
     }
 
     /**
-     * Muestra un error al usuario
+     * Muestra un error al usuario (aviso no bloqueante)
+     * @param {string} message - Texto del error
+     * @param {Object|null} action - { label, onAction } acción para recuperarse
      * @private
      */
-    showError(message) {
-        alert(`Error: ${message}`);
+    showError(message, action = null) {
+        this.noticeBanner.show(message, { type: NoticeTypes.ERROR, action });
     }
 
     /**
@@ -612,22 +2031,48 @@ class EcoLogroApp {
     handleError(errorInfo) {
         console.error('Error en servicio:', errorInfo);
 
-        if (errorInfo.message.includes('micrófono')) {
-            this.showError('No se pudo acceder al micrófono. Por favor, verifica los permisos en tu navegador.');
+        const texts = getUiTexts(this.locale);
+        const message = formatText(texts.audioErrors[errorInfo.code], {
+            source: texts.audioSourceNames[errorInfo.sourceKind]
+        });
+
+        if (errorInfo.sourceKind === SourceKinds.MICROPHONE) {
+            this.showError(`${message}. ${texts.microphoneErrorHint}`, this.getRetryAudioAction());
+        } else {
+            this.showError(message);
+        }
+    }
+
+    /**
+     * Callback: El analizador cambió de micrófono (elección, desconexión o reconexión)
+     * @private
+     */
+    handleInputChange({ isFallback }) {
+        this.inputIsFallback = isFallback;
+        this.refreshLevelScale();
+
+        if (isFallback) {
+            this.noticeBanner.show(getUiTexts(this.locale).microphoneFallback, {
+                type: NoticeTypes.WARNING
+            });
         } else {
-            this.showError(errorInfo.message);
+            this.noticeBanner.hide();
         }
+
+        this.refreshInputDevices();
     }
 
     /**
      * Limpia recursos al cerrar la aplicación
+     * La sesión en curso se guarda también en localStorage al momento: el
+     * guardado en IndexedDB no llega a terminar si la página se cierra.
      */
     destroy() {
         this.stop();
         this.audioAnalyzer.destroy();
 
         if (this.sessionTracker.isSessionActive()) {
-            this.sessionTracker.endSession();
+            this.storageManager.saveSessionDraft(this.sessionTracker.endSession());
         }
     }
 }
@@ -641,9 +2086,17 @@ document.addEventListener('DOMContentLoaded', async () => {
     window.ecoLogroApp = app;
 });
 
-// Limpiar recursos al cerrar la página
-window.addEventListener('beforeunload', () => {
+// Limpiar recursos al cerrar la página (pagehide también llega en móviles,
+// donde beforeunload no siempre se dispara)
+window.addEventListener('pagehide', () => {
     if (window.ecoLogroApp) {
         window.ecoLogroApp.destroy();
     }
 });
+
+// Si el navegador devuelve la página desde su caché, el micrófono ya se cerró
+window.addEventListener('pageshow', (event) => {
+    if (event.persisted) {
+        window.location.reload();
+    }
+});
@@ -0,0 +1,192 @@
+/**
+ * CalibrationWizard Component
+ *
+ * Modal paso a paso para la calibración del micrófono y la sala.
+ * Solo muestra instrucciones, progreso y resultado; las mediciones y el cálculo
+ * de la propuesta llegan a través de callbacks.
+ */
+
+const COUNTDOWN_SECONDS = 3;
+
+class CalibrationWizard {
+    /**
+     * @param {Object} elements - Referencias DOM del modal de calibración
+     * @param {Array} steps - Pasos de calibración (CalibrationSteps)
+     * @param {Object} callbacks - { onMeasure, onComplete, onApply, onClose, formatThreshold }
+     *   formatThreshold(level, proposal): texto de un umbral propuesto en dB
+     */
+    constructor(elements, steps, callbacks = {}) {
+        this.elements = elements;
+        this.steps = steps;
+        this.callbacks = callbacks;
+
+        this.isRunning = false;
+        this.isCancelled = false;
+        this.proposal = null;
+
+        this.bindEvents();
+    }
+
+    /**
+     * Configura los event listeners del modal
+     * @private
+     */
+    bindEvents() {
+        const { calibrationStartBtn, calibrationApplyBtn, calibrationCancelBtn, closeCalibration } = this.elements;
+
+        calibrationStartBtn.addEventListener('click', () => this.run());
+        calibrationApplyBtn.addEventListener('click', () => {
+            this.callbacks.onApply(this.proposal);
+            this.close();
+        });
+        calibrationCancelBtn.addEventListener('click', () => this.close());
+        closeCalibration.addEventListener('click', () => this.close());
+    }
+
+    /**
+     * Abre el asistente en la pantalla de introducción
+     */
+    open() {
+        this.proposal = null;
+        this.renderIntro();
+        this.elements.calibrationModal.classList.add('active');
+    }
+
+    /**
+     * Cierra el asistente cancelando cualquier medición en curso
+     */
+    close() {
+        this.isCancelled = true;
+        this.elements.calibrationModal.classList.remove('active');
+        this.callbacks.onClose();
+    }
+
+    /**
+     * Ejecuta todos los pasos de medición y muestra la propuesta
+     * @private
+     */
+    async run() {
+        if (this.isRunning) return;
+
+        this.isRunning = true;
+        this.isCancelled = false;
+        this.setButtons({ start: false, apply: false });
+        this.elements.calibrationResult.hidden = true;
+        this.showError('');
+
+        try {
+            const measurements = {};
+
+            for (const [index, step] of this.steps.entries()) {
+                await this.countdown(step, index);
+                if (this.isCancelled) return;
+
+                this.renderStep(step, index, 'Midiendo…');
+                measurements[step.id] = await this.callbacks.onMeasure(step, ({ progress, level }) => {
+                    this.renderProgress(progress, level);
+                });
+            }
+
+            this.proposal = this.callbacks.onComplete(measurements);
+            this.renderProposal(this.proposal);
+        } catch (error) {
+            if (this.isCancelled) return;
+
+            this.showError(error.message);
+            this.setButtons({ start: true, apply: false });
+            this.elements.calibrationStartBtn.textContent = 'Repetir';
+        } finally {
+            this.isRunning = false;
+        }
+    }
+
+    /**
+     * Muestra una cuenta atrás antes de medir un paso
+     * @private
+     */
+    async countdown(step, index) {
+        for (let remaining = COUNTDOWN_SECONDS; remaining > 0; remaining--) {
+            if (this.isCancelled) return;
+
+            this.renderStep(step, index, `Prepárate… ${remaining}`);
+            this.renderProgress(0, 0);
+            await new Promise(resolve => setTimeout(resolve, 1000));
+        }
+    }
+
+    /**
+     * @private
+     */
+    renderIntro() {
+        const { elements } = this;
+
+        elements.calibrationStepTitle.textContent = 'Calibración guiada';
+        elements.calibrationInstruction.textContent =
+            'Mediremos el ruido de la sala y tres muestras de voz (baja, normal y alta) ' +
+            'para proponer la sensibilidad, la puerta de ruido y los umbrales.';
+        elements.calibrationStatus.textContent = '';
+        elements.calibrationResult.hidden = true;
+        elements.calibrationStartBtn.textContent = 'Empezar';
+
+        this.renderProgress(0, 0);
+        this.showError('');
+        this.setButtons({ start: true, apply: false });
+    }
+
+    /**
+     * @private
+     */
+    renderStep(step, index, status) {
+        const { elements } = this;
+
+        elements.calibrationStepTitle.textContent = `Paso ${index + 1} de ${this.steps.length}: ${step.title}`;
+        elements.calibrationInstruction.textContent = step.instruction;
+        elements.calibrationStatus.textContent = status;
+    }
+
+    /**
+     * @private
+     */
+    renderProgress(progress, level) {
+        this.elements.calibrationProgressFill.style.width = `${Math.round(progress * 100)}%`;
+        this.elements.calibrationLevelFill.style.width = `${Math.min(100, Math.round(level))}%`;
+    }
+
+    /**
+     * @private
+     */
+    renderProposal(proposal) {
+        const { elements } = this;
+
+        elements.calibrationStepTitle.textContent = 'Configuración propuesta';
+        elements.calibrationInstruction.textContent = 'Revisa los valores y guárdalos para este alumno o dispositivo.';
+        elements.calibrationStatus.textContent = '';
+
+        elements.calResultSensitivity.textContent = `${proposal.sensitivity}%`;
+        elements.calResultNoiseGate.textContent = proposal.noiseGate;
+        elements.calResultLower.textContent = this.callbacks.formatThreshold(proposal.lowerThreshold, proposal);
+        elements.calResultUpper.textContent = this.callbacks.formatThreshold(proposal.upperThreshold, proposal);
+        elements.calibrationResult.hidden = false;
+
+        elements.calibrationStartBtn.textContent = 'Repetir';
+        this.setButtons({ start: true, apply: true });
+    }
+
+    /**
+     * @private
+     */
+    showError(message) {
+        this.elements.calibrationError.textContent = message;
+        this.elements.calibrationError.hidden = !message;
+    }
+
+    /**
+     * @private
+     */
+    setButtons({ start, apply }) {
+        this.elements.calibrationStartBtn.hidden = !start;
+        this.elements.calibrationApplyBtn.hidden = !apply;
+    }
+}
+
+export default CalibrationWizard;
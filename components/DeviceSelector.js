@@ -0,0 +1,72 @@
+/**
+ * DeviceSelector Component
+ *
+ * Selector de micrófono del panel de configuración.
+ * La primera opción es siempre el micrófono predeterminado del sistema.
+ */
+
+import { DEFAULT_LOCALE, getUiTexts, formatText } from '../services/FeedbackMessages.js';
+
+const DEFAULT_DEVICE_ID = '';
+
+class DeviceSelector {
+    /**
+     * @param {HTMLSelectElement} select - Elemento <select> del selector
+     * @param {Object} callbacks - { onSelectDevice }
+     */
+    constructor(select, callbacks = {}) {
+        this.select = select;
+        this.callbacks = callbacks;
+        this.texts = getUiTexts(DEFAULT_LOCALE);
+        this.devices = [];
+
+        this.select.addEventListener('change', () => {
+            this.callbacks.onSelectDevice(this.select.value);
+        });
+    }
+
+    /**
+     * Textos en el idioma de la interfaz (vuelve a rellenar el selector)
+     * @param {Object} texts - Textos de getUiTexts
+     */
+    setTexts(texts) {
+        this.texts = texts;
+        this.render(this.devices, this.select.value);
+    }
+
+    /**
+     * Rellena el selector
+     * Si el dispositivo elegido no está conectado se mantiene en la lista como
+     * "no conectado" para que la elección no se pierda. Los micrófonos sin
+     * nombre (sin permiso) se numeran.
+     * @param {Array} devices - [{ deviceId, label }]
+     * @param {string} selectedId - ID del dispositivo elegido ('' = predeterminado)
+     */
+    render(devices, selectedId = DEFAULT_DEVICE_ID) {
+        const { texts } = this;
+        this.devices = devices;
+
+        const options = [
+            { deviceId: DEFAULT_DEVICE_ID, label: texts.defaultMicrophone },
+            ...devices.map((device, index) => ({
+                deviceId: device.deviceId,
+                label: device.label || formatText(texts.microphoneNumber, { number: index + 1 })
+            }))
+        ];
+
+        if (selectedId && !devices.some(device => device.deviceId === selectedId)) {
+            options.push({ deviceId: selectedId, label: texts.missingMicrophone });
+        }
+
+        this.select.replaceChildren(...options.map(device => {
+            const option = document.createElement('option');
+            option.value = device.deviceId;
+            option.textContent = device.label;
+            return option;
+        }));
+
+        this.select.value = selectedId;
+    }
+}
+
+export default DeviceSelector;
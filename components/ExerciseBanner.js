@@ -0,0 +1,63 @@
+/**
+ * ExerciseBanner Component
+ *
+ * Cuenta atrás del ejercicio guiado en la pantalla principal: la fase actual
+ * con su ronda, el tiempo que le queda en grande y, en las fases con objetivo
+ * de racha, los segundos seguidos en verde. Se oculta si no hay ejercicio.
+ * Componente "tonto": solo pinta el resultado de SessionTracker.getPlanProgress
+ * con los textos del idioma.
+ */
+
+import { PhaseTypes } from '../services/ExercisePlans.js';
+import { DEFAULT_LOCALE, getUiTexts, formatText } from '../services/FeedbackMessages.js';
+import { formatTime } from '../utils/formatters.js';
+
+class ExerciseBanner {
+    /**
+     * @param {Object} elements - { exerciseBanner, exercisePhase, exerciseCountdown, exerciseDetail }
+     */
+    constructor(elements) {
+        this.elements = elements;
+        this.texts = getUiTexts(DEFAULT_LOCALE);
+    }
+
+    /**
+     * Textos en el idioma de la interfaz (se ven en el siguiente render)
+     * @param {Object} texts - Textos de getUiTexts
+     */
+    setTexts(texts) {
+        this.texts = texts;
+    }
+
+    /**
+     * Pinta la fase actual del ejercicio
+     * @param {Object|null} progress - Resultado de getPlanProgress (null = sin ejercicio)
+     */
+    render(progress) {
+        const { exerciseBanner, exercisePhase, exerciseCountdown, exerciseDetail } = this.elements;
+        const { texts } = this;
+
+        exerciseBanner.hidden = !progress;
+        if (!progress) return;
+
+        const { name, type, label, round, rounds, remaining, greenTarget, greenStreak } = progress;
+        const resting = type === PhaseTypes.REST;
+
+        exerciseBanner.classList.toggle('exercise-rest', resting);
+        exercisePhase.textContent = rounds > 1 ? formatText(texts.exerciseRound, { label, round, rounds }) : label;
+        exerciseCountdown.textContent = formatTime(remaining);
+
+        if (resting) {
+            exerciseDetail.textContent = texts.exerciseResting;
+        } else if (greenTarget > 0) {
+            exerciseDetail.textContent = formatText(texts.exerciseGreenStreak, {
+                streak: formatTime(greenStreak),
+                target: formatTime(greenTarget)
+            });
+        } else {
+            exerciseDetail.textContent = name;
+        }
+    }
+}
+
+export default ExerciseBanner;
@@ -0,0 +1,151 @@
+/**
+ * ExercisePicker Component
+ *
+ * Selector del ejercicio guiado en el panel de configuración: planes
+ * predefinidos o uno personalizado (actividad, segundos de habla y de descanso,
+ * rondas y racha en verde), con la descripción del plan elegido y el botón
+ * para empezarlo. Los planes se muestran y se crean en el idioma de la interfaz.
+ */
+
+import {
+    CUSTOM_PLAN_ID,
+    getPresetPlans,
+    getPresetPlan,
+    normalizeCustomFields,
+    createCustomPlan
+} from '../services/ExercisePlans.js';
+import { DEFAULT_LOCALE, getUiTexts } from '../services/FeedbackMessages.js';
+
+// Campo del plan personalizado => ID del input
+const CUSTOM_INPUTS = {
+    label: 'exerciseLabel',
+    speakSeconds: 'exerciseSpeakSeconds',
+    restSeconds: 'exerciseRestSeconds',
+    rounds: 'exerciseRounds',
+    greenTarget: 'exerciseGreenTarget'
+};
+
+class ExercisePicker {
+    /**
+     * @param {Object} elements - { exercisePlanSelect, exerciseCustomFields, exerciseDescription, startExerciseBtn, y los inputs de CUSTOM_INPUTS }
+     * @param {Object} callbacks - { onStart({ plan, customFields }) }
+     */
+    constructor(elements, callbacks = {}) {
+        this.elements = elements;
+        this.callbacks = callbacks;
+        this.locale = DEFAULT_LOCALE;
+
+        this.renderChoices();
+        this.render();
+        this.bindEvents();
+    }
+
+    /**
+     * Cambia el idioma de los planes (se mantiene el plan elegido)
+     * @param {string} locale - Código del idioma
+     */
+    setLocale(locale) {
+        this.locale = locale;
+        this.renderChoices();
+        this.renderDescription();
+    }
+
+    /**
+     * Rellena el selector con los planes predefinidos y el personalizado
+     * @private
+     */
+    renderChoices() {
+        const { exercisePlanSelect } = this.elements;
+        const selectedId = exercisePlanSelect.value;
+
+        const choices = [
+            ...getPresetPlans(this.locale),
+            { id: CUSTOM_PLAN_ID, name: getUiTexts(this.locale).exerciseCustomPlan }
+        ];
+        exercisePlanSelect.replaceChildren(...choices.map(({ id, name }) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = name;
+            return option;
+        }));
+
+        if (selectedId) {
+            exercisePlanSelect.value = selectedId;
+        }
+    }
+
+    /**
+     * Configura los event listeners del selector
+     * @private
+     */
+    bindEvents() {
+        const { exercisePlanSelect, exerciseCustomFields, startExerciseBtn } = this.elements;
+
+        exercisePlanSelect.addEventListener('change', () => this.renderDescription());
+        exerciseCustomFields.addEventListener('input', () => this.renderDescription());
+        startExerciseBtn.addEventListener('click', () => this.start());
+    }
+
+    /**
+     * Rellena el plan personalizado con los valores guardados del perfil
+     * @param {Object} customFields - { label, speakSeconds, restSeconds, rounds, greenTarget }
+     */
+    render(customFields = {}) {
+        const fields = normalizeCustomFields(customFields);
+
+        Object.entries(CUSTOM_INPUTS).forEach(([name, inputId]) => {
+            this.elements[inputId].value = fields[name];
+        });
+
+        this.renderDescription();
+    }
+
+    /**
+     * Muestra los campos personalizados y la descripción del plan elegido
+     * @private
+     */
+    renderDescription() {
+        const isCustom = this.elements.exercisePlanSelect.value === CUSTOM_PLAN_ID;
+
+        this.elements.exerciseCustomFields.hidden = !isCustom;
+        this.elements.exerciseDescription.textContent = this.getPlan().description;
+    }
+
+    /**
+     * Campos del plan personalizado tal como están en el formulario
+     * @private
+     */
+    getCustomFields() {
+        const fields = {};
+        Object.entries(CUSTOM_INPUTS).forEach(([name, inputId]) => {
+            fields[name] = this.elements[inputId].value;
+        });
+        return normalizeCustomFields(fields);
+    }
+
+    /**
+     * Plan elegido en el selector
+     * @private
+     */
+    getPlan() {
+        const planId = this.elements.exercisePlanSelect.value;
+        return planId === CUSTOM_PLAN_ID
+            ? createCustomPlan(this.getCustomFields(), this.locale)
+            : getPresetPlan(planId, this.locale) || getPresetPlans(this.locale)[0];
+    }
+
+    /**
+     * @private
+     */
+    start() {
+        if (this.callbacks.onStart) {
+            const isCustom = this.elements.exercisePlanSelect.value === CUSTOM_PLAN_ID;
+            this.callbacks.onStart({
+                plan: this.getPlan(),
+                customFields: isCustom ? this.getCustomFields() : null
+            });
+        }
+    }
+}
+
+export default ExercisePicker;
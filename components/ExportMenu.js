@@ -0,0 +1,38 @@
+/**
+ * ExportMenu Component
+ *
+ * Menú desplegable de exportación (CSV, CSV por muestra, JSON, informe).
+ * Cada opción es un botón con data-format (ver ExportFormats); el menú no sabe
+ * qué sesiones se exportan: lo decide quien recibe onExport.
+ */
+
+class ExportMenu {
+    /**
+     * @param {HTMLDetailsElement} menu - Elemento <details> del menú
+     * @param {Object} callbacks - { onExport(format) }
+     */
+    constructor(menu, callbacks = {}) {
+        this.menu = menu;
+        this.callbacks = callbacks;
+
+        this.bindEvents();
+    }
+
+    /**
+     * Configura los event listeners del menú
+     * @private
+     */
+    bindEvents() {
+        this.menu.addEventListener('click', (e) => {
+            const option = e.target.closest('[data-format]');
+            if (!option) return;
+
+            this.menu.open = false;
+            if (this.callbacks.onExport) {
+                this.callbacks.onExport(option.dataset.format);
+            }
+        });
+    }
+}
+
+export default ExportMenu;
@@ -0,0 +1,149 @@
+/**
+ * FileAnalysisView Component
+ *
+ * Modal para analizar una grabación: elegir archivo, seguir el progreso y
+ * ver la línea de tiempo del resultado. El análisis en sí llega a través
+ * de callbacks.
+ */
+
+import TimelineChart from './TimelineChart.js';
+import { getSuccessRate } from '../services/HistoryQuery.js';
+import { formatTime } from '../utils/formatters.js';
+
+class FileAnalysisView {
+    /**
+     * @param {Object} elements - Referencias DOM del modal de análisis
+     * @param {Object} callbacks - { onAnalyze, onCancel, onOpenSummary }
+     */
+    constructor(elements, callbacks = {}) {
+        this.elements = elements;
+        this.callbacks = callbacks;
+        this.chart = new TimelineChart(elements.fileAnalysisTimeline);
+
+        this.isRunning = false;
+        this.summary = null;
+
+        this.bindEvents();
+    }
+
+    /**
+     * Configura los event listeners del modal
+     * @private
+     */
+    bindEvents() {
+        const { audioFileInput, fileAnalysisStartBtn, fileAnalysisSummaryBtn, fileAnalysisCancelBtn, closeFileAnalysis } = this.elements;
+
+        audioFileInput.addEventListener('change', () => {
+            this.showError('');
+            this.setButtons({ start: audioFileInput.files.length > 0, summary: false });
+        });
+        fileAnalysisStartBtn.addEventListener('click', () => this.run());
+        fileAnalysisSummaryBtn.addEventListener('click', () => this.callbacks.onOpenSummary(this.summary));
+        fileAnalysisCancelBtn.addEventListener('click', () => this.close());
+        closeFileAnalysis.addEventListener('click', () => this.close());
+    }
+
+    /**
+     * Abre el modal sin archivo seleccionado
+     */
+    open() {
+        const { elements } = this;
+
+        this.summary = null;
+        elements.audioFileInput.value = '';
+        elements.audioFileInput.disabled = false;
+        elements.fileAnalysisStatus.textContent = '';
+        elements.fileAnalysisResult.hidden = true;
+
+        this.renderProgress(0);
+        this.showError('');
+        this.setButtons({ start: false, summary: false });
+        elements.fileAnalysisModal.classList.add('active');
+    }
+
+    /**
+     * Oculta el modal sin cancelar el análisis (al abrir el resumen)
+     */
+    hide() {
+        this.elements.fileAnalysisModal.classList.remove('active');
+    }
+
+    /**
+     * Cierra el modal cancelando el análisis en curso
+     */
+    close() {
+        if (this.isRunning) {
+            this.callbacks.onCancel();
+        }
+
+        this.hide();
+    }
+
+    /**
+     * Analiza el archivo elegido y muestra el resultado
+     * @private
+     */
+    async run() {
+        const file = this.elements.audioFileInput.files[0];
+        if (this.isRunning || !file) return;
+
+        this.isRunning = true;
+        this.elements.audioFileInput.disabled = true;
+        this.elements.fileAnalysisResult.hidden = true;
+        this.elements.fileAnalysisStatus.textContent = `Analizando ${file.name}…`;
+        this.setButtons({ start: false, summary: false });
+        this.showError('');
+
+        try {
+            const result = await this.callbacks.onAnalyze(file, (progress) => this.renderProgress(progress));
+            this.summary = result.summary;
+            this.renderResult(result);
+        } catch (error) {
+            this.elements.fileAnalysisStatus.textContent = '';
+            this.showError(error.message);
+            this.setButtons({ start: true, summary: false });
+        } finally {
+            this.isRunning = false;
+            this.elements.audioFileInput.disabled = false;
+        }
+    }
+
+    /**
+     * @private
+     */
+    renderResult({ summary, timeline, thresholds }) {
+        const { elements } = this;
+
+        elements.fileAnalysisStatus.textContent =
+            `${formatTime(summary.totalDuration)} analizados · ${getSuccessRate(summary)}% en zona verde`;
+        elements.fileAnalysisResult.hidden = false;
+        this.chart.draw(timeline, thresholds);
+
+        this.setButtons({ start: false, summary: true });
+    }
+
+    /**
+     * @private
+     */
+    renderProgress(progress) {
+        this.elements.fileAnalysisProgressFill.style.width = `${Math.round(progress * 100)}%`;
+    }
+
+    /**
+     * @private
+     */
+    showError(message) {
+        this.elements.fileAnalysisError.textContent = message;
+        this.elements.fileAnalysisError.hidden = !message;
+    }
+
+    /**
+     * @private
+     */
+    setButtons({ start, summary }) {
+        this.elements.fileAnalysisStartBtn.hidden = !start;
+        this.elements.fileAnalysisSummaryBtn.hidden = !summary;
+    }
+}
+
+export default FileAnalysisView;
@@ -0,0 +1,141 @@
+/**
+ * GoalEditor Component
+ *
+ * Lista de objetivos del alumno activo en el panel de configuración, con un
+ * formulario para añadir objetivos (tipo y parámetros) y un botón para quitarlos.
+ * Los cambios se guardan al momento a través de onChange.
+ */
+
+import { GoalTypes, createGoal, describeGoal, getGoalParams } from '../services/Goals.js';
+
+// Texto del campo de cada parámetro de objetivo
+const ParamLabels = {
+    targetRate: '% en verde',
+    minMinutes: 'Durante (minutos)',
+    maxDrops: 'Menos de (caídas)',
+    sessionCount: 'Sesiones seguidas'
+};
+
+class GoalEditor {
+    /**
+     * @param {Object} elements - { goalList, goalTypeSelect, goalParams, addGoalBtn }
+     * @param {Object} callbacks - { onChange(goals) }
+     */
+    constructor(elements, callbacks = {}) {
+        this.elements = elements;
+        this.callbacks = callbacks;
+        this.goals = [];
+
+        this.renderParams();
+        this.bindEvents();
+    }
+
+    /**
+     * Configura los event listeners del editor
+     * @private
+     */
+    bindEvents() {
+        const { goalList, goalTypeSelect, addGoalBtn } = this.elements;
+
+        goalTypeSelect.addEventListener('change', () => this.renderParams());
+        addGoalBtn.addEventListener('click', () => this.addGoal());
+
+        goalList.addEventListener('click', (e) => {
+            const removeButton = e.target.closest('[data-action="remove"]');
+            if (!removeButton) return;
+
+            this.notifyChange(this.goals.filter(goal => goal.id !== removeButton.dataset.goalId));
+        });
+    }
+
+    /**
+     * Pinta la lista de objetivos
+     * @param {Array} goals - Objetivos del alumno activo
+     */
+    render(goals) {
+        this.goals = goals;
+
+        const items = goals.map(goal => {
+            const item = document.createElement('li');
+            item.className = 'goal-editor-item';
+
+            const text = document.createElement('span');
+            text.textContent = describeGoal(goal);
+
+            const removeButton = document.createElement('button');
+            removeButton.className = 'goal-editor-remove';
+            removeButton.dataset.action = 'remove';
+            removeButton.dataset.goalId = goal.id;
+            removeButton.setAttribute('aria-label', `Quitar el objetivo ${describeGoal(goal)}`);
+            removeButton.textContent = '✕';
+
+            item.append(text, removeButton);
+            return item;
+        });
+
+        if (items.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'goal-editor-empty';
+            empty.textContent = 'Sin objetivos';
+            items.push(empty);
+        }
+
+        this.elements.goalList.replaceChildren(...items);
+    }
+
+    /**
+     * Pinta los campos de parámetros del tipo elegido con sus valores por defecto
+     * @private
+     */
+    renderParams() {
+        const type = this.elements.goalTypeSelect.value || GoalTypes.SUCCESS_RATE;
+
+        const fields = getGoalParams(type).map(({ name, min, max, defaultValue }) => {
+            const label = document.createElement('label');
+            label.className = 'goal-param';
+
+            const text = document.createElement('span');
+            text.textContent = ParamLabels[name] || name;
+
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.className = 'text-input';
+            input.name = name;
+            input.min = min;
+            input.max = max;
+            input.value = defaultValue;
+
+            label.append(text, input);
+            return label;
+        });
+
+        this.elements.goalParams.replaceChildren(...fields);
+    }
+
+    /**
+     * Añade un objetivo con los valores del formulario
+     * @private
+     */
+    addGoal() {
+        const params = {};
+        this.elements.goalParams.querySelectorAll('input').forEach(input => {
+            params[input.name] = input.value;
+        });
+
+        const goal = createGoal(this.elements.goalTypeSelect.value, params);
+        if (goal) {
+            this.notifyChange([...this.goals, goal]);
+        }
+    }
+
+    /**
+     * @private
+     */
+    notifyChange(goals) {
+        if (this.callbacks.onChange) {
+            this.callbacks.onChange(goals);
+        }
+    }
+}
+
+export default GoalEditor;
@@ -0,0 +1,64 @@
+/**
+ * GoalPanel Component
+ *
+ * Progreso de los objetivos del alumno en la pantalla principal, junto a las
+ * estadísticas de la sesión. Se oculta si el alumno no tiene objetivos.
+ * Componente "tonto": solo pinta el resultado de SessionTracker.getGoalProgress.
+ */
+
+class GoalPanel {
+    /**
+     * @param {Object} elements - { goalPanel, goalProgressList }
+     */
+    constructor(elements) {
+        this.elements = elements;
+    }
+
+    /**
+     * Pinta el progreso de cada objetivo
+     * @param {Array} progress - [{ goal, description, progress, onTrack, met, detail }]
+     */
+    render(progress) {
+        const { goalPanel, goalProgressList } = this.elements;
+
+        goalPanel.hidden = progress.length === 0;
+        goalProgressList.replaceChildren(...progress.map(item => this.createItem(item)));
+    }
+
+    /**
+     * Crea la fila de un objetivo
+     * @private
+     */
+    createItem({ description, progress, onTrack, met, detail }) {
+        const item = document.createElement('li');
+        item.className = 'goal-item';
+        item.classList.toggle('goal-met', met);
+        item.classList.toggle('goal-off-track', !met && !onTrack);
+
+        const title = document.createElement('span');
+        title.className = 'goal-title';
+        title.textContent = met ? `✓ ${description}` : description;
+
+        const track = document.createElement('div');
+        track.className = 'progress-track';
+        track.setAttribute('role', 'progressbar');
+        track.setAttribute('aria-valuemin', '0');
+        track.setAttribute('aria-valuemax', '100');
+        track.setAttribute('aria-valuenow', Math.round(progress * 100));
+        track.setAttribute('aria-label', description);
+
+        const fill = document.createElement('div');
+        fill.className = 'progress-fill';
+        fill.style.width = `${Math.round(progress * 100)}%`;
+        track.appendChild(fill);
+
+        const details = document.createElement('span');
+        details.className = 'goal-detail';
+        details.textContent = detail;
+
+        item.append(title, track, details);
+        return item;
+    }
+}
+
+export default GoalPanel;
@@ -0,0 +1,301 @@
+/**
+ * HistoryView Component
+ *
+ * Modal con el historial de sesiones: cabecera de estadísticas agregadas,
+ * controles de orden/filtro, lista de sesiones con acceso al detalle y
+ * exportación de las sesiones seleccionadas (o de todas las visibles).
+ * No accede al almacenamiento: recibe los datos ya preparados por app.js.
+ */
+
+import { getSuccessRate, getSourceLabel, getSessionLabel, StudentFilter } from '../services/HistoryQuery.js';
+import { formatTime, formatDateTime } from '../utils/formatters.js';
+import ExportMenu from './ExportMenu.js';
+
+class HistoryView {
+    /**
+     * @param {Object} elements - Referencias DOM del modal de historial
+     * @param {Object} callbacks - { onQueryChange, onSelectSession, onDeleteSession, onExport, onViewProgress }
+     */
+    constructor(elements, callbacks = {}) {
+        this.elements = elements;
+        this.callbacks = callbacks;
+
+        // Sesiones visibles y las marcadas para exportar
+        this.sessions = [];
+        this.selectedIds = new Set();
+
+        this.exportMenu = new ExportMenu(elements.historyExportMenu, {
+            onExport: (format) => this.invoke('onExport', { format, sessions: this.getExportSessions() })
+        });
+
+        this.bindEvents();
+    }
+
+    /**
+     * Configura los event listeners del modal
+     * @private
+     */
+    bindEvents() {
+        const {
+            historyModal,
+            closeHistory,
+            historySort,
+            historyStudent,
+            historyPeriod,
+            historyMinSuccess,
+            historyList,
+            openProgressBtn
+        } = this.elements;
+
+        closeHistory.addEventListener('click', () => this.hide());
+        openProgressBtn.addEventListener('click', () => this.invoke('onViewProgress'));
+
+        historyModal.addEventListener('click', (e) => {
+            if (e.target === historyModal) {
+                this.hide();
+            }
+        });
+
+        [historySort, historyStudent, historyPeriod, historyMinSuccess].forEach(control => {
+            control.addEventListener('change', () => this.invoke('onQueryChange', this.getQuery()));
+        });
+
+        // Delegación de eventos: un único listener para todos los elementos de la lista
+        historyList.addEventListener('click', (e) => {
+            const deleteButton = e.target.closest('[data-action="delete"]');
+            if (deleteButton) {
+                this.invoke('onDeleteSession', deleteButton.dataset.sessionId);
+                return;
+            }
+
+            const openButton = e.target.closest('[data-action="open"]');
+            if (openButton) {
+                this.invoke('onSelectSession', openButton.dataset.sessionId);
+            }
+        });
+
+        historyList.addEventListener('change', (e) => {
+            const checkbox = e.target.closest('[data-action="select"]');
+            if (!checkbox) return;
+
+            if (checkbox.checked) {
+                this.selectedIds.add(checkbox.dataset.sessionId);
+            } else {
+                this.selectedIds.delete(checkbox.dataset.sessionId);
+            }
+            this.renderSelectionInfo();
+        });
+    }
+
+    /**
+     * Sesiones a exportar: las marcadas o, si no hay ninguna, todas las visibles
+     * @returns {Array}
+     */
+    getExportSessions() {
+        const selected = this.sessions.filter(session => this.selectedIds.has(session.sessionId));
+        return selected.length > 0 ? selected : this.sessions;
+    }
+
+    /**
+     * Devuelve los criterios de orden y filtro seleccionados
+     * @returns {Object} - { sort, student, period, minSuccess }
+     */
+    getQuery() {
+        return {
+            sort: this.elements.historySort.value,
+            student: this.elements.historyStudent.value,
+            period: this.elements.historyPeriod.value,
+            minSuccess: parseInt(this.elements.historyMinSuccess.value) || 0
+        };
+    }
+
+    /**
+     * Muestra el modal
+     */
+    show() {
+        this.elements.historyModal.classList.add('active');
+    }
+
+    /**
+     * Oculta el modal
+     */
+    hide() {
+        this.elements.historyModal.classList.remove('active');
+    }
+
+    /**
+     * Pinta las opciones del filtro de alumno conservando la selección si sigue existiendo
+     * @param {Array} students - Alumnos del roster
+     */
+    renderStudentOptions(students) {
+        const select = this.elements.historyStudent;
+        const previousValue = select.value || StudentFilter.ALL;
+
+        const options = [
+            this.createOption(StudentFilter.ALL, 'Todos'),
+            ...students.map(student => this.createOption(student.id, student.name)),
+            this.createOption(StudentFilter.NONE, 'Sin alumno')
+        ];
+
+        select.replaceChildren(...options);
+
+        const stillExists = options.some(option => option.value === previousValue);
+        select.value = stillExists ? previousValue : StudentFilter.ALL;
+    }
+
+    /**
+     * Crea una opción de select
+     * @private
+     */
+    createOption(value, label) {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        return option;
+    }
+
+    /**
+     * Pinta la cabecera de estadísticas agregadas
+     * @param {Object} stats - Resultado de StorageManager.getAggregateStats
+     */
+    renderAggregate(stats) {
+        const { elements } = this;
+
+        elements.aggTotalSessions.textContent = stats.totalSessions;
+        elements.aggAverageSuccess.textContent = `${stats.averageSuccessRate}%`;
+        elements.aggTotalGreenTime.textContent = formatTime(stats.totalGreenTime);
+
+        if (!stats.bestSession) {
+            elements.aggBestSession.textContent = '—';
+            return;
+        }
+
+        const best = stats.bestSession;
+        elements.aggBestSession.textContent = `${getSuccessRate(best)}% · ${formatDateTime(best.startTime)}`;
+    }
+
+    /**
+     * Pinta la lista de sesiones (o el estado vacío)
+     * @param {Array} sessions - Sesiones ya filtradas y ordenadas
+     * @param {number} totalCount - Número total de sesiones guardadas
+     */
+    renderSessions(sessions, totalCount) {
+        const { historyList, historyEmpty } = this.elements;
+
+        // La selección solo conserva las sesiones que siguen visibles
+        this.sessions = sessions;
+        const visibleIds = new Set(sessions.map(session => session.sessionId));
+        this.selectedIds = new Set([...this.selectedIds].filter(id => visibleIds.has(id)));
+
+        historyList.replaceChildren(...sessions.map(session => this.createSessionItem(session)));
+        this.renderSelectionInfo();
+
+        const isEmpty = sessions.length === 0;
+        historyEmpty.hidden = !isEmpty;
+        historyEmpty.textContent = totalCount === 0
+            ? 'Aún no hay sesiones guardadas. ¡Completa una sesión para verla aquí!'
+            : 'Ninguna sesión coincide con los filtros seleccionados.';
+    }
+
+    /**
+     * Indica qué sesiones se exportarán
+     * @private
+     */
+    renderSelectionInfo() {
+        const { historySelectionInfo, historyExportMenu } = this.elements;
+        const selectedCount = this.selectedIds.size;
+        const visibleCount = this.sessions.length;
+
+        historyExportMenu.hidden = visibleCount === 0;
+
+        if (selectedCount > 0) {
+            historySelectionInfo.textContent = selectedCount === 1
+                ? '1 sesión seleccionada'
+                : `${selectedCount} sesiones seleccionadas`;
+        } else {
+            historySelectionInfo.textContent = visibleCount > 0
+                ? 'Sin selección: se exportan todas las sesiones visibles'
+                : '';
+        }
+    }
+
+    /**
+     * Crea el elemento de lista de una sesión
+     * @private
+     */
+    createSessionItem(session) {
+        const item = document.createElement('li');
+        item.className = 'history-item';
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.className = 'history-item-select';
+        checkbox.dataset.action = 'select';
+        checkbox.dataset.sessionId = session.sessionId;
+        checkbox.checked = this.selectedIds.has(session.sessionId);
+        checkbox.setAttribute('aria-label', `Seleccionar la sesión del ${formatDateTime(session.startTime)} para exportar`);
+
+        const openButton = document.createElement('button');
+        openButton.className = 'history-item-main';
+        openButton.dataset.action = 'open';
+        openButton.dataset.sessionId = session.sessionId;
+        openButton.setAttribute('aria-label', `Ver sesión del ${formatDateTime(session.startTime)}`);
+
+        const date = document.createElement('span');
+        date.className = 'history-item-date';
+        date.textContent = [formatDateTime(session.startTime), getSessionLabel(session), getSourceLabel(session)]
+            .filter(Boolean)
+            .join(' · ');
+
+        const details = document.createElement('span');
+        details.className = 'history-item-details';
+        details.textContent = [
+            `${formatTime(session.totalDuration)} total`,
+            `${formatTime(session.greenZoneTime)} en verde`,
+            formatGoalResults(session),
+            session.exercise ? `📋 ${session.exercise.name}` : ''
+        ].filter(Boolean).join(' · ');
+
+        const success = document.createElement('span');
+        success.className = 'history-item-success';
+        success.textContent = `${getSuccessRate(session)}%`;
+
+        openButton.append(date, details, success);
+
+        const deleteButton = document.createElement('button');
+        deleteButton.className = 'history-item-delete';
+        deleteButton.dataset.action = 'delete';
+        deleteButton.dataset.sessionId = session.sessionId;
+        deleteButton.setAttribute('aria-label', 'Eliminar sesión');
+        deleteButton.title = 'Eliminar sesión';
+        deleteButton.textContent = '🗑';
+
+        item.append(checkbox, openButton, deleteButton);
+        return item;
+    }
+
+    /**
+     * Ejecuta un callback si está registrado
+     * @private
+     */
+    invoke(callbackName, payload) {
+        const callback = this.callbacks[callbackName];
+        if (callback) {
+            callback(payload);
+        }
+    }
+}
+
+/**
+ * Objetivos cumplidos de la sesión (p. ej. "🎯 1/2"); vacío si no tenía objetivos
+ * @private
+ */
+function formatGoalResults(session) {
+    const goalResults = session.goalResults || [];
+    if (goalResults.length === 0) return '';
+
+    const metCount = goalResults.filter(result => result.met).length;
+    return `🎯 ${metCount}/${goalResults.length}`;
+}
+
+export default HistoryView;
@@ -0,0 +1,153 @@
+/**
+ * MessageEditor Component
+ *
+ * Idioma y mensajes propios del alumno en el panel de configuración: para cada
+ * estado, un emoji y varios mensajes (uno por línea, con {name} para el nombre).
+ * Los campos vacíos muestran los mensajes del idioma como sugerencia, y los
+ * nombres de los estados siguen el idioma elegido.
+ * Los cambios se ven al momento (onPreview) y se guardan con "Guardar Configuración".
+ */
+
+import {
+    LocaleNames,
+    FEEDBACK_STATES,
+    DEFAULT_EMOJIS,
+    normalizeLocale,
+    normalizeCustomMessages,
+    getLocaleMessages,
+    getUiTexts
+} from '../services/FeedbackMessages.js';
+
+class MessageEditor {
+    /**
+     * @param {Object} elements - { localeSelect, messageEditorRows }
+     * @param {Object} callbacks - { onPreview({ locale, customMessages }) }
+     */
+    constructor(elements, callbacks = {}) {
+        this.elements = elements;
+        this.callbacks = callbacks;
+        this.fields = {};
+
+        elements.localeSelect.replaceChildren(...Object.entries(LocaleNames).map(([locale, name]) => {
+            const option = document.createElement('option');
+            option.value = locale;
+            option.textContent = name;
+            return option;
+        }));
+
+        elements.messageEditorRows.replaceChildren(...FEEDBACK_STATES.map(state => this.createRow(state)));
+        this.renderLocaleTexts();
+
+        this.bindEvents();
+    }
+
+    /**
+     * Configura los event listeners del editor
+     * @private
+     */
+    bindEvents() {
+        const { localeSelect, messageEditorRows } = this.elements;
+
+        localeSelect.addEventListener('change', () => {
+            this.renderLocaleTexts();
+            this.notifyPreview();
+        });
+        messageEditorRows.addEventListener('input', () => this.notifyPreview());
+    }
+
+    /**
+     * Crea la fila de un estado (emoji y mensajes)
+     * @private
+     */
+    createRow(state) {
+        const row = document.createElement('div');
+        row.className = 'message-row';
+
+        const label = document.createElement('label');
+        label.className = 'message-row-label';
+        label.htmlFor = `messages-${state}`;
+
+        const emoji = document.createElement('input');
+        emoji.type = 'text';
+        emoji.className = 'message-emoji';
+        emoji.maxLength = 8;
+        emoji.placeholder = DEFAULT_EMOJIS[state];
+
+        const messages = document.createElement('textarea');
+        messages.id = `messages-${state}`;
+        messages.className = 'message-text';
+        messages.rows = 2;
+
+        const fields = document.createElement('div');
+        fields.className = 'message-row-fields';
+        fields.append(emoji, messages);
+
+        row.append(label, fields);
+        this.fields[state] = { label, emoji, messages };
+        return row;
+    }
+
+    /**
+     * Rellena el idioma y los mensajes del alumno activo
+     * @param {Object} feedback - { locale, customMessages }
+     */
+    render({ locale, customMessages } = {}) {
+        const custom = normalizeCustomMessages(customMessages);
+
+        this.elements.localeSelect.value = normalizeLocale(locale);
+        FEEDBACK_STATES.forEach(state => {
+            const entry = custom[state] || { messages: [], emoji: '' };
+            this.fields[state].emoji.value = entry.emoji;
+            this.fields[state].messages.value = entry.messages.join('\n');
+        });
+
+        this.renderLocaleTexts();
+    }
+
+    /**
+     * Idioma y mensajes tal como están en el formulario
+     * @returns {Object} - { locale, customMessages } (normalizados)
+     */
+    getValue() {
+        const customMessages = {};
+        FEEDBACK_STATES.forEach(state => {
+            customMessages[state] = {
+                messages: this.fields[state].messages.value.split('\n'),
+                emoji: this.fields[state].emoji.value
+            };
+        });
+
+        return {
+            locale: normalizeLocale(this.elements.localeSelect.value),
+            customMessages: normalizeCustomMessages(customMessages)
+        };
+    }
+
+    /**
+     * Nombres de los estados y sugerencias con los mensajes del idioma elegido
+     * @private
+     */
+    renderLocaleTexts() {
+        const locale = this.elements.localeSelect.value;
+        const { stateNames } = getUiTexts(locale);
+
+        FEEDBACK_STATES.forEach(state => {
+            const { label, emoji, messages } = this.fields[state];
+
+            label.textContent = stateNames[state];
+            emoji.setAttribute('aria-label', `Emoji: ${stateNames[state]}`);
+            messages.placeholder = getLocaleMessages(state, locale).join('\n');
+        });
+    }
+
+    /**
+     * @private
+     */
+    notifyPreview() {
+        if (this.callbacks.onPreview) {
+            this.callbacks.onPreview(this.getValue());
+        }
+    }
+}
+
+export default MessageEditor;
@@ -0,0 +1,116 @@
+/**
+ * NoiseMeter Component
+ *
+ * Medidor grande del ruido de la clase para el modo aula: una barra con las
+ * zonas silencio / bien / demasiado ruido (del ancho que marcan los umbrales),
+ * una aguja con el nivel medio y el nombre de la zona actual en grande.
+ * Componente "tonto": app.js le pasa el nivel, los umbrales, el estado y los
+ * textos del idioma.
+ */
+
+import { NoiseZones, ZoneInfo, getNoiseZone } from '../services/ClassroomMode.js';
+import { DEFAULT_LOCALE, getUiTexts } from '../services/FeedbackMessages.js';
+
+class NoiseMeter {
+    /**
+     * @param {Object} elements - { noiseMeter, noiseMeterClass, noiseMeterTrack, noiseMeterNeedle, noiseMeterZone, noiseMeterLevel }
+     */
+    constructor(elements) {
+        this.elements = elements;
+        this.zone = null;
+
+        // Un tramo de la barra por zona, de menos a más ruido
+        this.segments = {};
+        [NoiseZones.QUIET, NoiseZones.OK, NoiseZones.LOUD].forEach(zone => {
+            const segment = document.createElement('div');
+            segment.className = `noise-zone noise-zone-${zone}`;
+            this.segments[zone] = segment;
+        });
+        elements.noiseMeterTrack.prepend(...Object.values(this.segments));
+
+        this.setTexts(getUiTexts(DEFAULT_LOCALE));
+        this.setZone(null);
+    }
+
+    /**
+     * Nombres de las zonas en el idioma de la interfaz
+     * @param {Object} texts - Textos de getUiTexts
+     */
+    setTexts(texts) {
+        this.texts = texts;
+
+        Object.entries(this.segments).forEach(([zone, segment]) => {
+            segment.textContent = this.getZoneLabel(zone);
+        });
+        if (this.zone) {
+            this.elements.noiseMeterZone.textContent = this.getZoneLabel(this.zone);
+        }
+    }
+
+    /**
+     * Muestra u oculta el medidor
+     * @param {boolean} visible
+     */
+    setVisible(visible) {
+        this.elements.noiseMeter.hidden = !visible;
+    }
+
+    /**
+     * Ajusta el ancho de cada zona a los umbrales
+     * @param {Object} thresholds - { lower, upper } niveles 0-100
+     */
+    setThresholds({ lower, upper }) {
+        this.segments[NoiseZones.QUIET].style.width = `${lower}%`;
+        this.segments[NoiseZones.OK].style.width = `${upper - lower}%`;
+        this.segments[NoiseZones.LOUD].style.width = `${100 - upper}%`;
+    }
+
+    /**
+     * Texto de la clase y el periodo sobre el medidor
+     * @param {string} label - Vacío para ocultarlo
+     */
+    setClassLabel(label) {
+        this.elements.noiseMeterClass.textContent = label;
+        this.elements.noiseMeterClass.hidden = !label;
+    }
+
+    /**
+     * Resalta la zona del estado actual
+     * @param {string|null} state - Valor de States (null = sin estado todavía)
+     */
+    setZone(state) {
+        const zone = getNoiseZone(state);
+        if (zone === this.zone) return;
+
+        this.zone = zone;
+        this.elements.noiseMeter.dataset.zone = zone;
+        this.elements.noiseMeterZone.textContent = this.getZoneLabel(zone);
+
+        Object.entries(this.segments).forEach(([segmentZone, segment]) => {
+            segment.classList.toggle('active', segmentZone === zone);
+        });
+    }
+
+    /**
+     * Mueve la aguja al nivel medio
+     * @param {number} level - Nivel 0-100
+     * @param {string} readout - Lectura en dB para mostrar bajo el medidor
+     */
+    render(level, readout) {
+        const { noiseMeterTrack, noiseMeterNeedle, noiseMeterLevel } = this.elements;
+        const position = Math.min(100, Math.max(0, level));
+
+        noiseMeterNeedle.style.left = `${position}%`;
+        noiseMeterTrack.setAttribute('aria-valuenow', Math.round(position));
+        noiseMeterLevel.textContent = readout;
+    }
+
+    /**
+     * @private
+     */
+    getZoneLabel(zone) {
+        return `${ZoneInfo[zone].emoji} ${this.texts.noiseZones[zone].label}`;
+    }
+}
+
+export default NoiseMeter;
@@ -0,0 +1,67 @@
+/**
+ * NoticeBanner Component
+ *
+ * Aviso no bloqueante en la parte superior de la pantalla para errores y
+ * advertencias recuperables (y confirmaciones breves), con una acción opcional
+ * (p. ej. "Reintentar").
+ */
+
+const NoticeTypes = {
+    ERROR: 'error',
+    WARNING: 'warning',
+    INFO: 'info'
+};
+
+class NoticeBanner {
+    /**
+     * @param {Object} elements - { noticeBanner, noticeMessage, noticeActionBtn, noticeCloseBtn }
+     */
+    constructor(elements) {
+        this.elements = elements;
+        this.action = null;
+
+        this.bindEvents();
+    }
+
+    /**
+     * Configura los event listeners del aviso
+     * @private
+     */
+    bindEvents() {
+        const { noticeActionBtn, noticeCloseBtn } = this.elements;
+
+        noticeActionBtn.addEventListener('click', () => {
+            const action = this.action;
+            this.hide();
+            if (action) action.onAction();
+        });
+        noticeCloseBtn.addEventListener('click', () => this.hide());
+    }
+
+    /**
+     * Muestra un aviso (sustituye al anterior)
+     * @param {string} message - Texto del aviso
+     * @param {Object} options - { type, action: { label, onAction } }
+     */
+    show(message, { type = NoticeTypes.ERROR, action = null } = {}) {
+        const { noticeBanner, noticeMessage, noticeActionBtn } = this.elements;
+
+        this.action = action;
+        noticeMessage.textContent = message;
+        noticeActionBtn.textContent = action ? action.label : '';
+        noticeActionBtn.hidden = !action;
+
+        noticeBanner.className = `notice-banner notice-${type}`;
+        noticeBanner.hidden = false;
+    }
+
+    /**
+     * Oculta el aviso
+     */
+    hide() {
+        this.action = null;
+        this.elements.noticeBanner.hidden = true;
+    }
+}
+
+export { NoticeBanner, NoticeTypes };
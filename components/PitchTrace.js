@@ -0,0 +1,140 @@
+/**
+ * PitchTrace Component
+ *
+ * Traza del tono de voz de los últimos segundos en la pantalla principal
+ * (canvas), con la zona de entonación actual, el tono y su variación.
+ * Componente "tonto": app.js le pasa la traza, la lectura de PitchTracker y los
+ * textos del idioma.
+ */
+
+import { PitchZones, PitchZoneInfo, semitonesToHz } from '../services/PitchTracker.js';
+import { DEFAULT_LOCALE, getUiTexts } from '../services/FeedbackMessages.js';
+
+// Márgenes interiores del área de dibujo (px)
+const PADDING = { top: 8, right: 8, bottom: 8, left: 8 };
+
+// Alto mínimo de la escala en semitonos (una octava): una voz plana se ve plana
+const MIN_SPAN_SEMITONES = 12;
+
+// Color de la traza según la zona de entonación
+const ZoneColors = {
+    [PitchZones.NONE]: '#9ca3af',
+    [PitchZones.FLAT]: '#3b82f6',
+    [PitchZones.VARIED]: '#10b981',
+    [PitchZones.WIDE]: '#f59e0b'
+};
+
+class PitchTrace {
+    /**
+     * @param {Object} elements - { pitchPanel, pitchTraceCanvas, pitchZone, pitchValue }
+     */
+    constructor(elements) {
+        this.elements = elements;
+        this.zone = null;
+        this.texts = getUiTexts(DEFAULT_LOCALE);
+    }
+
+    /**
+     * Nombres de las zonas en el idioma de la interfaz (se ven en el siguiente render)
+     * @param {Object} texts - Textos de getUiTexts
+     */
+    setTexts(texts) {
+        this.texts = texts;
+        this.zone = null;
+    }
+
+    /**
+     * Muestra u oculta la traza
+     * @param {boolean} visible
+     */
+    setVisible(visible) {
+        this.elements.pitchPanel.hidden = !visible;
+    }
+
+    /**
+     * Dibuja la traza y la lectura actual
+     * @param {Array} trace - [{ timestamp, semitones }] de PitchTracker.getTrace
+     * @param {Object} reading - { pitch (Hz), variation (semitonos o null), zone }
+     */
+    render(trace, { pitch, variation, zone }) {
+        const { pitchZone, pitchValue } = this.elements;
+
+        if (zone !== this.zone) {
+            this.zone = zone;
+            this.elements.pitchPanel.dataset.zone = zone;
+            pitchZone.textContent = `${PitchZoneInfo[zone].emoji} ${this.texts.pitchZones[zone]}`;
+        }
+
+        pitchValue.textContent = [
+            pitch > 0 ? `${Math.round(pitch)} Hz` : '',
+            variation === null ? '' : `±${variation.toFixed(1)} st`
+        ].filter(Boolean).join(' · ');
+
+        this.draw(trace, ZoneColors[zone]);
+    }
+
+    /**
+     * @private
+     */
+    draw(trace, color) {
+        const canvas = this.elements.pitchTraceCanvas;
+        const ctx = canvas.getContext('2d');
+
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+        const voiced = trace.filter(point => point.semitones !== null);
+        if (voiced.length < 2) return;
+
+        // Escala vertical alrededor de los tonos de la traza
+        const values = voiced.map(point => point.semitones);
+        const center = (Math.min(...values) + Math.max(...values)) / 2;
+        const span = Math.max(MIN_SPAN_SEMITONES, Math.max(...values) - Math.min(...values) + 2);
+        const bottom = center - span / 2;
+
+        const plotWidth = canvas.width - PADDING.left - PADDING.right;
+        const plotHeight = canvas.height - PADDING.top - PADDING.bottom;
+        const start = trace[0].timestamp;
+        const duration = Math.max(1, trace[trace.length - 1].timestamp - start);
+
+        const toX = (timestamp) => PADDING.left + plotWidth * ((timestamp - start) / duration);
+        const toY = (semitones) => PADDING.top + plotHeight * (1 - (semitones - bottom) / span);
+
+        // Línea de referencia en el tono medio de la traza
+        ctx.strokeStyle = 'rgba(0, 0, 0, 0.1)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(PADDING.left, toY(center));
+        ctx.lineTo(canvas.width - PADDING.right, toY(center));
+        ctx.stroke();
+
+        // Tramos con voz (los bloques sin voz cortan la línea)
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 3;
+        ctx.lineJoin = 'round';
+        ctx.beginPath();
+
+        let drawing = false;
+        trace.forEach(({ timestamp, semitones }) => {
+            if (semitones === null) {
+                drawing = false;
+                return;
+            }
+
+            if (drawing) {
+                ctx.lineTo(toX(timestamp), toY(semitones));
+            } else {
+                ctx.moveTo(toX(timestamp), toY(semitones));
+                drawing = true;
+            }
+        });
+        ctx.stroke();
+
+        // Tono del centro de la escala como referencia
+        ctx.fillStyle = '#6b7280';
+        ctx.font = '11px Inter';
+        ctx.textAlign = 'left';
+        ctx.fillText(`${Math.round(semitonesToHz(center))} Hz`, PADDING.left, toY(center) - 4);
+    }
+}
+
+export default PitchTrace;
@@ -0,0 +1,258 @@
+/**
+ * ProgressDashboard Component
+ *
+ * Modal con la evolución del alumno para familias y equipos de apoyo: una
+ * métrica por días o semanas con su media móvil, los cambios de umbrales
+ * (para no confundir progreso con umbrales más fáciles) y la comparación
+ * entre alumnos.
+ * No accede al almacenamiento: recibe los datos ya preparados por app.js.
+ */
+
+import { StudentFilter } from '../services/HistoryQuery.js';
+import { TrendMetrics, TrendPeriods, getTrendChange, getPeriodIndex } from '../services/ProgressTrends.js';
+import { formatTime, formatDate, formatDateTime } from '../utils/formatters.js';
+import TrendChart from './TrendChart.js';
+
+// Cómo se muestra cada métrica: valor, cambio y borde superior del gráfico
+const MetricFormats = {
+    [TrendMetrics.SUCCESS_RATE]: {
+        formatValue: value => `${Math.round(value)}%`,
+        formatChange: change => `${formatSign(change)}${Math.abs(Math.round(change))} puntos`,
+        getMaxValue: () => 100
+    },
+    [TrendMetrics.GREEN_TIME]: {
+        formatValue: value => formatTime(value),
+        formatChange: change => `${formatSign(change)}${formatTime(Math.abs(change))}`,
+        // Minutos enteros por encima del periodo con más tiempo
+        getMaxValue: values => Math.max(60, Math.ceil(Math.max(...values) * 1.1 / 60) * 60)
+    },
+    [TrendMetrics.CONSISTENCY]: {
+        formatValue: value => `${Math.round(value)}%`,
+        formatChange: change => `${formatSign(change)}${Math.abs(Math.round(change))} puntos`,
+        getMaxValue: () => 100
+    }
+};
+
+// Ventana de la media móvil en texto
+const WindowLabels = {
+    [TrendPeriods.DAY]: size => `los últimos ${size} días`,
+    [TrendPeriods.WEEK]: size => `las últimas ${size} semanas`
+};
+
+class ProgressDashboard {
+    /**
+     * @param {Object} elements - Referencias DOM del modal de progreso
+     * @param {Object} callbacks - { onQueryChange, onBackToHistory }
+     */
+    constructor(elements, callbacks = {}) {
+        this.elements = elements;
+        this.callbacks = callbacks;
+        this.chart = new TrendChart(elements.progressChart);
+
+        this.bindEvents();
+    }
+
+    /**
+     * Configura los event listeners del modal
+     * @private
+     */
+    bindEvents() {
+        const {
+            progressModal,
+            closeProgress,
+            progressBackBtn,
+            progressStudent,
+            progressMetric,
+            progressPeriod
+        } = this.elements;
+
+        closeProgress.addEventListener('click', () => this.hide());
+        progressBackBtn.addEventListener('click', () => this.invoke('onBackToHistory'));
+
+        progressModal.addEventListener('click', (e) => {
+            if (e.target === progressModal) {
+                this.hide();
+            }
+        });
+
+        [progressStudent, progressMetric, progressPeriod].forEach(control => {
+            control.addEventListener('change', () => this.invoke('onQueryChange', this.getQuery()));
+        });
+    }
+
+    /**
+     * Devuelve el alumno, la métrica y el periodo seleccionados
+     * @returns {Object} - { student, metric, period }
+     */
+    getQuery() {
+        return {
+            student: this.elements.progressStudent.value,
+            metric: this.elements.progressMetric.value,
+            period: this.elements.progressPeriod.value
+        };
+    }
+
+    /**
+     * Muestra el modal
+     */
+    show() {
+        this.elements.progressModal.classList.add('active');
+    }
+
+    /**
+     * Oculta el modal
+     */
+    hide() {
+        this.elements.progressModal.classList.remove('active');
+    }
+
+    /**
+     * Pinta las opciones del filtro de alumno conservando la selección si sigue existiendo
+     * @param {Array} students - Alumnos del roster
+     */
+    renderStudentOptions(students) {
+        const select = this.elements.progressStudent;
+        const previousValue = select.value || StudentFilter.ALL;
+
+        const options = [
+            this.createOption(StudentFilter.ALL, 'Todos'),
+            ...students.map(student => this.createOption(student.id, student.name)),
+            this.createOption(StudentFilter.NONE, 'Sin alumno')
+        ];
+
+        select.replaceChildren(...options);
+
+        const stillExists = options.some(option => option.value === previousValue);
+        select.value = stillExists ? previousValue : StudentFilter.ALL;
+    }
+
+    /**
+     * Pinta la evolución, los cambios de umbrales y la comparación entre alumnos
+     * @param {Object} data - { trend, changes, comparison, sessionCount }
+     *   trend: resultado de buildTrend con las sesiones del alumno elegido
+     *   changes: resultado de getThresholdChanges con esas mismas sesiones
+     *   comparison: resultado de compareStudents con todo el historial
+     */
+    render({ trend, changes, comparison, sessionCount }) {
+        const { elements } = this;
+        const { metric, period } = this.getQuery();
+        const format = MetricFormats[metric] || MetricFormats[TrendMetrics.SUCCESS_RATE];
+        const { points, windowSize } = trend;
+
+        const isEmpty = points.length === 0;
+        elements.progressEmpty.hidden = !isEmpty;
+        elements.progressEmpty.textContent = sessionCount === 0
+            ? 'Aún no hay sesiones para ver el progreso.'
+            : 'Estas sesiones no tienen datos de esta métrica (son anteriores a ella).';
+        elements.progressChart.hidden = isEmpty;
+
+        elements.progressSessionCount.textContent = sessionCount;
+        elements.progressLatestAverage.textContent = isEmpty
+            ? '—'
+            : format.formatValue(points[points.length - 1].movingAverage);
+
+        const change = getTrendChange(points);
+        elements.progressTrendChange.textContent = change === null ? '—' : format.formatChange(change);
+
+        const windowLabel = WindowLabels[period] || WindowLabels[TrendPeriods.WEEK];
+        elements.progressAverageInfo.textContent = `La línea verde es la media de ${windowLabel(windowSize)}; las marcas amarillas, cambios de umbrales.`;
+
+        if (!isEmpty) {
+            this.chart.draw({
+                points,
+                markers: changes.map(thresholdChange => getPeriodIndex(thresholdChange.time, period)),
+                maxValue: format.getMaxValue(points.map(point => point.value)),
+                formatValue: format.formatValue,
+                formatPeriod: formatDate
+            });
+        }
+
+        this.renderThresholdChanges(changes);
+        this.renderComparison(comparison);
+    }
+
+    /**
+     * Lista de cambios de umbrales
+     * @private
+     */
+    renderThresholdChanges(changes) {
+        const { progressChanges, progressChangesEmpty } = this.elements;
+
+        progressChangesEmpty.hidden = changes.length > 0;
+        progressChanges.replaceChildren(...changes.map(thresholdChange => {
+            const item = document.createElement('li');
+            item.textContent = [
+                formatDateTime(thresholdChange.time),
+                thresholdChange.studentName,
+                `${formatThresholds(thresholdChange.from)} → ${formatThresholds(thresholdChange.to)}`
+            ].filter(Boolean).join(' · ');
+            return item;
+        }));
+    }
+
+    /**
+     * Tabla de comparación entre alumnos
+     * @private
+     */
+    renderComparison(comparison) {
+        const rows = comparison.map(student => {
+            const row = document.createElement('tr');
+            [
+                student.studentName || 'Sin alumno',
+                student.sessionCount,
+                `${Math.round(student.averageSuccess)}%`,
+                student.firstSuccess === null ? '—' : `${Math.round(student.firstSuccess)}%`,
+                student.recentSuccess === null ? '—' : `${Math.round(student.recentSuccess)}%`,
+                student.change === null ? '—' : MetricFormats[TrendMetrics.SUCCESS_RATE].formatChange(student.change)
+            ].forEach(value => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                row.appendChild(cell);
+            });
+            return row;
+        });
+
+        this.elements.progressComparison.replaceChildren(...rows);
+    }
+
+    /**
+     * Crea una opción de select
+     * @private
+     */
+    createOption(value, label) {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        return option;
+    }
+
+    /**
+     * Ejecuta un callback si está registrado
+     * @private
+     */
+    invoke(callbackName, payload) {
+        const callback = this.callbacks[callbackName];
+        if (callback) {
+            callback(payload);
+        }
+    }
+}
+
+/**
+ * Umbrales como rango de nivel (p. ej. "25–75, aviso 5")
+ * @private
+ */
+function formatThresholds({ lowerThreshold, upperThreshold, warningBandWidth = 0 }) {
+    const range = `${lowerThreshold}–${upperThreshold}`;
+    return warningBandWidth > 0 ? `${range}, aviso ${warningBandWidth}` : range;
+}
+
+/**
+ * @private
+ */
+function formatSign(value) {
+    if (Math.round(value) === 0) return '';
+    return value > 0 ? '+' : '−';
+}
+
+export default ProgressDashboard;
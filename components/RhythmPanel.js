@@ -0,0 +1,69 @@
+/**
+ * RhythmPanel Component
+ *
+ * Ritmo del habla en la pantalla principal: la zona de velocidad (muy despacio,
+ * buen ritmo, muy rápido), las sílabas por segundo de los últimos segundos y
+ * las pausas de la sesión.
+ * Componente "tonto": app.js le pasa la lectura de SessionTracker.getRhythmProgress
+ * y los textos del idioma.
+ */
+
+import { RhythmZoneInfo } from '../services/SpeechRhythm.js';
+import { DEFAULT_LOCALE, getUiTexts } from '../services/FeedbackMessages.js';
+
+class RhythmPanel {
+    /**
+     * @param {Object} elements - { rhythmPanel, rhythmZone, rhythmRate, rhythmPauses }
+     */
+    constructor(elements) {
+        this.elements = elements;
+        this.texts = getUiTexts(DEFAULT_LOCALE);
+    }
+
+    /**
+     * Textos en el idioma de la interfaz (se ven en el siguiente render)
+     * @param {Object} texts - Textos de getUiTexts
+     */
+    setTexts(texts) {
+        this.texts = texts;
+    }
+
+    /**
+     * Muestra u oculta el panel
+     * @param {boolean} visible
+     */
+    setVisible(visible) {
+        this.elements.rhythmPanel.hidden = !visible;
+    }
+
+    /**
+     * Pinta la velocidad y las pausas
+     * @param {Object|null} progress - { rate, pauseCount, longPauseCount } (null = sin sesión)
+     * @param {string} zone - Valor de RhythmZones para la velocidad
+     */
+    render(progress, zone) {
+        const { rhythmPanel, rhythmZone, rhythmRate, rhythmPauses } = this.elements;
+        const { texts } = this;
+        const { label, message } = texts.rhythmZones[zone];
+
+        rhythmPanel.dataset.zone = zone;
+        rhythmZone.textContent = `${RhythmZoneInfo[zone].emoji} ${label}`;
+        rhythmZone.title = message;
+
+        if (!progress) {
+            rhythmRate.textContent = '';
+            rhythmPauses.textContent = '';
+            return;
+        }
+
+        const { rate, pauseCount, longPauseCount } = progress;
+
+        rhythmRate.textContent = rate === null ? '' : `${rate.toFixed(1)} ${texts.syllablesPerSecond}`;
+        rhythmPauses.textContent = [
+            `${pauseCount} ${pauseCount === 1 ? texts.pauseOne : texts.pauseMany}`,
+            longPauseCount > 0 ? `(${longPauseCount} ${longPauseCount === 1 ? texts.longPauseOne : texts.longPauseMany})` : ''
+        ].filter(Boolean).join(' ');
+    }
+}
+
+export default RhythmPanel;
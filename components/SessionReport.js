@@ -0,0 +1,203 @@
+/**
+ * SessionReport Component
+ *
+ * Informe imprimible de una página (métricas, gráficos y tabla de sesiones).
+ * Se genera en el navegador y se imprime con el diálogo del sistema, que
+ * permite guardarlo como PDF. En pantalla el contenedor está oculto (ver styles.css).
+ */
+
+import { StateChart } from './StateChart.js';
+import TimelineChart from './TimelineChart.js';
+import { getSuccessRate, getStateDurations, getSessionLabel } from '../services/HistoryQuery.js';
+import { formatTime, formatDateTime } from '../utils/formatters.js';
+
+// Filas de la tabla de sesiones que caben en una página
+const MAX_TABLE_ROWS = 15;
+
+class SessionReport {
+    /**
+     * @param {HTMLElement} container - Contenedor del informe (#printReport)
+     */
+    constructor(container) {
+        this.container = container;
+    }
+
+    /**
+     * Genera el informe de las sesiones y abre el diálogo de impresión
+     * @param {Array} sessions - Sesiones a incluir (al menos una)
+     */
+    print(sessions) {
+        this.render(sessions);
+        window.print();
+    }
+
+    /**
+     * Rellena el contenedor con el informe
+     * @private
+     */
+    render(sessions) {
+        const ordered = [...sessions].sort((a, b) => a.startTime - b.startTime);
+
+        const title = document.createElement('h1');
+        title.textContent = 'Informe de Eco-Logro';
+
+        const subtitle = document.createElement('p');
+        subtitle.className = 'print-report-subtitle';
+        subtitle.textContent = [
+            getStudentNames(ordered),
+            getPeriodLabel(ordered),
+            `Generado el ${formatDateTime(Date.now())}`
+        ].filter(Boolean).join(' · ');
+
+        this.container.replaceChildren(
+            title,
+            subtitle,
+            this.createMetrics(ordered),
+            ...this.createCharts(ordered),
+            this.createTable(ordered)
+        );
+    }
+
+    /**
+     * Métricas agregadas de las sesiones
+     * @private
+     */
+    createMetrics(sessions) {
+        const totalTime = sessions.reduce((sum, s) => sum + (s.totalDuration || 0), 0);
+        const greenTime = sessions.reduce((sum, s) => sum + (s.greenZoneTime || 0), 0);
+        const averageSuccess = Math.round(sessions.reduce((sum, s) => sum + getSuccessRate(s), 0) / sessions.length);
+        const longestStreak = Math.max(0, ...sessions.map(s => s.longestGreenStreak || 0));
+        const dangerBursts = sessions.reduce((sum, s) => sum + (s.dangerBurstCount || 0), 0);
+
+        const metrics = [
+            ['Sesiones', sessions.length],
+            ['Tiempo total', formatTime(totalTime)],
+            ['Tiempo en verde', formatTime(greenTime)],
+            ['% de éxito medio', `${averageSuccess}%`],
+            ['Racha verde más larga', formatTime(longestStreak)],
+            ['Picos de volumen', dangerBursts]
+        ];
+
+        const list = document.createElement('dl');
+        list.className = 'print-report-metrics';
+
+        metrics.forEach(([label, value]) => {
+            const term = document.createElement('dt');
+            term.textContent = label;
+            const definition = document.createElement('dd');
+            definition.textContent = value;
+            list.append(term, definition);
+        });
+
+        return list;
+    }
+
+    /**
+     * Tiempo por estado de todas las sesiones y, con una sola sesión, su línea de tiempo
+     * @private
+     */
+    createCharts(sessions) {
+        const charts = [];
+
+        const [single] = sessions;
+        if (sessions.length === 1 && single.thresholds && (single.timeline || []).length > 1) {
+            const timelineCanvas = createCanvas(600, 180, 'Nivel de voz a lo largo de la sesión');
+            new TimelineChart(timelineCanvas).draw(single.timeline, single.thresholds);
+            charts.push(timelineCanvas);
+        }
+
+        const stateDurations = { SILENT: 0, LOW: 0, OPTIMAL: 0, WARNING: 0, DANGER: 0 };
+        sessions.forEach(session => {
+            const durations = getStateDurations(session);
+            Object.keys(stateDurations).forEach(state => {
+                stateDurations[state] += durations[state] || 0;
+            });
+        });
+
+        const stateCanvas = createCanvas(600, 180, 'Tiempo en cada estado');
+        new StateChart(stateCanvas).draw({ stateDurations });
+        charts.push(stateCanvas);
+
+        return charts;
+    }
+
+    /**
+     * Tabla con una fila por sesión (las más recientes si no caben)
+     * @private
+     */
+    createTable(sessions) {
+        const table = document.createElement('table');
+        table.className = 'print-report-table';
+
+        const headerRow = document.createElement('tr');
+        ['Fecha', 'Duración', 'En verde', 'Éxito', 'Racha más larga', 'Picos'].forEach(label => {
+            const cell = document.createElement('th');
+            cell.textContent = label;
+            headerRow.appendChild(cell);
+        });
+
+        const head = document.createElement('thead');
+        head.appendChild(headerRow);
+
+        const body = document.createElement('tbody');
+        sessions.slice(-MAX_TABLE_ROWS).forEach(session => {
+            const row = document.createElement('tr');
+            [
+                formatDateTime(session.startTime),
+                formatTime(session.totalDuration),
+                formatTime(session.greenZoneTime),
+                `${getSuccessRate(session)}%`,
+                session.longestGreenStreak === undefined ? '—' : formatTime(session.longestGreenStreak),
+                session.dangerBurstCount === undefined ? '—' : session.dangerBurstCount
+            ].forEach(value => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                row.appendChild(cell);
+            });
+            body.appendChild(row);
+        });
+
+        table.append(head, body);
+
+        if (sessions.length > MAX_TABLE_ROWS) {
+            const caption = document.createElement('caption');
+            caption.textContent = `Últimas ${MAX_TABLE_ROWS} de ${sessions.length} sesiones`;
+            table.prepend(caption);
+        }
+
+        return table;
+    }
+}
+
+/**
+ * @private
+ */
+function createCanvas(width, height, label) {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    canvas.setAttribute('aria-label', label);
+    return canvas;
+}
+
+/**
+ * Nombres de los alumnos (o de las clases) de las sesiones, sin repetir
+ * @private
+ */
+function getStudentNames(sessions) {
+    const names = [...new Set(sessions.map(getSessionLabel).filter(Boolean))];
+    return names.join(', ');
+}
+
+/**
+ * Fecha de la sesión o rango de fechas de las sesiones
+ * @private
+ */
+function getPeriodLabel(sessions) {
+    const first = formatDateTime(sessions[0].startTime);
+    if (sessions.length === 1) return first;
+
+    return `${first} – ${formatDateTime(sessions[sessions.length - 1].startTime)}`;
+}
+
+export default SessionReport;
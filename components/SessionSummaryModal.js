@@ -0,0 +1,355 @@
+/**
+ * SessionSummaryModal Component
+ *
+ * Modal con el resumen de una sesión (métricas, línea de tiempo y tiempo por estado).
+ * Se usa al finalizar la sesión en curso ("live") y al consultar
+ * una sesión antigua desde el historial ("review").
+ * Los textos de las métricas salen del idioma de la interfaz (setTexts).
+ */
+
+import { StateChart } from './StateChart.js';
+import TimelineChart from './TimelineChart.js';
+import ExportMenu from './ExportMenu.js';
+import { getSuccessRate, getSourceLabel, getSessionLabel } from '../services/HistoryQuery.js';
+import { getPauseBucketLabels } from '../services/SpeechRhythm.js';
+import { DEFAULT_LOCALE, getUiTexts, formatText } from '../services/FeedbackMessages.js';
+import { formatTime, formatDateTime, formatCount } from '../utils/formatters.js';
+
+const SummaryModes = {
+    LIVE: 'live',
+    REVIEW: 'review'
+};
+
+class SessionSummaryModal {
+    /**
+     * @param {Object} elements - Referencias DOM del modal
+     * @param {Object} callbacks - { onNewSession, onViewHistory, onBackToHistory, onExport }
+     */
+    constructor(elements, callbacks = {}) {
+        this.elements = elements;
+        this.callbacks = callbacks;
+        this.mode = SummaryModes.LIVE;
+        this.summary = null;
+        this.texts = getUiTexts(DEFAULT_LOCALE);
+        this.chart = new StateChart(elements.summaryChart);
+        this.timelineChart = new TimelineChart(elements.summaryTimeline);
+        this.exportMenu = new ExportMenu(elements.summaryExportMenu, {
+            onExport: (format) => this.invoke('onExport', { format, sessions: [this.summary] })
+        });
+
+        this.bindEvents();
+    }
+
+    /**
+     * Configura los event listeners del modal
+     * @private
+     */
+    bindEvents() {
+        const { sessionModal, closeModal, newSessionBtn, viewHistoryBtn } = this.elements;
+
+        closeModal.addEventListener('click', () => this.handleClose());
+        newSessionBtn.addEventListener('click', () => this.invoke('onNewSession'));
+        viewHistoryBtn.addEventListener('click', () => {
+            const callbackName = this.mode === SummaryModes.REVIEW ? 'onBackToHistory' : 'onViewHistory';
+            this.invoke(callbackName);
+        });
+
+        // Cerrar modal al hacer click fuera
+        sessionModal.addEventListener('click', (e) => {
+            if (e.target === sessionModal) {
+                this.handleClose();
+            }
+        });
+    }
+
+    /**
+     * Textos en el idioma de la interfaz (se ven en el siguiente resumen)
+     * @param {Object} texts - Textos de getUiTexts
+     */
+    setTexts(texts) {
+        this.texts = texts;
+    }
+
+    /**
+     * Muestra el resumen de una sesión
+     * @param {Object} summary - Sesión a mostrar
+     * @param {string} mode - Valor de SummaryModes
+     */
+    show(summary, mode = SummaryModes.LIVE) {
+        this.mode = mode;
+        this.summary = summary;
+        this.render(summary);
+        this.elements.sessionModal.classList.add('active');
+    }
+
+    /**
+     * Oculta el modal
+     */
+    hide() {
+        this.elements.sessionModal.classList.remove('active');
+    }
+
+    /**
+     * Rellena métricas, cabecera y botones según el modo
+     * @private
+     */
+    render(summary) {
+        const isReview = this.mode === SummaryModes.REVIEW;
+        const { elements, texts } = this;
+
+        const subtitle = [isReview ? formatDateTime(summary.startTime) : '', getSessionLabel(summary), getSourceLabel(summary)]
+            .filter(Boolean)
+            .join(' · ');
+        elements.summaryDate.textContent = subtitle;
+        elements.summaryDate.hidden = !subtitle;
+
+        elements.summaryTotalTime.textContent = formatTime(summary.totalDuration);
+        elements.summaryGreenTime.textContent = formatTime(summary.greenZoneTime);
+        elements.summaryWarningTime.textContent = formatWarningTime(summary, texts);
+        elements.summarySpeakingTime.textContent = summary.speakingTime === undefined ? '—' : formatTime(summary.speakingTime);
+        elements.summarySuccess.textContent = `${getSuccessRate(summary)}%`;
+        elements.summaryPeak.textContent = formatPeak(summary);
+        elements.summaryConsistency.textContent = `${summary.consistencyScore}%`;
+        this.renderTherapyMetrics(summary);
+        this.renderPitchMetrics(summary);
+        this.renderRhythmMetrics(summary);
+        this.renderPhases(summary);
+        this.renderGoals(summary);
+
+        // En revisión no se puede iniciar una sesión nueva desde aquí
+        elements.newSessionBtn.hidden = isReview;
+        elements.viewHistoryBtn.textContent = isReview ? texts.backToHistory : texts.viewHistory;
+
+        this.chart.draw(summary, texts.stateNames);
+        this.renderTimeline(summary);
+    }
+
+    /**
+     * Rachas, tiempo hasta verde, picos, silencios y variabilidad
+     * Las sesiones anteriores a estas métricas muestran "—".
+     * @private
+     */
+    renderTherapyMetrics(summary) {
+        const { elements, texts } = this;
+
+        if (summary.longestGreenStreak === undefined) {
+            [
+                elements.summaryLongestStreak,
+                elements.summaryTimeToGreen,
+                elements.summaryDangerBursts,
+                elements.summarySilenceGaps,
+                elements.summaryVariability
+            ].forEach(element => {
+                element.textContent = '—';
+            });
+            return;
+        }
+
+        elements.summaryLongestStreak.textContent = summary.greenStreakCount > 0
+            ? formatText(texts.streakWithAverage, {
+                longest: formatTime(summary.longestGreenStreak),
+                average: formatTime(summary.averageGreenStreak)
+            })
+            : '—';
+        elements.summaryTimeToGreen.textContent = summary.timeToGreen === null ? texts.neverGreen : formatTime(summary.timeToGreen);
+        elements.summaryDangerBursts.textContent = summary.dangerBurstCount > 0
+            ? formatText(texts.burstsWithLongest, {
+                count: summary.dangerBurstCount,
+                longest: formatTime(summary.longestDangerBurst)
+            })
+            : '0';
+        elements.summarySilenceGaps.textContent = summary.silenceGapCount.toString();
+        elements.summaryVariability.textContent = `±${Math.sqrt(summary.levelVariance).toFixed(1)} dB`;
+    }
+
+    /**
+     * Tono medio, rango y variación del tono
+     * Las sesiones anteriores al seguimiento del tono (o sin voz) muestran "—".
+     * @private
+     */
+    renderPitchMetrics(summary) {
+        const { summaryPitchMean, summaryPitchRange, summaryPitchVariability } = this.elements;
+        const hasPitch = typeof summary.pitchMean === 'number';
+
+        summaryPitchMean.textContent = hasPitch ? `${summary.pitchMean} Hz` : '—';
+        summaryPitchRange.textContent = hasPitch
+            ? `${summary.pitchRange} st (${summary.pitchLow}-${summary.pitchHigh} Hz)`
+            : '—';
+        summaryPitchVariability.textContent = hasPitch
+            ? [`±${summary.pitchVariability} st`, formatPitchZones(summary.pitchZones, this.texts)].filter(Boolean).join(' · ')
+            : '—';
+    }
+
+    /**
+     * Velocidad del habla, pausas y cuántas hay de cada duración
+     * Las sesiones anteriores al ritmo del habla muestran "—".
+     * @private
+     */
+    renderRhythmMetrics(summary) {
+        const { summarySpeechRate, summaryPauses, summaryPauseDistribution } = this.elements;
+        const { texts } = this;
+
+        summarySpeechRate.textContent = typeof summary.articulationRate === 'number'
+            ? formatText(texts.speechRateWithPauses, {
+                articulation: summary.articulationRate,
+                unit: texts.syllablesPerSecond,
+                speech: summary.speechRate
+            })
+            : '—';
+
+        if (summary.pauseCount === undefined) {
+            summaryPauses.textContent = '—';
+        } else {
+            summaryPauses.textContent = summary.pauseCount > 0
+                ? formatText(texts.pausesDetail, {
+                    count: summary.pauseCount,
+                    long: formatCount(summary.longPauseCount, texts.longPauseOne, texts.longPauseMany),
+                    average: summary.averagePause,
+                    longest: summary.longestPause
+                })
+                : '0';
+        }
+
+        summaryPauseDistribution.textContent = summary.pauseCount > 0 && Array.isArray(summary.pauseDistribution)
+            ? getPauseBucketLabels(texts.pauseBucketOpen)
+                .map((label, index) => `${label}: ${summary.pauseDistribution[index]}`)
+                .join(' · ')
+            : '—';
+    }
+
+    /**
+     * Estadísticas de cada fase de habla del ejercicio guiado
+     * Se oculta si la sesión no era un ejercicio.
+     * @private
+     */
+    renderPhases(summary) {
+        const { summaryPhases, summaryExercise, summaryPhaseRows } = this.elements;
+        const { texts } = this;
+        const { exercise } = summary;
+
+        summaryPhases.hidden = !exercise;
+        if (!exercise) return;
+
+        summaryExercise.textContent = `📋 ${exercise.name} · ${exercise.completed ? texts.exerciseCompleted : texts.exerciseInterrupted}`;
+        summaryPhaseRows.replaceChildren(...(summary.phaseResults || []).map(phase => {
+            const streak = phase.greenTarget
+                ? `${phase.targetMet ? '✓' : '✗'} ${formatText(texts.amountOf, {
+                    done: formatTime(phase.longestGreenStreak),
+                    planned: formatTime(phase.greenTarget)
+                })}`
+                : formatTime(phase.longestGreenStreak);
+            const label = formatText(texts.phaseRound, { label: phase.label, round: phase.round });
+
+            const row = document.createElement('tr');
+            [
+                phase.interrupted ? `${label} · ${texts.phaseInterrupted}` : label,
+                formatText(texts.amountOf, {
+                    done: formatTime(phase.totalDuration),
+                    planned: formatTime(phase.plannedDuration)
+                }),
+                formatTime(phase.greenZoneTime),
+                `${getSuccessRate(phase)}%`,
+                phase.dropCount.toString(),
+                streak
+            ].forEach(text => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+            return row;
+        }));
+    }
+
+    /**
+     * Objetivos del alumno cumplidos (✓) o no (✗) en la sesión
+     * Se oculta si la sesión no tenía objetivos.
+     * @private
+     */
+    renderGoals(summary) {
+        const { summaryGoals, summaryGoalList } = this.elements;
+        const goalResults = summary.goalResults || [];
+
+        summaryGoals.hidden = goalResults.length === 0;
+        summaryGoalList.replaceChildren(...goalResults.map(result => {
+            const item = document.createElement('li');
+            item.textContent = `${result.met ? '✓' : '✗'} ${result.description}`;
+            return item;
+        }));
+    }
+
+    /**
+     * Dibuja el nivel a lo largo de la sesión con las zonas de los umbrales
+     * Las sesiones anteriores a la línea de tiempo no la muestran.
+     * @private
+     */
+    renderTimeline(summary) {
+        const { summaryTimeline } = this.elements;
+        const hasTimeline = Boolean(summary.thresholds) && (summary.timeline || []).length > 1;
+
+        summaryTimeline.hidden = !hasTimeline;
+        if (hasTimeline) {
+            this.timelineChart.draw(summary.timeline, summary.thresholds);
+        }
+    }
+
+    /**
+     * Cierra el modal; en modo revisión vuelve al historial
+     * @private
+     */
+    handleClose() {
+        if (this.mode === SummaryModes.REVIEW) {
+            this.invoke('onBackToHistory');
+            return;
+        }
+
+        this.hide();
+    }
+
+    /**
+     * Ejecuta un callback si está registrado
+     * @private
+     */
+    invoke(callbackName, payload) {
+        const callback = this.callbacks[callbackName];
+        if (callback) {
+            callback(payload);
+        }
+    }
+}
+
+/**
+ * Tiempo en la banda de aviso y número de avisos
+ * Las sesiones anteriores a la banda de aviso no tienen estos campos.
+ * @private
+ */
+function formatWarningTime(summary, texts) {
+    const warnings = formatCount(summary.warningCount || 0, texts.warningOne, texts.warningMany);
+    return `${formatTime(summary.warningZoneTime || 0)} (${warnings})`;
+}
+
+/**
+ * Pico de la sesión en dB con su unidad
+ * Las sesiones anteriores a la medición en dB solo tienen el nivel 0-100.
+ * @private
+ */
+function formatPeak(summary) {
+    if (summary.peakDb === undefined) {
+        return `${summary.peakVolume}/100`;
+    }
+    return `${summary.peakDb} ${summary.levelUnit}`;
+}
+
+/**
+ * Parte del tiempo con voz en cada zona de entonación (p. ej. "plana 20%, variada 75%")
+ * Vacío si la sesión no seguía las zonas.
+ * @private
+ */
+function formatPitchZones(pitchZones, texts) {
+    if (!pitchZones) return '';
+
+    return Object.entries(pitchZones)
+        .map(([zone, percent]) => `${texts.pitchZones[zone].toLowerCase()} ${percent}%`)
+        .join(', ');
+}
+
+export { SessionSummaryModal, SummaryModes };
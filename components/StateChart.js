@@ -0,0 +1,73 @@
+/**
+ * StateChart Component
+ *
+ * Gráfico de barras (canvas) con el tiempo que pasó una sesión en cada estado.
+ * Componente "tonto": solo dibuja los datos que recibe.
+ */
+
+import { getStateDurations } from '../services/HistoryQuery.js';
+import { formatTime } from '../utils/formatters.js';
+
+// Colores por estado
+const StateColors = {
+    SILENT: '#333',
+    LOW: '#3B82F6',
+    OPTIMAL: '#10B981',
+    WARNING: '#FBBF24',
+    DANGER: '#EF4444'
+};
+
+class StateChart {
+    /**
+     * @param {HTMLCanvasElement} canvas - Canvas donde se dibuja el gráfico
+     */
+    constructor(canvas) {
+        this.canvas = canvas;
+    }
+
+    /**
+     * Dibuja el gráfico de resumen para la sesión indicada
+     * @param {Object} summary - Sesión con stateDurations (o stateHistory en sesiones antiguas)
+     * @param {Object|null} stateNames - Nombre de cada estado en el idioma (null = el identificador)
+     */
+    draw(summary, stateNames = null) {
+        const canvas = this.canvas;
+        const ctx = canvas.getContext('2d');
+
+        // Limpiar canvas
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+        // Segundos en cada estado
+        const durations = getStateDurations(summary);
+
+        // Dibujar barras
+        const states = Object.keys(StateColors);
+        const maxDuration = Math.max(...states.map(state => durations[state]), 1);
+        const barWidth = canvas.width / states.length - 20;
+        const maxBarHeight = canvas.height - 40;
+
+        states.forEach((state, index) => {
+            const seconds = durations[state];
+            const barHeight = (seconds / maxDuration) * maxBarHeight;
+            const x = index * (barWidth + 20) + 10;
+            const y = canvas.height - barHeight - 20;
+
+            // Barra
+            ctx.fillStyle = StateColors[state];
+            ctx.fillRect(x, y, barWidth, barHeight);
+
+            // Etiqueta
+            ctx.fillStyle = '#333';
+            ctx.font = '12px Inter';
+            ctx.textAlign = 'center';
+            ctx.fillText(stateNames ? stateNames[state] : state, x + barWidth / 2, canvas.height - 5);
+
+            // Valor
+            if (seconds > 0) {
+                ctx.fillText(formatTime(seconds), x + barWidth / 2, y - 5);
+            }
+        });
+    }
+}
+
+export { StateChart, StateColors };
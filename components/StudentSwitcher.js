@@ -0,0 +1,86 @@
+/**
+ * StudentSwitcher Component
+ *
+ * Selector rápido de alumno en la pantalla principal.
+ * Permite cambiar de alumno o añadir uno nuevo sin abrir la configuración.
+ */
+
+const ADD_STUDENT_VALUE = '__add__';
+const NO_STUDENT_VALUE = '';
+
+class StudentSwitcher {
+    /**
+     * @param {HTMLSelectElement} select - Elemento select del selector
+     * @param {Object} callbacks - { onSelectStudent, onAddStudent }
+     */
+    constructor(select, callbacks = {}) {
+        this.select = select;
+        this.callbacks = callbacks;
+        this.activeStudentId = null;
+
+        this.select.addEventListener('change', () => this.handleChange());
+    }
+
+    /**
+     * Pinta las opciones del selector
+     * @param {Array} students - Alumnos del roster
+     * @param {string|null} activeStudentId - Alumno seleccionado
+     */
+    render(students, activeStudentId) {
+        this.activeStudentId = activeStudentId;
+
+        const options = [
+            this.createOption(NO_STUDENT_VALUE, 'Sin alumno'),
+            ...students.map(student => this.createOption(student.id, student.name)),
+            this.createOption(ADD_STUDENT_VALUE, '➕ Añadir alumno…')
+        ];
+
+        this.select.replaceChildren(...options);
+        this.select.value = activeStudentId || NO_STUDENT_VALUE;
+    }
+
+    /**
+     * Crea una opción del select
+     * @private
+     */
+    createOption(value, label) {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        return option;
+    }
+
+    /**
+     * Gestiona el cambio de selección
+     * @private
+     */
+    handleChange() {
+        const value = this.select.value;
+
+        if (value !== ADD_STUDENT_VALUE) {
+            this.invoke('onSelectStudent', value || null);
+            return;
+        }
+
+        // Restaurar la selección previa mientras se pide el nombre
+        this.select.value = this.activeStudentId || NO_STUDENT_VALUE;
+
+        const name = prompt('Nombre del nuevo alumno:');
+        if (!name || !name.trim()) return;
+
+        this.invoke('onAddStudent', name.trim());
+    }
+
+    /**
+     * Ejecuta un callback si está registrado
+     * @private
+     */
+    invoke(callbackName, payload) {
+        const callback = this.callbacks[callbackName];
+        if (callback) {
+            callback(payload);
+        }
+    }
+}
+
+export default StudentSwitcher;
@@ -0,0 +1,85 @@
+/**
+ * TimelineChart Component
+ *
+ * Gráfico (canvas) del nivel de voz a lo largo del tiempo, con las zonas de
+ * los umbrales de fondo y cada tramo coloreado según su estado.
+ * Componente "tonto": solo dibuja los datos que recibe.
+ */
+
+import { StateColors } from './StateChart.js';
+import { formatTime } from '../utils/formatters.js';
+
+// Márgenes interiores del área de dibujo (px)
+const PADDING = { top: 10, right: 10, bottom: 22, left: 10 };
+
+// Colores de fondo de las zonas (bajo, verde, aviso, alto)
+const ZoneBackgrounds = {
+    low: 'rgba(59, 130, 246, 0.08)',
+    optimal: 'rgba(16, 185, 129, 0.12)',
+    warning: 'rgba(251, 191, 36, 0.15)',
+    high: 'rgba(239, 68, 68, 0.08)'
+};
+
+class TimelineChart {
+    /**
+     * @param {HTMLCanvasElement} canvas - Canvas donde se dibuja el gráfico
+     */
+    constructor(canvas) {
+        this.canvas = canvas;
+    }
+
+    /**
+     * Dibuja la línea de tiempo
+     * @param {Array} timeline - Muestras { time (s), level (0-100), state }
+     * @param {Object} thresholds - { lowerThreshold, upperThreshold, warningBandWidth }
+     */
+    draw(timeline, { lowerThreshold, upperThreshold, warningBandWidth = 0 }) {
+        const canvas = this.canvas;
+        const ctx = canvas.getContext('2d');
+
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+        const plotWidth = canvas.width - PADDING.left - PADDING.right;
+        const plotHeight = canvas.height - PADDING.top - PADDING.bottom;
+        const levelToY = (level) => PADDING.top + plotHeight * (1 - level / 100);
+
+        // Zonas de fondo (la banda de aviso ocupa la parte alta de la zona verde)
+        const warningFloor = upperThreshold - warningBandWidth;
+        ctx.fillStyle = ZoneBackgrounds.high;
+        ctx.fillRect(PADDING.left, levelToY(100), plotWidth, levelToY(upperThreshold) - levelToY(100));
+        ctx.fillStyle = ZoneBackgrounds.warning;
+        ctx.fillRect(PADDING.left, levelToY(upperThreshold), plotWidth, levelToY(warningFloor) - levelToY(upperThreshold));
+        ctx.fillStyle = ZoneBackgrounds.optimal;
+        ctx.fillRect(PADDING.left, levelToY(warningFloor), plotWidth, levelToY(lowerThreshold) - levelToY(warningFloor));
+        ctx.fillStyle = ZoneBackgrounds.low;
+        ctx.fillRect(PADDING.left, levelToY(lowerThreshold), plotWidth, levelToY(0) - levelToY(lowerThreshold));
+
+        if (timeline.length < 2) return;
+
+        const duration = timeline[timeline.length - 1].time || 1;
+        const timeToX = (time) => PADDING.left + plotWidth * (time / duration);
+
+        // Nivel: un segmento por muestra con el color de su estado
+        ctx.lineWidth = 2;
+        for (let i = 1; i < timeline.length; i++) {
+            const from = timeline[i - 1];
+            const to = timeline[i];
+
+            ctx.strokeStyle = StateColors[to.state] || StateColors.SILENT;
+            ctx.beginPath();
+            ctx.moveTo(timeToX(from.time), levelToY(from.level));
+            ctx.lineTo(timeToX(to.time), levelToY(to.level));
+            ctx.stroke();
+        }
+
+        // Eje de tiempo
+        ctx.fillStyle = '#333';
+        ctx.font = '12px Inter';
+        ctx.textAlign = 'left';
+        ctx.fillText(formatTime(0), PADDING.left, canvas.height - 5);
+        ctx.textAlign = 'right';
+        ctx.fillText(formatTime(Math.round(duration)), canvas.width - PADDING.right, canvas.height - 5);
+    }
+}
+
+export default TimelineChart;
@@ -0,0 +1,113 @@
+/**
+ * TrendChart Component
+ *
+ * Gráfico (canvas) de la evolución de una métrica por días o semanas: un punto
+ * por periodo, la línea de la media móvil y una marca vertical en cada cambio
+ * de umbrales.
+ * Componente "tonto": solo dibuja los datos que recibe.
+ */
+
+import { StateColors } from './StateChart.js';
+
+// Márgenes interiores del área de dibujo (px)
+const PADDING = { top: 18, right: 16, bottom: 22, left: 16 };
+
+const ChartColors = {
+    point: 'rgba(59, 130, 246, 0.6)',
+    average: StateColors.OPTIMAL,
+    marker: StateColors.WARNING,
+    grid: 'rgba(0, 0, 0, 0.08)',
+    text: '#333'
+};
+
+class TrendChart {
+    /**
+     * @param {HTMLCanvasElement} canvas - Canvas donde se dibuja el gráfico
+     */
+    constructor(canvas) {
+        this.canvas = canvas;
+    }
+
+    /**
+     * Dibuja la evolución
+     * @param {Object} data - { points, markers, maxValue, formatValue, formatPeriod }
+     *   points: [{ index, start, value, movingAverage }] ordenados por index
+     *   markers: índices de periodo con un cambio de umbrales
+     *   maxValue: valor del borde superior del gráfico
+     *   formatValue / formatPeriod: textos de los ejes
+     */
+    draw({ points, markers = [], maxValue, formatValue, formatPeriod }) {
+        const canvas = this.canvas;
+        const ctx = canvas.getContext('2d');
+
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        if (points.length === 0) return;
+
+        const plotWidth = canvas.width - PADDING.left - PADDING.right;
+        const plotHeight = canvas.height - PADDING.top - PADDING.bottom;
+        const firstIndex = points[0].index;
+        const span = points[points.length - 1].index - firstIndex;
+
+        // Con un solo periodo el punto va centrado
+        const indexToX = (index) => PADDING.left + (span > 0 ? plotWidth * (index - firstIndex) / span : plotWidth / 2);
+        const valueToY = (value) => PADDING.top + plotHeight * (1 - Math.min(value, maxValue) / maxValue);
+
+        // Rejilla: mitad y máximo
+        ctx.strokeStyle = ChartColors.grid;
+        ctx.lineWidth = 1;
+        [0, maxValue / 2, maxValue].forEach(value => {
+            ctx.beginPath();
+            ctx.moveTo(PADDING.left, valueToY(value));
+            ctx.lineTo(canvas.width - PADDING.right, valueToY(value));
+            ctx.stroke();
+        });
+
+        // Cambios de umbrales
+        ctx.strokeStyle = ChartColors.marker;
+        ctx.lineWidth = 2;
+        ctx.setLineDash([4, 4]);
+        markers
+            .filter(index => index >= firstIndex && index <= firstIndex + span)
+            .forEach(index => {
+                ctx.beginPath();
+                ctx.moveTo(indexToX(index), PADDING.top);
+                ctx.lineTo(indexToX(index), PADDING.top + plotHeight);
+                ctx.stroke();
+            });
+        ctx.setLineDash([]);
+
+        // Valor de cada periodo
+        ctx.fillStyle = ChartColors.point;
+        points.forEach(point => {
+            ctx.beginPath();
+            ctx.arc(indexToX(point.index), valueToY(point.value), 4, 0, Math.PI * 2);
+            ctx.fill();
+        });
+
+        // Media móvil
+        ctx.strokeStyle = ChartColors.average;
+        ctx.lineWidth = 3;
+        ctx.beginPath();
+        points.forEach((point, i) => {
+            const x = indexToX(point.index);
+            const y = valueToY(point.movingAverage);
+            if (i === 0) {
+                ctx.moveTo(x, y);
+            } else {
+                ctx.lineTo(x, y);
+            }
+        });
+        ctx.stroke();
+
+        // Ejes: valor máximo arriba y primer/último periodo abajo
+        ctx.fillStyle = ChartColors.text;
+        ctx.font = '12px Inter';
+        ctx.textAlign = 'left';
+        ctx.fillText(formatValue(maxValue), PADDING.left, PADDING.top - 5);
+        ctx.fillText(formatPeriod(points[0].start), PADDING.left, canvas.height - 5);
+        ctx.textAlign = 'right';
+        ctx.fillText(formatPeriod(points[points.length - 1].start), canvas.width - PADDING.right, canvas.height - 5);
+    }
+}
+
+export default TrendChart;
@@ -0,0 +1,323 @@
+/**
+ * BackupSchema
+ *
+ * Formato de la copia de seguridad (configuración, alumnos y sesiones) y su
+ * validación al importarla. También acepta el JSON de sesiones sueltas que da
+ * StorageManager.exportSessions (la exportación JSON del historial).
+ */
+
+const BACKUP_FORMAT = 'eco-logro-backup';
+const BACKUP_VERSION = 1;
+
+// Cómo se combina una copia con los datos del equipo
+const ImportModes = {
+    MERGE: 'merge',
+    REPLACE: 'replace'
+};
+
+// Tipo esperado de cada clave de configuración conocida (el resto se descarta)
+const CONFIG_TYPES = {
+    sensitivity: 'number',
+    dampening: 'number',
+    upperThreshold: 'number',
+    lowerThreshold: 'number',
+    persistenceDuration: 'number',
+    noiseGate: 'number',
+    warningBandWidth: 'number',
+    hysteresisMargin: 'number',
+    minDwellTime: 'number',
+    aWeighting: 'boolean',
+    voiceDetection: 'boolean',
+    pitchTracking: 'boolean',
+    pitchLowerVariation: 'number',
+    pitchUpperVariation: 'number',
+    rhythmFeedback: 'boolean',
+    rateLower: 'number',
+    rateUpper: 'number',
+    locale: 'string',
+    feedbackMessages: 'object',
+    goals: 'array',
+    customExercise: 'object',
+    studentName: 'string',
+    inputDeviceId: 'string',
+    calibrationOffsets: 'object'
+};
+
+// Estados de StateManager (línea de tiempo y tiempo por estado de las sesiones)
+const SESSION_STATES = ['SILENT', 'LOW', 'OPTIMAL', 'WARNING', 'DANGER'];
+
+// Zonas de entonación con porcentaje en pitchZones (ver PitchTracker)
+const PITCH_ZONE_KEYS = ['flat', 'varied', 'wide'];
+
+// Grupos de duración de las pausas en pauseDistribution (ver SpeechRhythm)
+const PAUSE_BUCKET_COUNT = 4;
+
+// Cifras que el resumen muestra siempre, con su valor en una sesión vacía
+const SESSION_NUMBER_DEFAULTS = {
+    warningZoneTime: 0,
+    warningCount: 0,
+    peakVolume: 0,
+    consistencyScore: 100,
+    dropCount: 0
+};
+
+// Métricas de rachas, picos y silencios: van todas juntas (ver SessionMetrics)
+const THERAPY_METRIC_KEYS = [
+    'longestGreenStreak',
+    'averageGreenStreak',
+    'greenStreakCount',
+    'dangerBurstCount',
+    'longestDangerBurst',
+    'averageDangerBurst',
+    'silenceGapCount',
+    'levelVariance'
+];
+
+class BackupError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'BackupError';
+    }
+}
+
+/**
+ * Lee y valida el texto de una copia de seguridad
+ * Las sesiones no válidas se descartan (y se cuentan); cualquier otro error
+ * de formato invalida el archivo entero.
+ * @param {string} text - Contenido del archivo
+ * @returns {Object} - { config, roster, sessions, invalidSessions } (config y roster pueden ser null)
+ * @throws {BackupError}
+ */
+function parseBackup(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new BackupError('El archivo no es una copia de seguridad válida (no es JSON).');
+    }
+
+    // Exportación JSON del historial: solo sesiones
+    if (Array.isArray(data)) {
+        return { config: null, roster: null, ...parseSessions(data) };
+    }
+
+    if (!isPlainObject(data) || data.format !== BACKUP_FORMAT) {
+        throw new BackupError('El archivo no es una copia de seguridad de Eco-Logro.');
+    }
+
+    if (!Number.isInteger(data.version) || data.version > BACKUP_VERSION) {
+        throw new BackupError('La copia es de una versión más nueva de Eco-Logro. Actualiza la aplicación para importarla.');
+    }
+
+    if (!Array.isArray(data.sessions)) {
+        throw new BackupError('La copia de seguridad no tiene la lista de sesiones.');
+    }
+
+    return {
+        config: data.config == null ? null : parseConfig(data.config),
+        roster: data.roster == null ? null : parseRoster(data.roster),
+        ...parseSessions(data.sessions)
+    };
+}
+
+/**
+ * Crea el objeto de copia de seguridad
+ * @param {Object} data - { config, roster, sessions }
+ * @returns {Object}
+ */
+function createBackup({ config, roster, sessions }) {
+    return {
+        format: BACKUP_FORMAT,
+        version: BACKUP_VERSION,
+        exportedAt: Date.now(),
+        config,
+        roster,
+        sessions
+    };
+}
+
+/**
+ * Valida la configuración y se queda solo con las claves conocidas
+ * @private
+ */
+function parseConfig(config) {
+    if (!isPlainObject(config)) {
+        throw new BackupError('La configuración de la copia no es válida.');
+    }
+
+    return Object.entries(CONFIG_TYPES).reduce((parsed, [key, type]) => {
+        const value = config[key];
+        if (value === undefined) return parsed;
+
+        if (!isOfType(value, type)) {
+            throw new BackupError(`La configuración de la copia no es válida (${key}).`);
+        }
+
+        parsed[key] = value;
+        return parsed;
+    }, {});
+}
+
+/**
+ * Valida el roster de alumnos
+ * @private
+ */
+function parseRoster(roster) {
+    if (!isPlainObject(roster) || !Array.isArray(roster.students)) {
+        throw new BackupError('La lista de alumnos de la copia no es válida.');
+    }
+
+    const students = roster.students.map(student => {
+        const isValid = isPlainObject(student)
+            && typeof student.id === 'string' && student.id
+            && typeof student.name === 'string' && student.name.trim();
+
+        if (!isValid) {
+            throw new BackupError('La lista de alumnos de la copia tiene un alumno sin identificador o sin nombre.');
+        }
+
+        return {
+            id: student.id,
+            name: student.name.trim(),
+            config: student.config == null ? {} : parseConfig(student.config),
+            createdAt: Number.isFinite(student.createdAt) ? student.createdAt : Date.now()
+        };
+    });
+
+    const activeStudentId = typeof roster.activeStudentId === 'string' ? roster.activeStudentId : null;
+
+    return { activeStudentId, students };
+}
+
+/**
+ * Separa las sesiones válidas de las que no lo son
+ * @private
+ */
+function parseSessions(sessions) {
+    const valid = sessions.filter(isValidSession).map(normalizeSession);
+    return { sessions: valid, invalidSessions: sessions.length - valid.length };
+}
+
+/**
+ * Revisa los datos anidados opcionales de una sesión válida: las entradas que
+ * no tienen el formato esperado se descartan y los campos sin arreglo se quitan,
+ * para que el resumen, la exportación y el informe no fallen con ellos
+ * @private
+ */
+function normalizeSession(session) {
+    const normalized = { ...session };
+
+    const normalizeList = (key, isValidEntry) => {
+        if (normalized[key] === undefined) return;
+        if (Array.isArray(normalized[key])) {
+            normalized[key] = normalized[key].filter(isValidEntry);
+        } else {
+            delete normalized[key];
+        }
+    };
+
+    normalizeList('timeline', sample => isPlainObject(sample)
+        && Number.isFinite(sample.time)
+        && Number.isFinite(sample.level)
+        && SESSION_STATES.includes(sample.state));
+
+    normalizeList('stateHistory', entry => isPlainObject(entry)
+        && Number.isFinite(entry.timestamp)
+        && SESSION_STATES.includes(entry.state));
+
+    normalizeList('phaseResults', phase => isPlainObject(phase)
+        && typeof phase.label === 'string'
+        && ['round', 'plannedDuration', 'totalDuration', 'greenZoneTime', 'dropCount', 'longestGreenStreak']
+            .every(key => Number.isFinite(phase[key]))
+        && (phase.greenTarget == null || Number.isFinite(phase.greenTarget)));
+
+    normalizeList('goalResults', result => isPlainObject(result)
+        && typeof result.description === 'string'
+        && typeof result.met === 'boolean');
+
+    if (normalized.pauseDistribution !== undefined) {
+        const isValidDistribution = Array.isArray(normalized.pauseDistribution)
+            && normalized.pauseDistribution.length === PAUSE_BUCKET_COUNT
+            && normalized.pauseDistribution.every(count => Number.isInteger(count) && count >= 0);
+
+        if (!isValidDistribution) delete normalized.pauseDistribution;
+    }
+
+    // Sin zonas (null) es válido: la sesión no seguía la entonación
+    if (normalized.pitchZones != null) {
+        const isValidZones = isPlainObject(normalized.pitchZones)
+            && Object.entries(normalized.pitchZones)
+                .every(([zone, percent]) => PITCH_ZONE_KEYS.includes(zone) && Number.isFinite(percent));
+
+        if (!isValidZones) normalized.pitchZones = null;
+    }
+
+    if (normalized.stateDurations !== undefined) {
+        const isValidDurations = isPlainObject(normalized.stateDurations)
+            && Object.entries(normalized.stateDurations)
+                .every(([state, seconds]) => SESSION_STATES.includes(state) && Number.isFinite(seconds));
+
+        if (!isValidDurations) delete normalized.stateDurations;
+    }
+
+    if (normalized.thresholds != null) {
+        const { thresholds } = normalized;
+        const isValidThresholds = isPlainObject(thresholds)
+            && Number.isFinite(thresholds.lowerThreshold)
+            && Number.isFinite(thresholds.upperThreshold);
+
+        if (!isValidThresholds) normalized.thresholds = null;
+    }
+
+    if (normalized.exercise != null && !(isPlainObject(normalized.exercise) && typeof normalized.exercise.name === 'string')) {
+        normalized.exercise = null;
+    }
+
+    Object.entries(SESSION_NUMBER_DEFAULTS).forEach(([key, value]) => {
+        if (!Number.isFinite(normalized[key])) normalized[key] = value;
+    });
+
+    // Sin racha más larga la sesión es anterior a estas métricas (el resumen muestra "—");
+    // con ella, las que falten o no sean números no negativos valen 0
+    if (Number.isFinite(normalized.longestGreenStreak)) {
+        THERAPY_METRIC_KEYS.forEach(key => {
+            if (!(Number.isFinite(normalized[key]) && normalized[key] >= 0)) normalized[key] = 0;
+        });
+        if (!Number.isFinite(normalized.timeToGreen)) normalized.timeToGreen = null;
+    } else {
+        [...THERAPY_METRIC_KEYS, 'timeToGreen'].forEach(key => delete normalized[key]);
+    }
+
+    return normalized;
+}
+
+/**
+ * Una sesión necesita identificador, inicio y duraciones numéricas
+ * @private
+ */
+function isValidSession(session) {
+    return isPlainObject(session)
+        && typeof session.sessionId === 'string' && session.sessionId !== ''
+        && Number.isFinite(session.startTime)
+        && Number.isFinite(session.totalDuration) && session.totalDuration >= 0
+        && Number.isFinite(session.greenZoneTime) && session.greenZoneTime >= 0;
+}
+
+/**
+ * @private
+ */
+function isOfType(value, type) {
+    if (type === 'number') return Number.isFinite(value);
+    if (type === 'object') return isPlainObject(value);
+    if (type === 'array') return Array.isArray(value);
+    return typeof value === type;
+}
+
+/**
+ * @private
+ */
+function isPlainObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+export { BACKUP_FORMAT, BACKUP_VERSION, ImportModes, BackupError, parseBackup, createBackup };
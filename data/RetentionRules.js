@@ -0,0 +1,43 @@
+/**
+ * RetentionRules
+ *
+ * Reglas opcionales para limitar el historial de sesiones de un equipo.
+ * Cada regla es "<tipo>-<cantidad>": last-N conserva las N más recientes y
+ * days-N borra las que tienen más de N días. "all" lo conserva todo.
+ */
+
+const RetentionRules = {
+    KEEP_ALL: 'all',
+    LAST_100: 'last-100',
+    LAST_500: 'last-500',
+    DAYS_90: 'days-90',
+    DAYS_365: 'days-365'
+};
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Sesiones que sobran según la regla
+ * @param {Array} sessions - Historial completo, las más recientes primero
+ * @param {string} rule - Valor de RetentionRules
+ * @param {number} now - Instante actual en ms
+ * @returns {Array<string>} - IDs de las sesiones a borrar
+ */
+function getExpiredSessionIds(sessions, rule = RetentionRules.KEEP_ALL, now = Date.now()) {
+    const [kind, amountText] = String(rule).split('-');
+    const amount = parseInt(amountText);
+    if (!Number.isFinite(amount) || amount <= 0) return [];
+
+    if (kind === 'last') {
+        return sessions.slice(amount).map(session => session.sessionId);
+    }
+
+    if (kind === 'days') {
+        const cutoff = now - amount * DAY_IN_MS;
+        return sessions.filter(session => session.startTime < cutoff).map(session => session.sessionId);
+    }
+
+    return [];
+}
+
+export { RetentionRules, getExpiredSessionIds };
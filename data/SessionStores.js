@@ -0,0 +1,297 @@
+/**
+ * SessionStores
+ *
+ * Almacenes del historial de sesiones detrás de StorageManager:
+ *   - IndexedDBSessionStore: el normal, sin el límite de espacio de localStorage
+ *   - LocalSessionStore: respaldo en localStorage si el navegador no tiene IndexedDB
+ * Los dos tienen la misma interfaz asíncrona. Solo StorageManager los usa.
+ *
+ * El esquema de IndexedDB se versiona con MIGRATIONS: cada entrada lleva la base
+ * de datos de la versión anterior a la siguiente dentro de la transacción de
+ * actualización. Para cambiar el esquema se añade una migración al final.
+ *
+ * Las sesiones que quedan en localStorage (respaldo cuando IndexedDB no se pudo
+ * abrir, o la sesión guardada al cerrar la página) pasan a IndexedDB cada vez
+ * que se abre, y solo entonces se borran de localStorage.
+ */
+
+const DB_NAME = 'eco-logro';
+const SESSIONS_STORE = 'sessions';
+
+// Clave donde se guardaban las sesiones antes de IndexedDB (y la del respaldo)
+const LEGACY_SESSIONS_KEY = 'eco-logro-sessions';
+
+const MIGRATIONS = [
+    // v1: almacén de sesiones por sessionId, índice por fecha y sesiones de localStorage
+    (db) => {
+        const store = db.createObjectStore(SESSIONS_STORE, { keyPath: 'sessionId' });
+        store.createIndex('startTime', 'startTime');
+
+        readLegacySessions().forEach(session => store.put(session));
+    }
+];
+
+const DB_VERSION = MIGRATIONS.length;
+
+class StorageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'StorageError';
+    }
+}
+
+class IndexedDBSessionStore {
+    /**
+     * @param {IDBDatabase} db - Base de datos abierta
+     */
+    constructor(db) {
+        this.db = db;
+    }
+
+    /**
+     * Indica si el navegador tiene IndexedDB
+     * @returns {boolean}
+     */
+    static isSupported() {
+        return typeof indexedDB !== 'undefined' && indexedDB !== null;
+    }
+
+    /**
+     * Abre (y migra si hace falta) la base de datos y recoge las sesiones de localStorage
+     * Si otra pestaña con una versión anterior la tiene abierta, la actualización
+     * espera a que se cierre (onBlocked avisa mientras tanto).
+     * @param {Function} onBlocked - Se llama si la apertura queda a la espera
+     * @returns {Promise<IndexedDBSessionStore>}
+     * @throws {StorageError}
+     */
+    static open(onBlocked = () => {}) {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+            request.onupgradeneeded = (event) => {
+                const db = request.result;
+                for (let version = event.oldVersion; version < DB_VERSION; version++) {
+                    MIGRATIONS[version](db, request.transaction);
+                }
+            };
+
+            request.onsuccess = () => {
+                const db = request.result;
+
+                // Otra pestaña con una versión más nueva pide cerrar la conexión
+                db.onversionchange = () => db.close();
+
+                const store = new IndexedDBSessionStore(db);
+                store.mergeLegacySessions().then(() => resolve(store), reject);
+            };
+
+            request.onerror = () => reject(new StorageError(`No se pudo abrir la base de datos: ${request.error}`));
+            request.onblocked = () => onBlocked();
+        });
+    }
+
+    /**
+     * Pasa a IndexedDB las sesiones de localStorage y después las borra de allí
+     * Si no se pueden copiar se quedan en localStorage para el siguiente intento.
+     * @private
+     */
+    async mergeLegacySessions() {
+        const sessions = readLegacySessions();
+        if (sessions.length === 0) return;
+
+        try {
+            await this.putAll(sessions);
+            removeLegacySessions();
+        } catch (error) {
+            console.warn('No se pudieron pasar a IndexedDB las sesiones de localStorage:', error);
+        }
+    }
+
+    /**
+     * Todas las sesiones, las más recientes primero
+     * @returns {Promise<Array>}
+     */
+    async getAll() {
+        const sessions = await this.request('readonly', store => store.index('startTime').getAll());
+        return sessions.reverse();
+    }
+
+    /**
+     * @param {string} sessionId - ID de la sesión
+     * @returns {Promise<Object|null>}
+     */
+    async get(sessionId) {
+        const session = await this.request('readonly', store => store.get(sessionId));
+        return session || null;
+    }
+
+    /**
+     * Guarda (o sustituye) sesiones
+     * @param {Array} sessions - Sesiones a guardar
+     * @returns {Promise<void>}
+     */
+    putAll(sessions) {
+        return this.transaction(store => sessions.forEach(session => store.put(session)));
+    }
+
+    /**
+     * @param {Array<string>} sessionIds - IDs de las sesiones a borrar
+     * @returns {Promise<void>}
+     */
+    deleteAll(sessionIds) {
+        return this.transaction(store => sessionIds.forEach(sessionId => store.delete(sessionId)));
+    }
+
+    /**
+     * Sustituye todo el historial en una sola transacción
+     * @param {Array} sessions - Nuevo historial
+     * @returns {Promise<void>}
+     */
+    replaceAll(sessions) {
+        return this.transaction(store => {
+            store.clear();
+            sessions.forEach(session => store.put(session));
+        });
+    }
+
+    /**
+     * Ejecuta una petición y devuelve su resultado
+     * @private
+     */
+    request(mode, createRequest) {
+        return new Promise((resolve, reject) => {
+            const request = createRequest(this.db.transaction(SESSIONS_STORE, mode).objectStore(SESSIONS_STORE));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(new StorageError(`Error leyendo el historial: ${request.error}`));
+        });
+    }
+
+    /**
+     * Ejecuta escrituras y espera a que la transacción termine
+     * @private
+     */
+    transaction(write) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(SESSIONS_STORE, 'readwrite');
+            write(transaction.objectStore(SESSIONS_STORE));
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(new StorageError(`Error guardando el historial: ${transaction.error}`));
+            transaction.onabort = () => reject(new StorageError(`Error guardando el historial: ${transaction.error}`));
+        });
+    }
+}
+
+class LocalSessionStore {
+    /**
+     * Todas las sesiones, las más recientes primero
+     * @returns {Promise<Array>}
+     */
+    async getAll() {
+        return readLegacySessions().sort((a, b) => b.startTime - a.startTime);
+    }
+
+    /**
+     * @param {string} sessionId - ID de la sesión
+     * @returns {Promise<Object|null>}
+     */
+    async get(sessionId) {
+        return readLegacySessions().find(s => s.sessionId === sessionId) || null;
+    }
+
+    /**
+     * @param {Array} sessions - Sesiones a guardar
+     * @returns {Promise<void>}
+     */
+    async putAll(sessions) {
+        writeLegacySessions(sessions);
+    }
+
+    /**
+     * @param {Array<string>} sessionIds - IDs de las sesiones a borrar
+     * @returns {Promise<void>}
+     */
+    async deleteAll(sessionIds) {
+        const ids = new Set(sessionIds);
+        writeLocalStorage(readLegacySessions().filter(s => !ids.has(s.sessionId)));
+    }
+
+    /**
+     * @param {Array} sessions - Nuevo historial
+     * @returns {Promise<void>}
+     */
+    async replaceAll(sessions) {
+        writeLocalStorage(sessions);
+    }
+}
+
+/**
+ * Añade (o sustituye) sesiones en localStorage al momento, sin esperar a IndexedDB
+ * Sirve para no perder la sesión en curso al cerrar la página: la próxima vez
+ * que se abra IndexedDB pasará allí (ver mergeLegacySessions).
+ * @param {Array} sessions - Sesiones a guardar
+ * @throws {StorageError}
+ */
+function writeLegacySessions(sessions) {
+    const ids = new Set(sessions.map(s => s.sessionId));
+    writeLocalStorage([...sessions, ...readLegacySessions().filter(s => !ids.has(s.sessionId))]);
+}
+
+/**
+ * Abre el almacén de sesiones (IndexedDB o, si no se puede, localStorage)
+ * @param {Object} options - { onBlocked } (ver IndexedDBSessionStore.open)
+ * @returns {Promise<IndexedDBSessionStore|LocalSessionStore>}
+ */
+async function openSessionStore({ onBlocked } = {}) {
+    if (IndexedDBSessionStore.isSupported()) {
+        try {
+            return await IndexedDBSessionStore.open(onBlocked);
+        } catch (error) {
+            console.warn('IndexedDB no disponible, el historial se guarda en localStorage:', error);
+        }
+    }
+
+    return new LocalSessionStore();
+}
+
+/**
+ * Sesiones guardadas en localStorage (versiones anteriores o respaldo)
+ * @private
+ */
+function readLegacySessions() {
+    try {
+        const stored = localStorage.getItem(LEGACY_SESSIONS_KEY);
+        const sessions = stored ? JSON.parse(stored) : [];
+        // Sin sessionId o startTime no se podrían indexar
+        return Array.isArray(sessions)
+            ? sessions.filter(s => s && typeof s.sessionId === 'string' && Number.isFinite(s.startTime))
+            : [];
+    } catch (error) {
+        console.error('Error leyendo sesiones de localStorage:', error);
+        return [];
+    }
+}
+
+/**
+ * @private
+ */
+function writeLocalStorage(sessions) {
+    try {
+        localStorage.setItem(LEGACY_SESSIONS_KEY, JSON.stringify(sessions));
+    } catch (error) {
+        throw new StorageError(`No hay espacio para guardar el historial: ${error.message}`);
+    }
+}
+
+/**
+ * @private
+ */
+function removeLegacySessions() {
+    try {
+        localStorage.removeItem(LEGACY_SESSIONS_KEY);
+    } catch (error) {
+        console.warn('No se pudieron borrar las sesiones antiguas de localStorage:', error);
+    }
+}
+
+export { DB_NAME, DB_VERSION, StorageError, openSessionStore, writeLegacySessions };
@@ -1,15 +1,57 @@
 /**
  * StorageManager
  * 
- * Wrapper agnóstico para localStorage.
- * Proporciona métodos CRUD para gestionar configuraciones y sesiones.
+ * Capa única de persistencia de la aplicación.
+ * Configuración y alumnos van en localStorage; el historial de sesiones en
+ * IndexedDB (ver SessionStores), por eso los métodos de sesiones son asíncronos.
  */
 
+import { ImportModes, createBackup } from './BackupSchema.js';
+import { openSessionStore, writeLegacySessions } from './SessionStores.js';
+import { RetentionRules, getExpiredSessionIds } from './RetentionRules.js';
+
 class StorageManager {
     constructor() {
         this.storageAvailable = this.checkStorageAvailability();
         this.configKey = 'eco-logro-config';
-        this.sessionsKey = 'eco-logro-sessions';
+        this.rosterKey = 'eco-logro-roster';
+
+        // Almacén del historial (se abre la primera vez que se usa)
+        this.sessionStorePromise = null;
+        this.onSessionStoreBlocked = null;
+
+        // Claves de configuración que se guardan por alumno en el roster
+        this.profileConfigKeys = [
+            'sensitivity',
+            'dampening',
+            'upperThreshold',
+            'lowerThreshold',
+            'persistenceDuration',
+            'noiseGate',
+            'warningBandWidth',
+            'hysteresisMargin',
+            'minDwellTime',
+            'aWeighting',
+            'voiceDetection',
+            'pitchTracking',
+            'pitchLowerVariation',
+            'pitchUpperVariation',
+            'rhythmFeedback',
+            'rateLower',
+            'rateUpper',
+            'locale',
+            'feedbackMessages',
+            'goals',
+            'customExercise'
+        ];
+
+        // Claves que dependen del equipo y no del alumno (se conservan al guardar la configuración)
+        this.deviceConfigKeys = [
+            'inputDeviceId',
+            'calibrationOffsets',
+            'historyRetention',
+            'classroom'
+        ];
     }
 
     /**
@@ -37,6 +79,7 @@ class StorageManager {
 
         try {
             const configWithTimestamp = {
+                ...this.pickDeviceConfig(this.loadConfig() || {}),
                 ...config,
                 lastUpdated: Date.now()
             };
@@ -65,17 +108,95 @@ class StorageManager {
         }
     }
 
+    /**
+     * Extrae las claves propias del equipo de una configuración
+     * @private
+     */
+    pickDeviceConfig(config) {
+        return this.deviceConfigKeys.reduce((deviceConfig, key) => {
+            if (config[key] !== undefined) {
+                deviceConfig[key] = config[key];
+            }
+            return deviceConfig;
+        }, {});
+    }
+
+    /**
+     * Obtiene el micrófono elegido en este equipo
+     * @returns {string} - ID del dispositivo ('' = predeterminado)
+     */
+    getInputDeviceId() {
+        const config = this.loadConfig();
+        return (config && config.inputDeviceId) || '';
+    }
+
+    /**
+     * Recuerda el micrófono elegido en este equipo (para todos los alumnos)
+     * @param {string} deviceId - ID del dispositivo ('' = predeterminado)
+     * @returns {boolean} - True si se guardó
+     */
+    saveInputDeviceId(deviceId) {
+        const config = this.loadConfig() || this.getDefaultConfig();
+        return this.saveConfig({ ...config, inputDeviceId: deviceId || '' });
+    }
+
+    /**
+     * Obtiene la corrección a dB SPL de un micrófono de este equipo
+     * @param {string} deviceId - ID del dispositivo ('' = predeterminado)
+     * @returns {number|null} - dB a sumar a dBFS o null si no está calibrado
+     */
+    getCalibrationOffset(deviceId) {
+        const config = this.loadConfig();
+        const offsets = (config && config.calibrationOffsets) || {};
+        return Number.isFinite(offsets[deviceId]) ? offsets[deviceId] : null;
+    }
+
+    /**
+     * Guarda la corrección a dB SPL de un micrófono de este equipo
+     * @param {string} deviceId - ID del dispositivo ('' = predeterminado)
+     * @param {number|null} offset - dB a sumar a dBFS; null para quitar la calibración
+     * @returns {boolean} - True si se guardó
+     */
+    saveCalibrationOffset(deviceId, offset) {
+        const config = this.loadConfig() || this.getDefaultConfig();
+        const calibrationOffsets = { ...config.calibrationOffsets };
+
+        if (Number.isFinite(offset)) {
+            calibrationOffsets[deviceId] = offset;
+        } else {
+            delete calibrationOffsets[deviceId];
+        }
+
+        return this.saveConfig({ ...config, calibrationOffsets });
+    }
+
     /**
      * Obtiene la configuración por defecto
      * @returns {Object} - Configuración por defecto
      */
     getDefaultConfig() {
         return {
-            sensitivity: 85,
+            sensitivity: 50, // 50% = ganancia neutra (ver AudioAnalyzer.setSensitivity)
             dampening: 20,
             upperThreshold: 75,
             lowerThreshold: 25,
             persistenceDuration: 2000, // Duración de hold en milisegundos (2 segundos)
+            noiseGate: 8, // Nivel (0-100) por debajo del cual se considera silencio
+            warningBandWidth: 0, // Banda de aviso bajo el umbral superior (0 = desactivada)
+            hysteresisMargin: 3, // Margen (0-10) a superar para abandonar un estado
+            minDwellTime: 300, // Tiempo (ms) que debe mantenerse un estado nuevo antes de confirmarlo
+            aWeighting: false, // Ponderación A antes del medidor (lecturas en dB(A))
+            voiceDetection: true, // Solo la voz cuenta: banda de voz + detector de voz
+            averagingWindow: 0, // Media del nivel en ms (solo el modo aula la usa, ver ClassroomMode)
+            pitchTracking: false, // Traza del tono y zonas de entonación (ver PitchTracker)
+            pitchLowerVariation: 1.5, // Variación del tono (semitonos) por debajo de la cual la voz es plana
+            pitchUpperVariation: 6, // Variación del tono (semitonos) por encima de la cual hay demasiados altibajos
+            rhythmFeedback: false, // Velocidad del habla y pausas en pantalla (ver SpeechRhythm)
+            rateLower: 2.5, // Sílabas por segundo por debajo de las cuales se habla muy despacio
+            rateUpper: 5.5, // Sílabas por segundo por encima de las cuales se habla muy rápido
+            locale: 'es', // Idioma de los mensajes y de la pantalla principal (ver FeedbackMessages)
+            feedbackMessages: {}, // Mensajes y emojis propios por estado (ver FeedbackMessages)
+            goals: [], // Objetivos del alumno (ver services/Goals.js)
             studentName: ''
         };
     }
@@ -90,37 +211,313 @@ class StorageManager {
     }
 
     /**
-     * Guarda una sesión en el historial
-     * @param {Object} session - Sesión a guardar
+     * Obtiene el roster de alumnos
+     * Si no existe y la configuración antigua tiene un nombre, lo migra como primer alumno.
+     * @returns {Object} - { activeStudentId, students }
      */
-    saveSession(session) {
-        if (!this.storageAvailable) return false;
+    getRoster() {
+        const emptyRoster = { activeStudentId: null, students: [] };
+        if (!this.storageAvailable) return emptyRoster;
 
         try {
-            const sessions = this.getSessions();
-            sessions.unshift(session);
+            const stored = localStorage.getItem(this.rosterKey);
+            if (stored) return JSON.parse(stored);
+
+            return this.migrateLegacyStudent() || emptyRoster;
+        } catch (error) {
+            console.error('Error cargando roster:', error);
+            return emptyRoster;
+        }
+    }
+
+    /**
+     * Crea el roster a partir del studentName de la configuración antigua
+     * @private
+     * @returns {Object|null} - Roster migrado o null si no había alumno
+     */
+    migrateLegacyStudent() {
+        const legacyConfig = this.loadConfig();
+        if (!legacyConfig || !legacyConfig.studentName) return null;
+
+        const student = this.createStudentRecord(legacyConfig.studentName, legacyConfig);
+        const roster = { activeStudentId: student.id, students: [student] };
 
-            // Limitar a 50 sesiones
-            const limited = sessions.slice(0, 50);
+        this.saveRoster(roster);
+        return roster;
+    }
+
+    /**
+     * Guarda el roster completo
+     * @private
+     */
+    saveRoster(roster) {
+        if (!this.storageAvailable) return false;
 
-            localStorage.setItem(this.sessionsKey, JSON.stringify(limited));
+        try {
+            localStorage.setItem(this.rosterKey, JSON.stringify(roster));
             return true;
+        } catch (error) {
+            console.error('Error guardando roster:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Construye un registro de alumno nuevo
+     * @private
+     */
+    createStudentRecord(name, config = {}) {
+        const random = Math.random().toString(36).substr(2, 9);
+
+        return {
+            id: `student-${Date.now()}-${random}`,
+            name: name.trim(),
+            config: this.pickProfileConfig({ ...this.getDefaultConfig(), ...config }),
+            createdAt: Date.now()
+        };
+    }
+
+    /**
+     * Extrae de una configuración solo las claves que se guardan por alumno
+     * @param {Object} config - Configuración completa
+     * @returns {Object} - Configuración de perfil
+     */
+    pickProfileConfig(config) {
+        return this.profileConfigKeys.reduce((profile, key) => {
+            if (config[key] !== undefined) {
+                profile[key] = config[key];
+            }
+            return profile;
+        }, {});
+    }
+
+    /**
+     * Obtiene todos los alumnos ordenados por nombre
+     * @returns {Array} - Array de alumnos
+     */
+    getStudents() {
+        return [...this.getRoster().students].sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Obtiene un alumno por ID
+     * @param {string} studentId - ID del alumno
+     * @returns {Object|null} - Alumno encontrado o null
+     */
+    getStudent(studentId) {
+        return this.getRoster().students.find(s => s.id === studentId) || null;
+    }
+
+    /**
+     * Añade un alumno al roster
+     * @param {string} name - Nombre del alumno
+     * @param {Object} config - Configuración inicial (opcional)
+     * @returns {Object|null} - Alumno creado o null si no se pudo guardar
+     */
+    addStudent(name, config = {}) {
+        if (!name || !name.trim()) return null;
+
+        const roster = this.getRoster();
+        const student = this.createStudentRecord(name, config);
+
+        const saved = this.saveRoster({ ...roster, students: [...roster.students, student] });
+        return saved ? student : null;
+    }
+
+    /**
+     * Actualiza nombre y/o configuración de un alumno
+     * @param {string} studentId - ID del alumno
+     * @param {Object} changes - { name, config }
+     * @returns {Object|null} - Alumno actualizado o null
+     */
+    updateStudent(studentId, changes) {
+        const roster = this.getRoster();
+        const current = roster.students.find(s => s.id === studentId);
+        if (!current) return null;
+
+        const updated = {
+            ...current,
+            name: changes.name ? changes.name.trim() : current.name,
+            config: changes.config
+                ? { ...current.config, ...this.pickProfileConfig(changes.config) }
+                : current.config
+        };
+
+        const students = roster.students.map(s => (s.id === studentId ? updated : s));
+        return this.saveRoster({ ...roster, students }) ? updated : null;
+    }
+
+    /**
+     * Elimina un alumno del roster (sus sesiones se conservan en el historial)
+     * @param {string} studentId - ID del alumno
+     */
+    deleteStudent(studentId) {
+        const roster = this.getRoster();
+        const students = roster.students.filter(s => s.id !== studentId);
+        const activeStudentId = roster.activeStudentId === studentId ? null : roster.activeStudentId;
+
+        return this.saveRoster({ activeStudentId, students });
+    }
+
+    /**
+     * Obtiene el alumno activo
+     * @returns {Object|null} - Alumno activo o null si se usa la configuración del dispositivo
+     */
+    getActiveStudent() {
+        const roster = this.getRoster();
+        return roster.students.find(s => s.id === roster.activeStudentId) || null;
+    }
+
+    /**
+     * Establece el alumno activo
+     * @param {string|null} studentId - ID del alumno o null para ninguno
+     */
+    setActiveStudent(studentId) {
+        const roster = this.getRoster();
+        const exists = roster.students.some(s => s.id === studentId);
+
+        return this.saveRoster({ ...roster, activeStudentId: exists ? studentId : null });
+    }
+
+    /**
+     * Abre el almacén del historial la primera vez que se usa
+     * @private
+     * @returns {Promise<Object>} - Almacén de sesiones (ver SessionStores)
+     */
+    getSessionStore() {
+        if (!this.sessionStorePromise) {
+            this.sessionStorePromise = openSessionStore({
+                onBlocked: () => {
+                    if (this.onSessionStoreBlocked) this.onSessionStoreBlocked();
+                }
+            });
+        }
+        return this.sessionStorePromise;
+    }
+
+    /**
+     * Aviso cuando el historial espera a que se cierren otras pestañas
+     * (otra pestaña con una versión anterior impide actualizar la base de datos)
+     * @param {Function} callback
+     */
+    setSessionStoreBlockedCallback(callback) {
+        this.onSessionStoreBlocked = callback;
+    }
+
+    /**
+     * Obtiene la regla de conservación del historial de este equipo
+     * @returns {string} - Valor de RetentionRules
+     */
+    getHistoryRetention() {
+        const config = this.loadConfig();
+        return (config && config.historyRetention) || RetentionRules.KEEP_ALL;
+    }
+
+    /**
+     * Guarda la regla de conservación del historial (no borra nada: ver applyRetention)
+     * @param {string} rule - Valor de RetentionRules
+     * @returns {boolean} - True si se guardó
+     */
+    saveHistoryRetention(rule) {
+        const config = this.loadConfig() || this.getDefaultConfig();
+        return this.saveConfig({ ...config, historyRetention: rule });
+    }
+
+    /**
+     * Obtiene el modo aula de este equipo
+     * @returns {Object} - { enabled, className, period, config } (config: ajustes propios del aula)
+     */
+    getClassroomSettings() {
+        const config = this.loadConfig();
+        return {
+            enabled: false,
+            className: '',
+            period: '',
+            config: {},
+            ...(config && config.classroom)
+        };
+    }
+
+    /**
+     * Guarda cambios del modo aula de este equipo
+     * @param {Object} changes - Claves de getClassroomSettings a cambiar
+     * @returns {boolean} - True si se guardó
+     */
+    saveClassroomSettings(changes) {
+        const config = this.loadConfig() || this.getDefaultConfig();
+        return this.saveConfig({ ...config, classroom: { ...this.getClassroomSettings(), ...changes } });
+    }
+
+    /**
+     * Cuenta las sesiones que borraría una regla de conservación
+     * @param {string} rule - Valor de RetentionRules
+     * @returns {Promise<number>}
+     */
+    async countExpiredSessions(rule) {
+        return getExpiredSessionIds(await this.getSessions(), rule).length;
+    }
+
+    /**
+     * Borra las sesiones que sobran según la regla de conservación de este equipo
+     * @returns {Promise<number>} - Sesiones borradas
+     */
+    async applyRetention() {
+        try {
+            const store = await this.getSessionStore();
+            const expiredIds = getExpiredSessionIds(await store.getAll(), this.getHistoryRetention());
+
+            if (expiredIds.length > 0) {
+                await store.deleteAll(expiredIds);
+            }
+            return expiredIds.length;
+        } catch (error) {
+            console.error('Error aplicando la conservación del historial:', error);
+            return 0;
+        }
+    }
+
+    /**
+     * Guarda una sesión en el historial
+     * @param {Object} session - Sesión a guardar
+     * @returns {Promise<boolean>} - True si se guardó
+     */
+    async saveSession(session) {
+        try {
+            const store = await this.getSessionStore();
+            await store.putAll([session]);
         } catch (error) {
             console.error('Error guardando sesión:', error);
             return false;
         }
+
+        await this.applyRetention();
+        return true;
     }
 
     /**
-     * Obtiene todas las sesiones guardadas
-     * @returns {Array} - Array de sesiones
+     * Guarda una sesión al momento en localStorage (al cerrar la página no da
+     * tiempo a IndexedDB); pasa al historial la próxima vez que se abra
+     * @param {Object} session - Sesión a guardar
+     * @returns {boolean} - True si se guardó
      */
-    getSessions() {
-        if (!this.storageAvailable) return [];
+    saveSessionDraft(session) {
+        try {
+            writeLegacySessions([session]);
+            return true;
+        } catch (error) {
+            console.error('Error guardando la sesión al cerrar:', error);
+            return false;
+        }
+    }
 
+    /**
+     * Obtiene todas las sesiones guardadas
+     * @returns {Promise<Array>} - Array de sesiones (las más recientes primero)
+     */
+    async getSessions() {
         try {
-            const stored = localStorage.getItem(this.sessionsKey);
-            return stored ? JSON.parse(stored) : [];
+            const store = await this.getSessionStore();
+            return await store.getAll();
         } catch (error) {
             console.error('Error cargando sesiones:', error);
             return [];
@@ -130,25 +527,27 @@ class StorageManager {
     /**
      * Obtiene una sesión específica por ID
      * @param {string} sessionId - ID de la sesión
-     * @returns {Object|null} - Sesión encontrada o null
+     * @returns {Promise<Object|null>} - Sesión encontrada o null
      */
-    getSession(sessionId) {
-        const sessions = this.getSessions();
-        return sessions.find(s => s.sessionId === sessionId) || null;
+    async getSession(sessionId) {
+        try {
+            const store = await this.getSessionStore();
+            return await store.get(sessionId);
+        } catch (error) {
+            console.error('Error cargando sesión:', error);
+            return null;
+        }
     }
 
     /**
      * Elimina una sesión específica
      * @param {string} sessionId - ID de la sesión a eliminar
+     * @returns {Promise<boolean>} - True si se eliminó
      */
-    deleteSession(sessionId) {
-        if (!this.storageAvailable) return false;
-
+    async deleteSession(sessionId) {
         try {
-            const sessions = this.getSessions();
-            const filtered = sessions.filter(s => s.sessionId !== sessionId);
-
-            localStorage.setItem(this.sessionsKey, JSON.stringify(filtered));
+            const store = await this.getSessionStore();
+            await store.deleteAll([sessionId]);
             return true;
         } catch (error) {
             console.error('Error eliminando sesión:', error);
@@ -158,12 +557,12 @@ class StorageManager {
 
     /**
      * Limpia todas las sesiones
+     * @returns {Promise<boolean>} - True si se limpiaron
      */
-    clearSessions() {
-        if (!this.storageAvailable) return false;
-
+    async clearSessions() {
         try {
-            localStorage.removeItem(this.sessionsKey);
+            const store = await this.getSessionStore();
+            await store.replaceAll([]);
             return true;
         } catch (error) {
             console.error('Error limpiando sesiones:', error);
@@ -172,20 +571,115 @@ class StorageManager {
     }
 
     /**
-     * Exporta todas las sesiones como JSON
-     * @returns {string} - JSON string de las sesiones
+     * Exporta sesiones como JSON
+     * @param {Array|null} sessions - Sesiones a exportar (null = todas)
+     * @returns {Promise<string>} - JSON string de las sesiones
+     */
+    async exportSessions(sessions = null) {
+        return JSON.stringify(sessions || await this.getSessions(), null, 2);
+    }
+
+    /**
+     * Exporta configuración, alumnos y sesiones como copia de seguridad
+     * @returns {Promise<string>} - JSON string de la copia (ver BackupSchema)
+     */
+    async exportBackup() {
+        const backup = createBackup({
+            config: this.loadConfig(),
+            roster: this.getRoster(),
+            sessions: await this.getSessions()
+        });
+        return JSON.stringify(backup, null, 2);
+    }
+
+    /**
+     * Importa una copia de seguridad ya validada (ver parseBackup)
+     * La configuración propia del equipo (micrófono, calibración y conservación
+     * del historial) nunca se importa; la regla de conservación se aplica después.
+     * - MERGE: añade los alumnos y sesiones que no existen; lo de este equipo se conserva
+     * - REPLACE: sustituye configuración, alumnos y sesiones por los de la copia
+     *   (lo que la copia no trae, p. ej. los alumnos en una exportación de sesiones, se conserva)
+     * @param {Object} backup - { config, roster, sessions }
+     * @param {string} mode - Valor de ImportModes
+     * @returns {Promise<Object|null>} - { sessionsAdded, duplicateSessions, sessionsExpired, studentsAdded } o null si falló
+     */
+    async importBackup(backup, mode = ImportModes.MERGE) {
+        if (!this.storageAvailable) return null;
+
+        const isReplace = mode === ImportModes.REPLACE;
+        const replacesRoster = isReplace && Boolean(backup.roster);
+        const currentSessions = isReplace ? [] : await this.getSessions();
+        const currentRoster = replacesRoster ? { activeStudentId: null, students: [] } : this.getRoster();
+
+        // Sesiones: sin duplicados por sessionId (gana la de este equipo)
+        const knownIds = new Set(currentSessions.map(s => s.sessionId));
+        const newSessions = [];
+        backup.sessions.forEach(session => {
+            if (knownIds.has(session.sessionId)) return;
+            knownIds.add(session.sessionId);
+            newSessions.push(session);
+        });
+
+        // Alumnos: se añaden los que no existen (por ID)
+        const importedRoster = backup.roster || { activeStudentId: null, students: [] };
+        const knownStudents = new Set(currentRoster.students.map(s => s.id));
+        const newStudents = importedRoster.students.filter(s => !knownStudents.has(s.id));
+        const students = [...currentRoster.students, ...newStudents];
+
+        const activeStudentId = replacesRoster ? importedRoster.activeStudentId : currentRoster.activeStudentId;
+        const roster = {
+            activeStudentId: students.some(s => s.id === activeStudentId) ? activeStudentId : null,
+            students
+        };
+
+        try {
+            const store = await this.getSessionStore();
+            if (isReplace) {
+                await store.replaceAll(newSessions);
+            } else {
+                await store.putAll(newSessions);
+            }
+
+            this.saveRoster(roster);
+
+            const currentConfig = this.loadConfig();
+            if (backup.config && (isReplace || !currentConfig)) {
+                const importedConfig = { ...this.getDefaultConfig(), ...backup.config };
+                this.deviceConfigKeys.forEach(key => delete importedConfig[key]);
+                this.saveConfig(importedConfig);
+            }
+        } catch (error) {
+            console.error('Error importando copia de seguridad:', error);
+            return null;
+        }
+
+        return {
+            sessionsAdded: newSessions.length,
+            duplicateSessions: backup.sessions.length - newSessions.length,
+            sessionsExpired: await this.applyRetention(),
+            studentsAdded: newStudents.length
+        };
+    }
+
+    /**
+     * Obtiene las sesiones de un alumno
+     * @param {string|null|undefined} studentId - ID del alumno; null = sesiones sin alumno; undefined = todas
+     * @returns {Promise<Array>} - Array de sesiones
      */
-    exportSessions() {
-        const sessions = this.getSessions();
-        return JSON.stringify(sessions, null, 2);
+    async getSessionsByStudent(studentId) {
+        const sessions = await this.getSessions();
+        if (studentId === undefined) return sessions;
+
+        return sessions.filter(s => (s.studentId || null) === studentId);
     }
 
     /**
-     * Obtiene estadísticas agregadas de todas las sesiones
-     * @returns {Object} - Estadísticas agregadas
+     * Obtiene estadísticas agregadas de las sesiones
+     * @param {string|null|undefined} studentId - Filtra por alumno (ver getSessionsByStudent)
+     * @returns {Promise<Object>} - Estadísticas agregadas
      */
-    getAggregateStats() {
-        const sessions = this.getSessions();
+    async getAggregateStats(studentId) {
+        const sessions = await this.getSessionsByStudent(studentId);
 
         if (sessions.length === 0) {
             return {
@@ -228,14 +722,15 @@ class StorageManager {
 
     /**
      * Limpia todos los datos almacenados
+     * @returns {Promise<boolean>} - True si se limpiaron
      */
-    clearAll() {
+    async clearAll() {
         if (!this.storageAvailable) return false;
 
         try {
             localStorage.removeItem(this.configKey);
-            localStorage.removeItem(this.sessionsKey);
-            return true;
+            localStorage.removeItem(this.rosterKey);
+            return await this.clearSessions();
         } catch (error) {
             console.error('Error limpiando datos:', error);
             return false;
@@ -0,0 +1,102 @@
+/**
+ * AWeighting
+ *
+ * Filtro de ponderación A (IEC 61672) para un IIRFilterNode.
+ * Se obtiene con la transformación bilineal del filtro analógico y se normaliza
+ * a 0 dB en 1 kHz. Por encima de ~10 kHz la bilineal atenúa algo de más,
+ * lo que apenas afecta a la voz.
+ */
+
+// Frecuencias de los polos del filtro analógico (Hz)
+const POLE_FREQUENCIES = [20.598997, 107.65265, 737.86223, 12194.217];
+
+// Frecuencia de referencia donde la ponderación vale 0 dB
+const REFERENCE_FREQUENCY = 1000;
+
+/**
+ * Calcula los coeficientes del filtro para una frecuencia de muestreo
+ * @param {number} sampleRate - Frecuencia de muestreo del contexto
+ * @returns {Object} - { feedforward, feedback } para createIIRFilter
+ */
+function designAWeighting(sampleRate) {
+    const k = 2 * sampleRate;
+    const [w1, w2, w3, w4] = POLE_FREQUENCIES.map(frequency => 2 * Math.PI * frequency);
+
+    // H(s) = s^4 / ((s + w1)^2 (s + w2) (s + w3) (s + w4)^2)
+    // Con s = k (1 - z^-1) / (1 + z^-1) y multiplicando arriba y abajo por (1 + z^-1)^6:
+    //   numerador:   k^4 (1 - z^-1)^4 (1 + z^-1)^2
+    //   denominador: producto de (k + w) + (w - k) z^-1 por cada polo
+    let feedforward = [1, 2, 1];
+    for (let i = 0; i < 4; i++) {
+        feedforward = multiplyPolynomials(feedforward, [1, -1]);
+    }
+
+    let feedback = [1];
+    for (const w of [w1, w1, w2, w3, w4, w4]) {
+        feedback = multiplyPolynomials(feedback, [k + w, w - k]);
+    }
+
+    // Normalizar a feedback[0] = 1 y a ganancia unidad en 1 kHz
+    const a0 = feedback[0];
+    feedback = feedback.map(coefficient => coefficient / a0);
+    feedforward = feedforward.map(coefficient => coefficient * Math.pow(k, 4) / a0);
+
+    const referenceGain = getMagnitude(feedforward, feedback, REFERENCE_FREQUENCY, sampleRate);
+
+    return {
+        feedforward: feedforward.map(coefficient => coefficient / referenceGain),
+        feedback
+    };
+}
+
+/**
+ * Crea el filtro de ponderación A en un contexto de audio (en vivo u offline)
+ * @param {BaseAudioContext} audioContext - Contexto donde se crea el nodo
+ * @returns {IIRFilterNode}
+ */
+function createAWeightingFilter(audioContext) {
+    const { feedforward, feedback } = designAWeighting(audioContext.sampleRate);
+    return audioContext.createIIRFilter(feedforward, feedback);
+}
+
+/**
+ * Ganancia lineal de un filtro digital en una frecuencia
+ * @param {number[]} feedforward - Coeficientes del numerador (en z^-1)
+ * @param {number[]} feedback - Coeficientes del denominador (en z^-1)
+ * @param {number} frequency - Frecuencia en Hz
+ * @param {number} sampleRate - Frecuencia de muestreo
+ * @returns {number}
+ * @private
+ */
+function getMagnitude(feedforward, feedback, frequency, sampleRate) {
+    const omega = 2 * Math.PI * frequency / sampleRate;
+
+    const evaluate = (coefficients) => {
+        let real = 0;
+        let imaginary = 0;
+        coefficients.forEach((coefficient, n) => {
+            real += coefficient * Math.cos(omega * n);
+            imaginary -= coefficient * Math.sin(omega * n);
+        });
+        return Math.hypot(real, imaginary);
+    };
+
+    return evaluate(feedforward) / evaluate(feedback);
+}
+
+/**
+ * @private
+ */
+function multiplyPolynomials(a, b) {
+    const result = new Array(a.length + b.length - 1).fill(0);
+
+    a.forEach((x, i) => {
+        b.forEach((y, j) => {
+            result[i + j] += x * y;
+        });
+    });
+
+    return result;
+}
+
+export { designAWeighting, createAWeightingFilter };
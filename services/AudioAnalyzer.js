@@ -2,28 +2,66 @@
  * AudioAnalyzer Service
  * 
  * Wrapper agnóstico para Web Audio API.
- * Responsable de capturar y analizar el audio del micrófono en tiempo real.
+ * Responsable de analizar en tiempo real el audio de una fuente intercambiable
+ * (micrófono por defecto; ver AudioSources).
+ * La medición se hace en un AudioWorklet (worklets/LevelMeterProcessor.js) a un
+ * ritmo fijo de bloques, independiente de la pantalla y de si la pestaña está visible.
  * No graba ni almacena audio para proteger la privacidad.
  */
 
+import { SourceKinds, MicrophoneSource, DeviceSource } from './AudioSources.js';
+import LevelMeter, { LEVEL_FLOOR_DB } from './LevelMeter.js';
+import { createAWeightingFilter } from './AWeighting.js';
+
+const METER_PROCESSOR_URL = new URL('../worklets/LevelMeterProcessor.js', import.meta.url);
+
+// Banda de frecuencias de la voz (Hz): fuera de ella quedan zumbidos, golpes graves y siseos
+const VOICE_BAND = { low: 100, high: 4000 };
+
+// IDs virtuales que algunos navegadores añaden a enumerateDevices
+const VIRTUAL_DEVICE_IDS = ['default', 'communications'];
+
+// Tipos de error que recibe el callback de errores (la interfaz elige el texto)
+const AudioErrorCodes = {
+    INIT: 'init',                       // No se pudo inicializar el audio con la fuente
+    CONNECT: 'connect',                 // No se pudo cambiar a otra fuente
+    MICROPHONE_LOST: 'microphoneLost'   // Se desconectó el micrófono y no hay otro
+};
+
 class AudioAnalyzer {
     constructor() {
         this.audioContext = null;
-        this.analyser = null;
-        this.microphone = null;
-        this.dataArray = null;
-        this.bufferLength = null;
+        this.meterNode = null;
+        this.inputGain = null;
+        this.weightingFilter = null;
+        this.voiceBandFilters = null;
+        this.source = null;
+        this.sourceNode = null;
+        this.preferredDeviceId = '';        // Micrófono elegido en el panel ('' = predeterminado)
         this.isInitialized = false;
         this.isAnalyzing = false;
-        this.animationFrameId = null;
+
+        // Última medición del worklet (escala 0-100, sin puerta de ruido)
+        this.ungatedLevel = 0;
+        this.peakLevel = 0;
+        this.speaking = false;
+        this.pitch = 0;
 
         // Configuration
-        this.fftSize = 2048;
         this.smoothingTimeConstant = 0.8;
+        this.sensitivity = 50;
+        this.noiseGate = 8;                 // Nivel (0-100) por debajo del cual se fuerza silencio
+        this.aWeighting = false;            // Ponderación A antes del medidor (lecturas en dB(A))
+        this.voiceDetection = true;         // Banda de voz + detector de voz (false = todo sonido cuenta)
 
         // Callbacks
         this.onVolumeUpdate = null;
         this.onError = null;
+        this.onInputChange = null;
+        this.onDevicesChange = null;
+
+        this.handleDeviceChange = this.handleDeviceChange.bind(this);
+        this.handleMeterMessage = this.handleMeterMessage.bind(this);
     }
 
     /**
@@ -32,178 +70,505 @@ class AudioAnalyzer {
      */
     setSmoothingTimeConstant(value) {
         this.smoothingTimeConstant = Math.max(0, Math.min(0.99, value));
-        if (this.analyser) {
-            this.analyser.smoothingTimeConstant = this.smoothingTimeConstant;
+        if (this.meterNode) {
+            this.meterNode.port.postMessage({ type: 'smoothing', value: this.smoothingTimeConstant });
         }
     }
 
     /**
-     * Inicializa el contexto de audio y solicita permisos de micrófono
-     * @returns {Promise<boolean>} - True si la inicialización fue exitosa
+     * Ajusta la ganancia de entrada según la sensibilidad (0-100)
+     * 50% = sin cambio, >50% amplifica, <50% atenúa
+     * @param {number} sensitivity - Sensibilidad en porcentaje
      */
-    async initialize() {
-        try {
-            // Verificar soporte de navegador
-            if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
-                throw new Error('Tu navegador no soporta acceso al micrófono');
-            }
+    setSensitivity(sensitivity) {
+        this.sensitivity = Math.max(0, Math.min(100, sensitivity));
 
-            // Solicitar permiso de micrófono
-            const stream = await navigator.mediaDevices.getUserMedia({
-                audio: {
-                    echoCancellation: true,
-                    noiseSuppression: true,
-                    autoGainControl: false
-                }
-            });
+        if (!this.inputGain) return;
+
+        // Rampa corta para evitar clics al mover el slider
+        this.inputGain.gain.setTargetAtTime(
+            AudioAnalyzer.sensitivityToGain(this.sensitivity),
+            this.audioContext.currentTime,
+            0.05
+        );
+    }
+
+    /**
+     * Ajusta la puerta de ruido (nivel por debajo del cual se considera silencio)
+     * @param {number} level - Nivel en escala 0-100
+     */
+    setNoiseGate(level) {
+        this.noiseGate = Math.max(0, Math.min(100, level));
+    }
+
+    /**
+     * Activa o desactiva la ponderación A de la medición
+     * @param {boolean} enabled - True para medir en dB(A)
+     */
+    setAWeighting(enabled) {
+        this.aWeighting = Boolean(enabled);
+
+        if (this.inputGain) {
+            this.connectMeterInput();
+        }
+    }
+
+    /**
+     * Activa o desactiva el filtro de banda de voz y el detector de voz
+     * Desactivado, cualquier sonido cuenta como voz (p. ej. para la señal de prueba).
+     * @param {boolean} enabled - True para medir solo la voz
+     */
+    setVoiceDetection(enabled) {
+        this.voiceDetection = Boolean(enabled);
+
+        if (this.inputGain) {
+            this.connectMeterInput();
+        }
+    }
 
+    /**
+     * Indica si el último bloque medido era voz
+     * @returns {boolean} - Siempre true con la detección de voz desactivada
+     */
+    isSpeaking() {
+        return this.voiceDetection ? this.speaking : true;
+    }
+
+    /**
+     * Crea los filtros que limitan la señal a la banda de la voz
+     * @param {BaseAudioContext} audioContext - Contexto donde se crean (en vivo u offline)
+     * @returns {BiquadFilterNode[]} - [paso alto, paso bajo], ya conectados entre sí
+     */
+    static createVoiceBandFilters(audioContext) {
+        const highpass = audioContext.createBiquadFilter();
+        highpass.type = 'highpass';
+        highpass.frequency.value = VOICE_BAND.low;
+
+        const lowpass = audioContext.createBiquadFilter();
+        lowpass.type = 'lowpass';
+        lowpass.frequency.value = VOICE_BAND.high;
+
+        highpass.connect(lowpass);
+        return [highpass, lowpass];
+    }
+
+    /**
+     * Conecta la ganancia de entrada al medidor:
+     * ganancia -> (banda de voz) -> (ponderación A) -> medidor
+     * @private
+     */
+    connectMeterInput() {
+        const [highpass, lowpass] = this.voiceBandFilters;
+
+        this.inputGain.disconnect();
+        lowpass.disconnect();
+        this.weightingFilter.disconnect();
+
+        // Cada etapa es [entrada, salida]; la banda de voz ya lleva sus dos filtros unidos
+        const stages = [[this.inputGain, this.inputGain]];
+        if (this.voiceDetection) stages.push([highpass, lowpass]);
+        if (this.aWeighting) stages.push([this.weightingFilter, this.weightingFilter]);
+        stages.push([this.meterNode, this.meterNode]);
+
+        for (let i = 1; i < stages.length; i++) {
+            stages[i - 1][1].connect(stages[i][0]);
+        }
+    }
+
+    /**
+     * Variación del nivel (0-100) por cada punto de sensibilidad
+     * Cada punto son 0.4 dB y la escala de nivel es lineal en dB (60 dB = 100),
+     * así que la relación es exacta: 0.4 * 100 / 60.
+     * @returns {number} - Unidades de nivel por punto de sensibilidad
+     */
+    getLevelChangePerSensitivityPoint() {
+        return 0.4 * 100 / -LEVEL_FLOOR_DB;
+    }
+
+    /**
+     * Convierte la amortiguación del panel (0-100) en suavizado entre bloques
+     * Mapeamos 0-100 a 0-0.95 (para evitar el bloqueo total en 1.0)
+     * @param {number} dampening - Amortiguación en porcentaje
+     * @returns {number} - Peso del bloque anterior en el medidor de nivel
+     */
+    static dampeningToSmoothing(dampening) {
+        return dampening / 105;
+    }
+
+    /**
+     * Convierte sensibilidad (0-100) en ganancia lineal
+     * Escala logarítmica de ±20 dB: 0% = x0.1, 50% = x1, 100% = x10
+     * @param {number} sensitivity - Sensibilidad en porcentaje
+     * @returns {number} - Ganancia lineal
+     */
+    static sensitivityToGain(sensitivity) {
+        return Math.pow(10, AudioAnalyzer.sensitivityToDb(sensitivity) / 20);
+    }
+
+    /**
+     * Ganancia en dB que aplica una sensibilidad (0-100): 0.4 dB por punto
+     * @param {number} sensitivity - Sensibilidad en porcentaje
+     * @returns {number} - Ganancia en dB (-20 a +20)
+     */
+    static sensitivityToDb(sensitivity) {
+        return (sensitivity - 50) * 0.4;
+    }
+
+    /**
+     * Inicializa el contexto de audio y conecta la fuente
+     * @param {Object|null} source - Fuente de AudioSources; null = micrófono
+     *   (el elegido con setInputDevice o, si no está, el predeterminado)
+     * @returns {Promise<boolean>} - True si la inicialización fue exitosa
+     */
+    async initialize(source = null) {
+        try {
             // Crear contexto de audio
             const AudioContext = window.AudioContext || window.webkitAudioContext;
             this.audioContext = new AudioContext();
 
-            // Crear analizador
-            this.analyser = this.audioContext.createAnalyser();
-            this.analyser.fftSize = this.fftSize;
-            this.analyser.smoothingTimeConstant = this.smoothingTimeConstant;
+            // Medidor de nivel en el hilo de audio
+            this.meterNode = await this.createMeterNode();
+            this.meterNode.port.onmessage = this.handleMeterMessage;
+
+            // Ganancia de entrada controlada por la sensibilidad
+            this.inputGain = this.audioContext.createGain();
+            this.inputGain.gain.value = AudioAnalyzer.sensitivityToGain(this.sensitivity);
 
-            // Conectar micrófono
-            this.microphone = this.audioContext.createMediaStreamSource(stream);
-            this.microphone.connect(this.analyser);
+            // Banda de voz y ponderación A opcionales entre la ganancia y el medidor
+            this.voiceBandFilters = AudioAnalyzer.createVoiceBandFilters(this.audioContext);
+            this.weightingFilter = createAWeightingFilter(this.audioContext);
 
-            // Preparar buffer para datos
-            this.bufferLength = this.analyser.frequencyBinCount;
-            this.dataArray = new Uint8Array(this.bufferLength);
+            // Conectar fuente -> ganancia -> (banda de voz) -> (ponderación A) -> medidor
+            this.connectMeterInput();
+
+            if (source) {
+                await this.connectSource(source);
+            } else {
+                await this.connectMicrophone();
+            }
+
+            // Reaccionar a micrófonos que se conectan o desconectan
+            if (navigator.mediaDevices && navigator.mediaDevices.addEventListener) {
+                navigator.mediaDevices.addEventListener('devicechange', this.handleDeviceChange);
+            }
 
             this.isInitialized = true;
             return true;
 
         } catch (error) {
-            this.handleError('Error al inicializar el micrófono', error);
+            this.handleError(AudioErrorCodes.INIT, source ? source.kind : SourceKinds.MICROPHONE,
+                `Error al inicializar ${source ? source.label : 'el micrófono'}`, error);
             return false;
         }
     }
 
     /**
-     * Inicia el análisis continuo de audio
+     * Carga el AudioWorklet del medidor y crea su nodo
+     * @private
      */
-    startAnalysis() {
-        if (!this.isInitialized) {
-            this.handleError('Debes inicializar el analizador primero', null);
-            return;
+    async createMeterNode() {
+        if (!this.audioContext.audioWorklet || typeof AudioWorkletNode === 'undefined') {
+            throw new Error('Tu navegador no soporta AudioWorklet');
         }
 
-        this.isAnalyzing = true;
-        this.analyze();
+        await this.audioContext.audioWorklet.addModule(METER_PROCESSOR_URL);
+
+        // Sin salidas: el medidor solo escucha y no hace falta llevarlo al destino
+        return new AudioWorkletNode(this.audioContext, 'level-meter', {
+            numberOfInputs: 1,
+            numberOfOutputs: 0,
+            channelCount: 1,
+            channelCountMode: 'explicit',
+            processorOptions: { smoothing: this.smoothingTimeConstant }
+        });
     }
 
     /**
-     * Detiene el análisis de audio
+     * Recibe cada bloque medido por el worklet ({ rms, peak, speaking, pitch })
+     * @private
      */
-    stopAnalysis() {
-        this.isAnalyzing = false;
+    handleMeterMessage(event) {
+        const { rms, peak, speaking, pitch = 0 } = event.data;
+
+        // Se guarda siempre: la calibración lee el nivel aunque el análisis esté parado
+        this.ungatedLevel = LevelMeter.rmsToLevel(rms);
+        this.peakLevel = LevelMeter.rmsToLevel(peak);
+        this.speaking = Boolean(speaking);
+        this.pitch = pitch;
 
-        if (this.animationFrameId) {
-            cancelAnimationFrame(this.animationFrameId);
-            this.animationFrameId = null;
+        if (this.isAnalyzing && this.onVolumeUpdate) {
+            this.onVolumeUpdate(this.getRMSVolume(), this.isSpeaking(), this.getPitch());
         }
     }
 
     /**
-     * Ciclo de análisis de audio (se ejecuta en cada frame)
-     * @private
+     * Elige el micrófono a usar y, si ya se está escuchando un micrófono, cambia a él
+     * @param {string} deviceId - ID del dispositivo ('' = predeterminado)
+     * @returns {Promise<boolean>} - True si la entrada quedó conectada
      */
-    analyze() {
-        if (!this.isAnalyzing) return;
+    async setInputDevice(deviceId) {
+        this.preferredDeviceId = deviceId || '';
 
-        // Obtener datos de frecuencia
-        this.analyser.getByteFrequencyData(this.dataArray);
+        if (!this.isInitialized || !(this.source instanceof MicrophoneSource)) {
+            return true;
+        }
 
-        // Calcular volumen promedio
-        const volume = this.getCurrentVolume();
+        return this.recoverMicrophone();
+    }
 
-        // Notificar a través de callback
-        if (this.onVolumeUpdate) {
-            this.onVolumeUpdate(volume);
+    /**
+     * Lista los micrófonos disponibles
+     * Sin permiso de micrófono los navegadores devuelven nombres vacíos.
+     * @returns {Promise<Array>} - [{ deviceId, label }] (label vacío si el navegador no lo da)
+     */
+    static async listInputDevices() {
+        if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) {
+            return [];
         }
 
-        // Continuar análisis en el próximo frame
-        this.animationFrameId = requestAnimationFrame(() => this.analyze());
+        const devices = await navigator.mediaDevices.enumerateDevices();
+
+        return devices
+            .filter(device => device.kind === 'audioinput' && !VIRTUAL_DEVICE_IDS.includes(device.deviceId))
+            .map(device => ({
+                deviceId: device.deviceId,
+                label: device.label
+            }));
     }
 
     /**
-     * Obtiene el volumen actual normalizado (0-100)
-     * @returns {number} - Volumen normalizado
+     * Conecta el micrófono elegido; si no está disponible, el predeterminado
+     * @private
      */
-    getCurrentVolume() {
-        if (!this.dataArray) return 0;
+    async connectMicrophone() {
+        const { preferredDeviceId } = this;
+
+        if (preferredDeviceId) {
+            try {
+                await this.connectSource(new DeviceSource(preferredDeviceId));
+                this.notifyInputChange(false);
+                return;
+            } catch (error) {
+                console.warn('El micrófono elegido no está disponible, se usa el predeterminado', error);
+            }
+        }
 
-        // Calcular promedio de todas las frecuencias
-        let sum = 0;
-        for (let i = 0; i < this.bufferLength; i++) {
-            sum += this.dataArray[i];
+        await this.connectSource(new MicrophoneSource());
+        this.notifyInputChange(Boolean(preferredDeviceId));
+    }
+
+    /**
+     * Vuelve a conectar un micrófono tras una desconexión o un cambio de dispositivo
+     * @returns {Promise<boolean>} - True si hay un micrófono conectado
+     */
+    async recoverMicrophone() {
+        try {
+            await this.connectMicrophone();
+            return true;
+        } catch (error) {
+            this.disconnectSource();
+            this.handleError(AudioErrorCodes.MICROPHONE_LOST, SourceKinds.MICROPHONE,
+                'Se ha desconectado el micrófono y no hay otro disponible', error);
+            return false;
         }
-        const average = sum / this.bufferLength;
+    }
+
+    /**
+     * Un micrófono se conectó o desconectó en el sistema
+     * @private
+     */
+    async handleDeviceChange() {
+        const devices = await AudioAnalyzer.listInputDevices();
+
+        if (this.onDevicesChange) {
+            this.onDevicesChange(devices);
+        }
+
+        // Solo se reconecta si se está escuchando un micrófono (o se perdió)
+        if (this.source && !(this.source instanceof MicrophoneSource)) return;
 
-        // Normalizar a escala 0-100
-        const normalized = Math.min(100, (average / 255) * 100);
+        const lostInput = !this.source || this.source.isEnded();
+        const preferredReturned = this.preferredDeviceId &&
+            !this.isUsingPreferredDevice() &&
+            devices.some(device => device.deviceId === this.preferredDeviceId);
 
-        return normalized;
+        if (lostInput || preferredReturned) {
+            await this.recoverMicrophone();
+        }
     }
 
     /**
-     * Obtiene el volumen RMS ponderado (más preciso para voz)
-     * @returns {number} - Volumen RMS normalizado
+     * La pista del micrófono terminó (p. ej. se desenchufaron los auriculares)
+     * @private
      */
-    getRMSVolume() {
-        if (!this.dataArray) return 0;
+    handleSourceEnded() {
+        console.warn('🎙️ El micrófono se ha desconectado, reconectando...');
+        this.recoverMicrophone();
+    }
+
+    /**
+     * @private
+     */
+    isUsingPreferredDevice() {
+        return this.source instanceof DeviceSource && this.source.deviceId === this.preferredDeviceId;
+    }
 
-        // Calcular RMS (Root Mean Square)
-        let sum = 0;
-        for (let i = 0; i < this.bufferLength; i++) {
-            const normalized = this.dataArray[i] / 255;
-            sum += normalized * normalized;
+    /**
+     * Notifica qué micrófono se está usando
+     * @param {boolean} isFallback - True si el elegido no estaba y se usa el predeterminado
+     * @private
+     */
+    notifyInputChange(isFallback) {
+        if (this.onInputChange) {
+            this.onInputChange({
+                deviceId: this.source.getActiveDeviceId(),
+                isFallback
+            });
+        }
+    }
+
+    /**
+     * Cambia la fuente de audio sin reiniciar el análisis
+     * @param {Object} source - Fuente de AudioSources
+     * @returns {Promise<boolean>} - True si la nueva fuente quedó conectada
+     */
+    async setSource(source) {
+        if (!this.isInitialized) {
+            return this.initialize(source);
+        }
+
+        try {
+            await this.connectSource(source);
+            return true;
+        } catch (error) {
+            this.handleError(AudioErrorCodes.CONNECT, source.kind, `Error al conectar ${source.label}`, error);
+            return false;
         }
-        const rms = Math.sqrt(sum / this.bufferLength);
+    }
+
+    /**
+     * Conecta una fuente a la ganancia de entrada, liberando la anterior
+     * @private
+     */
+    async connectSource(source) {
+        const sourceNode = await source.connect(this.audioContext);
 
-        // Volver a escala Lineal con Puerta de Ruido (Noise Gate)
-        // Esto es mucho más efectivo para ignorar ruidos de fondo (pasos, aire) que la escala dB
+        this.disconnectSource();
+        this.source = source;
+        this.sourceNode = sourceNode;
+        this.sourceNode.connect(this.inputGain);
 
-        // Ajuste x250: Punto ideal tras eliminar el filtrado doble del StateManager.
-        // Equilibrio entre captación de voz en iPad y estabilidad frente a ruidos.
-        let volume = Math.min(100, rms * 250);
+        if (source instanceof MicrophoneSource) {
+            source.onEnded = () => this.handleSourceEnded();
+        }
+    }
+
+    /**
+     * @private
+     */
+    disconnectSource() {
+        if (this.source) {
+            this.source.onEnded = null;
+            this.source.disconnect();
+            this.source = null;
+            this.sourceNode = null;
+        }
+    }
 
-        // --- NOISE GATE ---
-        // Si el volumen detectado es menor al 8%, se fuerza a 0 absoluto.
-        // Esto hace que la barra sea más "limpia" y no salte con ruidos suaves.
-        if (volume < 8) {
-            volume = 0;
+    /**
+     * Inicia el análisis continuo de audio
+     * Desde aquí cada bloque del worklet se notifica con onVolumeUpdate.
+     */
+    startAnalysis() {
+        if (!this.isInitialized) {
+            this.handleError('Debes inicializar el analizador primero', null);
+            return;
         }
 
-        return volume;
+        this.isAnalyzing = true;
     }
 
     /**
-     * Obtiene datos de frecuencia para visualización avanzada
-     * @returns {Uint8Array} - Array de datos de frecuencia
+     * Detiene el análisis de audio
      */
-    getFrequencyData() {
-        if (!this.dataArray) return new Uint8Array(0);
+    stopAnalysis() {
+        this.isAnalyzing = false;
+    }
+
+    /**
+     * Obtiene el volumen RMS del último bloque medido, con puerta de ruido
+     * @returns {number} - Volumen RMS normalizado (0-100)
+     */
+    getRMSVolume() {
+        return AudioAnalyzer.applyNoiseGate(this.ungatedLevel, this.noiseGate);
+    }
 
-        this.analyser.getByteFrequencyData(this.dataArray);
-        return this.dataArray;
+    /**
+     * Aplica la puerta de ruido a un nivel
+     * Si el volumen detectado es menor que la puerta (8% por defecto, ajustable
+     * con la calibración), se fuerza a 0 absoluto.
+     * Esto hace que la barra sea más "limpia" y no salte con ruidos suaves.
+     * @param {number} level - Nivel 0-100
+     * @param {number} noiseGate - Puerta de ruido 0-100
+     * @returns {number} - Nivel tras la puerta
+     */
+    static applyNoiseGate(level, noiseGate) {
+        return level < noiseGate ? 0 : level;
+    }
+
+    /**
+     * Devuelve el nivel del último bloque medido sin puerta de ruido
+     * Lo usa la calibración, que necesita medir también el ruido de fondo.
+     * @returns {number} - Nivel 0-100 sin puerta de ruido
+     */
+    sampleUngatedLevel() {
+        return this.ungatedLevel;
+    }
+
+    /**
+     * Tono (frecuencia fundamental) del último bloque medido
+     * Bajo la puerta de ruido no hay tono, igual que no hay nivel.
+     * @returns {number} - Hz (0 si el bloque no era voz)
+     */
+    getPitch() {
+        return this.getRMSVolume() > 0 ? this.pitch : 0;
+    }
+
+    /**
+     * Obtiene el nivel de pico del último bloque medido
+     * @returns {number} - Pico en escala 0-100
+     */
+    getPeakLevel() {
+        return this.peakLevel;
     }
 
     /**
      * Registra callback para actualizaciones de volumen
-     * @param {Function} callback - Función a llamar con el volumen actualizado
+     * @param {Function} callback - Recibe (volumen, speaking, pitch) de cada bloque medido
      */
     setVolumeUpdateCallback(callback) {
         this.onVolumeUpdate = callback;
     }
 
+    /**
+     * Registra callback para cambios del micrófono en uso
+     * @param {Function} callback - Recibe { deviceId, isFallback }
+     */
+    setInputChangeCallback(callback) {
+        this.onInputChange = callback;
+    }
+
+    /**
+     * Registra callback para cambios en la lista de micrófonos
+     * @param {Function} callback - Recibe [{ deviceId, label }]
+     */
+    setDevicesChangeCallback(callback) {
+        this.onDevicesChange = callback;
+    }
+
     /**
      * Registra callback para manejo de errores
-     * @param {Function} callback - Función a llamar cuando ocurra un error
+     * @param {Function} callback - Recibe { code (AudioErrorCodes), sourceKind (SourceKinds), message, error }
      */
     setErrorCallback(callback) {
         this.onError = callback;
@@ -213,11 +578,11 @@ class AudioAnalyzer {
      * Maneja errores y notifica a través de callback
      * @private
      */
-    handleError(message, error) {
+    handleError(code, sourceKind, message, error) {
         console.error(message, error);
 
         if (this.onError) {
-            this.onError({ message, error });
+            this.onError({ code, sourceKind, message, error });
         }
     }
 
@@ -227,16 +592,38 @@ class AudioAnalyzer {
     destroy() {
         this.stopAnalysis();
 
-        if (this.microphone) {
-            this.microphone.disconnect();
-            this.microphone = null;
+        if (navigator.mediaDevices && navigator.mediaDevices.removeEventListener) {
+            navigator.mediaDevices.removeEventListener('devicechange', this.handleDeviceChange);
+        }
+
+        this.disconnectSource();
+
+        if (this.inputGain) {
+            this.inputGain.disconnect();
+            this.inputGain = null;
+        }
+
+        if (this.weightingFilter) {
+            this.weightingFilter.disconnect();
+            this.weightingFilter = null;
         }
 
-        if (this.analyser) {
-            this.analyser.disconnect();
-            this.analyser = null;
+        if (this.voiceBandFilters) {
+            this.voiceBandFilters.forEach(filter => filter.disconnect());
+            this.voiceBandFilters = null;
         }
 
+        if (this.meterNode) {
+            this.meterNode.port.onmessage = null;
+            this.meterNode.disconnect();
+            this.meterNode = null;
+        }
+
+        this.ungatedLevel = 0;
+        this.peakLevel = 0;
+        this.speaking = false;
+        this.pitch = 0;
+
         if (this.audioContext) {
             this.audioContext.close();
             this.audioContext = null;
@@ -246,4 +633,5 @@ class AudioAnalyzer {
     }
 }
 
+export { AudioErrorCodes };
 export default AudioAnalyzer;
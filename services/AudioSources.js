@@ -0,0 +1,247 @@
+/**
+ * AudioSources
+ *
+ * Fuentes de audio intercambiables para AudioAnalyzer.
+ * Todas cumplen la misma interfaz:
+ *   - connect(audioContext): Promise<AudioNode> -> nodo listo para conectar a la cadena
+ *   - disconnect(): libera el nodo y los recursos de la fuente
+ *   - label: texto para los mensajes de la consola ("el micrófono", ...)
+ *   - kind: tipo de fuente (SourceKinds), con el que la interfaz elige el texto de sus avisos
+ * Las fuentes de micrófono avisan además con onEnded cuando el dispositivo
+ * se desconecta (p. ej. al desenchufar unos auriculares).
+ * Ninguna graba ni almacena el audio.
+ */
+
+// Restricciones por defecto: sin control automático de ganancia para que la
+// sensibilidad del panel sea la única ganancia aplicada
+const DEFAULT_AUDIO_CONSTRAINTS = {
+    echoCancellation: true,
+    noiseSuppression: true,
+    autoGainControl: false
+};
+
+const SourceKinds = {
+    MICROPHONE: 'microphone',
+    PLAYER: 'player',
+    SYNTHETIC: 'synthetic'
+};
+
+/**
+ * Micrófono por defecto del sistema
+ */
+class MicrophoneSource {
+    constructor() {
+        this.label = 'el micrófono';
+        this.kind = SourceKinds.MICROPHONE;
+        this.stream = null;
+        this.node = null;
+
+        // Callback cuando la pista de audio termina (dispositivo desconectado)
+        this.onEnded = null;
+        this.handleTrackEnded = () => {
+            if (this.onEnded) this.onEnded();
+        };
+    }
+
+    /**
+     * Restricciones de audio para getUserMedia
+     * @protected
+     */
+    getConstraints() {
+        return { ...DEFAULT_AUDIO_CONSTRAINTS };
+    }
+
+    /**
+     * Solicita permiso de micrófono y crea el nodo de entrada
+     * @param {AudioContext} audioContext - Contexto donde se crea el nodo
+     * @returns {Promise<AudioNode>}
+     */
+    async connect(audioContext) {
+        if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+            throw new Error('Tu navegador no soporta acceso al micrófono');
+        }
+
+        this.stream = await navigator.mediaDevices.getUserMedia({ audio: this.getConstraints() });
+        this.stream.getAudioTracks().forEach(track => track.addEventListener('ended', this.handleTrackEnded));
+
+        this.node = audioContext.createMediaStreamSource(this.stream);
+        return this.node;
+    }
+
+    /**
+     * ID del dispositivo que está capturando realmente
+     * @returns {string} - ID del dispositivo o '' si no hay captura
+     */
+    getActiveDeviceId() {
+        const [track] = this.stream ? this.stream.getAudioTracks() : [];
+        return track ? (track.getSettings().deviceId || '') : '';
+    }
+
+    /**
+     * Indica si la captura terminó (dispositivo desconectado)
+     * @returns {boolean}
+     */
+    isEnded() {
+        if (!this.stream) return true;
+        return this.stream.getAudioTracks().every(track => track.readyState === 'ended');
+    }
+
+    /**
+     * Desconecta el nodo y apaga el micrófono
+     */
+    disconnect() {
+        if (this.node) {
+            this.node.disconnect();
+            this.node = null;
+        }
+
+        if (this.stream) {
+            this.stream.getTracks().forEach(track => {
+                track.removeEventListener('ended', this.handleTrackEnded);
+                track.stop();
+            });
+            this.stream = null;
+        }
+    }
+}
+
+/**
+ * Un dispositivo de entrada concreto (p. ej. un micrófono USB)
+ */
+class DeviceSource extends MicrophoneSource {
+    /**
+     * @param {string} deviceId - ID del dispositivo (de enumerateDevices)
+     */
+    constructor(deviceId) {
+        super();
+        this.deviceId = deviceId;
+    }
+
+    /**
+     * @protected
+     */
+    getConstraints() {
+        return { ...DEFAULT_AUDIO_CONSTRAINTS, deviceId: { exact: this.deviceId } };
+    }
+}
+
+/**
+ * Un elemento <audio>/<video> de la página, o un archivo reproducido en uno
+ */
+class MediaElementSource {
+    /**
+     * @param {HTMLMediaElement} mediaElement - Elemento a escuchar
+     */
+    constructor(mediaElement) {
+        this.label = 'el reproductor';
+        this.kind = SourceKinds.PLAYER;
+        this.mediaElement = mediaElement;
+        this.objectUrl = null;
+        this.node = null;
+    }
+
+    /**
+     * Crea una fuente que reproduce un archivo de audio
+     * @param {File|Blob} file - Archivo de audio
+     * @returns {MediaElementSource}
+     */
+    static fromFile(file) {
+        const source = new MediaElementSource(new Audio());
+        source.objectUrl = URL.createObjectURL(file);
+        source.mediaElement.src = source.objectUrl;
+        return source;
+    }
+
+    /**
+     * @param {AudioContext} audioContext - Contexto donde se crea el nodo
+     * @returns {Promise<AudioNode>}
+     */
+    async connect(audioContext) {
+        this.node = audioContext.createMediaElementSource(this.mediaElement);
+
+        // Sin esto el elemento queda mudo al pasar por Web Audio
+        this.node.connect(audioContext.destination);
+
+        if (this.objectUrl) {
+            await this.mediaElement.play();
+        }
+
+        return this.node;
+    }
+
+    disconnect() {
+        if (this.node) {
+            this.node.disconnect();
+            this.node = null;
+        }
+
+        if (this.objectUrl) {
+            this.mediaElement.pause();
+            URL.revokeObjectURL(this.objectUrl);
+            this.objectUrl = null;
+        }
+    }
+}
+
+/**
+ * Señal sintética (oscilador) para pruebas automáticas y demostraciones
+ * La amplitud se puede cambiar en cualquier momento para simular voz más baja o más alta.
+ */
+class SyntheticSource {
+    /**
+     * @param {Object} options - { waveform, frequency, amplitude }
+     */
+    constructor({ waveform = 'sine', frequency = 220, amplitude = 0.1 } = {}) {
+        this.label = 'la señal de prueba';
+        this.kind = SourceKinds.SYNTHETIC;
+        this.waveform = waveform;
+        this.frequency = frequency;
+        this.amplitude = amplitude;
+        this.oscillator = null;
+        this.node = null;
+    }
+
+    /**
+     * @param {AudioContext} audioContext - Contexto donde se crean los nodos
+     * @returns {Promise<AudioNode>}
+     */
+    async connect(audioContext) {
+        this.oscillator = audioContext.createOscillator();
+        this.oscillator.type = this.waveform;
+        this.oscillator.frequency.value = this.frequency;
+
+        this.node = audioContext.createGain();
+        this.node.gain.value = this.amplitude;
+
+        this.oscillator.connect(this.node);
+        this.oscillator.start();
+        return this.node;
+    }
+
+    /**
+     * Cambia la amplitud de la señal (0-1)
+     * @param {number} amplitude - Amplitud lineal
+     */
+    setAmplitude(amplitude) {
+        this.amplitude = Math.max(0, Math.min(1, amplitude));
+
+        if (this.node) {
+            this.node.gain.value = this.amplitude;
+        }
+    }
+
+    disconnect() {
+        if (this.oscillator) {
+            this.oscillator.stop();
+            this.oscillator.disconnect();
+            this.oscillator = null;
+        }
+
+        if (this.node) {
+            this.node.disconnect();
+            this.node = null;
+        }
+    }
+}
+
+export { SourceKinds, MicrophoneSource, DeviceSource, MediaElementSource, SyntheticSource };
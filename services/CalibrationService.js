@@ -0,0 +1,199 @@
+/**
+ * CalibrationService
+ *
+ * Calibración guiada del micrófono y de la sala.
+ * Mide unos segundos de ruido de fondo y tres muestras de voz (baja, normal, alta)
+ * y propone puerta de ruido, umbrales y sensibilidad a partir de ellas.
+ * No sabe nada de la UI: recibe un AudioAnalyzer y devuelve números.
+ */
+
+const CalibrationSteps = [
+    {
+        id: 'noise',
+        title: 'Ruido de la sala',
+        instruction: 'Quédate en silencio unos segundos para medir el ruido de fondo.',
+        durationMs: 4000
+    },
+    {
+        id: 'quiet',
+        title: 'Voz demasiado baja',
+        instruction: 'Lee o habla en voz muy baja, casi susurrando.',
+        durationMs: 5000
+    },
+    {
+        id: 'normal',
+        title: 'Voz normal',
+        instruction: 'Habla con el volumen que quieres conseguir en clase.',
+        durationMs: 5000
+    },
+    {
+        id: 'loud',
+        title: 'Voz demasiado alta',
+        instruction: 'Ahora habla demasiado fuerte, como si gritaras un poco.',
+        durationMs: 5000
+    }
+];
+
+// Límites de los controles del panel de configuración
+const Limits = {
+    lowerThreshold: { min: 5, max: 70 },
+    upperThreshold: { min: 30, max: 95 },
+    noiseGate: { min: 0, max: 30 },
+    sensitivity: { min: 0, max: 100 }
+};
+
+// Nivel al que se intenta llevar la voz normal (centro de la escala)
+const TARGET_NORMAL_LEVEL = 50;
+
+// Margen sobre el ruido medido para fijar la puerta de ruido
+const NOISE_GATE_MARGIN = 3;
+
+// Separación mínima (en nivel) entre muestras para considerar la calibración válida
+const MIN_SAMPLE_SEPARATION = 4;
+
+const SAMPLE_INTERVAL_MS = 50;
+
+class CalibrationError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'CalibrationError';
+    }
+}
+
+class CalibrationService {
+    /**
+     * @param {AudioAnalyzer} audioAnalyzer - Analizador ya inicializado
+     */
+    constructor(audioAnalyzer) {
+        this.audioAnalyzer = audioAnalyzer;
+        this.activeTimer = null;
+        this.rejectActive = null;
+    }
+
+    /**
+     * Mide un paso de calibración
+     * @param {Object} step - Paso de CalibrationSteps
+     * @param {Function} onProgress - Recibe { progress (0-1), level } en cada muestra
+     * @returns {Promise<number>} - Nivel representativo del paso
+     */
+    measure(step, onProgress = () => { }) {
+        this.cancel();
+
+        return new Promise((resolve, reject) => {
+            const samples = [];
+            const startTime = Date.now();
+            this.rejectActive = reject;
+
+            this.activeTimer = setInterval(() => {
+                const level = this.audioAnalyzer.sampleUngatedLevel();
+                samples.push(level);
+
+                const progress = Math.min(1, (Date.now() - startTime) / step.durationMs);
+                onProgress({ progress, level });
+
+                if (progress < 1) return;
+
+                this.stopTimer();
+                resolve(CalibrationService.summarizeSamples(step.id, samples));
+            }, SAMPLE_INTERVAL_MS);
+        });
+    }
+
+    /**
+     * Cancela la medición en curso (si la hay)
+     */
+    cancel() {
+        if (!this.activeTimer) return;
+
+        const reject = this.rejectActive;
+        this.stopTimer();
+        reject(new CalibrationError('Calibración cancelada'));
+    }
+
+    /**
+     * @private
+     */
+    stopTimer() {
+        clearInterval(this.activeTimer);
+        this.activeTimer = null;
+        this.rejectActive = null;
+    }
+
+    /**
+     * Reduce las muestras de un paso a un único nivel representativo
+     * El ruido usa el percentil 90 (picos habituales de la sala); la voz usa el
+     * percentil 70 para ignorar las pausas entre palabras.
+     * @param {string} stepId - ID del paso
+     * @param {Array<number>} samples - Niveles medidos
+     * @returns {number}
+     */
+    static summarizeSamples(stepId, samples) {
+        const percentile = stepId === 'noise' ? 0.9 : 0.7;
+        return CalibrationService.percentile(samples, percentile);
+    }
+
+    /**
+     * Percentil de un array de números (sin modificar el original)
+     * @private
+     */
+    static percentile(values, fraction) {
+        if (values.length === 0) return 0;
+
+        const sorted = [...values].sort((a, b) => a - b);
+        const index = Math.min(sorted.length - 1, Math.floor(fraction * sorted.length));
+        return sorted[index];
+    }
+
+    /**
+     * Calcula la configuración propuesta a partir de las mediciones
+     * @param {Object} measurements - { noise, quiet, normal, loud } niveles 0-100
+     * @param {Object} context - { sensitivity, levelPerSensitivityPoint }
+     * @returns {Object} - { sensitivity, noiseGate, lowerThreshold, upperThreshold }
+     * @throws {CalibrationError} - Si las muestras no se distinguen entre sí
+     */
+    static computeProposal(measurements, context) {
+        const { noise, quiet, normal, loud } = measurements;
+        const { sensitivity, levelPerSensitivityPoint } = context;
+
+        if (quiet - noise < MIN_SAMPLE_SEPARATION || normal - quiet < MIN_SAMPLE_SEPARATION) {
+            throw new CalibrationError('La voz baja no se distingue del ruido o de la voz normal. Repite la calibración hablando más claro.');
+        }
+
+        if (loud - normal < MIN_SAMPLE_SEPARATION) {
+            throw new CalibrationError('La voz alta no se distingue de la normal. Repite la calibración hablando más fuerte en el último paso.');
+        }
+
+        // Sensibilidad: llevar la voz normal al centro de la escala
+        const desiredShift = (TARGET_NORMAL_LEVEL - normal) / levelPerSensitivityPoint;
+        const proposedSensitivity = Math.round(clamp(sensitivity + desiredShift, Limits.sensitivity));
+        const levelShift = (proposedSensitivity - sensitivity) * levelPerSensitivityPoint;
+
+        const shifted = (level) => clamp(level + levelShift, { min: 0, max: 100 });
+
+        const noiseGate = Math.round(clamp(shifted(noise) + NOISE_GATE_MARGIN, Limits.noiseGate));
+        const lowerThreshold = Math.round(clamp((shifted(quiet) + shifted(normal)) / 2, Limits.lowerThreshold));
+        let upperThreshold = Math.round(clamp((shifted(normal) + shifted(loud)) / 2, Limits.upperThreshold));
+
+        // Mantener la zona verde con un ancho mínimo, igual que StateManager
+        if (upperThreshold <= lowerThreshold) {
+            upperThreshold = Math.min(Limits.upperThreshold.max, lowerThreshold + 10);
+        }
+
+        return {
+            sensitivity: proposedSensitivity,
+            noiseGate,
+            lowerThreshold,
+            upperThreshold
+        };
+    }
+}
+
+/**
+ * Limita un valor a un rango { min, max }
+ * @private
+ */
+function clamp(value, range) {
+    return Math.max(range.min, Math.min(range.max, value));
+}
+
+export { CalibrationService, CalibrationSteps, CalibrationError, Limits };
@@ -0,0 +1,129 @@
+/**
+ * ClassroomMode Service
+ *
+ * Modo aula: el docente deja la tablet en la mesa y vigila el ruido de toda la
+ * clase en lugar de la voz de un alumno. Reutiliza AudioAnalyzer y StateManager
+ * con umbrales pensados para ruido ambiente y una media del nivel más larga,
+ * y agrupa los estados en tres zonas: silencio, bien y demasiado ruido.
+ * Lógica pura: no conoce el DOM ni el almacenamiento.
+ */
+
+import { States } from './StateManager.js';
+
+// Configuración de partida del aula (se ajusta con los mismos controles del panel)
+const CLASSROOM_CONFIG = {
+    lowerThreshold: 20,       // Por debajo: clase en silencio
+    upperThreshold: 55,       // Por encima: demasiado ruido
+    dampening: 60,
+    noiseGate: 4,
+    warningBandWidth: 0,      // Tres zonas, sin banda de aviso
+    hysteresisMargin: 5,
+    minDwellTime: 1500,       // Un grito suelto no cambia la zona
+    persistenceDuration: 3000,
+    aWeighting: true,         // Ruido ambiente en dB(A), como un sonómetro
+    voiceDetection: false,    // Cuenta todo el ruido, no solo la voz
+    pitchTracking: false,     // La entonación es cosa de cada alumno, no del aula
+    rhythmFeedback: false,    // Y el ritmo del habla también
+    averagingWindow: 5000     // Media del nivel de los últimos 5 segundos
+};
+
+const NoiseZones = {
+    QUIET: 'quiet',
+    OK: 'ok',
+    LOUD: 'loud'
+};
+
+// Zona de cada estado de StateManager
+const STATE_ZONES = {
+    [States.SILENT]: NoiseZones.QUIET,
+    [States.LOW]: NoiseZones.QUIET,
+    [States.OPTIMAL]: NoiseZones.OK,
+    [States.WARNING]: NoiseZones.OK,
+    [States.DANGER]: NoiseZones.LOUD
+};
+
+// Emoji de cada zona (el nombre y el mensaje, en cada idioma, están en FeedbackMessages)
+const ZoneInfo = {
+    [NoiseZones.QUIET]: { emoji: '🤫' },
+    [NoiseZones.OK]: { emoji: '🙂' },
+    [NoiseZones.LOUD]: { emoji: '🙉' }
+};
+
+/**
+ * Zona de ruido que corresponde a un estado
+ * @param {string} state - Valor de States
+ * @returns {string} - Valor de NoiseZones
+ */
+function getNoiseZone(state) {
+    return STATE_ZONES[state] || NoiseZones.QUIET;
+}
+
+/**
+ * Texto de la clase y el periodo (p. ej. "3º B · 2ª hora")
+ * @param {Object} classroom - { className, period }
+ * @returns {string} - Vacío si no hay ninguno de los dos
+ */
+function getClassroomLabel({ className = '', period = '' } = {}) {
+    return [className, period].filter(Boolean).join(' · ');
+}
+
+/**
+ * Media móvil del nivel en una ventana de tiempo
+ * El ruido de un aula sube y baja a cada momento: la media de varios segundos
+ * muestra el ambiente general sin reaccionar a cada golpe o carcajada.
+ */
+class LevelAverager {
+    /**
+     * @param {number} windowMs - Ventana en ms (0 = sin media)
+     */
+    constructor(windowMs = 0) {
+        this.windowMs = windowMs;
+        this.samples = [];
+        this.sum = 0;
+    }
+
+    /**
+     * Cambia la ventana y descarta las muestras anteriores
+     * @param {number} windowMs - Ventana en ms (0 = sin media)
+     */
+    setWindow(windowMs) {
+        this.windowMs = Math.max(0, windowMs || 0);
+        this.reset();
+    }
+
+    /**
+     * Añade una muestra y devuelve la media de la ventana
+     * @param {number} level - Nivel 0-100
+     * @param {number} timestamp - Instante de la muestra en ms
+     * @returns {number} - Nivel medio (el mismo nivel si no hay ventana)
+     */
+    add(level, timestamp) {
+        if (this.windowMs === 0) return level;
+
+        this.samples.push({ level, timestamp });
+        this.sum += level;
+
+        while (this.samples[0].timestamp <= timestamp - this.windowMs) {
+            this.sum -= this.samples.shift().level;
+        }
+
+        return this.sum / this.samples.length;
+    }
+
+    /**
+     * Descarta las muestras acumuladas
+     */
+    reset() {
+        this.samples = [];
+        this.sum = 0;
+    }
+}
+
+export {
+    CLASSROOM_CONFIG,
+    NoiseZones,
+    ZoneInfo,
+    getNoiseZone,
+    getClassroomLabel,
+    LevelAverager
+};
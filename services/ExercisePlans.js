@@ -0,0 +1,199 @@
+/**
+ * ExercisePlans Service
+ *
+ * Planes de ejercicio guiado: fases de habla y de descanso con su duración,
+ * repetidas varias rondas. SessionTracker los recorre con su reloj (cuenta
+ * atrás, cambio de fase y fin de la sesión) y guarda las estadísticas de cada fase.
+ * Lógica pura: no conoce el DOM ni el reloj.
+ *
+ * Plan: { id, name, description, rounds, phases: [{ type, label, duration, greenTarget }] }
+ *   - duration: segundos de la fase (en las fases con greenTarget, el tiempo máximo)
+ *   - greenTarget: segundos seguidos en verde que terminan la fase antes de tiempo
+ * Los planes se crean en un idioma: el nombre, las fases y la descripción
+ * salen de los textos de FeedbackMessages.
+ */
+
+import { DEFAULT_LOCALE, getUiTexts, formatText } from './FeedbackMessages.js';
+import { formatTime } from '../utils/formatters.js';
+
+const PhaseTypes = {
+    SPEAK: 'speak',
+    REST: 'rest'
+};
+
+const CUSTOM_PLAN_ID = 'custom';
+
+// Límites de los campos del plan personalizado: [mínimo, máximo, valor por defecto]
+const CUSTOM_LIMITS = {
+    speakSeconds: [10, 1800, 120],
+    restSeconds: [0, 600, 30],
+    rounds: [1, 10, 3],
+    greenTarget: [0, 600, 0]
+};
+
+// Planes predefinidos sin textos: el nombre y las fases de cada uno están en
+// exercisePresets[id] de los textos de cada idioma
+const PRESET_PLANS = [
+    {
+        id: 'read-aloud',
+        rounds: 3,
+        phases: [
+            { type: PhaseTypes.SPEAK, duration: 120 },
+            { type: PhaseTypes.REST, duration: 30 }
+        ]
+    },
+    {
+        id: 'green-minute',
+        rounds: 1,
+        phases: [
+            { type: PhaseTypes.SPEAK, duration: 300, greenTarget: 60 }
+        ]
+    },
+    {
+        id: 'short-turns',
+        rounds: 5,
+        phases: [
+            { type: PhaseTypes.SPEAK, duration: 30 },
+            { type: PhaseTypes.REST, duration: 15 }
+        ]
+    }
+];
+
+/**
+ * Planes predefinidos en un idioma
+ * @param {string} locale - Código del idioma
+ * @returns {Array} - Planes
+ */
+function getPresetPlans(locale = DEFAULT_LOCALE) {
+    return PRESET_PLANS.map(plan => localizePreset(plan, locale));
+}
+
+/**
+ * Plan predefinido por ID
+ * @param {string} planId - ID de PRESET_PLANS
+ * @param {string} locale - Código del idioma
+ * @returns {Object|null}
+ */
+function getPresetPlan(planId, locale = DEFAULT_LOCALE) {
+    const plan = PRESET_PLANS.find(preset => preset.id === planId);
+    return plan ? localizePreset(plan, locale) : null;
+}
+
+/**
+ * Completa un plan predefinido con el nombre, las fases y la descripción del idioma
+ * @private
+ */
+function localizePreset(preset, locale) {
+    const { name, phases } = getUiTexts(locale).exercisePresets[preset.id];
+
+    const plan = {
+        ...preset,
+        name,
+        phases: preset.phases.map((phase, index) => ({ ...phase, label: phases[index] }))
+    };
+
+    return { ...plan, description: describePlan(plan, locale) };
+}
+
+/**
+ * Valida los campos del plan personalizado (los ajusta a sus límites)
+ * Sin actividad, el plan usa el nombre de la fase de habla del idioma.
+ * @param {Object} fields - { label, speakSeconds, restSeconds, rounds, greenTarget }
+ * @returns {Object} - Los mismos campos normalizados
+ */
+function normalizeCustomFields(fields = {}) {
+    const normalized = {
+        label: typeof fields.label === 'string' ? fields.label.trim() : ''
+    };
+
+    Object.entries(CUSTOM_LIMITS).forEach(([name, [min, max, defaultValue]]) => {
+        const value = Math.round(Number(fields[name]));
+        normalized[name] = Number.isFinite(value) ? Math.min(max, Math.max(min, value)) : defaultValue;
+    });
+
+    return normalized;
+}
+
+/**
+ * Crea un plan a partir de los campos del plan personalizado
+ * @param {Object} fields - { label, speakSeconds, restSeconds, rounds, greenTarget }
+ * @param {string} locale - Código del idioma
+ * @returns {Object} - Plan
+ */
+function createCustomPlan(fields, locale = DEFAULT_LOCALE) {
+    const texts = getUiTexts(locale);
+    const { label: activity, speakSeconds, restSeconds, rounds, greenTarget } = normalizeCustomFields(fields);
+    const label = activity || texts.exerciseSpeakPhase;
+
+    const speakPhase = { type: PhaseTypes.SPEAK, label, duration: speakSeconds };
+    if (greenTarget > 0) {
+        speakPhase.greenTarget = Math.min(greenTarget, speakSeconds);
+    }
+
+    const phases = [speakPhase];
+    if (restSeconds > 0) {
+        phases.push({ type: PhaseTypes.REST, label: texts.exerciseRestPhase, duration: restSeconds });
+    }
+
+    const plan = { id: CUSTOM_PLAN_ID, name: label, rounds, phases };
+    return { ...plan, description: describePlan(plan, locale) };
+}
+
+/**
+ * Lista de pasos del plan en orden (sin el descanso final, que no sirve de nada)
+ * @param {Object} plan - Plan
+ * @returns {Array} - [{ index, round, type, label, duration, greenTarget }]
+ */
+function expandPlan(plan) {
+    const steps = [];
+
+    for (let round = 1; round <= plan.rounds; round++) {
+        plan.phases.forEach(phase => {
+            steps.push({
+                index: steps.length,
+                round,
+                type: phase.type,
+                label: phase.label,
+                duration: phase.duration,
+                greenTarget: phase.greenTarget || 0
+            });
+        });
+    }
+
+    while (steps.length > 0 && steps[steps.length - 1].type === PhaseTypes.REST) {
+        steps.pop();
+    }
+
+    return steps;
+}
+
+/**
+ * Texto del plan (p. ej. "Lee en voz alta 02:00 · Descanso 00:30 · ×3")
+ * @param {Object} plan - Plan
+ * @param {string} locale - Código del idioma
+ * @returns {string}
+ */
+function describePlan(plan, locale = DEFAULT_LOCALE) {
+    const { exerciseGreenPhase } = getUiTexts(locale);
+
+    const phases = plan.phases.map(phase => (phase.greenTarget
+        ? formatText(exerciseGreenPhase, {
+            label: phase.label,
+            target: formatTime(phase.greenTarget),
+            duration: formatTime(phase.duration)
+        })
+        : `${phase.label} ${formatTime(phase.duration)}`));
+
+    return plan.rounds > 1 ? [...phases, `×${plan.rounds}`].join(' · ') : phases.join(' · ');
+}
+
+export {
+    PhaseTypes,
+    CUSTOM_PLAN_ID,
+    getPresetPlans,
+    getPresetPlan,
+    normalizeCustomFields,
+    createCustomPlan,
+    expandPlan,
+    describePlan
+};
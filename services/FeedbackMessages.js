@@ -0,0 +1,1040 @@
+/**
+ * FeedbackMessages Service
+ *
+ * Mensajes y emojis de cada estado en varios idiomas (español, inglés y catalán)
+ * y los textos de la pantalla principal, del panel de configuración y de los avisos. Cada alumno puede tener su idioma y sus
+ * propios mensajes y emoji por estado:
+ *   - {name} se cambia por el nombre del alumno (sin nombre no se usan esos mensajes)
+ *   - con varios mensajes, cada cambio de estado elige uno al azar sin repetir el anterior
+ *   - un estado sin mensajes propios usa los del idioma
+ * Las claves de los estados son las de StateManager (States).
+ * Lógica pura: no conoce el DOM.
+ */
+
+const Locales = {
+    ES: 'es',
+    EN: 'en',
+    CA: 'ca'
+};
+
+const LocaleNames = {
+    [Locales.ES]: 'Español',
+    [Locales.EN]: 'English',
+    [Locales.CA]: 'Català'
+};
+
+const DEFAULT_LOCALE = Locales.ES;
+
+// Estados con mensaje (en el orden del termómetro, de abajo arriba)
+const FEEDBACK_STATES = ['SILENT', 'LOW', 'OPTIMAL', 'WARNING', 'DANGER'];
+
+const DEFAULT_EMOJIS = {
+    SILENT: '🤔',
+    LOW: '🤔',
+    OPTIMAL: '😊',
+    WARNING: '😰',
+    DANGER: '😅'
+};
+
+// Máximo de mensajes propios por estado y de caracteres por mensaje
+const MAX_CUSTOM_MESSAGES = 10;
+const MAX_MESSAGE_LENGTH = 80;
+
+const NAME_PLACEHOLDER = '{name}';
+
+const LOCALE_TEXTS = {
+    [Locales.ES]: {
+        states: {
+            SILENT: ['Habla, {name}', 'Habla un poco, no te oigo'],
+            LOW: ['Habla, {name}', 'Habla un poco, no te oigo'],
+            OPTIMAL: ['Perfecto, sigue así, mantén el volumen'],
+            WARNING: ['Cuidado, no subas más'],
+            DANGER: ['¡Vamos!!']
+        },
+        ui: {
+            // Pantalla principal
+            appTitle: 'Ajusta tu volumen de voz',
+            classroomTitle: 'Ruido en el aula',
+            totalTime: 'TIEMPO TOTAL',
+            greenTime: 'TIEMPO CORRECTO',
+            successRate: '% ÉXITO',
+            closeNotice: 'Cerrar aviso',
+            activeStudent: 'Alumno activo',
+            levelHigh: 'Muy alto',
+            levelOptimal: 'Correcto',
+            levelLow: 'Muy bajo',
+            classroomNoise: 'Ruido de la clase',
+            pitch: 'Tono de voz',
+            pitchTrace: 'Tono de voz en los últimos segundos',
+            guidedExercise: 'Ejercicio Guiado',
+            goals: 'Objetivos',
+            speechRhythm: 'Ritmo del habla',
+            historyAndNewSession: 'Historial y Nueva Sesión',
+            pause: 'Pausar',
+            resume: 'Reanudar',
+            settings: 'Configuración',
+            noiseZones: {
+                quiet: { label: 'Silencio', message: 'Clase en silencio' },
+                ok: { label: 'Bien', message: 'Buen ambiente de trabajo' },
+                loud: { label: 'Demasiado ruido', message: '¡Demasiado ruido en la clase!' }
+            },
+            pitchZones: {
+                none: 'Sin voz',
+                flat: 'Voz plana',
+                varied: 'Entonación variada',
+                wide: 'Demasiados altibajos'
+            },
+            rhythmZones: {
+                none: { label: 'Ritmo', message: 'Habla para ver tu ritmo' },
+                slow: { label: 'Muy despacio', message: 'Puedes hablar un poco más rápido' },
+                ok: { label: 'Buen ritmo', message: '¡Buen ritmo!' },
+                fast: { label: 'Muy rápido', message: 'Más despacio, sin prisa' }
+            },
+            syllablesPerSecond: 'síl/s',
+            pauseOne: 'pausa',
+            pauseMany: 'pausas',
+            longPauseOne: 'larga',
+            longPauseMany: 'largas',
+
+            // Panel de configuración
+            closePanel: 'Cerrar panel',
+            classroomMode: 'Modo aula',
+            classroomModeHelp: 'Para dejar el equipo en la mesa y vigilar el ruido de toda la clase. Usa sus propios umbrales y una media del nivel de 5 segundos',
+            className: 'Clase',
+            classNamePlaceholder: 'Clase (p. ej. 3º B)',
+            classPeriod: 'Periodo',
+            classPeriodPlaceholder: 'Periodo (p. ej. 2ª hora)',
+            classroomFieldsHelp: 'Las sesiones se guardan con la clase y el periodo en lugar del alumno. Al cambiarlos empieza una sesión nueva',
+            studentName: 'Nombre del Alumno',
+            studentNamePlaceholder: 'Escribe tu nombre aquí',
+            studentNameHelp: 'Tu nombre aparecerá en los mensajes de ánimo. Los ajustes se guardan en el perfil del alumno activo.',
+            deleteStudent: 'Eliminar este alumno',
+            localeAndMessages: 'Idioma y Mensajes',
+            messagesLocale: 'Idioma de los mensajes',
+            messagesHelp: 'Emoji y mensajes propios de cada estado, uno por línea; con varios se elige uno al azar en cada cambio. {name} se cambia por el nombre del alumno. Los estados sin mensajes usan los del idioma',
+            stateNames: {
+                SILENT: 'Silencio',
+                LOW: 'Bajo',
+                OPTIMAL: 'Óptimo',
+                WARNING: 'Aviso',
+                DANGER: 'Alto'
+            },
+            studentGoals: 'Objetivos del alumno',
+            goalType: 'Tipo de objetivo',
+            goalSuccessRate: '% en verde durante un tiempo',
+            goalDropStreak: 'Sesiones seguidas con pocas caídas',
+            addGoal: '🎯 Añadir objetivo',
+            goalsHelp: 'Se guardan al momento en el perfil del alumno activo y se siguen en directo junto a las estadísticas',
+            exercisePlan: 'Plan de ejercicio',
+            exerciseActivity: 'Actividad',
+            exerciseActivityPlaceholder: 'Actividad (p. ej. Lee en voz alta)',
+            exerciseSpeak: 'Hablar (s)',
+            exerciseRest: 'Descanso (s)',
+            exerciseRounds: 'Rondas',
+            exerciseGreenTarget: 'Seguidos en verde (s)',
+            startExercise: '⏱️ Empezar ejercicio',
+            exerciseHelp: 'Cuenta atrás, cambio de fase automático y fin de la sesión al terminar. Con "seguidos en verde" la fase acaba en cuanto se consigue',
+            exerciseCustomPlan: 'Personalizado',
+            exercisePresets: {
+                'read-aloud': { name: 'Lectura en voz alta', phases: ['Lee en voz alta', 'Descanso'] },
+                'green-minute': { name: 'Un minuto seguido en verde', phases: ['Habla sin salir del verde'] },
+                'short-turns': { name: 'Turnos cortos de conversación', phases: ['Habla', 'Escucha'] }
+            },
+            exerciseSpeakPhase: 'Habla',
+            exerciseRestPhase: 'Descanso',
+            exerciseGreenPhase: '{label}: {target} seguidos en verde (máx. {duration})',
+            exerciseRound: '{label} · Ronda {round} de {rounds}',
+            exerciseResting: 'Descansa: esta fase no cuenta',
+            exerciseGreenStreak: 'Racha en verde {streak} de {target}',
+            microphone: 'Micrófono',
+            microphoneHelp: 'Entrada de audio de este equipo. Si se desconecta, se usará el micrófono predeterminado hasta que vuelva',
+            defaultMicrophone: 'Micrófono predeterminado',
+            microphoneNumber: 'Micrófono {number}',
+            missingMicrophone: 'Micrófono elegido (no conectado)',
+            calibrationOffset: 'Corrección a dB SPL',
+            calibrationOffsetLabel: 'Corrección del micrófono en dB',
+            calibrationOffsetPlaceholder: 'Sin calibrar (dBFS)',
+            calibrationOffsetHelp: 'Con un sonómetro junto al micrófono, suma a este valor la diferencia entre su lectura y la de la derecha hasta que coincidan. Se guarda para cada micrófono',
+            aWeighting: 'Ponderación A (dB(A))',
+            aWeightingHelp: 'Mide como un sonómetro en dB(A): resta peso a los graves, que el oído percibe menos',
+            voiceOnly: 'Solo voz',
+            voiceOnlyHelp: 'Mide solo las frecuencias de la voz y no cuenta sillas, ventiladores ni palmadas. Desactívalo para medir cualquier sonido (p. ej. la señal de prueba)',
+            intonation: 'Entonación',
+            intonationHelp: 'Muestra el tono de voz y avisa si la voz suena plana (monótona) o con demasiados altibajos. El tono medio, su rango y su variación se guardan siempre',
+            pitchLower: 'Voz plana por debajo de',
+            pitchLowerLabel: 'Variación mínima del tono en semitonos',
+            pitchUpper: 'Demasiados altibajos por encima de',
+            pitchUpperLabel: 'Variación máxima del tono en semitonos',
+            pitchHelp: 'Variación del tono en los últimos 4 segundos con voz, en semitonos (st). El habla corriente varía unos 2-4 st',
+            rhythmHelp: 'Muestra la velocidad (sílabas por segundo) y las pausas mientras se habla, y avisa si va muy despacio o muy rápido. La velocidad y las pausas se guardan siempre',
+            rateLower: 'Muy despacio por debajo de',
+            rateLowerLabel: 'Velocidad mínima en sílabas por segundo',
+            rateUpper: 'Muy rápido por encima de',
+            rateUpperLabel: 'Velocidad máxima en sílabas por segundo',
+            rateHelp: 'Sílabas por segundo de habla (sin contar las pausas) en los últimos 10 segundos. La conversación suele ir a unas 4-5 síl/s',
+            less: 'Menos',
+            more: 'Más',
+            sensitivity: 'Sensibilidad',
+            sensitivityLabel: 'Ajustar sensibilidad del micrófono',
+            sensitivityHelp: 'Amplifica o atenúa el micrófono (50% = sin cambio). Útil para voces suaves o micrófonos débiles',
+            dampening: 'Amortiguación',
+            dampeningLabel: 'Ajustar amortiguación de cambios',
+            dampeningHelp: 'Suaviza los cambios bruscos en el volumen detectado',
+            persistence: 'Persistencia',
+            persistenceLabel: 'Ajustar duración de persistencia',
+            persistenceHelp: 'Tiempo que la barra mantiene su posición entre pausas del habla',
+            hysteresis: 'Margen de Cambio',
+            hysteresisLabel: 'Ajustar margen de histéresis',
+            hysteresisHelp: 'Cuánto hay que pasarse de un umbral para cambiar de color. Evita el parpadeo cuando la voz está justo en el límite',
+            minDwell: 'Tiempo Mínimo de Cambio',
+            minDwellLabel: 'Ajustar tiempo mínimo antes de cambiar de estado',
+            minDwellHelp: 'Tiempo que debe mantenerse un nuevo nivel antes de cambiar de color',
+            noiseGate: 'Puerta de Ruido',
+            noiseGateLabel: 'Ajustar puerta de ruido',
+            noiseGateHelp: 'Por debajo de este nivel el sonido se trata como silencio',
+            calibrate: '🎯 Calibrar micrófono y sala',
+            calibrateHelp: 'Mide el ruido de la sala y tu voz para proponer sensibilidad, puerta de ruido y umbrales',
+            analyzeFile: '🎧 Analizar una grabación',
+            analyzeFileHelp: 'Puntúa un ejercicio grabado (WAV, MP3 u OGG) con la configuración actual. La sesión se guarda en el historial',
+            backup: 'Copia de Seguridad',
+            exportBackup: '💾 Descargar copia',
+            importBackup: '📂 Importar copia',
+            importMode: 'Cómo importar la copia',
+            importMerge: 'Combinar con los datos de este equipo',
+            importReplace: 'Reemplazar los datos de este equipo',
+            backupHelp: 'Guarda la configuración, los alumnos y las sesiones en un archivo JSON para pasarlos a otra tableta o recuperarlos tras borrar los datos del navegador',
+            historyRetention: 'Conservar el Historial',
+            retentionAll: 'Todas las sesiones',
+            retentionLast500: 'Las últimas 500 sesiones',
+            retentionLast100: 'Las últimas 100 sesiones',
+            retentionDays365: 'Las del último año',
+            retentionDays90: 'Las de los últimos 90 días',
+            retentionHelp: 'Las sesiones que no cumplan la regla se borran de este equipo. Descarga antes una copia si quieres conservarlas',
+            thresholds: 'Umbrales de Zona Verde',
+            zoneHigh: 'Negro (Muy Alto)',
+            zoneWarning: 'Amarillo (Aviso)',
+            zoneOptimal: 'Verde (Correcto)',
+            zoneLow: 'Rojo (Bajo)',
+            preview: 'Vista previa',
+            previewHelp: 'de cómo se verán las zonas',
+            upperThreshold: 'Umbral Superior',
+            upperThresholdLabel: 'Umbral superior de zona verde',
+            upperThresholdHelp: 'Límite máximo de la zona verde',
+            lowerThreshold: 'Umbral Inferior',
+            lowerThresholdLabel: 'Umbral inferior de zona verde',
+            lowerThresholdHelp: 'Límite mínimo de la zona verde',
+            warningBand: 'Banda de Aviso',
+            warningBandLabel: 'Ancho de la banda de aviso',
+            warningBandOff: 'Desactivada',
+            warningBandHelp: 'Franja amarilla justo debajo del umbral superior que avisa antes de llegar a "demasiado alto" (0 = desactivada)',
+            saveSettings: 'Guardar Configuración',
+            settingsSaved: '✓ Guardado',
+
+            // Resumen de sesión
+            summaryTitle: 'Resumen de Sesión',
+            closeSummary: 'Cerrar resumen',
+            summaryTotalTime: 'Duración Total',
+            summaryGreenTime: 'Tiempo en Verde',
+            summarySuccess: '% de Éxito',
+            summaryWarningTime: 'Tiempo en Aviso',
+            summarySpeakingTime: 'Tiempo con Voz',
+            summaryPeak: 'Pico Máximo',
+            summaryConsistency: 'Consistencia',
+            summaryLongestStreak: 'Racha Verde Más Larga',
+            summaryTimeToGreen: 'Tiempo hasta Verde',
+            summaryDangerBursts: 'Picos de Volumen',
+            summarySilenceGaps: 'Silencios',
+            summaryVariability: 'Variabilidad del Nivel',
+            summaryPitchMean: 'Tono Medio',
+            summaryPitchRange: 'Rango del Tono',
+            summaryPitchVariability: 'Variación del Tono',
+            summarySpeechRate: 'Velocidad del Habla',
+            summaryPauses: 'Pausas',
+            summaryPauseDistribution: 'Duración de las Pausas',
+            phaseColumn: 'Fase',
+            durationColumn: 'Duración',
+            greenColumn: 'En verde',
+            successColumn: 'Éxito',
+            dropsColumn: 'Caídas',
+            streakColumn: 'Racha verde',
+            summaryTimelineLabel: 'Nivel de voz a lo largo de la sesión',
+            summaryChartLabel: 'Tiempo en cada estado',
+            exportMenu: 'Exportar',
+            exportCsv: 'CSV (una fila por sesión)',
+            exportSamplesCsv: 'CSV por muestra',
+            exportJson: 'JSON',
+            exportReport: 'Informe imprimible (PDF)',
+            newSession: 'Nueva Sesión',
+            viewHistory: 'Ver Historial',
+            backToHistory: 'Volver al Historial',
+            warningOne: 'aviso',
+            warningMany: 'avisos',
+            streakWithAverage: '{longest} (media {average})',
+            neverGreen: 'No llegó',
+            burstsWithLongest: '{count} (el más largo {longest})',
+            speechRateWithPauses: '{articulation} {unit} ({speech} con pausas)',
+            pausesDetail: '{count} ({long} · media {average} s · la más larga {longest} s)',
+            pauseBucketOpen: '{from} s o más',
+            exerciseCompleted: 'completo',
+            exerciseInterrupted: 'interrumpido',
+            phaseRound: '{label} (ronda {round})',
+            phaseInterrupted: 'interrumpida',
+            amountOf: '{done} de {planned}',
+
+            // Avisos
+            retry: 'Reintentar',
+            microphoneError: 'No se pudo acceder al micrófono. Verifica que esté conectado y los permisos del navegador.',
+            microphoneFallback: 'El micrófono elegido no está conectado. Se usa el micrófono predeterminado hasta que vuelva.',
+            microphoneErrorHint: 'Verifica que esté conectado y los permisos del navegador.',
+            audioErrors: {
+                init: 'Error al inicializar {source}',
+                connect: 'Error al conectar {source}',
+                microphoneLost: 'Se ha desconectado el micrófono y no hay otro disponible'
+            },
+            audioSourceNames: {
+                microphone: 'el micrófono',
+                player: 'el reproductor',
+                synthetic: 'la señal de prueba'
+            },
+            closeOtherTabs: 'Cierra las otras pestañas de Eco-Logro para actualizar el historial. Hasta entonces no se puede abrir.',
+            studentSaveError: 'No se pudo guardar el alumno.',
+            sessionSaveError: 'No se pudo guardar la sesión en el historial.',
+            goalsHistoryError: 'No se pudo leer el historial: los objetivos de varias sesiones solo cuentan la sesión actual.',
+            backupImportError: 'No se pudo importar la copia de seguridad.',
+            backupExportError: 'No se pudo descargar la copia de seguridad.',
+            retentionSaveError: 'No se pudo guardar la conservación del historial.',
+            fileAnalysisUnsupported: 'Tu navegador no permite analizar grabaciones.',
+            sessionNotFound: 'No se encontró la sesión seleccionada.',
+            sessionDeleteError: 'No se pudo eliminar la sesión.',
+            noSessionsToExport: 'No hay sesiones para exportar.',
+            noSamplesToExport: 'Las sesiones elegidas no tienen muestras de nivel (son anteriores a la línea de tiempo).',
+
+            // Confirmaciones y copia de seguridad
+            deleteStudentConfirm: '¿Eliminar a {name}? Sus sesiones se conservarán en el historial.',
+            deleteSessionConfirm: '¿Eliminar esta sesión del historial?',
+            retentionConfirm: 'Con esta regla se borrarán {sessions} del historial. ¿Continuar?',
+            importMergeConfirm: '¿Añadir a este equipo lo que falte de la copia ({contents})?',
+            importReplaceConfirm: '¿Reemplazar los datos de este equipo por la copia ({contents})? Se perderán las sesiones y alumnos que no estén en la copia.',
+            backupImported: 'Copia importada: {details}.',
+            countsAnd: '{first} y {second}',
+            expiredByRetention: '{sessions} por la regla de conservación',
+            sessionOne: 'sesión',
+            sessionMany: 'sesiones',
+            studentOne: 'alumno',
+            studentMany: 'alumnos',
+            newSessionOne: 'sesión nueva',
+            newSessionMany: 'sesiones nuevas',
+            newStudentOne: 'alumno nuevo',
+            newStudentMany: 'alumnos nuevos',
+            duplicateSessionOne: 'sesión ya estaba',
+            duplicateSessionMany: 'sesiones ya estaban',
+            invalidSessionOne: 'sesión no válida ignorada',
+            invalidSessionMany: 'sesiones no válidas ignoradas',
+            expiredSessionOne: 'sesión antigua borrada',
+            expiredSessionMany: 'sesiones antiguas borradas'
+        }
+    },
+    [Locales.EN]: {
+        states: {
+            SILENT: ['Speak up, {name}', 'Speak up a little, I can\'t hear you'],
+            LOW: ['Speak up, {name}', 'Speak up a little, I can\'t hear you'],
+            OPTIMAL: ['That\'s better, just the right volume'],
+            WARNING: ['Getting a bit loud!'],
+            DANGER: ['That\'s too loud!']
+        },
+        ui: {
+            // Pantalla principal
+            appTitle: 'Adjust your voice volume',
+            classroomTitle: 'Classroom noise',
+            totalTime: 'TOTAL TIME',
+            greenTime: 'TIME ON TARGET',
+            successRate: '% SUCCESS',
+            closeNotice: 'Close notice',
+            activeStudent: 'Active student',
+            levelHigh: 'Too loud',
+            levelOptimal: 'Just right',
+            levelLow: 'Too quiet',
+            classroomNoise: 'Classroom noise level',
+            pitch: 'Voice pitch',
+            pitchTrace: 'Voice pitch over the last few seconds',
+            guidedExercise: 'Guided Exercise',
+            goals: 'Goals',
+            speechRhythm: 'Speech rhythm',
+            historyAndNewSession: 'History and New Session',
+            pause: 'Pause',
+            resume: 'Resume',
+            settings: 'Settings',
+            noiseZones: {
+                quiet: { label: 'Quiet', message: 'The class is quiet' },
+                ok: { label: 'Good', message: 'Good working atmosphere' },
+                loud: { label: 'Too noisy', message: 'The class is too noisy!' }
+            },
+            pitchZones: {
+                none: 'No voice',
+                flat: 'Flat voice',
+                varied: 'Varied intonation',
+                wide: 'Too many ups and downs'
+            },
+            rhythmZones: {
+                none: { label: 'Rhythm', message: 'Speak to see your rhythm' },
+                slow: { label: 'Too slow', message: 'You can speak a little faster' },
+                ok: { label: 'Good rhythm', message: 'Good rhythm!' },
+                fast: { label: 'Too fast', message: 'Slow down, no rush' }
+            },
+            syllablesPerSecond: 'syl/s',
+            pauseOne: 'pause',
+            pauseMany: 'pauses',
+            longPauseOne: 'long',
+            longPauseMany: 'long',
+
+            // Panel de configuración
+            closePanel: 'Close panel',
+            classroomMode: 'Classroom mode',
+            classroomModeHelp: 'Leave the device on the desk and keep an eye on the noise of the whole class. It uses its own thresholds and a 5-second level average',
+            className: 'Class',
+            classNamePlaceholder: 'Class (e.g. Year 3B)',
+            classPeriod: 'Period',
+            classPeriodPlaceholder: 'Period (e.g. 2nd period)',
+            classroomFieldsHelp: 'Sessions are saved with the class and period instead of the student. Changing them starts a new session',
+            studentName: 'Student Name',
+            studentNamePlaceholder: 'Type your name here',
+            studentNameHelp: 'Your name will appear in the encouragement messages. Settings are saved in the active student\'s profile.',
+            deleteStudent: 'Delete this student',
+            localeAndMessages: 'Language and Messages',
+            messagesLocale: 'Language of the messages',
+            messagesHelp: 'Your own emoji and messages for each state, one per line; with several, one is picked at random on each change. {name} is replaced by the student\'s name. States without messages use the language ones',
+            stateNames: {
+                SILENT: 'Silence',
+                LOW: 'Low',
+                OPTIMAL: 'Optimal',
+                WARNING: 'Warning',
+                DANGER: 'Loud'
+            },
+            studentGoals: 'Student goals',
+            goalType: 'Goal type',
+            goalSuccessRate: '% in green over a period of time',
+            goalDropStreak: 'Sessions in a row with few drops',
+            addGoal: '🎯 Add goal',
+            goalsHelp: 'Saved straight away in the active student\'s profile and tracked live next to the statistics',
+            exercisePlan: 'Exercise plan',
+            exerciseActivity: 'Activity',
+            exerciseActivityPlaceholder: 'Activity (e.g. Read aloud)',
+            exerciseSpeak: 'Speak (s)',
+            exerciseRest: 'Rest (s)',
+            exerciseRounds: 'Rounds',
+            exerciseGreenTarget: 'In green in a row (s)',
+            startExercise: '⏱️ Start exercise',
+            exerciseHelp: 'Countdown, automatic phase changes and the session ends when it is over. With "in green in a row" the phase ends as soon as it is reached',
+            exerciseCustomPlan: 'Custom',
+            exercisePresets: {
+                'read-aloud': { name: 'Reading aloud', phases: ['Read aloud', 'Rest'] },
+                'green-minute': { name: 'One minute in green in a row', phases: ['Speak without leaving the green'] },
+                'short-turns': { name: 'Short conversation turns', phases: ['Speak', 'Listen'] }
+            },
+            exerciseSpeakPhase: 'Speak',
+            exerciseRestPhase: 'Rest',
+            exerciseGreenPhase: '{label}: {target} in green in a row (max. {duration})',
+            exerciseRound: '{label} · Round {round} of {rounds}',
+            exerciseResting: 'Rest: this phase does not count',
+            exerciseGreenStreak: 'Green streak {streak} of {target}',
+            microphone: 'Microphone',
+            microphoneHelp: 'Audio input of this device. If it is disconnected, the default microphone is used until it comes back',
+            defaultMicrophone: 'Default microphone',
+            microphoneNumber: 'Microphone {number}',
+            missingMicrophone: 'Chosen microphone (not connected)',
+            calibrationOffset: 'Correction to dB SPL',
+            calibrationOffsetLabel: 'Microphone correction in dB',
+            calibrationOffsetPlaceholder: 'Not calibrated (dBFS)',
+            calibrationOffsetHelp: 'With a sound level meter next to the microphone, add the difference between its reading and the one on the right until they match. It is saved for each microphone',
+            aWeighting: 'A-weighting (dB(A))',
+            aWeightingHelp: 'Measures like a sound level meter in dB(A): low frequencies, which the ear hears less, count less',
+            voiceOnly: 'Voice only',
+            voiceOnlyHelp: 'Measures only voice frequencies and ignores chairs, fans and claps. Turn it off to measure any sound (e.g. the test signal)',
+            intonation: 'Intonation',
+            intonationHelp: 'Shows the voice pitch and warns if the voice sounds flat (monotone) or has too many ups and downs. The mean pitch, its range and its variation are always saved',
+            pitchLower: 'Flat voice below',
+            pitchLowerLabel: 'Minimum pitch variation in semitones',
+            pitchUpper: 'Too many ups and downs above',
+            pitchUpperLabel: 'Maximum pitch variation in semitones',
+            pitchHelp: 'Pitch variation over the last 4 seconds of voice, in semitones (st). Everyday speech varies by about 2-4 st',
+            rhythmHelp: 'Shows the speed (syllables per second) and pauses while speaking, and warns if it is too slow or too fast. Speed and pauses are always saved',
+            rateLower: 'Too slow below',
+            rateLowerLabel: 'Minimum speed in syllables per second',
+            rateUpper: 'Too fast above',
+            rateUpperLabel: 'Maximum speed in syllables per second',
+            rateHelp: 'Syllables per second of speech (not counting pauses) over the last 10 seconds. Conversation is usually about 4-5 syl/s',
+            less: 'Less',
+            more: 'More',
+            sensitivity: 'Sensitivity',
+            sensitivityLabel: 'Adjust microphone sensitivity',
+            sensitivityHelp: 'Boosts or reduces the microphone (50% = no change). Useful for soft voices or weak microphones',
+            dampening: 'Damping',
+            dampeningLabel: 'Adjust damping of changes',
+            dampeningHelp: 'Smooths sudden changes in the detected volume',
+            persistence: 'Persistence',
+            persistenceLabel: 'Adjust persistence duration',
+            persistenceHelp: 'How long the bar holds its position between pauses in speech',
+            hysteresis: 'Change Margin',
+            hysteresisLabel: 'Adjust hysteresis margin',
+            hysteresisHelp: 'How far past a threshold the level must go to change colour. Avoids flickering when the voice is right on the limit',
+            minDwell: 'Minimum Change Time',
+            minDwellLabel: 'Adjust minimum time before changing state',
+            minDwellHelp: 'How long a new level must hold before the colour changes',
+            noiseGate: 'Noise Gate',
+            noiseGateLabel: 'Adjust noise gate',
+            noiseGateHelp: 'Sound below this level is treated as silence',
+            calibrate: '🎯 Calibrate microphone and room',
+            calibrateHelp: 'Measures the room noise and your voice to suggest sensitivity, noise gate and thresholds',
+            analyzeFile: '🎧 Analyse a recording',
+            analyzeFileHelp: 'Scores a recorded exercise (WAV, MP3 or OGG) with the current settings. The session is saved in the history',
+            backup: 'Backup',
+            exportBackup: '💾 Download backup',
+            importBackup: '📂 Import backup',
+            importMode: 'How to import the backup',
+            importMerge: 'Merge with the data on this device',
+            importReplace: 'Replace the data on this device',
+            backupHelp: 'Saves the settings, students and sessions in a JSON file to move them to another tablet or recover them after clearing the browser data',
+            historyRetention: 'Keep History',
+            retentionAll: 'All sessions',
+            retentionLast500: 'The last 500 sessions',
+            retentionLast100: 'The last 100 sessions',
+            retentionDays365: 'Those from the last year',
+            retentionDays90: 'Those from the last 90 days',
+            retentionHelp: 'Sessions that do not meet the rule are deleted from this device. Download a backup first if you want to keep them',
+            thresholds: 'Green Zone Thresholds',
+            zoneHigh: 'Black (Too Loud)',
+            zoneWarning: 'Yellow (Warning)',
+            zoneOptimal: 'Green (Just Right)',
+            zoneLow: 'Red (Low)',
+            preview: 'Preview',
+            previewHelp: 'of how the zones will look',
+            upperThreshold: 'Upper Threshold',
+            upperThresholdLabel: 'Upper threshold of the green zone',
+            upperThresholdHelp: 'Maximum limit of the green zone',
+            lowerThreshold: 'Lower Threshold',
+            lowerThresholdLabel: 'Lower threshold of the green zone',
+            lowerThresholdHelp: 'Minimum limit of the green zone',
+            warningBand: 'Warning Band',
+            warningBandLabel: 'Width of the warning band',
+            warningBandOff: 'Off',
+            warningBandHelp: 'Yellow strip just below the upper threshold that warns before reaching "too loud" (0 = off)',
+            saveSettings: 'Save Settings',
+            settingsSaved: '✓ Saved',
+
+            // Resumen de sesión
+            summaryTitle: 'Session Summary',
+            closeSummary: 'Close summary',
+            summaryTotalTime: 'Total Duration',
+            summaryGreenTime: 'Time in Green',
+            summarySuccess: '% Success',
+            summaryWarningTime: 'Time in Warning',
+            summarySpeakingTime: 'Speaking Time',
+            summaryPeak: 'Peak Level',
+            summaryConsistency: 'Consistency',
+            summaryLongestStreak: 'Longest Green Streak',
+            summaryTimeToGreen: 'Time to Green',
+            summaryDangerBursts: 'Volume Bursts',
+            summarySilenceGaps: 'Silences',
+            summaryVariability: 'Level Variability',
+            summaryPitchMean: 'Mean Pitch',
+            summaryPitchRange: 'Pitch Range',
+            summaryPitchVariability: 'Pitch Variation',
+            summarySpeechRate: 'Speech Rate',
+            summaryPauses: 'Pauses',
+            summaryPauseDistribution: 'Pause Lengths',
+            phaseColumn: 'Phase',
+            durationColumn: 'Duration',
+            greenColumn: 'In green',
+            successColumn: 'Success',
+            dropsColumn: 'Drops',
+            streakColumn: 'Green streak',
+            summaryTimelineLabel: 'Voice level over the session',
+            summaryChartLabel: 'Time in each state',
+            exportMenu: 'Export',
+            exportCsv: 'CSV (one row per session)',
+            exportSamplesCsv: 'CSV per sample',
+            exportJson: 'JSON',
+            exportReport: 'Printable report (PDF)',
+            newSession: 'New Session',
+            viewHistory: 'View History',
+            backToHistory: 'Back to History',
+            warningOne: 'warning',
+            warningMany: 'warnings',
+            streakWithAverage: '{longest} (average {average})',
+            neverGreen: 'Not reached',
+            burstsWithLongest: '{count} (longest {longest})',
+            speechRateWithPauses: '{articulation} {unit} ({speech} with pauses)',
+            pausesDetail: '{count} ({long} · average {average} s · longest {longest} s)',
+            pauseBucketOpen: '{from} s or more',
+            exerciseCompleted: 'completed',
+            exerciseInterrupted: 'interrupted',
+            phaseRound: '{label} (round {round})',
+            phaseInterrupted: 'interrupted',
+            amountOf: '{done} of {planned}',
+
+            // Avisos
+            retry: 'Retry',
+            microphoneError: 'Could not access the microphone. Check that it is connected and the browser permissions.',
+            microphoneFallback: 'The chosen microphone is not connected. The default microphone is used until it comes back.',
+            microphoneErrorHint: 'Check that it is connected and the browser permissions.',
+            audioErrors: {
+                init: 'Could not start {source}',
+                connect: 'Could not connect {source}',
+                microphoneLost: 'The microphone was disconnected and there is no other one available'
+            },
+            audioSourceNames: {
+                microphone: 'the microphone',
+                player: 'the player',
+                synthetic: 'the test signal'
+            },
+            closeOtherTabs: 'Close the other Eco-Logro tabs to update the history. Until then it cannot be opened.',
+            studentSaveError: 'Could not save the student.',
+            sessionSaveError: 'Could not save the session to the history.',
+            goalsHistoryError: 'Could not read the history: goals over several sessions only count the current session.',
+            backupImportError: 'Could not import the backup.',
+            backupExportError: 'Could not download the backup.',
+            retentionSaveError: 'Could not save the history retention rule.',
+            fileAnalysisUnsupported: 'Your browser cannot analyse recordings.',
+            sessionNotFound: 'The selected session was not found.',
+            sessionDeleteError: 'Could not delete the session.',
+            noSessionsToExport: 'There are no sessions to export.',
+            noSamplesToExport: 'The chosen sessions have no level samples (they are older than the timeline).',
+
+            // Confirmaciones y copia de seguridad
+            deleteStudentConfirm: 'Delete {name}? Their sessions will be kept in the history.',
+            deleteSessionConfirm: 'Delete this session from the history?',
+            retentionConfirm: 'This rule will delete {sessions} from the history. Continue?',
+            importMergeConfirm: 'Add to this device whatever is missing from the backup ({contents})?',
+            importReplaceConfirm: 'Replace the data on this device with the backup ({contents})? Sessions and students that are not in the backup will be lost.',
+            backupImported: 'Backup imported: {details}.',
+            countsAnd: '{first} and {second}',
+            expiredByRetention: '{sessions} by the retention rule',
+            sessionOne: 'session',
+            sessionMany: 'sessions',
+            studentOne: 'student',
+            studentMany: 'students',
+            newSessionOne: 'new session',
+            newSessionMany: 'new sessions',
+            newStudentOne: 'new student',
+            newStudentMany: 'new students',
+            duplicateSessionOne: 'session was already there',
+            duplicateSessionMany: 'sessions were already there',
+            invalidSessionOne: 'invalid session ignored',
+            invalidSessionMany: 'invalid sessions ignored',
+            expiredSessionOne: 'old session deleted',
+            expiredSessionMany: 'old sessions deleted'
+        }
+    },
+    [Locales.CA]: {
+        states: {
+            SILENT: ['Parla, {name}', 'Parla una mica, no et sento'],
+            LOW: ['Parla, {name}', 'Parla una mica, no et sento'],
+            OPTIMAL: ['Perfecte, continua així, mantén el volum'],
+            WARNING: ['Compte, no pugis més'],
+            DANGER: ['Massa fort!']
+        },
+        ui: {
+            // Pantalla principal
+            appTitle: 'Ajusta el volum de la teva veu',
+            classroomTitle: 'Soroll a l\'aula',
+            totalTime: 'TEMPS TOTAL',
+            greenTime: 'TEMPS CORRECTE',
+            successRate: '% ÈXIT',
+            closeNotice: 'Tanca l\'avís',
+            activeStudent: 'Alumne actiu',
+            levelHigh: 'Massa alt',
+            levelOptimal: 'Correcte',
+            levelLow: 'Massa baix',
+            classroomNoise: 'Soroll de la classe',
+            pitch: 'To de veu',
+            pitchTrace: 'To de veu dels últims segons',
+            guidedExercise: 'Exercici Guiat',
+            goals: 'Objectius',
+            speechRhythm: 'Ritme de la parla',
+            historyAndNewSession: 'Historial i Sessió Nova',
+            pause: 'Pausa',
+            resume: 'Reprèn',
+            settings: 'Configuració',
+            noiseZones: {
+                quiet: { label: 'Silenci', message: 'Classe en silenci' },
+                ok: { label: 'Bé', message: 'Bon ambient de treball' },
+                loud: { label: 'Massa soroll', message: 'Massa soroll a la classe!' }
+            },
+            pitchZones: {
+                none: 'Sense veu',
+                flat: 'Veu plana',
+                varied: 'Entonació variada',
+                wide: 'Massa alts i baixos'
+            },
+            rhythmZones: {
+                none: { label: 'Ritme', message: 'Parla per veure el teu ritme' },
+                slow: { label: 'Massa a poc a poc', message: 'Pots parlar una mica més de pressa' },
+                ok: { label: 'Bon ritme', message: 'Bon ritme!' },
+                fast: { label: 'Massa de pressa', message: 'Més a poc a poc, sense pressa' }
+            },
+            syllablesPerSecond: 'síl/s',
+            pauseOne: 'pausa',
+            pauseMany: 'pauses',
+            longPauseOne: 'llarga',
+            longPauseMany: 'llargues',
+
+            // Panel de configuración
+            closePanel: 'Tanca el tauler',
+            classroomMode: 'Mode aula',
+            classroomModeHelp: 'Per deixar l\'equip a la taula i vigilar el soroll de tota la classe. Fa servir els seus propis llindars i una mitjana del nivell de 5 segons',
+            className: 'Classe',
+            classNamePlaceholder: 'Classe (p. ex. 3r B)',
+            classPeriod: 'Període',
+            classPeriodPlaceholder: 'Període (p. ex. 2a hora)',
+            classroomFieldsHelp: 'Les sessions es desen amb la classe i el període en lloc de l\'alumne. Si els canvies comença una sessió nova',
+            studentName: 'Nom de l\'Alumne',
+            studentNamePlaceholder: 'Escriu el teu nom aquí',
+            studentNameHelp: 'El teu nom apareixerà als missatges d\'ànim. Els ajustos es desen al perfil de l\'alumne actiu.',
+            deleteStudent: 'Elimina aquest alumne',
+            localeAndMessages: 'Idioma i Missatges',
+            messagesLocale: 'Idioma dels missatges',
+            messagesHelp: 'Emoji i missatges propis de cada estat, un per línia; amb diversos se\'n tria un a l\'atzar a cada canvi. {name} es canvia pel nom de l\'alumne. Els estats sense missatges fan servir els de l\'idioma',
+            stateNames: {
+                SILENT: 'Silenci',
+                LOW: 'Baix',
+                OPTIMAL: 'Òptim',
+                WARNING: 'Avís',
+                DANGER: 'Alt'
+            },
+            studentGoals: 'Objectius de l\'alumne',
+            goalType: 'Tipus d\'objectiu',
+            goalSuccessRate: '% en verd durant un temps',
+            goalDropStreak: 'Sessions seguides amb poques caigudes',
+            addGoal: '🎯 Afegeix un objectiu',
+            goalsHelp: 'Es desen al moment al perfil de l\'alumne actiu i se segueixen en directe al costat de les estadístiques',
+            exercisePlan: 'Pla d\'exercici',
+            exerciseActivity: 'Activitat',
+            exerciseActivityPlaceholder: 'Activitat (p. ex. Llegeix en veu alta)',
+            exerciseSpeak: 'Parlar (s)',
+            exerciseRest: 'Descans (s)',
+            exerciseRounds: 'Rondes',
+            exerciseGreenTarget: 'Seguits en verd (s)',
+            startExercise: '⏱️ Comença l\'exercici',
+            exerciseHelp: 'Compte enrere, canvi de fase automàtic i final de la sessió en acabar. Amb "seguits en verd" la fase acaba tan bon punt s\'aconsegueix',
+            exerciseCustomPlan: 'Personalitzat',
+            exercisePresets: {
+                'read-aloud': { name: 'Lectura en veu alta', phases: ['Llegeix en veu alta', 'Descans'] },
+                'green-minute': { name: 'Un minut seguit en verd', phases: ['Parla sense sortir del verd'] },
+                'short-turns': { name: 'Torns curts de conversa', phases: ['Parla', 'Escolta'] }
+            },
+            exerciseSpeakPhase: 'Parla',
+            exerciseRestPhase: 'Descans',
+            exerciseGreenPhase: '{label}: {target} seguits en verd (màx. {duration})',
+            exerciseRound: '{label} · Ronda {round} de {rounds}',
+            exerciseResting: 'Descansa: aquesta fase no compta',
+            exerciseGreenStreak: 'Ratxa en verd {streak} de {target}',
+            microphone: 'Micròfon',
+            microphoneHelp: 'Entrada d\'àudio d\'aquest equip. Si es desconnecta, es farà servir el micròfon predeterminat fins que torni',
+            defaultMicrophone: 'Micròfon predeterminat',
+            microphoneNumber: 'Micròfon {number}',
+            missingMicrophone: 'Micròfon triat (no connectat)',
+            calibrationOffset: 'Correcció a dB SPL',
+            calibrationOffsetLabel: 'Correcció del micròfon en dB',
+            calibrationOffsetPlaceholder: 'Sense calibrar (dBFS)',
+            calibrationOffsetHelp: 'Amb un sonòmetre al costat del micròfon, suma a aquest valor la diferència entre la seva lectura i la de la dreta fins que coincideixin. Es desa per a cada micròfon',
+            aWeighting: 'Ponderació A (dB(A))',
+            aWeightingHelp: 'Mesura com un sonòmetre en dB(A): resta pes als greus, que l\'oïda percep menys',
+            voiceOnly: 'Només veu',
+            voiceOnlyHelp: 'Mesura només les freqüències de la veu i no compta cadires, ventiladors ni picades de mans. Desactiva-ho per mesurar qualsevol so (p. ex. el senyal de prova)',
+            intonation: 'Entonació',
+            intonationHelp: 'Mostra el to de veu i avisa si la veu sona plana (monòtona) o amb massa alts i baixos. El to mitjà, el seu rang i la seva variació es desen sempre',
+            pitchLower: 'Veu plana per sota de',
+            pitchLowerLabel: 'Variació mínima del to en semitons',
+            pitchUpper: 'Massa alts i baixos per sobre de',
+            pitchUpperLabel: 'Variació màxima del to en semitons',
+            pitchHelp: 'Variació del to en els últims 4 segons amb veu, en semitons (st). La parla corrent varia uns 2-4 st',
+            rhythmHelp: 'Mostra la velocitat (síl·labes per segon) i les pauses mentre es parla, i avisa si va massa a poc a poc o massa de pressa. La velocitat i les pauses es desen sempre',
+            rateLower: 'Massa a poc a poc per sota de',
+            rateLowerLabel: 'Velocitat mínima en síl·labes per segon',
+            rateUpper: 'Massa de pressa per sobre de',
+            rateUpperLabel: 'Velocitat màxima en síl·labes per segon',
+            rateHelp: 'Síl·labes per segon de parla (sense comptar les pauses) en els últims 10 segons. La conversa sol anar a unes 4-5 síl/s',
+            less: 'Menys',
+            more: 'Més',
+            sensitivity: 'Sensibilitat',
+            sensitivityLabel: 'Ajusta la sensibilitat del micròfon',
+            sensitivityHelp: 'Amplifica o atenua el micròfon (50% = sense canvi). Útil per a veus suaus o micròfons febles',
+            dampening: 'Esmorteïment',
+            dampeningLabel: 'Ajusta l\'esmorteïment dels canvis',
+            dampeningHelp: 'Suavitza els canvis bruscos en el volum detectat',
+            persistence: 'Persistència',
+            persistenceLabel: 'Ajusta la durada de la persistència',
+            persistenceHelp: 'Temps que la barra manté la seva posició entre pauses de la parla',
+            hysteresis: 'Marge de Canvi',
+            hysteresisLabel: 'Ajusta el marge d\'histèresi',
+            hysteresisHelp: 'Quant cal passar-se d\'un llindar per canviar de color. Evita el parpelleig quan la veu és just al límit',
+            minDwell: 'Temps Mínim de Canvi',
+            minDwellLabel: 'Ajusta el temps mínim abans de canviar d\'estat',
+            minDwellHelp: 'Temps que s\'ha de mantenir un nivell nou abans de canviar de color',
+            noiseGate: 'Porta de Soroll',
+            noiseGateLabel: 'Ajusta la porta de soroll',
+            noiseGateHelp: 'Per sota d\'aquest nivell el so es tracta com a silenci',
+            calibrate: '🎯 Calibra el micròfon i la sala',
+            calibrateHelp: 'Mesura el soroll de la sala i la teva veu per proposar sensibilitat, porta de soroll i llindars',
+            analyzeFile: '🎧 Analitza un enregistrament',
+            analyzeFileHelp: 'Puntua un exercici enregistrat (WAV, MP3 o OGG) amb la configuració actual. La sessió es desa a l\'historial',
+            backup: 'Còpia de Seguretat',
+            exportBackup: '💾 Descarrega una còpia',
+            importBackup: '📂 Importa una còpia',
+            importMode: 'Com importar la còpia',
+            importMerge: 'Combina amb les dades d\'aquest equip',
+            importReplace: 'Substitueix les dades d\'aquest equip',
+            backupHelp: 'Desa la configuració, els alumnes i les sessions en un fitxer JSON per passar-los a una altra tauleta o recuperar-los després d\'esborrar les dades del navegador',
+            historyRetention: 'Conserva l\'Historial',
+            retentionAll: 'Totes les sessions',
+            retentionLast500: 'Les últimes 500 sessions',
+            retentionLast100: 'Les últimes 100 sessions',
+            retentionDays365: 'Les de l\'últim any',
+            retentionDays90: 'Les dels últims 90 dies',
+            retentionHelp: 'Les sessions que no compleixin la regla s\'esborren d\'aquest equip. Descarrega abans una còpia si les vols conservar',
+            thresholds: 'Llindars de la Zona Verda',
+            zoneHigh: 'Negre (Massa Alt)',
+            zoneWarning: 'Groc (Avís)',
+            zoneOptimal: 'Verd (Correcte)',
+            zoneLow: 'Vermell (Baix)',
+            preview: 'Vista prèvia',
+            previewHelp: 'de com es veuran les zones',
+            upperThreshold: 'Llindar Superior',
+            upperThresholdLabel: 'Llindar superior de la zona verda',
+            upperThresholdHelp: 'Límit màxim de la zona verda',
+            lowerThreshold: 'Llindar Inferior',
+            lowerThresholdLabel: 'Llindar inferior de la zona verda',
+            lowerThresholdHelp: 'Límit mínim de la zona verda',
+            warningBand: 'Banda d\'Avís',
+            warningBandLabel: 'Amplada de la banda d\'avís',
+            warningBandOff: 'Desactivada',
+            warningBandHelp: 'Franja groga just per sota del llindar superior que avisa abans d\'arribar a "massa alt" (0 = desactivada)',
+            saveSettings: 'Desa la Configuració',
+            settingsSaved: '✓ Desat',
+
+            // Resumen de sesión
+            summaryTitle: 'Resum de la Sessió',
+            closeSummary: 'Tanca el resum',
+            summaryTotalTime: 'Durada Total',
+            summaryGreenTime: 'Temps en Verd',
+            summarySuccess: '% d\'Èxit',
+            summaryWarningTime: 'Temps en Avís',
+            summarySpeakingTime: 'Temps amb Veu',
+            summaryPeak: 'Pic Màxim',
+            summaryConsistency: 'Consistència',
+            summaryLongestStreak: 'Ratxa Verda Més Llarga',
+            summaryTimeToGreen: 'Temps fins al Verd',
+            summaryDangerBursts: 'Pics de Volum',
+            summarySilenceGaps: 'Silencis',
+            summaryVariability: 'Variabilitat del Nivell',
+            summaryPitchMean: 'To Mitjà',
+            summaryPitchRange: 'Rang del To',
+            summaryPitchVariability: 'Variació del To',
+            summarySpeechRate: 'Velocitat de la Parla',
+            summaryPauses: 'Pauses',
+            summaryPauseDistribution: 'Durada de les Pauses',
+            phaseColumn: 'Fase',
+            durationColumn: 'Durada',
+            greenColumn: 'En verd',
+            successColumn: 'Èxit',
+            dropsColumn: 'Caigudes',
+            streakColumn: 'Ratxa verda',
+            summaryTimelineLabel: 'Nivell de veu al llarg de la sessió',
+            summaryChartLabel: 'Temps en cada estat',
+            exportMenu: 'Exporta',
+            exportCsv: 'CSV (una fila per sessió)',
+            exportSamplesCsv: 'CSV per mostra',
+            exportJson: 'JSON',
+            exportReport: 'Informe imprimible (PDF)',
+            newSession: 'Nova Sessió',
+            viewHistory: 'Mostra l\'Historial',
+            backToHistory: 'Torna a l\'Historial',
+            warningOne: 'avís',
+            warningMany: 'avisos',
+            streakWithAverage: '{longest} (mitjana {average})',
+            neverGreen: 'No hi va arribar',
+            burstsWithLongest: '{count} (el més llarg {longest})',
+            speechRateWithPauses: '{articulation} {unit} ({speech} amb pauses)',
+            pausesDetail: '{count} ({long} · mitjana {average} s · la més llarga {longest} s)',
+            pauseBucketOpen: '{from} s o més',
+            exerciseCompleted: 'completat',
+            exerciseInterrupted: 'interromput',
+            phaseRound: '{label} (ronda {round})',
+            phaseInterrupted: 'interrompuda',
+            amountOf: '{done} de {planned}',
+
+            // Avisos
+            retry: 'Torna-ho a provar',
+            microphoneError: 'No s\'ha pogut accedir al micròfon. Comprova que estigui connectat i els permisos del navegador.',
+            microphoneFallback: 'El micròfon triat no està connectat. Es fa servir el micròfon predeterminat fins que torni.',
+            microphoneErrorHint: 'Comprova que estigui connectat i els permisos del navegador.',
+            audioErrors: {
+                init: 'Error en inicialitzar {source}',
+                connect: 'Error en connectar {source}',
+                microphoneLost: 'S\'ha desconnectat el micròfon i no n\'hi ha cap altre de disponible'
+            },
+            audioSourceNames: {
+                microphone: 'el micròfon',
+                player: 'el reproductor',
+                synthetic: 'el senyal de prova'
+            },
+            closeOtherTabs: 'Tanca les altres pestanyes d\'Eco-Logro per actualitzar l\'historial. Fins aleshores no es pot obrir.',
+            studentSaveError: 'No s\'ha pogut desar l\'alumne.',
+            sessionSaveError: 'No s\'ha pogut desar la sessió a l\'historial.',
+            goalsHistoryError: 'No s\'ha pogut llegir l\'historial: els objectius de diverses sessions només compten la sessió actual.',
+            backupImportError: 'No s\'ha pogut importar la còpia de seguretat.',
+            backupExportError: 'No s\'ha pogut descarregar la còpia de seguretat.',
+            retentionSaveError: 'No s\'ha pogut desar la conservació de l\'historial.',
+            fileAnalysisUnsupported: 'El teu navegador no permet analitzar enregistraments.',
+            sessionNotFound: 'No s\'ha trobat la sessió seleccionada.',
+            sessionDeleteError: 'No s\'ha pogut eliminar la sessió.',
+            noSessionsToExport: 'No hi ha sessions per exportar.',
+            noSamplesToExport: 'Les sessions triades no tenen mostres de nivell (són anteriors a la línia de temps).',
+
+            // Confirmaciones y copia de seguridad
+            deleteStudentConfirm: 'Vols eliminar {name}? Les seves sessions es conservaran a l\'historial.',
+            deleteSessionConfirm: 'Vols eliminar aquesta sessió de l\'historial?',
+            retentionConfirm: 'Amb aquesta regla s\'esborraran {sessions} de l\'historial. Vols continuar?',
+            importMergeConfirm: 'Vols afegir a aquest equip el que falti de la còpia ({contents})?',
+            importReplaceConfirm: 'Vols substituir les dades d\'aquest equip per la còpia ({contents})? Es perdran les sessions i els alumnes que no hi siguin.',
+            backupImported: 'Còpia importada: {details}.',
+            countsAnd: '{first} i {second}',
+            expiredByRetention: '{sessions} per la regla de conservació',
+            sessionOne: 'sessió',
+            sessionMany: 'sessions',
+            studentOne: 'alumne',
+            studentMany: 'alumnes',
+            newSessionOne: 'sessió nova',
+            newSessionMany: 'sessions noves',
+            newStudentOne: 'alumne nou',
+            newStudentMany: 'alumnes nous',
+            duplicateSessionOne: 'sessió ja hi era',
+            duplicateSessionMany: 'sessions ja hi eren',
+            invalidSessionOne: 'sessió no vàlida ignorada',
+            invalidSessionMany: 'sessions no vàlides ignorades',
+            expiredSessionOne: 'sessió antiga esborrada',
+            expiredSessionMany: 'sessions antigues esborrades'
+        }
+    }
+};
+
+/**
+ * Idioma válido (el idioma por defecto si no se conoce)
+ * @param {string} locale - Código del idioma ('es', 'en', 'ca')
+ * @returns {string}
+ */
+function normalizeLocale(locale) {
+    return Object.values(Locales).includes(locale) ? locale : DEFAULT_LOCALE;
+}
+
+/**
+ * Limpia los mensajes propios de un alumno: solo estados conocidos, sin
+ * mensajes vacíos y sin estados que no cambian nada
+ * @param {Object} custom - { [estado]: { messages: string[], emoji: string } }
+ * @returns {Object} - Mismo formato, normalizado
+ */
+function normalizeCustomMessages(custom) {
+    const normalized = {};
+    if (!custom || typeof custom !== 'object') return normalized;
+
+    FEEDBACK_STATES.forEach(state => {
+        const entry = custom[state];
+        if (!entry || typeof entry !== 'object') return;
+
+        const messages = (Array.isArray(entry.messages) ? entry.messages : [])
+            .filter(message => typeof message === 'string')
+            .map(message => message.trim().slice(0, MAX_MESSAGE_LENGTH))
+            .filter(Boolean)
+            .slice(0, MAX_CUSTOM_MESSAGES);
+        const emoji = typeof entry.emoji === 'string' ? entry.emoji.trim() : '';
+
+        if (messages.length > 0 || emoji) {
+            normalized[state] = { messages, emoji };
+        }
+    });
+
+    return normalized;
+}
+
+/**
+ * Cambia {name} por el nombre del alumno
+ * @param {string} template - Mensaje con {name} o sin él
+ * @param {string} name - Nombre del alumno
+ * @returns {string}
+ */
+function formatMessage(template, name) {
+    return template.split(NAME_PLACEHOLDER).join(name);
+}
+
+/**
+ * Rellena un texto de la interfaz con sus valores (p. ej. "{sessions} y {students}")
+ * @param {string} template - Texto con marcas {clave}
+ * @param {Object} values - Valor de cada marca
+ * @returns {string} - Las marcas sin valor se dejan tal cual
+ */
+function formatText(template, values = {}) {
+    return template.replace(/\{(\w+)\}/g, (mark, key) => (key in values ? String(values[key]) : mark));
+}
+
+/**
+ * Mensajes del idioma para un estado (para mostrarlos como sugerencia)
+ * @param {string} state - Estado de StateManager
+ * @param {string} locale - Código del idioma
+ * @returns {string[]}
+ */
+function getLocaleMessages(state, locale) {
+    return LOCALE_TEXTS[normalizeLocale(locale)].states[state] || [];
+}
+
+/**
+ * Textos de la interfaz en un idioma (las claves de data-i18n en index.html)
+ * @param {string} locale - Código del idioma
+ * @returns {Object} - { appTitle, classroomTitle, ..., noiseZones, pitchZones, rhythmZones, stateNames,
+ *   exercisePresets, audioErrors, audioSourceNames }
+ */
+function getUiTexts(locale) {
+    return LOCALE_TEXTS[normalizeLocale(locale)].ui;
+}
+
+/**
+ * Elige el mensaje y el emoji de un estado
+ * @param {string} state - Estado de StateManager
+ * @param {Object} options - { locale, custom (normalizado), name, previousMessage, random }
+ *   previousMessage: mensaje mostrado antes, que no se repite si hay otros
+ *   random: función como Math.random (para poder probarlo)
+ * @returns {Object} - { message, emoji }
+ */
+function getStateFeedback(state, { locale = DEFAULT_LOCALE, custom = {}, name = '', previousMessage = null, random = Math.random } = {}) {
+    const key = FEEDBACK_STATES.includes(state) ? state : 'SILENT';
+    const own = custom[key] || { messages: [], emoji: '' };
+
+    // Sin nombre no sirven los mensajes con {name}
+    const usable = (templates) => templates.filter(template => name || !template.includes(NAME_PLACEHOLDER));
+    let templates = usable(own.messages);
+    if (templates.length === 0) {
+        templates = usable(getLocaleMessages(key, locale));
+    }
+
+    const messages = templates.map(template => formatMessage(template, name));
+    const fresh = messages.length > 1 ? messages.filter(message => message !== previousMessage) : messages;
+
+    return {
+        message: fresh.length > 0 ? fresh[Math.floor(random() * fresh.length)] : '',
+        emoji: own.emoji || DEFAULT_EMOJIS[key]
+    };
+}
+
+export {
+    Locales,
+    LocaleNames,
+    DEFAULT_LOCALE,
+    FEEDBACK_STATES,
+    DEFAULT_EMOJIS,
+    normalizeLocale,
+    normalizeCustomMessages,
+    formatMessage,
+    formatText,
+    getLocaleMessages,
+    getUiTexts,
+    getStateFeedback
+};
@@ -0,0 +1,181 @@
+/**
+ * Goals Service
+ *
+ * Objetivos de cada alumno y su evaluación. Lógica pura: SessionTracker la usa
+ * en vivo y al cerrar la sesión, y los componentes para describir los objetivos.
+ *
+ * Tipos de objetivo (cada uno con sus parámetros):
+ *   - SUCCESS_RATE: { targetRate, minMinutes } "70% en verde durante 5 minutos"
+ *   - DROP_STREAK: { maxDrops, sessionCount } "3 sesiones seguidas con menos de 5 caídas"
+ * Para añadir un tipo basta con una entrada más en GOAL_DEFINITIONS.
+ */
+
+import { getSuccessRate } from './HistoryQuery.js';
+import { formatTime } from '../utils/formatters.js';
+
+const GoalTypes = {
+    SUCCESS_RATE: 'success-rate',
+    DROP_STREAK: 'drop-streak'
+};
+
+const GOAL_DEFINITIONS = {
+    [GoalTypes.SUCCESS_RATE]: {
+        // Parámetros: [nombre, mínimo, máximo, valor por defecto]
+        params: [['targetRate', 1, 100, 70], ['minMinutes', 1, 120, 5]],
+
+        describe: ({ targetRate, minMinutes }) => `${targetRate}% en verde durante ${minMinutes} min`,
+
+        // El historial no cuenta: el objetivo es de cada sesión
+        createContext: () => ({}),
+
+        evaluate: ({ targetRate, minMinutes }, session) => {
+            const rate = getSuccessRate(session);
+            const minSeconds = minMinutes * 60;
+            const duration = session.totalDuration || 0;
+
+            return {
+                progress: Math.min(1, duration / minSeconds),
+                onTrack: rate >= targetRate,
+                met: rate >= targetRate && duration >= minSeconds,
+                detail: `${rate}% de ${targetRate}% · ${formatTime(duration)} de ${formatTime(minSeconds)}`
+            };
+        },
+
+        advanceContext: context => context
+    },
+
+    [GoalTypes.DROP_STREAK]: {
+        params: [['maxDrops', 1, 50, 5], ['sessionCount', 2, 20, 3]],
+
+        describe: ({ maxDrops, sessionCount }) => `${sessionCount} sesiones seguidas con menos de ${maxDrops} caídas`,
+
+        // Sesiones seguidas que ya cumplen, contando desde la más reciente
+        createContext: ({ maxDrops }, previousSessions) => {
+            const firstMiss = previousSessions.findIndex(session => (session.dropCount || 0) >= maxDrops);
+            return { streak: firstMiss === -1 ? previousSessions.length : firstMiss };
+        },
+
+        evaluate: ({ maxDrops, sessionCount }, session, { streak }) => {
+            const drops = session.dropCount || 0;
+            const currentOk = drops < maxDrops;
+            const total = currentOk ? streak + 1 : 0;
+
+            return {
+                progress: Math.min(1, total / sessionCount),
+                onTrack: currentOk,
+                met: currentOk && total >= sessionCount,
+                detail: `${Math.min(total, sessionCount)} de ${sessionCount} sesiones · ${drops} caídas en esta`
+            };
+        },
+
+        advanceContext: ({ maxDrops }, { streak }, session) => ({
+            streak: (session.dropCount || 0) < maxDrops ? streak + 1 : 0
+        })
+    }
+};
+
+/**
+ * Crea un objetivo con los parámetros por defecto de su tipo
+ * @param {string} type - Valor de GoalTypes
+ * @param {Object} params - Parámetros a sobrescribir
+ * @returns {Object|null} - { id, type, ...params } o null si el tipo no existe
+ */
+function createGoal(type, params = {}) {
+    const random = Math.random().toString(36).substr(2, 9);
+    return normalizeGoal({ ...params, type, id: `goal-${Date.now()}-${random}` });
+}
+
+/**
+ * Valida una lista de objetivos guardada (descarta los de tipo desconocido
+ * y ajusta los parámetros a sus límites)
+ * @param {Array} goals - Objetivos guardados
+ * @returns {Array}
+ */
+function normalizeGoals(goals) {
+    return Array.isArray(goals) ? goals.map(normalizeGoal).filter(Boolean) : [];
+}
+
+/**
+ * Texto del objetivo (p. ej. "70% en verde durante 5 min")
+ * @param {Object} goal - Objetivo
+ * @returns {string}
+ */
+function describeGoal(goal) {
+    return GOAL_DEFINITIONS[goal.type].describe(goal);
+}
+
+/**
+ * Lo que cada objetivo necesita saber del historial del alumno
+ * @param {Array} goals - Objetivos del alumno
+ * @param {Array} previousSessions - Sesiones anteriores del alumno, las más recientes primero
+ * @returns {Object} - Contexto por ID de objetivo
+ */
+function createGoalContexts(goals, previousSessions) {
+    return goals.reduce((contexts, goal) => {
+        contexts[goal.id] = GOAL_DEFINITIONS[goal.type].createContext(goal, previousSessions);
+        return contexts;
+    }, {});
+}
+
+/**
+ * Avanza los contextos con una sesión terminada (para la siguiente sesión)
+ * @param {Array} goals - Objetivos del alumno
+ * @param {Object} contexts - Contexto por ID de objetivo
+ * @param {Object} session - Sesión terminada
+ * @returns {Object} - Contextos nuevos
+ */
+function advanceGoalContexts(goals, contexts, session) {
+    return goals.reduce((advanced, goal) => {
+        advanced[goal.id] = GOAL_DEFINITIONS[goal.type].advanceContext(goal, contexts[goal.id], session);
+        return advanced;
+    }, {});
+}
+
+/**
+ * Evalúa los objetivos con el estado de una sesión (en curso o terminada)
+ * @param {Array} goals - Objetivos del alumno
+ * @param {Object} session - Sesión con totalDuration, greenZoneTime y dropCount
+ * @param {Object} contexts - Contexto por ID de objetivo
+ * @returns {Array} - [{ goal, description, progress (0-1), onTrack, met, detail }]
+ */
+function evaluateGoals(goals, session, contexts) {
+    return goals.map(goal => ({
+        goal,
+        description: describeGoal(goal),
+        ...GOAL_DEFINITIONS[goal.type].evaluate(goal, session, contexts[goal.id])
+    }));
+}
+
+/**
+ * Parámetros editables de un tipo de objetivo
+ * @param {string} type - Valor de GoalTypes
+ * @returns {Array} - [{ name, min, max, defaultValue }]
+ */
+function getGoalParams(type) {
+    return GOAL_DEFINITIONS[type].params.map(([name, min, max, defaultValue]) => ({ name, min, max, defaultValue }));
+}
+
+/**
+ * @private
+ */
+function normalizeGoal(goal) {
+    const definition = goal && GOAL_DEFINITIONS[goal.type];
+    if (!definition || typeof goal.id !== 'string') return null;
+
+    return definition.params.reduce((normalized, [name, min, max, defaultValue]) => {
+        const value = Math.round(Number(goal[name]));
+        normalized[name] = Number.isFinite(value) ? Math.min(max, Math.max(min, value)) : defaultValue;
+        return normalized;
+    }, { id: goal.id, type: goal.type });
+}
+
+export {
+    GoalTypes,
+    createGoal,
+    normalizeGoals,
+    describeGoal,
+    createGoalContexts,
+    advanceGoalContexts,
+    evaluateGoals,
+    getGoalParams
+};
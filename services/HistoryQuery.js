@@ -0,0 +1,186 @@
+/**
+ * HistoryQuery Service
+ *
+ * Lógica pura para ordenar y filtrar el historial de sesiones.
+ * No conoce el DOM ni el almacenamiento: recibe arrays y devuelve arrays nuevos.
+ */
+
+const SortOptions = {
+    DATE_DESC: 'date-desc',
+    DATE_ASC: 'date-asc',
+    SUCCESS_DESC: 'success-desc',
+    SUCCESS_ASC: 'success-asc',
+    DURATION_DESC: 'duration-desc'
+};
+
+const PeriodOptions = {
+    ALL: 'all',
+    LAST_7_DAYS: '7d',
+    LAST_30_DAYS: '30d'
+};
+
+const StudentFilter = {
+    ALL: 'all',
+    NONE: 'none'
+};
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Calcula el porcentaje de éxito de una sesión guardada
+ * @param {Object} session - Sesión del historial
+ * @returns {number} - Porcentaje (0-100)
+ */
+function getSuccessRate(session) {
+    if (!session || !session.totalDuration) return 0;
+
+    const rate = (session.greenZoneTime / session.totalDuration) * 100;
+    return Math.min(100, Math.round(rate));
+}
+
+/**
+ * Segundos que pasó una sesión en cada estado
+ * Las sesiones anteriores a stateDurations solo guardan los cambios de estado:
+ * en ellas se reconstruye a partir de las marcas de tiempo de stateHistory.
+ * @param {Object} session - Sesión del historial
+ * @returns {Object} - { SILENT, LOW, OPTIMAL, WARNING, DANGER } en segundos
+ */
+function getStateDurations(session) {
+    if (session.stateDurations) return { ...session.stateDurations };
+
+    const durations = { SILENT: 0, LOW: 0, OPTIMAL: 0, WARNING: 0, DANGER: 0 };
+    const endTime = session.startTime + (session.totalDuration || 0) * 1000;
+    let currentState = 'SILENT';
+    let since = session.startTime;
+
+    const addTime = (until) => {
+        if (durations[currentState] !== undefined) {
+            durations[currentState] += Math.max(0, Math.min(until, endTime) - since) / 1000;
+        }
+    };
+
+    (session.stateHistory || []).forEach(entry => {
+        addTime(entry.timestamp);
+        currentState = entry.state;
+        since = Math.min(entry.timestamp, endTime);
+    });
+    addTime(endTime);
+
+    Object.keys(durations).forEach(state => {
+        durations[state] = Math.round(durations[state]);
+    });
+
+    return durations;
+}
+
+/**
+ * Etiqueta del origen de una sesión; vacía para las del micrófono en vivo
+ * @param {Object} session - Sesión del historial
+ * @returns {string}
+ */
+function getSourceLabel(session) {
+    if (session.source !== 'file') return '';
+    return `🎧 ${session.sourceName || 'Grabación'}`;
+}
+
+/**
+ * A quién se refiere una sesión: el alumno o, en modo aula, la clase y el periodo
+ * @param {Object} session - Sesión del historial
+ * @returns {string} - Vacío para las sesiones sin alumno
+ */
+function getSessionLabel(session) {
+    if (session.mode !== 'classroom') return session.studentName || '';
+
+    const label = [session.className, session.classPeriod].filter(Boolean).join(' · ');
+    return `🏫 ${label || 'Aula'}`;
+}
+
+/**
+ * Indica si una sesión pertenece al alumno del filtro
+ * @param {Object} session - Sesión del historial
+ * @param {string} student - StudentFilter.ALL, StudentFilter.NONE o ID de alumno
+ * @returns {boolean}
+ */
+function matchesStudent(session, student = StudentFilter.ALL) {
+    if (student === StudentFilter.ALL) return true;
+    if (student === StudentFilter.NONE) return !session.studentId;
+    return session.studentId === student;
+}
+
+/**
+ * Convierte el filtro de alumno al ID que espera StorageManager
+ * @param {string} student - StudentFilter.ALL, StudentFilter.NONE o ID de alumno
+ * @returns {string|null|undefined} - undefined = todos, null = sin alumno
+ */
+function toStudentId(student = StudentFilter.ALL) {
+    if (student === StudentFilter.ALL) return undefined;
+    if (student === StudentFilter.NONE) return null;
+    return student;
+}
+
+/**
+ * Filtra sesiones por alumno, periodo y porcentaje de éxito mínimo
+ * @param {Array} sessions - Sesiones del historial
+ * @param {Object} criteria - { student, period, minSuccess, now }
+ * @returns {Array} - Nuevo array con las sesiones que cumplen los criterios
+ */
+function filterSessions(sessions, criteria = {}) {
+    const { student, period = PeriodOptions.ALL, minSuccess = 0, now = Date.now() } = criteria;
+
+    const periodDays = {
+        [PeriodOptions.LAST_7_DAYS]: 7,
+        [PeriodOptions.LAST_30_DAYS]: 30
+    }[period];
+
+    const minStartTime = periodDays ? now - periodDays * DAY_IN_MS : 0;
+
+    return sessions.filter(session => {
+        if (!matchesStudent(session, student)) return false;
+        if (session.startTime < minStartTime) return false;
+        return getSuccessRate(session) >= minSuccess;
+    });
+}
+
+/**
+ * Ordena sesiones según la opción indicada
+ * @param {Array} sessions - Sesiones del historial
+ * @param {string} sortOption - Valor de SortOptions
+ * @returns {Array} - Nuevo array ordenado
+ */
+function sortSessions(sessions, sortOption = SortOptions.DATE_DESC) {
+    const comparators = {
+        [SortOptions.DATE_DESC]: (a, b) => b.startTime - a.startTime,
+        [SortOptions.DATE_ASC]: (a, b) => a.startTime - b.startTime,
+        [SortOptions.SUCCESS_DESC]: (a, b) => getSuccessRate(b) - getSuccessRate(a),
+        [SortOptions.SUCCESS_ASC]: (a, b) => getSuccessRate(a) - getSuccessRate(b),
+        [SortOptions.DURATION_DESC]: (a, b) => b.totalDuration - a.totalDuration
+    };
+
+    const comparator = comparators[sortOption] || comparators[SortOptions.DATE_DESC];
+    return [...sessions].sort(comparator);
+}
+
+/**
+ * Aplica filtro y orden en un solo paso
+ * @param {Array} sessions - Sesiones del historial
+ * @param {Object} query - { sort, student, period, minSuccess }
+ * @returns {Array} - Sesiones filtradas y ordenadas
+ */
+function querySessions(sessions, query = {}) {
+    return sortSessions(filterSessions(sessions, query), query.sort);
+}
+
+export {
+    SortOptions,
+    PeriodOptions,
+    StudentFilter,
+    getSuccessRate,
+    getStateDurations,
+    getSourceLabel,
+    getSessionLabel,
+    matchesStudent,
+    toStudentId,
+    filterSessions,
+    sortSessions,
+    querySessions
+};
@@ -0,0 +1,104 @@
+/**
+ * LevelMeter
+ *
+ * Medición de nivel en el dominio del tiempo a bloques de duración fija.
+ * Es JavaScript puro (sin Web Audio ni DOM) para que la compartan el
+ * AudioWorklet del micrófono en vivo y el análisis de grabaciones.
+ */
+
+// Bloques de medición por segundo (20 ms por bloque)
+const METER_BLOCK_RATE = 50;
+
+// Nivel en dBFS que corresponde al 0 de la escala 0-100 (0 dBFS = 100)
+const LEVEL_FLOOR_DB = -60;
+
+class LevelMeter {
+    /**
+     * @param {number} sampleRate - Frecuencia de muestreo del audio
+     * @param {Object} options - { blockRate, smoothing }
+     */
+    constructor(sampleRate, { blockRate = METER_BLOCK_RATE, smoothing = 0 } = {}) {
+        this.blockSize = Math.round(sampleRate / blockRate);
+        this.smoothing = smoothing;
+
+        // Muestras del bloque en curso (para quien analice el bloque además del nivel)
+        this.blockSamples = new Float32Array(this.blockSize);
+
+        this.sumOfSquares = 0;
+        this.peak = 0;
+        this.count = 0;
+        this.smoothedMeanSquare = 0;
+    }
+
+    /**
+     * Suavizado exponencial entre bloques (0 = sin suavizado, <1)
+     * @param {number} smoothing - Peso del bloque anterior
+     */
+    setSmoothing(smoothing) {
+        this.smoothing = Math.max(0, Math.min(0.99, smoothing));
+    }
+
+    /**
+     * Acumula muestras y emite una medición por cada bloque completo
+     * @param {Float32Array} samples - Muestras mono (-1..1)
+     * @param {Function} onBlock - Recibe { rms, peak } de cada bloque y sus muestras
+     *   (el array de muestras se reutiliza: copiar si hace falta conservarlo)
+     */
+    process(samples, onBlock) {
+        for (let i = 0; i < samples.length; i++) {
+            const sample = samples[i];
+            const magnitude = Math.abs(sample);
+
+            this.sumOfSquares += sample * sample;
+            if (magnitude > this.peak) this.peak = magnitude;
+            this.blockSamples[this.count] = sample;
+            this.count++;
+
+            if (this.count === this.blockSize) {
+                onBlock(this.completeBlock(), this.blockSamples);
+            }
+        }
+    }
+
+    /**
+     * Cierra el bloque actual y reinicia los acumuladores
+     * @private
+     */
+    completeBlock() {
+        const meanSquare = this.sumOfSquares / this.count;
+        this.smoothedMeanSquare = this.smoothing * this.smoothedMeanSquare + (1 - this.smoothing) * meanSquare;
+
+        const block = {
+            rms: Math.sqrt(this.smoothedMeanSquare),
+            peak: this.peak
+        };
+
+        this.sumOfSquares = 0;
+        this.peak = 0;
+        this.count = 0;
+        return block;
+    }
+
+    /**
+     * Convierte un valor RMS o de pico (lineal) a dBFS
+     * @param {number} amplitude - Amplitud lineal (0-1)
+     * @returns {number} - dBFS (-Infinity para silencio absoluto)
+     */
+    static toDb(amplitude) {
+        return amplitude > 0 ? 20 * Math.log10(amplitude) : -Infinity;
+    }
+
+    /**
+     * Convierte un RMS lineal a la escala 0-100 de la aplicación
+     * La escala es lineal en dB: -60 dBFS = 0, 0 dBFS = 100.
+     * @param {number} rms - RMS lineal (0-1)
+     * @returns {number} - Nivel 0-100
+     */
+    static rmsToLevel(rms) {
+        const level = (LevelMeter.toDb(rms) - LEVEL_FLOOR_DB) / -LEVEL_FLOOR_DB * 100;
+        return Math.max(0, Math.min(100, level));
+    }
+}
+
+export { METER_BLOCK_RATE, LEVEL_FLOOR_DB };
+export default LevelMeter;
@@ -0,0 +1,82 @@
+/**
+ * LevelScale
+ *
+ * Convierte el nivel interno 0-100 (lineal en dB, ver LevelMeter) a decibelios
+ * comparables entre equipos y sesiones, y al revés:
+ *   - dBFS: nivel digital en la entrada del micrófono, descontando la
+ *     sensibilidad del panel (que es una ganancia aplicada después)
+ *   - dB SPL aproximados: dBFS + la corrección medida para ese micrófono
+ * Con la ponderación A activa las unidades son dBFS(A) y dB(A).
+ */
+
+import AudioAnalyzer from './AudioAnalyzer.js';
+import { LEVEL_FLOOR_DB } from './LevelMeter.js';
+
+const LevelUnits = {
+    DBFS: 'dBFS',
+    DBFS_A: 'dBFS(A)',
+    DB_SPL: 'dB SPL',
+    DB_A: 'dB(A)'
+};
+
+class LevelScale {
+    /**
+     * @param {Object} options - { sensitivity, aWeighting, calibrationOffset }
+     *   calibrationOffset: dB a sumar a dBFS para obtener dB SPL (null = sin calibrar)
+     */
+    constructor({ sensitivity = 50, aWeighting = false, calibrationOffset = null } = {}) {
+        this.gainDb = AudioAnalyzer.sensitivityToDb(sensitivity);
+        this.aWeighting = Boolean(aWeighting);
+        this.calibrationOffset = Number.isFinite(calibrationOffset) ? calibrationOffset : null;
+    }
+
+    /**
+     * Indica si las lecturas son dB SPL aproximados
+     * @returns {boolean}
+     */
+    isCalibrated() {
+        return this.calibrationOffset !== null;
+    }
+
+    /**
+     * Unidad de las lecturas
+     * @returns {string} - Uno de LevelUnits
+     */
+    getUnit() {
+        if (this.isCalibrated()) {
+            return this.aWeighting ? LevelUnits.DB_A : LevelUnits.DB_SPL;
+        }
+        return this.aWeighting ? LevelUnits.DBFS_A : LevelUnits.DBFS;
+    }
+
+    /**
+     * Convierte un nivel interno a dB
+     * @param {number} level - Nivel 0-100
+     * @returns {number} - dB en la unidad de getUnit()
+     */
+    levelToDb(level) {
+        const meterDb = LEVEL_FLOOR_DB + (level / 100) * -LEVEL_FLOOR_DB;
+        return meterDb - this.gainDb + (this.calibrationOffset || 0);
+    }
+
+    /**
+     * Convierte dB a nivel interno (sin limitar a 0-100)
+     * @param {number} db - dB en la unidad de getUnit()
+     * @returns {number} - Nivel interno
+     */
+    dbToLevel(db) {
+        const meterDb = db + this.gainDb - (this.calibrationOffset || 0);
+        return (meterDb - LEVEL_FLOOR_DB) / -LEVEL_FLOOR_DB * 100;
+    }
+
+    /**
+     * Texto de un nivel en dB redondeados con su unidad (p. ej. "-32 dBFS")
+     * @param {number} level - Nivel 0-100
+     * @returns {string}
+     */
+    format(level) {
+        return `${Math.round(this.levelToDb(level))} ${this.getUnit()}`;
+    }
+}
+
+export { LevelScale, LevelUnits };
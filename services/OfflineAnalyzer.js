@@ -0,0 +1,246 @@
+/**
+ * OfflineAnalyzer Service
+ *
+ * Analiza una grabación (WAV/MP3/OGG) con la misma cadena que el micrófono en vivo:
+ * ganancia de sensibilidad -> (banda de voz) -> (ponderación A) -> LevelMeter (RMS por
+ * bloques) con puerta de ruido, detector de voz y tono -> (media del aula) ->
+ * persistencia (VolumeHold) -> StateManager -> SessionTracker.
+ * El audio se renderiza con un OfflineAudioContext y se mide con los mismos bloques
+ * de duración fija que el AudioWorklet en vivo.
+ * El audio se procesa en el navegador y no se guarda.
+ */
+
+import AudioAnalyzer from './AudioAnalyzer.js';
+import LevelMeter, { METER_BLOCK_RATE } from './LevelMeter.js';
+import { LevelScale } from './LevelScale.js';
+import { createAWeightingFilter } from './AWeighting.js';
+import { StateManager } from './StateManager.js';
+import SessionTracker, { SessionSources } from './SessionTracker.js';
+import VolumeHold from './VolumeHold.js';
+import VoiceActivityDetector from './VoiceActivityDetector.js';
+import { PitchTracker } from './PitchTracker.js';
+import { LevelAverager } from './ClassroomMode.js';
+
+// Separación entre muestras de la línea de tiempo (ms)
+const TIMELINE_INTERVAL_MS = 250;
+
+// Duración máxima admitida (segundos)
+const MAX_DURATION_SECONDS = 30 * 60;
+
+class OfflineAnalysisError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'OfflineAnalysisError';
+    }
+}
+
+class OfflineAnalyzer {
+    /**
+     * @param {Object} config - Configuración efectiva (sensibilidad, amortiguación, umbrales, puerta...)
+     * @param {Object} options - { student, classroom } (classroom solo en modo aula)
+     */
+    constructor(config, { student = null, classroom = null } = {}) {
+        this.config = config;
+        this.student = student;
+        this.classroom = classroom;
+        this.isCancelled = false;
+    }
+
+    /**
+     * Indica si el navegador puede analizar grabaciones
+     * @returns {boolean}
+     */
+    static isSupported() {
+        return Boolean(getOfflineAudioContextClass());
+    }
+
+    /**
+     * Decodifica y analiza un archivo de audio
+     * @param {File} file - Archivo elegido por el usuario
+     * @param {Function} onProgress - Recibe el progreso (0-1)
+     * @returns {Promise<Object>} - { summary, timeline }
+     * @throws {OfflineAnalysisError}
+     */
+    async analyzeFile(file, onProgress = () => { }) {
+        const audioBuffer = await OfflineAnalyzer.decode(file);
+        return this.analyzeBuffer(audioBuffer, file.name, onProgress);
+    }
+
+    /**
+     * Cancela el análisis en curso; la sesión no se guarda
+     */
+    cancel() {
+        this.isCancelled = true;
+    }
+
+    /**
+     * Decodifica un archivo a AudioBuffer
+     * @private
+     */
+    static async decode(file) {
+        const OfflineContext = getOfflineAudioContextClass();
+        if (!OfflineContext) {
+            throw new OfflineAnalysisError('Tu navegador no permite analizar grabaciones.');
+        }
+
+        const arrayBuffer = await file.arrayBuffer();
+        const decoder = new OfflineContext(1, 1, 44100);
+
+        try {
+            return await decoder.decodeAudioData(arrayBuffer);
+        } catch (error) {
+            throw new OfflineAnalysisError('No se pudo leer el archivo. Usa una grabación WAV, MP3 u OGG.');
+        }
+    }
+
+    /**
+     * Pasa un AudioBuffer por la cadena de análisis completa
+     * @param {AudioBuffer} audioBuffer - Audio decodificado
+     * @param {string} sourceName - Nombre de la grabación (se guarda en la sesión)
+     * @param {Function} onProgress - Recibe el progreso (0-1)
+     * @returns {Promise<Object>} - { summary, timeline }
+     */
+    async analyzeBuffer(audioBuffer, sourceName, onProgress = () => { }) {
+        const { config } = this;
+
+        if (audioBuffer.duration < 1) {
+            throw new OfflineAnalysisError('La grabación es demasiado corta (mínimo 1 segundo).');
+        }
+
+        if (audioBuffer.duration > MAX_DURATION_SECONDS) {
+            throw new OfflineAnalysisError('La grabación es demasiado larga (máximo 30 minutos).');
+        }
+
+        this.isCancelled = false;
+
+        // --- Grafo de audio: igual que en vivo (fuente -> ganancia de sensibilidad) ---
+        const OfflineContext = getOfflineAudioContextClass();
+        const context = new OfflineContext(1, audioBuffer.length, audioBuffer.sampleRate);
+
+        const source = context.createBufferSource();
+        source.buffer = audioBuffer;
+
+        const inputGain = context.createGain();
+        inputGain.gain.value = AudioAnalyzer.sensitivityToGain(config.sensitivity);
+
+        source.connect(inputGain);
+
+        let output = inputGain;
+
+        if (config.voiceDetection) {
+            const [highpass, lowpass] = AudioAnalyzer.createVoiceBandFilters(context);
+            output.connect(highpass);
+            output = lowpass;
+        }
+
+        if (config.aWeighting) {
+            const weightingFilter = createAWeightingFilter(context);
+            output.connect(weightingFilter);
+            output = weightingFilter;
+        }
+
+        output.connect(context.destination);
+
+        source.start(0);
+
+        const rendered = await context.startRendering();
+        const samples = rendered.getChannelData(0);
+
+        // --- Mismo medidor que el AudioWorklet en vivo ---
+        const meter = new LevelMeter(rendered.sampleRate, {
+            smoothing: AudioAnalyzer.dampeningToSmoothing(config.dampening)
+        });
+        const voiceDetector = new VoiceActivityDetector(rendered.sampleRate);
+
+        // --- Cadena de estado con reloj simulado (un paso por bloque medido) ---
+        const startTime = Date.now();
+        let elapsedMs = 0;
+
+        const tracker = new SessionTracker({
+            clock: () => startTime + elapsedMs,
+            useTimer: false,
+            sampleInterval: TIMELINE_INTERVAL_MS
+        });
+        tracker.setStudent(this.student);
+        tracker.setClassroom(this.classroom);
+
+        // Una grabación no tiene corrección de micrófono: el pico se guarda en dBFS
+        tracker.setLevelScale(new LevelScale({ sensitivity: config.sensitivity, aWeighting: config.aWeighting }));
+
+        const stateManager = new StateManager();
+        stateManager.updateConfiguration(config);
+        tracker.setThresholds(stateManager.getConfiguration());
+
+        const levelAverager = new LevelAverager();
+        levelAverager.setWindow(config.averagingWindow);
+        const volumeHold = new VolumeHold(config.persistenceDuration);
+
+        // Zonas de entonación solo si el perfil las sigue y no es el aula (el tono se mide siempre)
+        const pitchTracker = config.pitchTracking && !this.classroom ? new PitchTracker() : null;
+        if (pitchTracker) {
+            pitchTracker.setThresholds({
+                lowerVariation: config.pitchLowerVariation,
+                upperVariation: config.pitchUpperVariation
+            });
+        }
+
+        let blockIndex = 0;
+        let nextTimerTick = 1000;
+
+        tracker.startSession({ source: SessionSources.FILE, sourceName });
+
+        const processBlock = ({ rms }, blockSamples) => {
+            blockIndex++;
+            elapsedMs = (blockIndex * 1000) / METER_BLOCK_RATE;
+
+            const speaking = voiceDetector.processBlock(blockSamples) || !config.voiceDetection;
+            const level = AudioAnalyzer.applyNoiseGate(LevelMeter.rmsToLevel(rms), config.noiseGate);
+            const volume = volumeHold.update(levelAverager.add(level, elapsedMs), elapsedMs);
+            const stateData = stateManager.updateState(volume, elapsedMs, speaking);
+            tracker.updateState(stateData);
+
+            const pitch = level > 0 ? voiceDetector.pitch : 0;
+            tracker.recordPitch(pitch, pitchTracker ? pitchTracker.update(pitch, elapsedMs).zone : null);
+            tracker.recordEnvelope(level, speaking);
+
+            // Segundos completos del cronómetro de la sesión
+            while (elapsedMs >= nextTimerTick) {
+                tracker.updateTimer();
+                nextTimerTick += 1000;
+            }
+        };
+
+        // Se mide por tramos de un segundo, cediendo el hilo entre tramos para
+        // que la barra de progreso y el botón de cancelar respondan
+        const chunkSize = rendered.sampleRate;
+
+        for (let offset = 0; offset < samples.length && !this.isCancelled; offset += chunkSize) {
+            meter.process(samples.subarray(offset, offset + chunkSize), processBlock);
+            onProgress(Math.min(1, (offset + chunkSize) / samples.length));
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+
+        if (this.isCancelled) {
+            throw new OfflineAnalysisError('Análisis cancelado');
+        }
+
+        elapsedMs = audioBuffer.duration * 1000;
+
+        const summary = tracker.endSession();
+
+        return {
+            summary,
+            timeline: summary.timeline
+        };
+    }
+}
+
+/**
+ * Constructor de OfflineAudioContext disponible (o null)
+ * @private
+ */
+function getOfflineAudioContextClass() {
+    return window.OfflineAudioContext || window.webkitOfflineAudioContext || null;
+}
+
+export { OfflineAnalyzer, OfflineAnalysisError };
@@ -0,0 +1,199 @@
+/**
+ * PitchTracker Service
+ *
+ * Seguimiento del tono de voz para trabajar el habla monótona. Recibe el tono de
+ * cada bloque (ver VoiceActivityDetector), lo pasa a semitonos y mide cuánto
+ * varía en los últimos segundos con voz (desviación típica en semitonos).
+ * Como el volumen, la variación cae en zonas con dos umbrales:
+ *   - voz plana: por debajo del umbral inferior
+ *   - entonación variada: entre los dos umbrales
+ *   - demasiados altibajos: por encima del umbral superior
+ * Lógica pura: no conoce el DOM ni el audio.
+ */
+
+const PitchZones = {
+    NONE: 'none',
+    FLAT: 'flat',
+    VARIED: 'varied',
+    WIDE: 'wide'
+};
+
+// Emoji de cada zona (el nombre, en cada idioma, está en FeedbackMessages)
+const PitchZoneInfo = {
+    [PitchZones.NONE]: { emoji: '🎵' },
+    [PitchZones.FLAT]: { emoji: '➖' },
+    [PitchZones.VARIED]: { emoji: '🎶' },
+    [PitchZones.WIDE]: { emoji: '🎢' }
+};
+
+// Umbrales de variación por defecto (semitonos de desviación típica)
+// El habla corriente varía unos 2-4 semitonos; por debajo de 1.5 suena plana.
+const PITCH_DEFAULTS = {
+    lowerVariation: 1.5,
+    upperVariation: 6
+};
+
+// Límites de los umbrales en el panel: [mínimo, máximo]
+const VARIATION_LIMITS = {
+    lower: [0.5, 5],
+    upper: [3, 12]
+};
+
+// Ventana de la variación y de la traza en pantalla (ms)
+const VARIATION_WINDOW_MS = 4000;
+const TRACE_WINDOW_MS = 10000;
+
+// Bloques con voz necesarios en la ventana para decidir la zona (~0.5 s)
+const MIN_VOICED_BLOCKS = 25;
+
+// Un hueco sin voz más largo reinicia el filtro de mediana (ms)
+const MEDIAN_GAP_MS = 100;
+
+/**
+ * Convierte un tono en Hz a semitonos (escala MIDI: La 440 Hz = 69)
+ * @param {number} hz - Frecuencia en Hz (> 0)
+ * @returns {number} - Semitonos
+ */
+function hzToSemitones(hz) {
+    return 69 + 12 * Math.log2(hz / 440);
+}
+
+/**
+ * Convierte semitonos (escala MIDI) a Hz
+ * @param {number} semitones - Semitonos
+ * @returns {number} - Frecuencia en Hz
+ */
+function semitonesToHz(semitones) {
+    return 440 * Math.pow(2, (semitones - 69) / 12);
+}
+
+/**
+ * Ajusta los umbrales de variación a sus límites (el superior siempre por encima)
+ * @param {Object} thresholds - { lowerVariation, upperVariation } en semitonos
+ * @returns {Object} - { lowerVariation, upperVariation }
+ */
+function normalizePitchThresholds({ lowerVariation, upperVariation } = {}) {
+    const clamp = (value, [min, max], fallback) => (Number.isFinite(value) ? Math.min(max, Math.max(min, value)) : fallback);
+
+    const lower = clamp(lowerVariation, VARIATION_LIMITS.lower, PITCH_DEFAULTS.lowerVariation);
+    const upper = clamp(upperVariation, VARIATION_LIMITS.upper, PITCH_DEFAULTS.upperVariation);
+
+    return { lowerVariation: lower, upperVariation: Math.max(upper, lower + 1) };
+}
+
+/**
+ * Zona de una variación con los umbrales dados
+ * @param {number|null} variation - Semitonos (null = sin voz suficiente)
+ * @param {Object} thresholds - { lowerVariation, upperVariation }
+ * @returns {string} - Valor de PitchZones
+ */
+function getPitchZone(variation, { lowerVariation, upperVariation }) {
+    if (variation === null) return PitchZones.NONE;
+    if (variation < lowerVariation) return PitchZones.FLAT;
+    if (variation > upperVariation) return PitchZones.WIDE;
+    return PitchZones.VARIED;
+}
+
+class PitchTracker {
+    constructor() {
+        this.thresholds = { ...PITCH_DEFAULTS };
+        this.reset();
+    }
+
+    /**
+     * Cambia los umbrales de variación
+     * @param {Object} thresholds - { lowerVariation, upperVariation } en semitonos
+     */
+    setThresholds(thresholds) {
+        this.thresholds = normalizePitchThresholds(thresholds);
+    }
+
+    /**
+     * Añade el tono de un bloque
+     * @param {number} pitchHz - Tono del bloque (0 = sin voz)
+     * @param {number} timestamp - Instante del bloque en ms
+     * @returns {Object} - { pitch (Hz, 0 sin voz), variation (semitonos o null), zone }
+     */
+    update(pitchHz, timestamp) {
+        const semitones = pitchHz > 0 ? this.filter(hzToSemitones(pitchHz), timestamp) : null;
+
+        if (semitones !== null) {
+            this.voiced.push({ timestamp, semitones });
+        }
+        this.trace.push({ timestamp, semitones });
+
+        while (this.voiced.length > 0 && this.voiced[0].timestamp <= timestamp - VARIATION_WINDOW_MS) {
+            this.voiced.shift();
+        }
+        while (this.trace.length > 0 && this.trace[0].timestamp <= timestamp - TRACE_WINDOW_MS) {
+            this.trace.shift();
+        }
+
+        const variation = this.getVariation();
+
+        return {
+            pitch: semitones === null ? 0 : semitonesToHz(semitones),
+            variation,
+            zone: getPitchZone(variation, this.thresholds)
+        };
+    }
+
+    /**
+     * Tonos de los últimos segundos para dibujar la traza
+     * @returns {Array} - [{ timestamp, semitones }] (semitones null en los bloques sin voz)
+     */
+    getTrace() {
+        return this.trace;
+    }
+
+    /**
+     * Descarta la ventana y la traza
+     */
+    reset() {
+        this.voiced = [];
+        this.trace = [];
+        this.recent = [];
+        this.lastVoicedAt = -Infinity;
+    }
+
+    /**
+     * Mediana de los tres últimos tonos: quita saltos sueltos de octava
+     * @private
+     */
+    filter(semitones, timestamp) {
+        if (timestamp - this.lastVoicedAt > MEDIAN_GAP_MS) {
+            this.recent = [];
+        }
+        this.lastVoicedAt = timestamp;
+
+        this.recent.push(semitones);
+        if (this.recent.length > 3) this.recent.shift();
+
+        return [...this.recent].sort((a, b) => a - b)[Math.floor(this.recent.length / 2)];
+    }
+
+    /**
+     * Desviación típica en semitonos de la ventana (null sin voz suficiente)
+     * @private
+     */
+    getVariation() {
+        const { voiced } = this;
+        if (voiced.length < MIN_VOICED_BLOCKS) return null;
+
+        const mean = voiced.reduce((sum, sample) => sum + sample.semitones, 0) / voiced.length;
+        const variance = voiced.reduce((sum, sample) => sum + (sample.semitones - mean) ** 2, 0) / (voiced.length - 1);
+
+        return Math.sqrt(variance);
+    }
+}
+
+export {
+    PitchZones,
+    PitchZoneInfo,
+    PITCH_DEFAULTS,
+    hzToSemitones,
+    semitonesToHz,
+    normalizePitchThresholds,
+    getPitchZone,
+    PitchTracker
+};
@@ -0,0 +1,218 @@
+/**
+ * ProgressTrends Service
+ *
+ * Lógica pura del panel de progreso: agrupa el historial por días o semanas,
+ * calcula medias móviles, compara alumnos y detecta cambios de umbrales (para
+ * distinguir una mejora real de unos umbrales más fáciles).
+ * No conoce el DOM ni el almacenamiento.
+ */
+
+import { getSuccessRate, getSessionLabel } from './HistoryQuery.js';
+
+const TrendMetrics = {
+    SUCCESS_RATE: 'success-rate',
+    GREEN_TIME: 'green-time',
+    CONSISTENCY: 'consistency'
+};
+
+const TrendPeriods = {
+    DAY: 'day',
+    WEEK: 'week'
+};
+
+// Periodos que abarca la media móvil (una semana de días o un mes de semanas)
+const MOVING_AVERAGE_WINDOW = {
+    [TrendPeriods.DAY]: 7,
+    [TrendPeriods.WEEK]: 4
+};
+
+// Sesiones del principio y del final con las que se compara cada alumno
+const COMPARISON_SESSIONS = 5;
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+// Valor de un periodo para cada métrica (null si ninguna sesión lo tiene)
+const METRIC_VALUES = {
+    [TrendMetrics.SUCCESS_RATE]: sessions => average(sessions.map(getSuccessRate)),
+    [TrendMetrics.GREEN_TIME]: sessions => sessions.reduce((sum, s) => sum + (s.greenZoneTime || 0), 0),
+    [TrendMetrics.CONSISTENCY]: sessions => average(
+        sessions.map(s => s.consistencyScore).filter(Number.isFinite)
+    )
+};
+
+/**
+ * Evolución de una métrica por periodos, con su media móvil
+ * Los periodos sin sesiones no aparecen y no cuentan en la media móvil.
+ * @param {Array} sessions - Sesiones del historial
+ * @param {Object} options - { metric, period } (valores de TrendMetrics y TrendPeriods)
+ * @returns {Object} - { points: [{ index, start, value, sessionCount, movingAverage }], windowSize }
+ */
+function buildTrend(sessions, { metric = TrendMetrics.SUCCESS_RATE, period = TrendPeriods.WEEK } = {}) {
+    const getValue = METRIC_VALUES[metric] || METRIC_VALUES[TrendMetrics.SUCCESS_RATE];
+    const windowSize = MOVING_AVERAGE_WINDOW[period] || MOVING_AVERAGE_WINDOW[TrendPeriods.WEEK];
+
+    const groups = new Map();
+    sessions.forEach(session => {
+        const index = getPeriodIndex(session.startTime, period);
+        if (!groups.has(index)) groups.set(index, []);
+        groups.get(index).push(session);
+    });
+
+    const points = [...groups.entries()]
+        .sort(([a], [b]) => a - b)
+        .map(([index, periodSessions]) => ({
+            index,
+            start: getPeriodStart(index, period),
+            value: getValue(periodSessions),
+            sessionCount: periodSessions.length
+        }))
+        .filter(point => point.value !== null);
+
+    points.forEach(point => {
+        const inWindow = points.filter(other => other.index <= point.index && other.index > point.index - windowSize);
+        point.movingAverage = average(inWindow.map(other => other.value));
+    });
+
+    return { points, windowSize };
+}
+
+/**
+ * Diferencia entre la última media móvil y la primera
+ * @param {Array} points - Puntos de buildTrend
+ * @returns {number|null} - null si no hay al menos dos periodos
+ */
+function getTrendChange(points) {
+    if (points.length < 2) return null;
+    return points[points.length - 1].movingAverage - points[0].movingAverage;
+}
+
+/**
+ * Sesiones en las que un alumno empezó a usar umbrales distintos de los de su sesión anterior
+ * Las sesiones sin umbrales guardados (anteriores a la línea de tiempo) se saltan.
+ * @param {Array} sessions - Sesiones del historial
+ * @returns {Array} - [{ time, studentName, from, to }] de la más antigua a la más reciente
+ */
+function getThresholdChanges(sessions) {
+    const lastThresholds = new Map();
+    const changes = [];
+
+    [...sessions]
+        .sort((a, b) => a.startTime - b.startTime)
+        .forEach(session => {
+            if (!session.thresholds) return;
+
+            const studentKey = getGroupKey(session);
+            const previous = lastThresholds.get(studentKey);
+            lastThresholds.set(studentKey, session.thresholds);
+
+            if (previous && !sameThresholds(previous, session.thresholds)) {
+                changes.push({
+                    time: session.startTime,
+                    studentName: getSessionLabel(session),
+                    from: previous,
+                    to: session.thresholds
+                });
+            }
+        });
+
+    return changes;
+}
+
+/**
+ * Compara el % de éxito de cada alumno al principio y al final de su historial
+ * Las sesiones del modo aula se agrupan por clase y periodo.
+ * @param {Array} sessions - Sesiones del historial
+ * @returns {Array} - [{ studentId, studentName, sessionCount, averageSuccess, firstSuccess, recentSuccess, change }]
+ *   ordenado por nombre (las sesiones sin alumno y las de aula al final); change es null con menos de dos sesiones
+ */
+function compareStudents(sessions) {
+    const byStudent = new Map();
+    [...sessions]
+        .sort((a, b) => a.startTime - b.startTime)
+        .forEach(session => {
+            const groupKey = getGroupKey(session);
+            if (!byStudent.has(groupKey)) byStudent.set(groupKey, []);
+            byStudent.get(groupKey).push(session);
+        });
+
+    return [...byStudent.values()]
+        .map(studentSessions => {
+            const latest = studentSessions[studentSessions.length - 1];
+            const rates = studentSessions.map(getSuccessRate);
+            const compared = Math.min(COMPARISON_SESSIONS, Math.floor(rates.length / 2));
+            const firstSuccess = compared > 0 ? average(rates.slice(0, compared)) : null;
+            const recentSuccess = compared > 0 ? average(rates.slice(-compared)) : null;
+
+            return {
+                studentId: latest.studentId || null,
+                studentName: getSessionLabel(latest),
+                sessionCount: studentSessions.length,
+                averageSuccess: average(rates),
+                firstSuccess,
+                recentSuccess,
+                change: compared > 0 ? recentSuccess - firstSuccess : null
+            };
+        })
+        .sort((a, b) => (a.studentId === null) - (b.studentId === null) || a.studentName.localeCompare(b.studentName));
+}
+
+/**
+ * Número de día (o de semana, de lunes a domingo) de una fecha local
+ * Se cuenta en días de calendario para que el cambio de hora no mueva los límites.
+ * @param {number} timestamp - Milisegundos desde epoch
+ * @param {string} period - Valor de TrendPeriods
+ * @returns {number} - Índice del periodo (consecutivo entre periodos seguidos)
+ */
+function getPeriodIndex(timestamp, period) {
+    const date = new Date(timestamp);
+    const dayNumber = Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()) / DAY_IN_MS;
+
+    // El día 0 (1/1/1970) fue jueves: +3 hace que las semanas empiecen en lunes
+    return period === TrendPeriods.DAY ? dayNumber : Math.floor((dayNumber + 3) / 7);
+}
+
+/**
+ * Medianoche local del primer día de un periodo
+ * @private
+ */
+function getPeriodStart(index, period) {
+    const dayNumber = period === TrendPeriods.DAY ? index : index * 7 - 3;
+    const utcDate = new Date(dayNumber * DAY_IN_MS);
+    return new Date(utcDate.getUTCFullYear(), utcDate.getUTCMonth(), utcDate.getUTCDate()).getTime();
+}
+
+/**
+ * Alumno de la sesión o, en modo aula, su clase y periodo (null = sin alumno)
+ * @private
+ */
+function getGroupKey(session) {
+    if (session.mode === 'classroom') return `classroom:${getSessionLabel(session)}`;
+    return session.studentId || null;
+}
+
+/**
+ * @private
+ */
+function sameThresholds(a, b) {
+    return a.lowerThreshold === b.lowerThreshold
+        && a.upperThreshold === b.upperThreshold
+        && (a.warningBandWidth || 0) === (b.warningBandWidth || 0);
+}
+
+/**
+ * @private
+ */
+function average(values) {
+    if (values.length === 0) return null;
+    return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+export {
+    TrendMetrics,
+    TrendPeriods,
+    buildTrend,
+    getTrendChange,
+    getThresholdChanges,
+    getPeriodIndex,
+    compareStudents
+};
@@ -0,0 +1,122 @@
+/**
+ * SessionExporter Service
+ *
+ * Convierte sesiones guardadas a CSV (una fila por sesión o por muestra de la
+ * línea de tiempo) para adjuntarlas a informes. El JSON lo da StorageManager.exportSessions.
+ * Lógica pura: no conoce el DOM ni el almacenamiento.
+ */
+
+import { getSuccessRate } from './HistoryQuery.js';
+
+const ExportFormats = {
+    CSV: 'csv',
+    SAMPLES_CSV: 'samples-csv',
+    JSON: 'json',
+    REPORT: 'report'
+};
+
+// Columnas del CSV de sesiones: [cabecera, valor]
+const SESSION_COLUMNS = [
+    ['Sesión', session => session.sessionId],
+    ['Fecha', session => new Date(session.startTime).toISOString()],
+    ['Alumno', session => session.studentName || ''],
+    ['Clase', session => session.className || ''],
+    ['Periodo', session => session.classPeriod || ''],
+    ['Origen', session => session.source === 'file' ? (session.sourceName || 'Grabación') : 'Micrófono'],
+    ['Duración (s)', session => session.totalDuration],
+    ['En verde (s)', session => session.greenZoneTime],
+    ['En aviso (s)', session => session.warningZoneTime],
+    ['Avisos', session => session.warningCount],
+    ['Éxito (%)', session => getSuccessRate(session)],
+    ['Con voz (s)', session => session.speakingTime],
+    ['Pico', session => session.peakDb],
+    ['Unidad', session => session.levelUnit],
+    ['Consistencia (%)', session => session.consistencyScore],
+    ['Caídas', session => session.dropCount],
+    ['Racha verde más larga (s)', session => session.longestGreenStreak],
+    ['Racha verde media (s)', session => session.averageGreenStreak],
+    ['Tiempo hasta verde (s)', session => session.timeToGreen],
+    ['Picos de volumen', session => session.dangerBurstCount],
+    ['Pico de volumen más largo (s)', session => session.longestDangerBurst],
+    ['Silencios', session => session.silenceGapCount],
+    ['Varianza del nivel (dB²)', session => session.levelVariance],
+    ['Tono medio (Hz)', session => session.pitchMean],
+    ['Rango del tono (st)', session => session.pitchRange],
+    ['Variación del tono (st)', session => session.pitchVariability],
+    ['Voz plana (%)', session => (session.pitchZones ? session.pitchZones.flat : '')],
+    ['Sílabas por segundo', session => session.articulationRate],
+    ['Sílabas por segundo con pausas', session => session.speechRate],
+    ['Pausas', session => session.pauseCount],
+    ['Pausas largas', session => session.longPauseCount],
+    ['Pausa media (s)', session => session.averagePause],
+    ['Pausa más larga (s)', session => session.longestPause],
+    ['Objetivos cumplidos', session => (session.goalResults || [])
+        .filter(result => result.met)
+        .map(result => result.description)
+        .join('; ')],
+    ['Ejercicio', session => (session.exercise ? session.exercise.name : '')],
+    ['Ejercicio completo', session => (session.exercise ? (session.exercise.completed ? 'Sí' : 'No') : '')]
+];
+
+const SAMPLE_HEADER = ['Sesión', 'Alumno', 'Tiempo (s)', 'Nivel (0-100)', 'Estado'];
+
+/**
+ * CSV con una fila por sesión
+ * Las métricas que no tenga una sesión antigua quedan vacías.
+ * @param {Array} sessions - Sesiones del historial
+ * @returns {string}
+ */
+function sessionsToCsv(sessions) {
+    const header = SESSION_COLUMNS.map(([label]) => label);
+    const rows = sessions.map(session => SESSION_COLUMNS.map(([, getValue]) => getValue(session)));
+    return toCsv([header, ...rows]);
+}
+
+/**
+ * CSV con una fila por muestra de la línea de tiempo de cada sesión
+ * @param {Array} sessions - Sesiones del historial
+ * @returns {string} - Vacío si ninguna sesión tiene línea de tiempo
+ */
+function samplesToCsv(sessions) {
+    const rows = [];
+
+    sessions.forEach(session => {
+        (session.timeline || []).forEach(sample => {
+            rows.push([session.sessionId, session.studentName || '', sample.time, sample.level, sample.state]);
+        });
+    });
+
+    return rows.length > 0 ? toCsv([SAMPLE_HEADER, ...rows]) : '';
+}
+
+/**
+ * Nombre de archivo con la fecha del día (p. ej. eco-logro-sesiones-2024-05-02.csv)
+ * @param {string} name - Parte descriptiva del nombre
+ * @param {string} extension - Extensión sin punto
+ * @returns {string}
+ */
+function getExportFileName(name, extension) {
+    const today = new Date().toISOString().slice(0, 10);
+    return `eco-logro-${name}-${today}.${extension}`;
+}
+
+/**
+ * Une filas en CSV (RFC 4180, fin de línea CRLF)
+ * Empieza con BOM para que Excel lo abra como UTF-8 (tildes y eñes).
+ * @private
+ */
+function toCsv(rows) {
+    return '\uFEFF' + rows.map(row => row.map(escapeCsvValue).join(',')).join('\r\n');
+}
+
+/**
+ * @private
+ */
+function escapeCsvValue(value) {
+    if (value === null || value === undefined) return '';
+
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export { ExportFormats, sessionsToCsv, samplesToCsv, getExportFileName };
@@ -0,0 +1,228 @@
+/**
+ * SessionMetrics
+ *
+ * Métricas de terapia de una sesión calculadas a partir de los cambios de estado:
+ *   - rachas verdes: tramos seguidos en verde (OPTIMAL, como el tiempo en verde)
+ *   - tiempo hasta llegar a verde por primera vez
+ *   - picos de volumen: tramos en DANGER
+ *   - silencios: vueltas a SILENT después de haber hablado
+ *   - variabilidad del nivel mientras se oye voz
+ *   - tono de voz: tono medio, rango, variación y tiempo en cada zona de entonación
+ * Los tiempos son de sesión activa (sin pausas), en ms, y los da SessionTracker.
+ */
+
+import { LEVEL_FLOOR_DB } from './LevelMeter.js';
+import { PitchZones, hzToSemitones, semitonesToHz } from './PitchTracker.js';
+
+// Estados que forman una racha verde: los mismos que el tiempo en verde y el
+// tiempo hasta verde, para que la racha nunca sea más larga que el tiempo en verde
+const STREAK_STATES = ['OPTIMAL'];
+
+// dB por punto de la escala 0-100 (lineal en dB, ver LevelMeter)
+const DB_PER_LEVEL = -LEVEL_FLOOR_DB / 100;
+
+// Histograma del tono: medio semitono por casilla en toda la escala MIDI (0-128)
+const PITCH_BINS_PER_SEMITONE = 2;
+const PITCH_BIN_COUNT = 128 * PITCH_BINS_PER_SEMITONE;
+
+// El rango del tono va del percentil 5 al 95 (sin tonos sueltos mal detectados)
+const PITCH_RANGE_PERCENTILES = [0.05, 0.95];
+
+class SessionMetrics {
+    constructor() {
+        this.greenStreaks = createEpisodes();
+        this.dangerBursts = createEpisodes();
+        this.firstGreenAt = null;
+        this.hasLeftSilence = false;
+        this.silenceGapCount = 0;
+
+        // Media y varianza del nivel en línea (algoritmo de Welford)
+        this.levelCount = 0;
+        this.levelMean = 0;
+        this.levelM2 = 0;
+
+        // Tono en semitonos: media y varianza (Welford), histograma y bloques por zona
+        this.pitchCount = 0;
+        this.pitchMean = 0;
+        this.pitchM2 = 0;
+        this.pitchHistogram = new Uint32Array(PITCH_BIN_COUNT);
+        this.pitchZoneCounts = { [PitchZones.FLAT]: 0, [PitchZones.VARIED]: 0, [PitchZones.WIDE]: 0 };
+    }
+
+    /**
+     * Registra un cambio de estado
+     * @param {string} previousState - Estado que termina
+     * @param {string} state - Estado que empieza
+     * @param {number} activeMs - Tiempo activo de la sesión en el cambio
+     */
+    recordStateChange(previousState, state, activeMs) {
+        const wasGreen = STREAK_STATES.includes(previousState);
+        const isGreen = STREAK_STATES.includes(state);
+
+        if (wasGreen && !isGreen) closeEpisode(this.greenStreaks, activeMs);
+        if (!wasGreen && isGreen) this.greenStreaks.startedAt = activeMs;
+
+        if (previousState === 'DANGER') closeEpisode(this.dangerBursts, activeMs);
+        if (state === 'DANGER') this.dangerBursts.startedAt = activeMs;
+
+        if (state === 'OPTIMAL' && this.firstGreenAt === null) {
+            this.firstGreenAt = activeMs;
+        }
+
+        if (state === 'SILENT' && this.hasLeftSilence) {
+            this.silenceGapCount++;
+        }
+        if (state !== 'SILENT') {
+            this.hasLeftSilence = true;
+        }
+    }
+
+    /**
+     * Duración de la racha verde en curso
+     * @param {number} activeMs - Tiempo activo de la sesión ahora
+     * @returns {number} - ms (0 si ahora no está en verde)
+     */
+    getCurrentGreenStreak(activeMs) {
+        return this.greenStreaks.startedAt === null ? 0 : Math.max(0, activeMs - this.greenStreaks.startedAt);
+    }
+
+    /**
+     * Registra el nivel de un bloque con voz
+     * @param {number} level - Nivel 0-100
+     */
+    recordLevel(level) {
+        this.levelCount++;
+        const delta = level - this.levelMean;
+        this.levelMean += delta / this.levelCount;
+        this.levelM2 += delta * (level - this.levelMean);
+    }
+
+    /**
+     * Registra el tono de un bloque con voz
+     * @param {number} pitchHz - Tono en Hz (> 0)
+     * @param {string|null} zone - Zona de entonación (PitchZones) o null si no se siguen las zonas
+     */
+    recordPitch(pitchHz, zone = null) {
+        const semitones = hzToSemitones(pitchHz);
+
+        this.pitchCount++;
+        const delta = semitones - this.pitchMean;
+        this.pitchMean += delta / this.pitchCount;
+        this.pitchM2 += delta * (semitones - this.pitchMean);
+
+        const bin = Math.round(semitones * PITCH_BINS_PER_SEMITONE);
+        this.pitchHistogram[Math.min(PITCH_BIN_COUNT - 1, Math.max(0, bin))]++;
+
+        if (zone in this.pitchZoneCounts) {
+            this.pitchZoneCounts[zone]++;
+        }
+    }
+
+    /**
+     * Cierra los tramos abiertos y devuelve las métricas (segundos con una décima)
+     * @param {number} activeMs - Tiempo activo al terminar la sesión
+     * @returns {Object} - Métricas para guardar en la sesión
+     */
+    finish(activeMs) {
+        closeEpisode(this.greenStreaks, activeMs);
+        closeEpisode(this.dangerBursts, activeMs);
+
+        const levelVariance = this.levelCount > 1 ? this.levelM2 / (this.levelCount - 1) : 0;
+
+        return {
+            longestGreenStreak: toSeconds(this.greenStreaks.longestMs),
+            averageGreenStreak: toSeconds(getAverage(this.greenStreaks)),
+            greenStreakCount: this.greenStreaks.count,
+            timeToGreen: this.firstGreenAt === null ? null : toSeconds(this.firstGreenAt),
+            dangerBurstCount: this.dangerBursts.count,
+            longestDangerBurst: toSeconds(this.dangerBursts.longestMs),
+            averageDangerBurst: toSeconds(getAverage(this.dangerBursts)),
+            silenceGapCount: this.silenceGapCount,
+            // Varianza en dB² (la desviación típica en dB es su raíz)
+            levelVariance: Math.round(levelVariance * DB_PER_LEVEL * DB_PER_LEVEL * 10) / 10,
+            ...this.finishPitch()
+        };
+    }
+
+    /**
+     * Métricas del tono (null si no se oyó voz con tono)
+     * @private
+     */
+    finishPitch() {
+        if (this.pitchCount === 0) {
+            return { pitchMean: null, pitchLow: null, pitchHigh: null, pitchRange: null, pitchVariability: null, pitchZones: null };
+        }
+
+        const [low, high] = PITCH_RANGE_PERCENTILES.map(percentile => this.getPitchPercentile(percentile));
+        const variance = this.pitchCount > 1 ? this.pitchM2 / (this.pitchCount - 1) : 0;
+
+        const zoneTotal = Object.values(this.pitchZoneCounts).reduce((sum, count) => sum + count, 0);
+        const pitchZones = zoneTotal === 0 ? null : Object.fromEntries(Object.entries(this.pitchZoneCounts)
+            .map(([zone, count]) => [zone, Math.round(count / zoneTotal * 100)]));
+
+        return {
+            pitchMean: Math.round(semitonesToHz(this.pitchMean)),        // Hz
+            pitchLow: Math.round(semitonesToHz(low)),                    // Hz
+            pitchHigh: Math.round(semitonesToHz(high)),                  // Hz
+            pitchRange: Math.round((high - low) * 10) / 10,              // Semitonos
+            pitchVariability: Math.round(Math.sqrt(variance) * 10) / 10, // Semitonos de desviación típica
+            pitchZones                                                   // % de los bloques con voz en cada zona
+        };
+    }
+
+    /**
+     * Tono (semitonos) por debajo del cual queda esa fracción de los bloques con voz
+     * @private
+     */
+    getPitchPercentile(percentile) {
+        const target = percentile * this.pitchCount;
+        let accumulated = 0;
+
+        for (let bin = 0; bin < PITCH_BIN_COUNT; bin++) {
+            accumulated += this.pitchHistogram[bin];
+            if (accumulated >= target && accumulated > 0) {
+                return bin / PITCH_BINS_PER_SEMITONE;
+            }
+        }
+
+        return (PITCH_BIN_COUNT - 1) / PITCH_BINS_PER_SEMITONE;
+    }
+}
+
+/**
+ * Contadores de una clase de tramo (rachas o picos)
+ * @private
+ */
+function createEpisodes() {
+    return { startedAt: null, count: 0, totalMs: 0, longestMs: 0 };
+}
+
+/**
+ * Cierra el tramo abierto (si lo hay) y lo suma a los contadores
+ * @private
+ */
+function closeEpisode(episodes, activeMs) {
+    if (episodes.startedAt === null) return;
+
+    const duration = Math.max(0, activeMs - episodes.startedAt);
+    episodes.count++;
+    episodes.totalMs += duration;
+    episodes.longestMs = Math.max(episodes.longestMs, duration);
+    episodes.startedAt = null;
+}
+
+/**
+ * @private
+ */
+function getAverage(episodes) {
+    return episodes.count > 0 ? episodes.totalMs / episodes.count : 0;
+}
+
+/**
+ * @private
+ */
+function toSeconds(ms) {
+    return Math.round(ms / 100) / 10;
+}
+
+export default SessionMetrics;
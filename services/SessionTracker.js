@@ -3,45 +3,245 @@
  * 
  * Rastrea y gestiona las métricas de sesión.
  * Calcula estadísticas en tiempo real y mantiene historial de estados.
+ * El tiempo en cada estado se acumula en cada cambio de estado (no por ticks del
+ * temporizador) y las pausas no cuentan en ninguna duración.
  */
 
+import { formatTime } from '../utils/formatters.js';
+import { LevelScale } from './LevelScale.js';
+import SessionMetrics from './SessionMetrics.js';
+import { SpeechRhythm } from './SpeechRhythm.js';
+import { createGoalContexts, advanceGoalContexts, evaluateGoals } from './Goals.js';
+import { PhaseTypes, expandPlan } from './ExercisePlans.js';
+
+// Estados dentro de los umbrales de la zona verde (incluye la banda de aviso)
+const ACCEPTABLE_STATES = ['OPTIMAL', 'WARNING'];
+
+// Estados posibles (para el tiempo en cada uno)
+const SESSION_STATES = ['SILENT', 'LOW', 'OPTIMAL', 'WARNING', 'DANGER'];
+
+// Separación por defecto entre muestras de la línea de tiempo (ms)
+const DEFAULT_SAMPLE_INTERVAL_MS = 1000;
+
+// Origen del audio de la sesión
+const SessionSources = {
+    MICROPHONE: 'microphone',
+    FILE: 'file'
+};
+
+// A quién se refiere la sesión: un alumno o el ruido de toda la clase (modo aula)
+const SessionModes = {
+    STUDENT: 'student',
+    CLASSROOM: 'classroom'
+};
+
 class SessionTracker {
-    constructor() {
+    /**
+     * @param {Object} options - { clock, useTimer, sampleInterval }
+     *   clock: función que devuelve el instante actual en ms (por defecto Date.now)
+     *   useTimer: si es false no se arranca el setInterval y quien use el tracker
+     *   debe llamar a updateTimer() cada segundo de su reloj (análisis de grabaciones)
+     *   sampleInterval: ms entre muestras de nivel y estado de la línea de tiempo
+     */
+    constructor(options = {}) {
+        this.clock = options.clock || (() => Date.now());
+        this.useTimer = options.useTimer !== false;
+        this.sampleInterval = options.sampleInterval || DEFAULT_SAMPLE_INTERVAL_MS;
+        this.nextSampleTime = 0;
+
+        // Contabilidad del tiempo por estado (ms)
+        this.stateDurationsMs = createStateDurations();
+        this.stateStartedAt = 0;
+        this.pausedAt = null;
+
+        // Si hubo voz en el segundo en curso (para speakingTime; no se guarda en la sesión)
+        this.spokeThisSecond = false;
+
+        // Rachas, picos, silencios y variabilidad de la sesión en curso
+        this.metrics = new SessionMetrics();
+
         this.currentSession = null;
         this.isTracking = false;
         this.timerInterval = null;
 
+        // Alumno al que se etiquetan las sesiones nuevas
+        this.student = null;
+
+        // Clase y periodo de las sesiones nuevas en modo aula (null = modo alumno)
+        this.classroom = null;
+
+        // Escala para guardar el pico en dB (dBFS o dB SPL si el micrófono está calibrado)
+        this.levelScale = new LevelScale();
+
+        // Umbrales con los que se dibuja la línea de tiempo en el resumen
+        this.thresholds = null;
+
+        // Objetivos del alumno y lo que necesitan de sus sesiones anteriores
+        this.goals = [];
+        this.goalContexts = {};
+
+        // Ejercicio guiado en curso (ver ExercisePlans): pasos, paso actual y su inicio
+        this.plan = null;
+
         // Listeners
         this.onStatsUpdate = null;
+        this.onSessionEnd = null;
+        this.onPlanComplete = null;
     }
 
     /**
      * Inicia una nueva sesión de tracking
+     * Con un plan de ejercicio la sesión avanza sola por sus fases y termina al acabarlas.
+     * @param {Object} origin - { source, sourceName, plan } origen del audio (micrófono por defecto)
+     *   y plan de ejercicio (null = sesión libre, hasta que se cierre a mano)
      */
-    startSession() {
+    startSession({ source = SessionSources.MICROPHONE, sourceName = '', plan = null } = {}) {
         if (this.isTracking) {
             this.endSession();
         }
 
         this.currentSession = {
             sessionId: this.generateSessionId(),
-            startTime: Date.now(),
-            totalDuration: 0,           // En segundos
+            studentId: this.student ? this.student.id : null,
+            studentName: this.student ? this.student.name : '',
+            mode: this.classroom ? SessionModes.CLASSROOM : SessionModes.STUDENT,
+            className: this.classroom ? this.classroom.className : '',
+            classPeriod: this.classroom ? this.classroom.period : '',
+            source,
+            sourceName,
+            startTime: this.clock(),
+            totalDuration: 0,           // Tiempo activo en segundos (sin pausas)
+            pausedDuration: 0,          // Tiempo en pausa (segundos)
             greenZoneTime: 0,           // Tiempo en zona óptima (segundos)
+            warningZoneTime: 0,         // Tiempo en banda de aviso (segundos)
+            warningCount: 0,            // Veces que entró en la banda de aviso (casi-fallos)
+            speakingTime: 0,            // Segundos en los que el detector oyó voz
             peakVolume: 0,              // Volumen máximo alcanzado
             consistencyScore: 100,      // Puntuación de consistencia
             dropCount: 0,               // Veces que cayó de verde a no-verde
             stateHistory: [],           // Historial de cambios de estado
+            stateDurations: createStateDurations(), // Segundos en cada estado
+            timeline: [],               // Muestras { time (s), level, state } cada sampleInterval
+            sampleInterval: this.sampleInterval,
             currentState: 'SILENT',
-            lastGreenTime: null
+            exercise: plan ? { planId: plan.id, name: plan.name, description: plan.description, completed: false } : null,
+            phaseResults: []            // Estadísticas de cada fase de habla del ejercicio
         };
 
+        this.stateDurationsMs = createStateDurations();
+        this.metrics = new SessionMetrics();
+        this.rhythm = new SpeechRhythm();
+        this.stateStartedAt = this.currentSession.startTime;
+        this.pausedAt = null;
+        this.spokeThisSecond = false;
+        this.nextSampleTime = 0;
         this.isTracking = true;
 
-        // Iniciar temporizador (actualiza cada segundo)
-        this.timerInterval = setInterval(() => {
-            this.updateTimer();
-        }, 1000);
+        this.plan = plan ? { steps: expandPlan(plan), stepIndex: 0 } : null;
+        if (this.plan) {
+            this.startPlanStep();
+        }
+
+        this.startTimer();
+    }
+
+    /**
+     * Pausa la sesión: el tiempo hasta la reanudación no cuenta en ningún estado
+     */
+    pauseSession() {
+        if (!this.isTracking || this.isPaused()) return;
+
+        this.accumulateStateTime();
+        this.pausedAt = this.clock();
+        this.stopTimer();
+        this.notifyStatsUpdate();
+    }
+
+    /**
+     * Reanuda una sesión pausada
+     */
+    resumeSession() {
+        if (!this.isTracking || !this.isPaused()) return;
+
+        this.closePause();
+        this.startTimer();
+    }
+
+    /**
+     * Suma la pausa en curso al tiempo en pausa y retoma el estado actual desde ahora
+     * @private
+     */
+    closePause() {
+        const now = this.clock();
+        this.currentSession.pausedDuration = toSeconds(
+            this.currentSession.pausedDuration * 1000 + (now - this.pausedAt)
+        );
+        this.pausedAt = null;
+        this.stateStartedAt = now;
+    }
+
+    /**
+     * Indica si la sesión en curso está en pausa
+     * @returns {boolean}
+     */
+    isPaused() {
+        return this.pausedAt !== null;
+    }
+
+    /**
+     * Establece la escala con la que se guarda el pico de la sesión en dB
+     * @param {LevelScale} levelScale - Escala de la configuración actual
+     */
+    setLevelScale(levelScale) {
+        this.levelScale = levelScale;
+    }
+
+    /**
+     * Establece los umbrales que se guardan con la sesión
+     * @param {Object} config - { lowerThreshold, upperThreshold, warningBandWidth }
+     */
+    setThresholds({ lowerThreshold, upperThreshold, warningBandWidth = 0 }) {
+        this.thresholds = { lowerThreshold, upperThreshold, warningBandWidth };
+    }
+
+    /**
+     * Establece los objetivos que se evalúan en la sesión en curso y al cerrarla
+     * @param {Array} goals - Objetivos del alumno (ver Goals)
+     * @param {Array} previousSessions - Sesiones anteriores del alumno, las más recientes primero
+     */
+    setGoals(goals, previousSessions = []) {
+        this.goals = goals;
+        this.goalContexts = createGoalContexts(goals, previousSessions);
+        this.notifyStatsUpdate();
+    }
+
+    /**
+     * Progreso de cada objetivo en la sesión en curso
+     * @returns {Array} - Resultado de evaluateGoals (vacío sin sesión)
+     */
+    getGoalProgress() {
+        if (!this.currentSession) return [];
+        return evaluateGoals(this.goals, this.currentSession, this.goalContexts);
+    }
+
+    /**
+     * Establece el alumno con el que se etiquetarán las próximas sesiones
+     * @param {Object|null} student - { id, name } o null para sesiones sin alumno
+     */
+    setStudent(student) {
+        this.student = student ? { id: student.id, name: student.name } : null;
+    }
+
+    /**
+     * Establece la clase y el periodo con los que se etiquetarán las próximas sesiones
+     * En modo aula las sesiones no llevan alumno.
+     * @param {Object|null} classroom - { className, period } o null para volver al modo alumno
+     */
+    setClassroom(classroom) {
+        this.classroom = classroom ? { className: classroom.className, period: classroom.period } : null;
+        if (this.classroom) {
+            this.student = null;
+        }
     }
 
     /**
@@ -53,88 +253,407 @@ class SessionTracker {
             return null;
         }
 
+        // Cerrar la pausa o el tramo en curso y fijar las duraciones finales
+        if (this.isPaused()) {
+            this.closePause();
+        } else {
+            this.accumulateStateTime();
+        }
+        this.stopTimer();
         this.isTracking = false;
 
-        // Detener temporizador
-        if (this.timerInterval) {
-            clearInterval(this.timerInterval);
-            this.timerInterval = null;
+        // Ejercicio cerrado a mano: la fase en curso cuenta hasta aquí
+        if (this.plan) {
+            this.finishPlanStep({ interrupted: true });
+            this.plan = null;
         }
 
-        // Calcular duración total final
-        this.currentSession.totalDuration = Math.floor(
-            (Date.now() - this.currentSession.startTime) / 1000
-        );
-
         // Calcular puntuación de consistencia
         this.currentSession.consistencyScore = this.calculateConsistency();
 
+        // Pico en dB comparables entre equipos (peakVolume sigue en la escala 0-100)
+        this.currentSession.peakDb = Math.round(this.levelScale.levelToDb(this.currentSession.peakVolume));
+        this.currentSession.levelUnit = this.levelScale.getUnit();
+        this.currentSession.thresholds = this.thresholds;
+
+        // Rachas verdes, tiempo hasta verde, picos, silencios y variabilidad
+        Object.assign(this.currentSession, this.metrics.finish(this.getActiveTime()));
+
+        // Velocidad del habla y pausas
+        Object.assign(this.currentSession, this.rhythm.finish(this.getActiveTime()));
+
+        // Objetivos cumplidos (con su texto, por si el objetivo se borra después)
+        this.currentSession.goalResults = this.getGoalProgress().map(({ goal, description, met }) => ({
+            goalId: goal.id,
+            type: goal.type,
+            description,
+            met
+        }));
+        this.goalContexts = advanceGoalContexts(this.goals, this.goalContexts, this.currentSession);
+
         const summary = { ...this.currentSession };
 
-        // Guardar en historial
-        this.saveSessionToHistory(summary);
+        // Quien guarda el historial es la aplicación (ver StorageManager)
+        if (this.onSessionEnd) {
+            this.onSessionEnd(summary);
+        }
 
         return summary;
     }
 
     /**
      * Actualiza el temporizador cada segundo
-     * @private
+     * Con useTimer = false la llama quien controla el reloj.
+     * Solo refresca las duraciones y el tiempo con voz: el tiempo en cada estado
+     * se cuenta en accumulateStateTime.
      */
     updateTimer() {
-        if (!this.currentSession) return;
+        if (!this.currentSession || this.isPaused()) return;
 
-        this.currentSession.totalDuration = Math.floor(
-            (Date.now() - this.currentSession.startTime) / 1000
-        );
+        this.accumulateStateTime();
 
-        // Incrementar tiempo en zona verde si aplica
-        if (this.currentSession.currentState === 'OPTIMAL') {
-            this.currentSession.greenZoneTime++;
+        // Segundos con voz (el ruido sin voz no cuenta)
+        if (this.spokeThisSecond) {
+            this.currentSession.speakingTime++;
+            this.spokeThisSecond = false;
         }
 
+        // Cuenta atrás del ejercicio: cambio de fase o fin de la sesión
+        if (this.plan && this.advancePlan()) return;
+
         this.notifyStatsUpdate();
     }
 
+    /**
+     * Fase del ejercicio en curso y su cuenta atrás
+     * @returns {Object|null} - { name, type, label, round, rounds, stepNumber, stepCount,
+     *   remaining (s), greenTarget (s), greenStreak (s) } o null sin ejercicio
+     */
+    getPlanProgress() {
+        if (!this.plan || !this.currentSession) return null;
+
+        const { steps } = this.plan;
+        const step = this.getPlanStep();
+        const elapsed = this.getRunningTime() - this.plan.stepStartedAt;
+
+        return {
+            name: this.currentSession.exercise.name,
+            type: step.type,
+            label: step.label,
+            round: step.round,
+            rounds: steps[steps.length - 1].round,
+            stepNumber: step.index + 1,
+            stepCount: steps.length,
+            remaining: Math.max(0, Math.ceil((step.duration * 1000 - elapsed) / 1000)),
+            greenTarget: step.greenTarget,
+            greenStreak: toSeconds(this.getPhaseGreenStreak())
+        };
+    }
+
+    /**
+     * Indica si el ejercicio está en una fase de descanso
+     * En los descansos no se cuenta nada: ni tiempo activo ni estados.
+     * @returns {boolean}
+     */
+    isResting() {
+        return Boolean(this.plan) && this.getPlanStep().type === PhaseTypes.REST;
+    }
+
+    /**
+     * @private
+     */
+    getPlanStep() {
+        return this.plan.steps[this.plan.stepIndex];
+    }
+
+    /**
+     * Empieza la fase actual del ejercicio y guarda los contadores de partida
+     * @private
+     */
+    startPlanStep() {
+        const activeMs = this.getActiveTime();
+
+        this.plan.stepStartedAt = this.getRunningTime();
+        this.plan.bestStreak = 0;
+        this.plan.snapshot = {
+            activeMs,
+            stateDurationsMs: { ...this.stateDurationsMs },
+            dropCount: this.currentSession.dropCount
+        };
+
+        // Un descanso corta la racha verde: al volver se empieza de cero
+        if (this.isResting() && this.currentSession.currentState !== 'SILENT') {
+            this.metrics.recordStateChange(this.currentSession.currentState, 'SILENT', activeMs);
+            this.currentSession.currentState = 'SILENT';
+        }
+    }
+
+    /**
+     * Pasa a la fase siguiente si se acabó el tiempo o se cumplió el objetivo en verde
+     * @returns {boolean} - True si el ejercicio terminó (y con él la sesión)
+     * @private
+     */
+    advancePlan() {
+        const step = this.getPlanStep();
+        this.updateBestStreak();
+
+        const elapsed = this.getRunningTime() - this.plan.stepStartedAt;
+        const targetMet = step.greenTarget > 0 && this.plan.bestStreak >= step.greenTarget * 1000;
+        if (elapsed < step.duration * 1000 && !targetMet) return false;
+
+        this.finishPlanStep({ interrupted: false });
+        this.plan.stepIndex++;
+
+        if (this.plan.stepIndex < this.plan.steps.length) {
+            this.startPlanStep();
+            this.notifyStatsUpdate();
+            return false;
+        }
+
+        this.plan = null;
+        this.currentSession.exercise.completed = true;
+
+        const summary = this.endSession();
+        if (this.onPlanComplete) {
+            this.onPlanComplete(summary);
+        }
+        return true;
+    }
+
+    /**
+     * Guarda las estadísticas de la fase de habla que termina
+     * @param {Object} options - { interrupted } true si la sesión se cerró a mano en esta fase
+     * @private
+     */
+    finishPlanStep({ interrupted }) {
+        const step = this.getPlanStep();
+        this.accumulateStateTime();
+        if (step.type !== PhaseTypes.SPEAK) return;
+
+        this.updateBestStreak();
+        const { snapshot, bestStreak } = this.plan;
+        const elapsedMs = (state) => this.stateDurationsMs[state] - snapshot.stateDurationsMs[state];
+
+        this.currentSession.phaseResults.push({
+            round: step.round,
+            label: step.label,
+            plannedDuration: step.duration,
+            totalDuration: toSeconds(this.getActiveTime() - snapshot.activeMs),
+            greenZoneTime: toSeconds(elapsedMs('OPTIMAL')),
+            warningZoneTime: toSeconds(elapsedMs('WARNING')),
+            dropCount: this.currentSession.dropCount - snapshot.dropCount,
+            longestGreenStreak: toSeconds(bestStreak),
+            greenTarget: step.greenTarget || null,
+            targetMet: step.greenTarget > 0 ? bestStreak >= step.greenTarget * 1000 : null,
+            interrupted
+        });
+    }
+
+    /**
+     * Racha verde en curso contada solo desde el inicio de la fase (ms)
+     * @private
+     */
+    getPhaseGreenStreak() {
+        const activeMs = this.getActiveTime();
+        const phaseMs = activeMs - this.plan.snapshot.activeMs;
+        return Math.min(this.metrics.getCurrentGreenStreak(activeMs), phaseMs);
+    }
+
+    /**
+     * @private
+     */
+    updateBestStreak() {
+        this.plan.bestStreak = Math.max(this.plan.bestStreak, this.getPhaseGreenStreak());
+    }
+
+    /**
+     * Tiempo transcurrido de la sesión sin pausas (ms), con los descansos del ejercicio
+     * @private
+     */
+    getRunningTime() {
+        const now = this.clock();
+        const pausedMs = this.currentSession.pausedDuration * 1000 + (this.isPaused() ? now - this.pausedAt : 0);
+        return now - this.currentSession.startTime - pausedMs;
+    }
+
+    /**
+     * Suma al estado actual el tiempo transcurrido desde el último cambio o pausa
+     * y actualiza las duraciones de la sesión
+     * @private
+     */
+    accumulateStateTime() {
+        if (!this.currentSession || this.isPaused()) return;
+
+        const now = this.clock();
+        const { currentState } = this.currentSession;
+
+        // El descanso no cuenta: solo se mueve el inicio del tramo
+        if (this.isResting()) {
+            this.stateStartedAt = now;
+            return;
+        }
+
+        if (this.stateDurationsMs[currentState] !== undefined) {
+            this.stateDurationsMs[currentState] += Math.max(0, now - this.stateStartedAt);
+        }
+        this.stateStartedAt = now;
+
+        const stateDurations = {};
+        let activeMs = 0;
+        Object.entries(this.stateDurationsMs).forEach(([state, ms]) => {
+            stateDurations[state] = toSeconds(ms);
+            activeMs += ms;
+        });
+
+        this.currentSession.stateDurations = stateDurations;
+        this.currentSession.totalDuration = toSeconds(activeMs);
+        this.currentSession.greenZoneTime = stateDurations.OPTIMAL;
+        this.currentSession.warningZoneTime = stateDurations.WARNING;
+    }
+
+    /**
+     * Tiempo activo de la sesión hasta ahora (ms, sin pausas)
+     * @private
+     */
+    getActiveTime() {
+        const counted = Object.values(this.stateDurationsMs).reduce((sum, ms) => sum + ms, 0);
+        return this.isPaused() || this.isResting() ? counted : counted + (this.clock() - this.stateStartedAt);
+    }
+
+    /**
+     * Arranca el temporizador de estadísticas (cada segundo)
+     * @private
+     */
+    startTimer() {
+        if (!this.useTimer || this.timerInterval) return;
+
+        this.timerInterval = setInterval(() => {
+            this.updateTimer();
+        }, 1000);
+    }
+
+    /**
+     * @private
+     */
+    stopTimer() {
+        if (this.timerInterval) {
+            clearInterval(this.timerInterval);
+            this.timerInterval = null;
+        }
+    }
+
     /**
      * Registra actualización de estado desde el StateManager
      * @param {Object} stateData - Datos del estado actual
      */
     updateState(stateData) {
-        if (!this.isTracking || !this.currentSession) return;
+        if (!this.isTracking || !this.currentSession || this.isPaused()) return;
+
+        // Las fases del ejercicio cambian con la muestra que llega a su final, sin esperar al segundo
+        if (this.plan && this.advancePlan()) return;
+        if (this.isResting()) return;
 
-        const { state, volume, stateChanged } = stateData;
+        const { state, volume, stateChanged, speaking = true } = stateData;
 
-        // Actualizar estado actual
+        if (speaking) {
+            this.spokeThisSecond = true;
+        }
+
+        // Cerrar el tramo del estado anterior antes de cambiar
         const previousState = this.currentSession.currentState;
+        if (state !== previousState) {
+            this.accumulateStateTime();
+            if (this.plan) {
+                this.updateBestStreak();
+            }
+            this.metrics.recordStateChange(previousState, state, this.getActiveTime());
+        }
         this.currentSession.currentState = state;
 
+        // La variabilidad solo mide la voz (no el silencio ni el ruido)
+        if (speaking && state !== 'SILENT') {
+            this.metrics.recordLevel(volume);
+        }
+
         // Actualizar volumen pico
         if (volume > this.currentSession.peakVolume) {
             this.currentSession.peakVolume = Math.round(volume);
         }
 
+        this.recordTimelineSample(volume, state);
+
         // Registrar cambio de estado en historial
         if (stateChanged) {
             this.currentSession.stateHistory.push({
                 state: state,
-                timestamp: Date.now(),
+                timestamp: this.clock(),
                 volume: Math.round(volume)
             });
 
             // Detectar caída de zona verde
-            if (previousState === 'OPTIMAL' && state !== 'OPTIMAL') {
+            // La banda de aviso sigue dentro de los umbrales: pasar por ella no es una caída
+            if (ACCEPTABLE_STATES.includes(previousState) && !ACCEPTABLE_STATES.includes(state)) {
                 this.currentSession.dropCount++;
             }
-        }
 
-        // Trackear tiempo en verde
-        if (state === 'OPTIMAL') {
-            if (!this.currentSession.lastGreenTime) {
-                this.currentSession.lastGreenTime = Date.now();
+            if (state === 'WARNING') {
+                this.currentSession.warningCount++;
             }
-        } else {
-            this.currentSession.lastGreenTime = null;
+        }
+    }
+
+    /**
+     * Registra el tono de voz de un bloque (ver PitchTracker)
+     * Cuenta lo mismo que los estados: nada en pausa ni en los descansos del ejercicio.
+     * @param {number} pitchHz - Tono del bloque (0 = sin voz)
+     * @param {string|null} zone - Zona de entonación (PitchZones) o null si no se siguen las zonas
+     */
+    recordPitch(pitchHz, zone = null) {
+        if (!this.isTracking || !this.currentSession || this.isPaused() || this.isResting()) return;
+        if (!(pitchHz > 0)) return;
+
+        this.metrics.recordPitch(pitchHz, zone);
+    }
+
+    /**
+     * Registra la envolvente de un bloque para el ritmo del habla (ver SpeechRhythm)
+     * Como el tono: nada en pausa ni en los descansos del ejercicio.
+     * @param {number} level - Nivel 0-100 del bloque con puerta de ruido, sin persistencia
+     * @param {boolean} speaking - Si el detector de voz oye voz
+     */
+    recordEnvelope(level, speaking) {
+        if (!this.isTracking || !this.currentSession || this.isPaused() || this.isResting()) return;
+
+        this.rhythm.record(level, speaking, this.getActiveTime());
+    }
+
+    /**
+     * Velocidad del habla de los últimos segundos y pausas de la sesión en curso
+     * @returns {Object|null} - { rate, pauseCount, longPauseCount } o null sin sesión
+     */
+    getRhythmProgress() {
+        if (!this.isTracking || !this.currentSession) return null;
+        return this.rhythm.getLive(this.getActiveTime());
+    }
+
+    /**
+     * Añade una muestra a la línea de tiempo si ya toca según sampleInterval
+     * @private
+     */
+    recordTimelineSample(volume, state) {
+        const elapsedMs = this.getActiveTime();
+        if (elapsedMs < this.nextSampleTime) return;
+
+        this.currentSession.timeline.push({
+            time: Math.round(elapsedMs) / 1000,
+            level: Math.round(volume),
+            state
+        });
+
+        // Si el reloj salta (pestaña en segundo plano) no se recuperan las muestras perdidas
+        this.nextSampleTime += this.sampleInterval;
+        if (this.nextSampleTime <= elapsedMs) {
+            this.nextSampleTime = elapsedMs + this.sampleInterval;
         }
     }
 
@@ -176,9 +695,7 @@ class SessionTracker {
      * @returns {string} - Tiempo formateado
      */
     formatTime(seconds) {
-        const mins = Math.floor(seconds / 60);
-        const secs = seconds % 60;
-        return `${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+        return formatTime(seconds);
     }
 
     /**
@@ -190,16 +707,24 @@ class SessionTracker {
             return {
                 totalTime: '00:00',
                 greenTime: '00:00',
+                warningTime: '00:00',
                 successRate: '0%',
-                peakVolume: 0
+                peakVolume: 0,
+                goals: [],
+                exercise: null,
+                rhythm: null
             };
         }
 
         return {
             totalTime: this.formatTime(this.currentSession.totalDuration),
             greenTime: this.formatTime(this.currentSession.greenZoneTime),
+            warningTime: this.formatTime(this.currentSession.warningZoneTime),
             successRate: `${this.getSuccessPercentage()}%`,
-            peakVolume: this.currentSession.peakVolume
+            peakVolume: this.currentSession.peakVolume,
+            goals: this.getGoalProgress(),
+            exercise: this.getPlanProgress(),
+            rhythm: this.getRhythmProgress()
         };
     }
 
@@ -214,63 +739,27 @@ class SessionTracker {
     }
 
     /**
-     * Guarda la sesión en el historial (localStorage)
-     * @private
-     */
-    saveSessionToHistory(session) {
-        try {
-            const history = this.getSessionHistory();
-            history.unshift(session);
-
-            // Mantener solo las últimas 50 sesiones
-            const limitedHistory = history.slice(0, 50);
-
-            localStorage.setItem('eco-logro-sessions', JSON.stringify(limitedHistory));
-        } catch (error) {
-            console.error('Error guardando sesión en localStorage:', error);
-        }
-    }
-
-    /**
-     * Obtiene el historial de sesiones desde localStorage
-     * @returns {Array} - Array de sesiones
-     */
-    getSessionHistory() {
-        try {
-            const stored = localStorage.getItem('eco-logro-sessions');
-            return stored ? JSON.parse(stored) : [];
-        } catch (error) {
-            console.error('Error leyendo historial:', error);
-            return [];
-        }
-    }
-
-    /**
-     * Exporta el historial de sesiones como JSON
-     * @returns {string} - JSON string del historial
+     * Registra callback para actualizaciones de estadísticas
+     * @param {Function} callback - Función a llamar cuando se actualicen las stats
      */
-    exportHistory() {
-        const history = this.getSessionHistory();
-        return JSON.stringify(history, null, 2);
+    setStatsUpdateCallback(callback) {
+        this.onStatsUpdate = callback;
     }
 
     /**
-     * Limpia el historial de sesiones
+     * Registra callback para cuando termina una sesión
+     * @param {Function} callback - Recibe el resumen de la sesión
      */
-    clearHistory() {
-        try {
-            localStorage.removeItem('eco-logro-sessions');
-        } catch (error) {
-            console.error('Error limpiando historial:', error);
-        }
+    setSessionEndCallback(callback) {
+        this.onSessionEnd = callback;
     }
 
     /**
-     * Registra callback para actualizaciones de estadísticas
-     * @param {Function} callback - Función a llamar cuando se actualicen las stats
+     * Registra callback para cuando un ejercicio termina solo (la sesión ya está cerrada)
+     * @param {Function} callback - Recibe el resumen de la sesión
      */
-    setStatsUpdateCallback(callback) {
-        this.onStatsUpdate = callback;
+    setPlanCompleteCallback(callback) {
+        this.onPlanComplete = callback;
     }
 
     /**
@@ -292,4 +781,21 @@ class SessionTracker {
     }
 }
 
+/**
+ * Convierte ms a segundos con una décima
+ * @private
+ */
+function toSeconds(ms) {
+    return Math.round(ms / 100) / 10;
+}
+
+/**
+ * Contadores a cero del tiempo en cada estado
+ * @private
+ */
+function createStateDurations() {
+    return Object.fromEntries(SESSION_STATES.map(state => [state, 0]));
+}
+
+export { SessionSources, SessionModes };
 export default SessionTracker;
@@ -0,0 +1,299 @@
+/**
+ * SpeechRhythm Service
+ *
+ * Ritmo del habla a partir de la envolvente del nivel (un valor por bloque de 20 ms):
+ *   - tramos de habla y pausas: el habla se corta cuando hay silencio (sin voz o
+ *     bajo la puerta de ruido) durante al menos MIN_PAUSE_MS
+ *   - sílabas: cada pico de la envolvente que sube y baja al menos SYLLABLE_DIP
+ *     (unos 2.4 dB) respecto a sus valles, como los núcleos silábicos
+ *   - velocidad: sílabas por segundo de habla (sin pausas) y de sesión (con pausas)
+ *   - pausas: número, largas, media, la más larga y cuántas hay de cada duración
+ * Los tiempos son de sesión activa (sin pausas de la aplicación), en ms, y los
+ * da SessionTracker. Lógica pura: no conoce el DOM ni el audio.
+ */
+
+import { formatText } from './FeedbackMessages.js';
+
+// Subida y bajada mínimas de la envolvente alrededor de una sílaba (nivel 0-100, ~2.4 dB)
+const SYLLABLE_DIP = 4;
+
+// Separación mínima entre sílabas (como mucho 10 por segundo)
+const MIN_SYLLABLE_GAP_MS = 100;
+
+// Silencio mínimo que cuenta como pausa y sonido mínimo que cuenta como habla
+const MIN_PAUSE_MS = 250;
+const MIN_BURST_MS = 100;
+
+// Una pausa de 2 segundos o más es larga
+const LONG_PAUSE_MS = 2000;
+
+// Límites inferiores (ms) de cada grupo de duración de las pausas
+const PAUSE_BUCKETS = [MIN_PAUSE_MS, 500, 1000, LONG_PAUSE_MS];
+
+// Ventana de la velocidad en directo y habla mínima en ella para darla (ms)
+const LIVE_WINDOW_MS = 10000;
+const MIN_LIVE_SPEECH_MS = 2000;
+
+const RhythmZones = {
+    NONE: 'none',
+    SLOW: 'slow',
+    OK: 'ok',
+    FAST: 'fast'
+};
+
+// Emoji de cada zona (el nombre y el mensaje, en cada idioma, están en FeedbackMessages)
+const RhythmZoneInfo = {
+    [RhythmZones.NONE]: { emoji: '⏱️' },
+    [RhythmZones.SLOW]: { emoji: '🐢' },
+    [RhythmZones.OK]: { emoji: '👍' },
+    [RhythmZones.FAST]: { emoji: '🐇' }
+};
+
+// Velocidades por defecto (sílabas por segundo de habla)
+const RHYTHM_DEFAULTS = {
+    lowerRate: 2.5,
+    upperRate: 5.5
+};
+
+// Límites de las velocidades en el panel: [mínimo, máximo]
+const RATE_LIMITS = {
+    lower: [1, 5],
+    upper: [3, 8]
+};
+
+/**
+ * Ajusta las velocidades de las zonas a sus límites (la superior siempre por encima)
+ * @param {Object} thresholds - { lowerRate, upperRate } en sílabas por segundo
+ * @returns {Object} - { lowerRate, upperRate }
+ */
+function normalizeRateThresholds({ lowerRate, upperRate } = {}) {
+    const clamp = (value, [min, max], fallback) => (Number.isFinite(value) ? Math.min(max, Math.max(min, value)) : fallback);
+
+    const lower = clamp(lowerRate, RATE_LIMITS.lower, RHYTHM_DEFAULTS.lowerRate);
+    const upper = clamp(upperRate, RATE_LIMITS.upper, RHYTHM_DEFAULTS.upperRate);
+
+    return { lowerRate: lower, upperRate: Math.max(upper, lower + 0.5) };
+}
+
+/**
+ * Zona de una velocidad con los umbrales dados
+ * @param {number|null} rate - Sílabas por segundo (null = sin habla suficiente)
+ * @param {Object} thresholds - { lowerRate, upperRate }
+ * @returns {string} - Valor de RhythmZones
+ */
+function getRhythmZone(rate, { lowerRate, upperRate }) {
+    if (rate === null) return RhythmZones.NONE;
+    if (rate < lowerRate) return RhythmZones.SLOW;
+    if (rate > upperRate) return RhythmZones.FAST;
+    return RhythmZones.OK;
+}
+
+/**
+ * Texto de cada grupo de duración de las pausas (p. ej. "0.5-1 s", "2 s o más")
+ * @param {string} openLabel - Texto del último grupo, sin límite, con {from} (p. ej. "{from} s o más")
+ * @returns {string[]} - Uno por posición de pauseDistribution
+ */
+function getPauseBucketLabels(openLabel) {
+    return PAUSE_BUCKETS.map((from, index) => {
+        const to = PAUSE_BUCKETS[index + 1];
+        return to ? `${from / 1000}-${to / 1000} s` : formatText(openLabel, { from: from / 1000 });
+    });
+}
+
+class SpeechRhythm {
+    constructor() {
+        // Picos de la envolvente: subiendo hacia un pico o bajando hacia un valle
+        this.rising = false;
+        this.peak = 0;
+        this.peakAt = 0;
+        this.valley = 0;
+        this.lastSyllableAt = -Infinity;
+        this.syllableTimes = [];
+        this.syllableCount = 0;
+
+        // Tramos de habla y pausas
+        this.soundStartedAt = null;
+        this.silenceStartedAt = null;
+        this.burstStartedAt = null;
+        this.lastBurstEndedAt = null;
+        this.bursts = [];
+        this.burstCount = 0;
+        this.burstMs = 0;
+        this.pauses = [];
+    }
+
+    /**
+     * Añade un bloque de la envolvente
+     * @param {number} level - Nivel 0-100 con puerta de ruido (sin persistencia)
+     * @param {boolean} speaking - Si el detector de voz oye voz en el bloque
+     * @param {number} activeMs - Tiempo activo de la sesión en el bloque
+     */
+    record(level, speaking, activeMs) {
+        const sounding = speaking && level > 0;
+
+        this.trackSyllables(sounding ? level : 0, activeMs);
+
+        if (sounding) {
+            this.trackSound(activeMs);
+        } else {
+            this.trackSilence(activeMs);
+        }
+    }
+
+    /**
+     * Velocidad y pausas de los últimos segundos
+     * @param {number} activeMs - Tiempo activo de la sesión ahora
+     * @returns {Object} - { rate (síl/s de habla o null), pauseCount, longPauseCount }
+     */
+    getLive(activeMs) {
+        const windowStart = activeMs - LIVE_WINDOW_MS;
+
+        while (this.syllableTimes.length > 0 && this.syllableTimes[0] < windowStart) {
+            this.syllableTimes.shift();
+        }
+        while (this.bursts.length > 0 && this.bursts[0].end < windowStart) {
+            this.bursts.shift();
+        }
+
+        const openBurst = this.burstStartedAt === null
+            ? []
+            : [{ start: this.burstStartedAt, end: this.silenceStartedAt === null ? activeMs : this.silenceStartedAt }];
+        const speechMs = [...this.bursts, ...openBurst]
+            .reduce((sum, burst) => sum + Math.max(0, burst.end - Math.max(burst.start, windowStart)), 0);
+
+        return {
+            rate: speechMs >= MIN_LIVE_SPEECH_MS ? roundTenth(this.syllableTimes.length / (speechMs / 1000)) : null,
+            pauseCount: this.pauses.length,
+            longPauseCount: this.pauses.filter(pause => pause >= LONG_PAUSE_MS).length
+        };
+    }
+
+    /**
+     * Cierra el tramo de habla abierto y devuelve las métricas de la sesión
+     * @param {number} activeMs - Tiempo activo al terminar la sesión
+     * @returns {Object} - Métricas para guardar en la sesión (segundos con una décima)
+     */
+    finish(activeMs) {
+        if (this.burstStartedAt !== null) {
+            this.closeBurst(this.silenceStartedAt === null ? activeMs : this.silenceStartedAt);
+        }
+
+        const { pauses, burstCount, burstMs, syllableCount } = this;
+        const totalPauseMs = pauses.reduce((sum, pause) => sum + pause, 0);
+
+        return {
+            syllableCount,
+            articulationRate: burstMs > 0 ? roundTenth(syllableCount / (burstMs / 1000)) : null,   // síl/s de habla
+            speechRate: activeMs > 0 && burstCount > 0 ? roundTenth(syllableCount / (activeMs / 1000)) : null, // síl/s con pausas
+            burstCount,
+            averageBurst: burstCount > 0 ? toSeconds(burstMs / burstCount) : 0,
+            pauseCount: pauses.length,
+            longPauseCount: pauses.filter(pause => pause >= LONG_PAUSE_MS).length,
+            averagePause: pauses.length > 0 ? toSeconds(totalPauseMs / pauses.length) : 0,
+            longestPause: toSeconds(Math.max(0, ...pauses)),
+            // Pausas en cada grupo de PAUSE_BUCKETS (ver getPauseBucketLabels)
+            pauseDistribution: PAUSE_BUCKETS.map((from, index) => {
+                const to = PAUSE_BUCKETS[index + 1] || Infinity;
+                return pauses.filter(pause => pause >= from && pause < to).length;
+            })
+        };
+    }
+
+    /**
+     * Cuenta un pico cuando la envolvente sube y vuelve a bajar lo suficiente
+     * @private
+     */
+    trackSyllables(level, activeMs) {
+        if (this.rising) {
+            if (level > this.peak) {
+                this.peak = level;
+                this.peakAt = activeMs;
+            } else if (level <= this.peak - SYLLABLE_DIP) {
+                if (this.peakAt - this.lastSyllableAt >= MIN_SYLLABLE_GAP_MS) {
+                    this.syllableCount++;
+                    this.syllableTimes.push(this.peakAt);
+                    this.lastSyllableAt = this.peakAt;
+                }
+                this.rising = false;
+                this.valley = level;
+            }
+        } else if (level < this.valley) {
+            this.valley = level;
+        } else if (level >= this.valley + SYLLABLE_DIP) {
+            this.rising = true;
+            this.peak = level;
+            this.peakAt = activeMs;
+        }
+    }
+
+    /**
+     * Un bloque con voz: confirma el tramo de habla (y la pausa anterior)
+     * @private
+     */
+    trackSound(activeMs) {
+        this.silenceStartedAt = null;
+        if (this.soundStartedAt === null) {
+            this.soundStartedAt = activeMs;
+        }
+
+        if (this.burstStartedAt === null && activeMs - this.soundStartedAt >= MIN_BURST_MS) {
+            this.burstStartedAt = this.soundStartedAt;
+
+            if (this.lastBurstEndedAt !== null) {
+                this.pauses.push(this.burstStartedAt - this.lastBurstEndedAt);
+            }
+        }
+    }
+
+    /**
+     * Un bloque sin voz: tras MIN_PAUSE_MS cierra el tramo de habla
+     * @private
+     */
+    trackSilence(activeMs) {
+        this.soundStartedAt = null;
+        if (this.silenceStartedAt === null) {
+            this.silenceStartedAt = activeMs;
+        }
+
+        if (this.burstStartedAt !== null && activeMs - this.silenceStartedAt >= MIN_PAUSE_MS) {
+            this.closeBurst(this.silenceStartedAt);
+        }
+    }
+
+    /**
+     * @private
+     */
+    closeBurst(endedAt) {
+        const burst = { start: this.burstStartedAt, end: endedAt };
+
+        this.bursts.push(burst);
+        this.burstCount++;
+        this.burstMs += burst.end - burst.start;
+        this.lastBurstEndedAt = endedAt;
+        this.burstStartedAt = null;
+    }
+}
+
+/**
+ * @private
+ */
+function roundTenth(value) {
+    return Math.round(value * 10) / 10;
+}
+
+/**
+ * @private
+ */
+function toSeconds(ms) {
+    return Math.round(ms / 100) / 10;
+}
+
+export {
+    RhythmZones,
+    RhythmZoneInfo,
+    RHYTHM_DEFAULTS,
+    normalizeRateThresholds,
+    getRhythmZone,
+    getPauseBucketLabels,
+    SpeechRhythm
+};
@@ -3,8 +3,16 @@
  * 
  * Gestiona el estado de la aplicación usando una máquina de estados.
  * Aplica lógica de umbrales y dampening para transiciones suaves.
+ * Las transiciones usan histéresis y un tiempo mínimo de permanencia para que
+ * una voz justo en el límite de una zona no haga parpadear el estado.
+ * No depende del DOM ni del reloj: el instante de cada muestra se recibe como
+ * parámetro, así la lógica se puede probar de forma aislada.
+ * Los mensajes y emojis de cada estado salen de FeedbackMessages (idioma y
+ * mensajes propios del alumno).
  */
 
+import { DEFAULT_LOCALE, normalizeLocale, normalizeCustomMessages, getStateFeedback } from './FeedbackMessages.js';
+
 const States = {
     SILENT: 'SILENT',       // Sin sonido detectado
     LOW: 'LOW',             // Sonido bajo
@@ -13,21 +21,8 @@ const States = {
     DANGER: 'DANGER'        // Demasiado alto
 };
 
-const StateMessages = {
-    [States.SILENT]: 'No detecto ningún sonido...',
-    [States.LOW]: 'Speak up a little, I can\'t hear you',
-    [States.OPTIMAL]: 'That\'s better, just the right volume',
-    [States.WARNING]: 'Getting a bit loud!',
-    [States.DANGER]: 'That\'s too loud!'
-};
-
-const StateEmojis = {
-    [States.SILENT]: '😐',
-    [States.LOW]: '🤔',
-    [States.OPTIMAL]: '😊',
-    [States.WARNING]: '😰',
-    [States.DANGER]: '😱'
-};
+// Volumen (0-100) por debajo del cual se considera silencio
+const SILENCE_LEVEL = 3;
 
 class StateManager {
     constructor() {
@@ -37,14 +32,30 @@ class StateManager {
         this.studentName = '';
         this.stateChangeListeners = [];
 
+        // Idioma y mensajes propios; el mensaje del estado actual se elige al cambiar de estado
+        this.locale = DEFAULT_LOCALE;
+        this.customMessages = {};
+        this.stateInfo = null;
+
         // Configuración de umbrales (pueden ser modificados)
         this.config = {
             lowerThreshold: 25,      // Umbral inferior de zona verde (1er cuarto)
             upperThreshold: 75,      // Umbral superior de zona verde (3er cuarto)
-            sensitivity: 85,         // Sensibilidad del micrófono (0-100) - más sensible
-            dampening: 20            // Amortiguación (0-100) - menos amortiguación para más respuesta
+            sensitivity: 50,         // Sensibilidad del micrófono (0-100) - la aplica AudioAnalyzer
+            dampening: 20,           // Amortiguación (0-100) - menos amortiguación para más respuesta
+            warningBandWidth: 0,     // Ancho de la banda de aviso bajo upperThreshold (0 = desactivada)
+            hysteresisMargin: 3,     // Margen (nivel 0-100) a superar para abandonar el estado actual
+            minDwellTime: 300,       // Tiempo (ms) que debe mantenerse un estado nuevo antes de confirmarlo
+            persistenceDuration: 2000 // Tiempo (ms) que la última voz detectada sigue contando (como la barra)
         };
 
+        // Instante de la última voz detectada (null = todavía no se ha oído voz)
+        this.lastSpeechTime = null;
+
+        // Transición candidata pendiente de confirmar (tiempo mínimo de permanencia)
+        this.pendingState = null;
+        this.pendingSince = 0;
+
         // Historial para dampening
         this.volumeHistory = [];
         this.historyMaxLength = 5;
@@ -52,13 +63,24 @@ class StateManager {
 
     /**
      * Actualiza el estado basado en el volumen actual
-     * @param {number} rawVolume - Volumen en bruto (0-100)
+     * @param {number} volume - Volumen procesado (0-100)
+     * @param {number} timestamp - Instante de la muestra en ms
+     * @param {boolean} speaking - Si el detector de voz oye voz en esta muestra
      * @returns {Object} - Estado actualizado con información relevante
      */
-    updateState(volume) {
+    updateState(volume, timestamp, speaking = true) {
+        if (speaking) {
+            this.lastSpeechTime = timestamp;
+        }
+
         // Determinamos el estado basándonos directamente en el volumen recibido.
         // El volumen ya viene procesado con Peak Hold y Suavizado desde app.js.
-        const newState = this.determineState(volume);
+        // Sin voz reciente el sonido es ruido (sillas, palmadas...) y cuenta como silencio;
+        // la voz sigue contando durante la persistencia, como la barra entre palabras.
+        const candidateState = this.isVoiceActive(timestamp)
+            ? this.determineStateWithHysteresis(volume)
+            : States.SILENT;
+        const newState = this.resolveDwell(candidateState, timestamp);
 
         // Verificar si hubo cambio de estado
         const stateChanged = newState !== this.currentState;
@@ -66,6 +88,7 @@ class StateManager {
         if (stateChanged) {
             this.previousState = this.currentState;
             this.currentState = newState;
+            this.stateInfo = this.pickStateInfo(newState);
             this.notifyStateChange();
         }
 
@@ -77,22 +100,18 @@ class StateManager {
             stateChanged: stateChanged,
             message: this.getStateInfo(this.currentState).message,
             emoji: this.getStateInfo(this.currentState).emoji,
-            isInGreenZone: this.currentState === States.OPTIMAL
+            isInGreenZone: this.currentState === States.OPTIMAL,
+            speaking: speaking
         };
     }
 
     /**
-     * Aplica la sensibilidad configurada al volumen
+     * Indica si hubo voz dentro de la persistencia
      * @private
      */
-    applySensitivity(volume) {
-        const sensitivity = this.config.sensitivity / 100;
-
-        // Sensitivity actúa como un multiplicador
-        // 50% = sin cambio, >50% amplifica, <50% atenúa
-        const adjusted = volume * (0.5 + sensitivity);
-
-        return Math.min(100, Math.max(0, adjusted));
+    isVoiceActive(timestamp) {
+        return this.lastSpeechTime !== null &&
+            timestamp - this.lastSpeechTime <= this.config.persistenceDuration;
     }
 
     /**
@@ -124,13 +143,14 @@ class StateManager {
     /**
      * Determina el estado basado en el volumen procesado
      * Sistema por cuartos: 0-25% ROJO, 25-75% VERDE, 75-100% NEGRO
+     * Con banda de aviso, la parte alta de la zona verde pasa a AMARILLO.
      * @private
      */
     determineState(volume) {
-        const { lowerThreshold, upperThreshold } = this.config;
+        const { lowerThreshold, upperThreshold, warningBandWidth } = this.config;
 
         // Zona de silencio (casi sin volumen)
-        if (volume < 3) {
+        if (volume < SILENCE_LEVEL) {
             return States.SILENT;
         }
 
@@ -139,6 +159,11 @@ class StateManager {
             return States.LOW;
         }
 
+        // Banda de aviso: AMARILLO (correcto, pero cerca del límite superior)
+        if (warningBandWidth > 0 && volume > upperThreshold - warningBandWidth && volume <= upperThreshold) {
+            return States.WARNING;
+        }
+
         // Segundo y tercer cuarto: VERDE (volumen correcto)
         if (volume >= lowerThreshold && volume <= upperThreshold) {
             return States.OPTIMAL;
@@ -148,6 +173,76 @@ class StateManager {
         return States.DANGER;
     }
 
+    /**
+     * Determina el estado aplicando histéresis sobre el estado actual
+     * Mientras el volumen no salga del rango del estado actual más el margen,
+     * se mantiene ese estado aunque haya cruzado el umbral.
+     * @private
+     */
+    determineStateWithHysteresis(volume) {
+        const rawState = this.determineState(volume);
+        const { hysteresisMargin } = this.config;
+
+        if (rawState === this.currentState || hysteresisMargin === 0) {
+            return rawState;
+        }
+
+        const range = this.getStateRange(this.currentState);
+        if (volume >= range.min - hysteresisMargin && volume <= range.max + hysteresisMargin) {
+            return this.currentState;
+        }
+
+        return rawState;
+    }
+
+    /**
+     * Rango de volumen [min, max] que corresponde a un estado con la configuración actual
+     * @private
+     */
+    getStateRange(state) {
+        const { lowerThreshold, upperThreshold, warningBandWidth } = this.config;
+
+        switch (state) {
+            case States.SILENT:
+                return { min: 0, max: SILENCE_LEVEL };
+            case States.LOW:
+                return { min: SILENCE_LEVEL, max: lowerThreshold };
+            case States.OPTIMAL:
+                return { min: lowerThreshold, max: upperThreshold - warningBandWidth };
+            case States.WARNING:
+                return { min: upperThreshold - warningBandWidth, max: upperThreshold };
+            default:
+                return { min: upperThreshold, max: 100 };
+        }
+    }
+
+    /**
+     * Confirma un estado candidato solo si se mantiene durante minDwellTime
+     * @param {string} candidateState - Estado que sugiere el volumen actual
+     * @param {number} timestamp - Instante de la muestra en ms
+     * @returns {string} - Estado que debe quedar activo
+     * @private
+     */
+    resolveDwell(candidateState, timestamp) {
+        if (candidateState === this.currentState) {
+            this.pendingState = null;
+            return this.currentState;
+        }
+
+        // Un candidato distinto reinicia la espera
+        if (candidateState !== this.pendingState) {
+            this.pendingState = candidateState;
+            this.pendingSince = timestamp;
+        }
+
+        if (timestamp - this.pendingSince < this.config.minDwellTime) {
+            return this.currentState;
+        }
+
+        this.pendingState = null;
+        return candidateState;
+    }
+
     /**
      * Actualiza la configuración de umbrales y filtros
      * @param {Object} newConfig - Nueva configuración parcial o completa
@@ -160,11 +255,17 @@ class StateManager {
         this.config.upperThreshold = Math.max(15, Math.min(100, this.config.upperThreshold));
         this.config.sensitivity = Math.max(0, Math.min(100, this.config.sensitivity));
         this.config.dampening = Math.max(0, Math.min(100, this.config.dampening));
+        this.config.hysteresisMargin = Math.max(0, Math.min(10, this.config.hysteresisMargin || 0));
+        this.config.minDwellTime = Math.max(0, Math.min(2000, this.config.minDwellTime || 0));
 
         // Asegurar que lower < upper
         if (this.config.lowerThreshold >= this.config.upperThreshold) {
             this.config.upperThreshold = this.config.lowerThreshold + 10;
         }
+
+        // La banda de aviso nunca ocupa más de la mitad de la zona verde
+        const maxWarningBand = Math.floor((this.config.upperThreshold - this.config.lowerThreshold) / 2);
+        this.config.warningBandWidth = Math.max(0, Math.min(maxWarningBand, this.config.warningBandWidth || 0));
     }
 
     /**
@@ -188,37 +289,46 @@ class StateManager {
      */
     setStudentName(name) {
         this.studentName = name ? name.trim() : '';
+        this.stateInfo = null;
+    }
+
+    /**
+     * Establece el idioma y los mensajes propios del alumno (ver FeedbackMessages)
+     * @param {Object} feedback - { locale, customMessages }
+     */
+    setFeedback({ locale, customMessages } = {}) {
+        this.locale = normalizeLocale(locale);
+        this.customMessages = normalizeCustomMessages(customMessages);
+        this.stateInfo = null;
     }
 
     /**
      * Obtiene el mensaje y emoji correspondiente al estado
-     * Con mensajes personalizados según el nombre del estudiante
+     * El del estado actual se mantiene hasta el siguiente cambio de estado.
      * @private
      */
     getStateInfo(state) {
-        const studentName = this.studentName || '';
-        const nameToUse = studentName || 'amigo';
-
-        const info = {
-            SILENT: {
-                message: studentName ? `Habla, ${studentName}` : 'Habla un poco, no te oigo',
-                emoji: '🤔'
-            },
-            LOW: {
-                message: studentName ? `Habla, ${studentName}` : 'Habla un poco, no te oigo',
-                emoji: '🤔'
-            },
-            OPTIMAL: {
-                message: 'Perfecto, sigue así, mantén el volumen',
-                emoji: '😊'
-            },
-            DANGER: {
-                message: '¡Vamos!!',
-                emoji: '😅'
-            }
-        };
+        if (state !== this.currentState) {
+            return this.pickStateInfo(state);
+        }
 
-        return info[state] || info.SILENT;
+        if (!this.stateInfo) {
+            this.stateInfo = this.pickStateInfo(state);
+        }
+        return this.stateInfo;
+    }
+
+    /**
+     * Elige un mensaje del estado distinto del que se está mostrando
+     * @private
+     */
+    pickStateInfo(state) {
+        return getStateFeedback(state, {
+            locale: this.locale,
+            custom: this.customMessages,
+            name: this.studentName,
+            previousMessage: this.stateInfo ? this.stateInfo.message : null
+        });
     }
 
     /**
@@ -245,6 +355,14 @@ class StateManager {
         return this.currentState;
     }
 
+    /**
+     * Obtiene el estado actual con su mensaje y emoji
+     * @returns {Object} - { state, message, emoji }
+     */
+    getCurrentStateInfo() {
+        return { state: this.currentState, ...this.getStateInfo(this.currentState) };
+    }
+
     /**
      * Verifica si está en zona verde (óptima)
      * @returns {boolean}
@@ -260,7 +378,11 @@ class StateManager {
         this.currentState = States.SILENT;
         this.previousVolume = 0;
         this.volumeHistory = [];
+        this.pendingState = null;
+        this.pendingSince = 0;
+        this.lastSpeechTime = null;
+        this.stateInfo = null;
     }
 }
 
-export { StateManager, States, StateMessages, StateEmojis };
+export { StateManager, States };
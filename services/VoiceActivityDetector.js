@@ -0,0 +1,211 @@
+/**
+ * VoiceActivityDetector
+ *
+ * Detector de voz por bloques. Un bloque es voz si:
+ *   - su energía supera el ruido de fondo estimado (que se adapta solo), y
+ *   - es periódico en el rango del tono de la voz (autocorrelación normalizada).
+ * Así sillas, ventiladores y palmadas no cuentan como "hablando".
+ * De la misma autocorrelación sale el tono (frecuencia fundamental) de cada
+ * bloque con voz, sin repetir el cálculo.
+ * Es JavaScript puro (sin Web Audio ni DOM), como LevelMeter, para compartirlo
+ * entre el AudioWorklet y el análisis de grabaciones. Espera la señal ya
+ * limitada a la banda de voz (ver AudioAnalyzer.createVoiceBandFilters).
+ */
+
+import { METER_BLOCK_RATE } from './LevelMeter.js';
+
+// Rango de la frecuencia fundamental de la voz (Hz)
+const PITCH_MIN_HZ = 70;
+const PITCH_MAX_HZ = 400;
+
+// Frecuencia de análisis tras diezmar (la entrada ya viene filtrada por debajo de 4 kHz)
+const ANALYSIS_RATE = 12000;
+
+// Ventana de autocorrelación: al menos dos periodos del tono más grave
+const WINDOW_MS = 40;
+
+// Autocorrelación normalizada mínima para considerar el bloque periódico
+const PERIODICITY_THRESHOLD = 0.5;
+
+// El periodo es el primer máximo que llega a esta fracción del mayor: los múltiplos
+// del periodo correlan casi igual y tomarlos daría el tono una octava más grave
+const PITCH_PEAK_RATIO = 0.9;
+
+// La voz debe superar el ruido de fondo en ~6 dB (razón de potencias)
+const NOISE_MARGIN = 4;
+
+// Potencia mínima para considerar voz (-60 dBFS)
+const MIN_SPEECH_POWER = 1e-6;
+
+// Subida del ruido de fondo estimado mientras no hay bajadas (dB por segundo)
+// Un sonido constante (un ventilador) termina formando parte del fondo.
+const NOISE_RISE_DB_PER_SECOND = 1;
+
+// Bloques periódicos seguidos para empezar a hablar y bloques de cola tras el último
+const ONSET_BLOCKS = 2;
+const HANGOVER_BLOCKS = 10;
+
+class VoiceActivityDetector {
+    /**
+     * @param {number} sampleRate - Frecuencia de muestreo del audio
+     * @param {Object} options - { blockRate }
+     */
+    constructor(sampleRate, { blockRate = METER_BLOCK_RATE } = {}) {
+        this.decimation = Math.max(1, Math.floor(sampleRate / ANALYSIS_RATE));
+
+        const analysisRate = sampleRate / this.decimation;
+        this.window = new Float32Array(Math.round(analysisRate * WINDOW_MS / 1000));
+        this.minLag = Math.floor(analysisRate / PITCH_MAX_HZ);
+        this.maxLag = Math.min(Math.ceil(analysisRate / PITCH_MIN_HZ), this.window.length - 1);
+        this.analysisRate = analysisRate;
+        this.correlations = new Float32Array(this.maxLag + 1);
+
+        // El fondo arranca en el mínimo y se ajusta con el primer silencio
+        this.noiseRise = Math.pow(10, NOISE_RISE_DB_PER_SECOND / 10 / blockRate);
+        this.noiseFloor = MIN_SPEECH_POWER;
+
+        this.voicedRun = 0;
+        this.hangover = 0;
+        this.speaking = false;
+
+        // Tono del último bloque en Hz (0 si el bloque no era voz)
+        this.pitch = 0;
+    }
+
+    /**
+     * Analiza un bloque completo de muestras
+     * Además de la decisión deja en this.pitch el tono del bloque.
+     * @param {Float32Array} samples - Muestras mono del bloque (-1..1)
+     * @returns {boolean} - True si se está hablando
+     */
+    processBlock(samples) {
+        let sumOfSquares = 0;
+        for (let i = 0; i < samples.length; i++) {
+            sumOfSquares += samples[i] * samples[i];
+        }
+        const power = sumOfSquares / samples.length;
+
+        this.pushWindow(samples);
+
+        const aboveNoise = power > MIN_SPEECH_POWER && power > this.noiseFloor * NOISE_MARGIN;
+        const periodicity = aboveNoise ? this.getPeriodicity() : 0;
+        const voiced = periodicity >= PERIODICITY_THRESHOLD;
+
+        this.pitch = voiced ? this.estimatePitch(periodicity) : 0;
+
+        this.updateNoiseFloor(power);
+        this.updateDecision(voiced);
+
+        return this.speaking;
+    }
+
+    /**
+     * Añade el bloque diezmado al final de la ventana de análisis
+     * @private
+     */
+    pushWindow(samples) {
+        const { window, decimation } = this;
+        const count = Math.min(window.length, Math.floor(samples.length / decimation));
+
+        window.copyWithin(0, count);
+        for (let i = 0; i < count; i++) {
+            window[window.length - count + i] = samples[(samples.length - count * decimation) + i * decimation];
+        }
+    }
+
+    /**
+     * Máximo de la autocorrelación normalizada en el rango del tono de voz
+     * Guarda la correlación de cada retardo para estimar después el tono.
+     * @private
+     */
+    getPeriodicity() {
+        const { window, minLag, maxLag, correlations } = this;
+        let best = 0;
+
+        for (let lag = minLag; lag <= maxLag; lag++) {
+            let cross = 0;
+            let energyA = 0;
+            let energyB = 0;
+
+            for (let n = 0; n + lag < window.length; n++) {
+                const a = window[n];
+                const b = window[n + lag];
+                cross += a * b;
+                energyA += a * a;
+                energyB += b * b;
+            }
+
+            const denominator = Math.sqrt(energyA * energyB);
+            correlations[lag] = denominator > 0 ? cross / denominator : 0;
+            best = Math.max(best, correlations[lag]);
+        }
+
+        return best;
+    }
+
+    /**
+     * Tono del bloque: el primer máximo local cercano al mayor, afinado con
+     * una parábola entre los retardos vecinos
+     * @param {number} best - Máximo de la autocorrelación (de getPeriodicity)
+     * @returns {number} - Frecuencia fundamental en Hz
+     * @private
+     */
+    estimatePitch(best) {
+        const { correlations, minLag, maxLag } = this;
+        let lag = minLag;
+
+        for (let candidate = minLag; candidate <= maxLag; candidate++) {
+            const value = correlations[candidate];
+            const isPeak = (candidate === minLag || value >= correlations[candidate - 1])
+                && (candidate === maxLag || value >= correlations[candidate + 1]);
+
+            if (isPeak && value >= best * PITCH_PEAK_RATIO) {
+                lag = candidate;
+                break;
+            }
+        }
+
+        let offset = 0;
+        if (lag > minLag && lag < maxLag) {
+            const before = correlations[lag - 1];
+            const after = correlations[lag + 1];
+            const curvature = before - 2 * correlations[lag] + after;
+            if (curvature < 0) {
+                offset = 0.5 * (before - after) / curvature;
+            }
+        }
+
+        return this.analysisRate / (lag + offset);
+    }
+
+    /**
+     * Seguimiento de mínimos: baja al instante con el silencio y sube despacio
+     * @private
+     */
+    updateNoiseFloor(power) {
+        if (power < this.noiseFloor) {
+            this.noiseFloor = Math.max(power, 1e-12);
+        } else {
+            this.noiseFloor = Math.min(power, this.noiseFloor * this.noiseRise);
+        }
+    }
+
+    /**
+     * Arranque tras varios bloques de voz y cola tras el último
+     * @private
+     */
+    updateDecision(voiced) {
+        this.voicedRun = voiced ? this.voicedRun + 1 : 0;
+
+        if (this.voicedRun >= ONSET_BLOCKS || (this.speaking && voiced)) {
+            this.speaking = true;
+            this.hangover = HANGOVER_BLOCKS;
+        } else if (this.hangover > 0) {
+            this.hangover--;
+        } else {
+            this.speaking = false;
+        }
+    }
+}
+
+export default VoiceActivityDetector;
@@ -0,0 +1,78 @@
+/**
+ * VolumeHold Service
+ *
+ * Persistencia del volumen (Peak Hold + Decay) para simular el ritmo natural
+ * del habla: las subidas se muestran al instante y las bajadas se mantienen
+ * durante el tiempo de hold antes de caer suavemente.
+ * No depende del reloj: cada muestra recibe su instante, así la usan igual
+ * el micrófono en vivo y el análisis de grabaciones.
+ */
+
+// Duración de la caída tras el hold (ms)
+const DECAY_DURATION = 1000;
+
+class VolumeHold {
+    /**
+     * @param {number} holdDuration - Tiempo de hold en milisegundos
+     */
+    constructor(holdDuration = 2000) {
+        this.holdDuration = holdDuration;
+        this.reset();
+    }
+
+    /**
+     * Cambia el tiempo de hold
+     * @param {number} holdDuration - Tiempo de hold en milisegundos
+     */
+    setHoldDuration(holdDuration) {
+        this.holdDuration = holdDuration;
+    }
+
+    /**
+     * Olvida el último pico registrado
+     */
+    reset() {
+        this.lastSignificantVolume = 0;
+        this.lastVolumeTimestamp = 0;
+        this.displayedVolume = 0;
+    }
+
+    /**
+     * Procesa una muestra de volumen
+     * @param {number} volume - Volumen medido (0-100)
+     * @param {number} timestamp - Instante de la muestra en ms
+     * @returns {number} - Volumen a mostrar (0-100)
+     */
+    update(volume, timestamp) {
+        if (volume > this.lastSignificantVolume) {
+            // Subida: actualización instantánea
+            this.lastSignificantVolume = volume;
+            this.lastVolumeTimestamp = timestamp;
+            this.displayedVolume = volume;
+            return this.displayedVolume;
+        }
+
+        // Bajada: aplicar persistencia
+        const timeSinceLastPeak = timestamp - this.lastVolumeTimestamp;
+
+        if (timeSinceLastPeak < this.holdDuration) {
+            // Hold
+            this.displayedVolume = this.lastSignificantVolume;
+            return this.displayedVolume;
+        }
+
+        // Decay
+        const timeInDecay = timeSinceLastPeak - this.holdDuration;
+        const progress = Math.min(1, timeInDecay / DECAY_DURATION);
+        this.displayedVolume = this.lastSignificantVolume * (1 - progress) + (volume * progress);
+
+        if (progress >= 1) {
+            this.lastSignificantVolume = volume;
+            this.lastVolumeTimestamp = timestamp;
+        }
+
+        return this.displayedVolume;
+    }
+}
+
+export default VolumeHold;
@@ -0,0 +1,99 @@
+/**
+ * Pruebas de StateManager: histéresis y tiempo mínimo de permanencia
+ *
+ * Se ejecutan con Node, sin dependencias: node --test tests/
+ * StateManager no usa el DOM ni el reloj, así que cada prueba marca el
+ * instante de cada muestra.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { StateManager, States } from '../services/StateManager.js';
+
+/**
+ * Crea un StateManager con umbrales 25-75 y lo deja en el estado pedido
+ * @param {Object} config - Configuración parcial (margen, permanencia...)
+ * @param {number} volume - Volumen con el que se alcanza el estado inicial
+ * @returns {Object} - { manager, time } (time = instante de la última muestra)
+ */
+function createManager(config, volume) {
+    const manager = new StateManager();
+    manager.updateConfiguration({ lowerThreshold: 25, upperThreshold: 75, ...config });
+
+    const { minDwellTime } = manager.getConfiguration();
+    manager.updateState(volume, 0);
+    manager.updateState(volume, minDwellTime);
+
+    return { manager, time: minDwellTime };
+}
+
+test('histéresis: el estado se mantiene justo en el umbral ± margen', () => {
+    const cases = [
+        // [volumen inicial, estado inicial, volumen de prueba, estado esperado]
+        [50, States.OPTIMAL, 22, States.OPTIMAL],
+        [50, States.OPTIMAL, 21.9, States.LOW],
+        [50, States.OPTIMAL, 78, States.OPTIMAL],
+        [50, States.OPTIMAL, 78.1, States.DANGER],
+        [10, States.LOW, 28, States.LOW],
+        [10, States.LOW, 28.1, States.OPTIMAL],
+        [90, States.DANGER, 72, States.DANGER],
+        [90, States.DANGER, 71.9, States.OPTIMAL]
+    ];
+
+    for (const [startVolume, startState, volume, expected] of cases) {
+        const { manager, time } = createManager({ hysteresisMargin: 3, minDwellTime: 0 }, startVolume);
+        assert.equal(manager.getCurrentState(), startState);
+        assert.equal(manager.updateState(volume, time + 100).state, expected, `${startState} -> ${volume}`);
+    }
+});
+
+test('histéresis: la banda de aviso también usa el margen', () => {
+    const { manager, time } = createManager({ hysteresisMargin: 3, minDwellTime: 0, warningBandWidth: 10 }, 50);
+
+    assert.equal(manager.updateState(68, time + 100).state, States.OPTIMAL);
+    assert.equal(manager.updateState(68.1, time + 200).state, States.WARNING);
+});
+
+test('histéresis: sin margen se cambia exactamente en el umbral', () => {
+    const { manager, time } = createManager({ hysteresisMargin: 0, minDwellTime: 0 }, 10);
+
+    assert.equal(manager.updateState(24.9, time + 100).state, States.LOW);
+    assert.equal(manager.updateState(25, time + 200).state, States.OPTIMAL);
+    assert.equal(manager.updateState(75, time + 300).state, States.OPTIMAL);
+    assert.equal(manager.updateState(75.1, time + 400).state, States.DANGER);
+});
+
+test('permanencia: el estado nuevo se confirma justo al cumplir minDwellTime', () => {
+    const { manager, time } = createManager({ hysteresisMargin: 0, minDwellTime: 300 }, 10);
+
+    assert.equal(manager.updateState(50, time + 100).state, States.LOW);
+    assert.equal(manager.updateState(50, time + 399).state, States.LOW);
+
+    const confirmed = manager.updateState(50, time + 400);
+    assert.equal(confirmed.state, States.OPTIMAL);
+    assert.equal(confirmed.stateChanged, true);
+});
+
+test('permanencia: volver al estado actual a mitad de la espera la reinicia', () => {
+    const { manager, time } = createManager({ hysteresisMargin: 0, minDwellTime: 300 }, 10);
+
+    manager.updateState(50, time + 100);
+    assert.equal(manager.updateState(10, time + 250).state, States.LOW);
+
+    // La espera empieza de nuevo: 300 ms desde la nueva muestra en verde
+    manager.updateState(50, time + 300);
+    assert.equal(manager.updateState(50, time + 450).state, States.LOW);
+    assert.equal(manager.updateState(50, time + 599).state, States.LOW);
+    assert.equal(manager.updateState(50, time + 600).state, States.OPTIMAL);
+});
+
+test('permanencia: otro candidato a mitad de la espera la reinicia', () => {
+    const { manager, time } = createManager({ hysteresisMargin: 0, minDwellTime: 300 }, 10);
+
+    manager.updateState(50, time + 100);
+    manager.updateState(90, time + 250);
+
+    assert.equal(manager.updateState(90, time + 400).state, States.LOW);
+    assert.equal(manager.updateState(90, time + 549).state, States.LOW);
+    assert.equal(manager.updateState(90, time + 550).state, States.DANGER);
+});
@@ -0,0 +1,29 @@
+/**
+ * Download
+ *
+ * Descarga de archivos generados en el navegador (sin servidor).
+ */
+
+/**
+ * Descarga un texto como archivo
+ * @param {string} fileName - Nombre del archivo
+ * @param {string} content - Contenido
+ * @param {string} mimeType - Tipo MIME (p. ej. 'text/csv')
+ */
+function downloadFile(fileName, content, mimeType) {
+    const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.hidden = true;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    // Dar tiempo al navegador a empezar la descarga antes de liberar la URL
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+export { downloadFile };
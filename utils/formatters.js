@@ -0,0 +1,60 @@
+/**
+ * Formatters
+ *
+ * Funciones puras de formato compartidas por servicios y componentes.
+ */
+
+/**
+ * Formatea tiempo en formato MM:SS
+ * @param {number} seconds - Segundos
+ * @returns {string} - Tiempo formateado
+ */
+function formatTime(seconds) {
+    const safeSeconds = Math.max(0, Math.floor(seconds || 0));
+    const mins = Math.floor(safeSeconds / 60);
+    const secs = safeSeconds % 60;
+    return `${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+}
+
+/**
+ * Formatea una marca de tiempo como fecha local (dd/mm/aaaa)
+ * @param {number} timestamp - Milisegundos desde epoch
+ * @returns {string} - Fecha formateada
+ */
+function formatDate(timestamp) {
+    if (!timestamp) return '—';
+
+    const date = new Date(timestamp);
+    const day = date.getDate().toString().padStart(2, '0');
+    const month = (date.getMonth() + 1).toString().padStart(2, '0');
+
+    return `${day}/${month}/${date.getFullYear()}`;
+}
+
+/**
+ * Formatea una marca de tiempo como fecha y hora local (dd/mm/aaaa hh:mm)
+ * @param {number} timestamp - Milisegundos desde epoch
+ * @returns {string} - Fecha formateada
+ */
+function formatDateTime(timestamp) {
+    if (!timestamp) return '—';
+
+    const date = new Date(timestamp);
+    const hours = date.getHours().toString().padStart(2, '0');
+    const minutes = date.getMinutes().toString().padStart(2, '0');
+
+    return `${formatDate(timestamp)} ${hours}:${minutes}`;
+}
+
+/**
+ * Cantidad con su palabra en singular o plural (p. ej. "1 sesión", "3 sesiones")
+ * @param {number} count - Cantidad
+ * @param {string} singular - Palabra para 1
+ * @param {string} plural - Palabra para el resto
+ * @returns {string}
+ */
+function formatCount(count, singular, plural) {
+    return `${count} ${count === 1 ? singular : plural}`;
+}
+
+export { formatTime, formatDate, formatDateTime, formatCount };
@@ -0,0 +1,45 @@
+/**
+ * LevelMeterProcessor (AudioWorklet)
+ *
+ * Mide RMS y pico de la entrada en el hilo de audio a un ritmo fijo de bloques,
+ * detecta si cada bloque es voz y su tono, y envía { rms, peak, speaking, pitch }
+ * al hilo principal.
+ * Sigue midiendo aunque la pestaña esté en segundo plano. No guarda ni reenvía el audio.
+ */
+
+import LevelMeter from '../services/LevelMeter.js';
+import VoiceActivityDetector from '../services/VoiceActivityDetector.js';
+
+// Quantum de render de Web Audio (muestras por llamada a process)
+const RENDER_QUANTUM = 128;
+
+class LevelMeterProcessor extends AudioWorkletProcessor {
+    constructor(options) {
+        super();
+
+        this.meter = new LevelMeter(sampleRate, options.processorOptions);
+        this.voiceDetector = new VoiceActivityDetector(sampleRate, options.processorOptions);
+        this.silence = new Float32Array(RENDER_QUANTUM);
+
+        this.port.onmessage = (event) => {
+            if (event.data.type === 'smoothing') {
+                this.meter.setSmoothing(event.data.value);
+            }
+        };
+    }
+
+    process(inputs) {
+        // Sin fuente conectada la entrada llega vacía: se mide como silencio
+        const [channel] = inputs[0];
+
+        this.meter.process(channel || this.silence, (block, samples) => {
+            block.speaking = this.voiceDetector.processBlock(samples);
+            block.pitch = this.voiceDetector.pitch;
+            this.port.postMessage(block);
+        });
+
+        return true;
+    }
+}
+
+registerProcessor('level-meter', LevelMeterProcessor);